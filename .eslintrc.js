@@ -22,6 +22,7 @@ module.exports = {
   globals: {
     CONFIG: 'readonly',
     Utils: 'readonly',
+    RNG: 'readonly',
     Physics: 'readonly',
     Controls: 'readonly',
     AI: 'readonly',
@@ -32,6 +33,7 @@ module.exports = {
     Leaderboard: 'readonly',
     Screens: 'readonly',
     PowerUpManager: 'readonly',
+    POWERUP_TYPES: 'readonly',
     Game: 'readonly',
     game: 'writable',
     initAudio: 'readonly',
@@ -42,6 +44,10 @@ module.exports = {
     // Supabase client (loaded from CDN)
     supabase: 'readonly',
     // Multiplayer client class
-    MultiplayerClient: 'readonly'
+    MultiplayerClient: 'readonly',
+    PaddlePredictor: 'readonly',
+    SnapshotBuffer: 'readonly',
+    ReplayRecorder: 'readonly',
+    ReplayPlayer: 'readonly'
   }
 };
@@ -7,8 +7,12 @@ class AI {
   /**
    * Create an AI opponent
    * @param {string} difficulty - Difficulty level ('easy', 'medium', 'hard', 'impossible')
+   * @param {Function} [random=Math.random] - Generator returning [0, 1) (see RNG.create)
    */
-  constructor(difficulty = 'medium') {
+  constructor(difficulty = 'medium', random = Math.random) {
+    this.random = random;
+    // Clock for reaction delays; the game supplies its simulation time
+    this.now = () => performance.now();
     this.setDifficulty(difficulty);
     this.targetY = null;
     this.lastUpdateTime = 0;
@@ -29,6 +33,22 @@ class AI {
     this.predictionError = settings.predictionError;
   }
 
+  /**
+   * Set the random generator used for mistakes and prediction error
+   * @param {Function} random - Generator returning [0, 1) (see RNG.create)
+   */
+  setRandom(random) {
+    this.random = random;
+  }
+
+  /**
+   * Set the clock used for reaction delays
+   * @param {Function} now - Returns the current time in ms
+   */
+  setClock(now) {
+    this.now = now;
+  }
+
   /**
    * Update AI and get target Y position for paddle
    * @param {Object} ball - Ball object {x, y, vx, vy, radius, speed}
@@ -37,7 +57,7 @@ class AI {
    * @returns {number} Target Y position for paddle center
    */
   update(ball, paddle, canvas) {
-    const now = performance.now();
+    const now = this.now();
     const timeSinceLastUpdate = now - this.lastUpdateTime;
 
     // Only update target based on reaction delay
@@ -46,8 +66,8 @@ class AI {
       this.targetY = this.calculateTargetY(ball, paddle, canvas);
 
       // Apply random mistake
-      if (Math.random() < this.mistakeChance) {
-        this.currentMistake = Utils.randomRange(-this.predictionError * 2, this.predictionError * 2);
+      if (this.random() < this.mistakeChance) {
+        this.currentMistake = Utils.randomRange(-this.predictionError * 2, this.predictionError * 2, this.random);
       } else {
         this.currentMistake = 0;
       }
@@ -76,14 +96,14 @@ class AI {
 
     // Simple tracking for easy difficulty
     if (this.difficulty === 'easy') {
-      return ball.y + Utils.randomRange(-this.predictionError, this.predictionError);
+      return ball.y + Utils.randomRange(-this.predictionError, this.predictionError, this.random);
     }
 
     // Predict where ball will cross paddle line
     const predictedY = Physics.predictBallPosition(ball, paddle.x, canvas);
 
     // Add prediction error based on difficulty
-    const error = Utils.randomRange(-this.predictionError, this.predictionError);
+    const error = Utils.randomRange(-this.predictionError, this.predictionError, this.random);
 
     return predictedY + error;
   }
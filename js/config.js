@@ -31,7 +31,8 @@ const CONFIG = {
     POWERUP_INTERVAL: 12000,
     POWERUP_VARIANCE: 3000,
     SCORE_PAUSE_DURATION: 1500,
-    COUNTDOWN_DURATION: 3000
+    COUNTDOWN_DURATION: 3000,
+    TICK_RATE: 60               // Simulation steps per second (speeds above are per step)
   },
 
   // AI Settings
@@ -66,7 +67,10 @@ const CONFIG = {
   CANVAS: {
     ASPECT_RATIO: 4 / 3,
     MIN_WIDTH: 320,
-    MAX_WIDTH: 1920
+    MAX_WIDTH: 1920,
+    // Logical playfield the game runs in, whatever the canvas size
+    FIELD_WIDTH: 800,
+    FIELD_HEIGHT: 600
   },
 
   // Audio Settings
@@ -81,6 +85,22 @@ const CONFIG = {
     TRAIL_LENGTH: 10,
     PARTICLE_COUNT: 20,
     GLOW_INTENSITY: 20
+  },
+
+  // Online Play Settings
+  NETWORK: {
+    TICK_RATE: 60,              // Server simulation ticks per second
+    INTERP_DELAY: 100,          // Render remote state this many ms in the past
+    MAX_EXTRAPOLATION: 100,     // Longest time (ms) to predict the ball past the last snapshot
+    SNAPSHOT_BUFFER_SIZE: 60    // Maximum ball snapshots kept
+  },
+
+  // Custom rules for private rooms: the range the server accepts for each
+  ROOM_RULES: {
+    WIN_SCORE: { MIN: 1, MAX: 21 },
+    BALL_SPEED: { MIN: 3, MAX: 10 },
+    SPEED_INCREMENT: { MIN: 0, MAX: 1 },
+    PADDLE_HEIGHT: { MIN: 40, MAX: 160 }
   }
 };
 
@@ -91,6 +111,8 @@ Object.freeze(CONFIG.AI);
 Object.freeze(CONFIG.CANVAS);
 Object.freeze(CONFIG.AUDIO);
 Object.freeze(CONFIG.VISUALS);
+Object.freeze(CONFIG.NETWORK);
+Object.freeze(CONFIG.ROOM_RULES);
 
 // Export for Node.js/testing environments
 if (typeof module !== 'undefined' && module.exports) {
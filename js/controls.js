@@ -4,8 +4,14 @@
  */
 
 class Controls {
-  constructor(canvas) {
+  /**
+   * @param {HTMLCanvasElement} canvas - Canvas to read pointer input from
+   * @param {Object} [field] - { width, height } playfield that pointer positions are reported in
+   *   (defaults to CSS pixels on the canvas)
+   */
+  constructor(canvas, field = null) {
     this.canvas = canvas;
+    this.field = field;
     this.touches = {};
     this.keys = {};
     this.mouseY = null;
@@ -114,11 +120,24 @@ class Controls {
   getTouchPosition(touch) {
     const rect = this.canvas.getBoundingClientRect();
     const x = touch.clientX - rect.left;
-    const y = touch.clientY - rect.top;
+    const y = this.toFieldY(touch.clientY - rect.top, rect);
     const relativeX = x / rect.width;
     return { x, y, relativeX };
   }
 
+  /**
+   * Convert a vertical offset on the canvas element to playfield units
+   * @param {number} offsetY - CSS pixels from the top of the canvas
+   * @param {DOMRect} rect - Canvas bounding rect
+   * @returns {number}
+   */
+  toFieldY(offsetY, rect) {
+    if (!this.field || !rect.height) {
+      return offsetY;
+    }
+    return offsetY * this.field.height / rect.height;
+  }
+
   /**
    * Handle key down event
    * @param {KeyboardEvent} e - Keyboard event
@@ -146,7 +165,7 @@ class Controls {
    */
   handleMouseMove(e) {
     const rect = this.canvas.getBoundingClientRect();
-    this.mouseY = e.clientY - rect.top;
+    this.mouseY = this.toFieldY(e.clientY - rect.top, rect);
   }
 
   /**
@@ -4,6 +4,15 @@
  */
 
 class Game {
+  // Length of one simulation step in ms
+  static FIXED_TIMESTEP = 1000 / CONFIG.GAME.TICK_RATE;
+
+  // Longest frame simulated at once, so a backgrounded tab doesn't fast-forward the match
+  static MAX_FRAME_TIME = 250;
+
+  // Most balls in play at once (multi-ball adds two per pickup)
+  static MAX_BALLS = 5;
+
   constructor() {
     // Get canvas and context
     this.canvas = document.getElementById('game-canvas');
@@ -12,47 +21,84 @@ class Game {
     this.pauseBtn = document.getElementById('pause-btn');
 
     // Game state
-    this.state = 'menu'; // menu, countdown, playing, paused, gameover
-    this.mode = null;    // single, local, online
+    this.state = 'menu'; // menu, countdown, playing, paused, gameover, replay
+    this.mode = null;    // single, local, online, replay
     this.variant = 'classic'; // classic, chaos, speedrun
     this.difficulty = 'medium';
 
     // Game objects
-    this.ball = null;
+    this.balls = [];     // Balls in play, each with its own trail; balls[0] is the main ball
     this.paddle1 = null;
     this.paddle2 = null;
-    this.ballTrail = [];
 
     // Scores
     this.scores = [0, 0];
     this.winScore = CONFIG.GAME.WIN_SCORE;
+    this.winByTwo = false;       // Custom room rule: keep playing until someone leads by two
     this.baseBallSpeed = CONFIG.GAME.BALL_SPEED;
+    this.speedIncrement = CONFIG.GAME.BALL_SPEED_INCREMENT;
+    this.rules = null;           // Custom room rules in play, or null for the variant's standard rules
 
     // Particles
     this.particles = [];
 
     // Timing
     this.lastTime = 0;
-    this.deltaTime = 0;
+    this.deltaTime = 0;            // Real time since the last frame (s)
+    this.accumulator = 0;          // Time not yet simulated (ms)
+    this.simTime = 0;              // Simulation clock (ms), advances one fixed step at a time
+    this.renderAlpha = 1;          // How far between the last two steps to draw (0-1)
+    this.previousPositions = null; // Ball and paddle positions before the last step
     this.countdownStart = 0;
     this.countdownValue = 3;
+    this.serveAt = null;           // Simulation time to put the ball back in play after a point
+    this.serveDirection = null;
 
     // Pause tracking
     this.previousState = null;
 
+    // Seeded randomness for serves, AI and power-ups (particles stay on Math.random)
+    this.seed = null;
+    this.random = Math.random;
+
+    // Replays
+    this.replayRecorder = null;  // Records the match in progress
+    this.replayPlayer = null;    // Plays back a saved replay (state 'replay')
+    this.matchTime = 0;          // Time played in the current match (ms, excluding pauses)
+
     // Multiplayer
     this.multiplayer = null;
     this.opponentPaddleY = 0;  // For online mode paddle smoothing
     this.opponentTargetY = 0;
-    // Ball sync for guest players (interpolation to reduce jitter)
-    this.targetBallState = null;  // { x, y, vx, vy } - target ball state from host
+    this.onlinePlayers = [];      // [{ username, displayName, index }] in the current online match
+    // Spectating: both paddles follow the server, smoothed like the opponent's
+    this.spectatorPaddleY = [0, 0];
+    this.spectatorTargetY = [0, 0];
+    this.spectatorCount = 0;
+    this.tournament = null;       // Latest bracket of the tournament we entered
+    this.tournamentMatch = null;  // { code, name, matchId } while playing a bracket match
+    this.series = null;           // { bestOf, players, wins, gamesPlayed, winner } in a best-of-N room
+    this.friends = null;          // { friends: [{ username, presence }], incoming, outgoing } when signed in
+    this.paddlePredictor = null;  // Local paddle prediction (field coordinates)
+    // Ball sync from the server simulation (snapshot interpolation to absorb jitter)
+    this.ballSnapshots = null;    // SnapshotBuffer of timestamped server ball states
+    this.lastNetworkBall = null;  // { x, y, vx, vy } - last rendered server ball state, in field coordinates
+    this.showNetDebug = false;
+    this.field = null;            // { width, height } - server playfield dimensions
+
+    // Physics, AI, power-ups and replays run in this fixed space; render() scales it to the canvas
+    this.playfield = { width: CONFIG.CANVAS.FIELD_WIDTH, height: CONFIG.CANVAS.FIELD_HEIGHT };
 
     // Initialize systems
-    this.controls = new Controls(this.canvas);
+    this.controls = new Controls(this.canvas, this.playfield);
     this.ai = new AI(this.difficulty);
     this.powerups = new PowerUpManager();
     this.powerups.setGame(this);
 
+    // AI reactions and power-up timers run on the simulation clock
+    this.ai.setClock(() => this.simTime);
+    this.powerups.setClock(() => this.simTime);
+
     // Base paddle dimensions for power-up modifications
     this.basePaddleHeight = CONFIG.GAME.PADDLE_HEIGHT;
 
@@ -98,8 +144,10 @@ class Game {
       width = Utils.clamp(width, CONFIG.CANVAS.MIN_WIDTH, CONFIG.CANVAS.MAX_WIDTH);
       height = width / aspectRatio;
 
-      this.canvas.width = width;
-      this.canvas.height = height;
+      // Size the backing store in device pixels so lines stay sharp on HiDPI screens
+      const pixelRatio = window.devicePixelRatio || 1;
+      this.canvas.width = Math.round(width * pixelRatio);
+      this.canvas.height = Math.round(height * pixelRatio);
 
       // Center canvas
       this.canvas.style.width = width + 'px';
@@ -117,7 +165,11 @@ class Game {
     document.addEventListener('keydown', (e) => {
       // Escape - pause/unpause
       if (e.key === 'Escape') {
-        if (this.state === 'playing') {
+        if (this.state === 'replay') {
+          this.stopReplay();
+        } else if (this.isSpectating()) {
+          this.stopSpectating();
+        } else if (this.state === 'playing') {
           this.pause();
         } else if (this.state === 'paused') {
           this.resume();
@@ -129,6 +181,8 @@ class Game {
         e.preventDefault();
         if (this.state === 'gameover') {
           this.handleMenuAction('rematch');
+        } else if (this.state === 'replay') {
+          this.handleMenuAction('replayPause');
         }
       }
     });
@@ -212,6 +266,7 @@ class Game {
     this.difficulty = settings.difficulty || 'medium';
     this.controls.setSensitivity(settings.controlSensitivity || 1.0);
     this.controls.setInvertControls(settings.invertControls || false);
+    this.showNetDebug = settings.netDebugEnabled || false;
 
     if (settings.sfxVolume !== undefined) {
       sound.setSfxVolume(settings.sfxVolume);
@@ -276,10 +331,62 @@ class Game {
         Screens.showLeaderboard(value);
         break;
 
+      case 'viewProfile':
+        this.viewProfile(value);
+        break;
+
       case 'howto':
         Screens.showHowToPlay();
         break;
 
+      case 'replays':
+        Screens.showReplays(Storage.getReplays());
+        break;
+
+      case 'playReplay':
+        this.startReplay(Storage.getReplay(value));
+        break;
+
+      case 'exportReplay':
+        this.exportReplay(value);
+        break;
+
+      case 'deleteReplay':
+        Storage.deleteReplay(value);
+        Screens.showReplays(Storage.getReplays());
+        break;
+
+      case 'importReplay':
+        this.importReplay(value);
+        break;
+
+      case 'replayPause':
+        if (this.replayPlayer) {
+          this.replayPlayer.togglePause();
+          Screens.updateReplayControls(this.replayPlayer);
+        }
+        break;
+
+      case 'replaySpeed':
+        if (this.replayPlayer) {
+          this.replayPlayer.setSpeed(Number(value));
+          Screens.updateReplayControls(this.replayPlayer);
+        }
+        break;
+
+      case 'replaySeek':
+        if (this.replayPlayer) {
+          this.replayPlayer.seek(Number(value));
+          this.ball.trail = [];
+          this.applyReplayFrame();
+          this.savePreviousPositions();
+        }
+        break;
+
+      case 'replayExit':
+        this.stopReplay();
+        break;
+
       case 'back':
         if (Screens.currentScreen === 'settings' && this.state === 'paused') {
           Screens.showPauseMenu();
@@ -326,11 +433,39 @@ class Game {
         this.handleUsernameSubmit();
         break;
 
+      case 'login':
+        this.handleAccountSubmit('login');
+        break;
+
+      case 'signup':
+        this.handleAccountSubmit('signup');
+        break;
+
+      case 'continueSignedIn':
+        this.connectToServer();
+        break;
+
+      case 'account':
+        Screens.showUsernameInput();
+        break;
+
+      case 'logout':
+        Storage.clearAuth();
+        if (this.multiplayer && this.multiplayer.isConnected) {
+          this.multiplayer.disconnect();
+        }
+        Screens.showUsernameInput();
+        break;
+
       case 'quickMatch':
         this.startQuickMatch();
         break;
 
       case 'createRoom':
+        Screens.showRoomRules();
+        break;
+
+      case 'submitRoomRules':
         this.createOnlineRoom();
         break;
 
@@ -342,6 +477,96 @@ class Game {
         this.handleJoinRoom();
         break;
 
+      case 'confirmJoinRoom':
+        this.joinOnlineRoom(value);
+        break;
+
+      case 'browseRooms':
+        this.showLobbyBrowser();
+        break;
+
+      case 'browseJoin':
+        this.handleJoinRoom(value);
+        break;
+
+      case 'friends':
+        this.showFriends();
+        break;
+
+      case 'addFriend':
+        this.handleAddFriend();
+        break;
+
+      case 'acceptFriend':
+        this.handleFriendAction(() => this.multiplayer.acceptFriend(value));
+        break;
+
+      case 'removeFriend':
+        this.handleFriendAction(() => this.multiplayer.removeFriend(value));
+        break;
+
+      case 'challengeFriend':
+        Screens.showRoomRules(value);
+        break;
+
+      case 'submitChallenge':
+        this.challengeFriend(value);
+        break;
+
+      case 'acceptChallenge':
+        if (this.multiplayer) {
+          this.multiplayer.cancelMatchmaking();
+        }
+        this.joinOnlineRoom(value);
+        break;
+
+      case 'declineChallenge':
+        if (this.multiplayer) {
+          this.multiplayer.declineChallenge(value);
+        }
+        Screens.showOnlineLobby();
+        break;
+
+      case 'spectateRoom':
+        this.handleSpectateRoom();
+        break;
+
+      case 'stopSpectating':
+        this.stopSpectating();
+        break;
+
+      case 'tournaments':
+        this.showTournaments();
+        break;
+
+      case 'createTournament':
+        this.handleCreateTournament();
+        break;
+
+      case 'joinTournament':
+        this.handleJoinTournament();
+        break;
+
+      case 'startTournament':
+        this.handleStartTournament();
+        break;
+
+      case 'leaveTournament':
+        if (this.multiplayer) {
+          this.multiplayer.leaveTournament();
+        }
+        this.tournament = null;
+        Screens.showTournamentLobby();
+        break;
+
+      case 'showBracket':
+        this.showTournaments();
+        break;
+
+      case 'tournamentBack':
+        Screens.showOnlineLobby();
+        break;
+
       case 'onlineBack':
         if (this.multiplayer && this.multiplayer.isConnected) {
           this.multiplayer.disconnect();
@@ -384,26 +609,25 @@ class Game {
    * Start a new game
    * @param {string} mode - Game mode
    * @param {string} variant - Game variant (classic, chaos, speedrun)
+   * @param {number|string} [seed] - Seed to reproduce a match; a fresh one is picked if omitted
+   * @param {Object|null} [rules=null] - Custom room rules (see applyRules)
    */
-  startGame(mode, variant = 'classic') {
+  startGame(mode, variant = 'classic', seed, rules = null) {
     this.mode = mode;
     this.variant = variant;
     this.resetGame();
 
-    // Set win score and ball speed based on variant
-    if (variant === 'chaos') {
-      this.winScore = 7;
-      this.baseBallSpeed = CONFIG.GAME.BALL_SPEED;
-    } else if (variant === 'speedrun') {
-      this.winScore = 5;
-      this.baseBallSpeed = CONFIG.GAME.BALL_SPEED * 1.5; // 50% faster ball
-    } else {
-      this.winScore = CONFIG.GAME.WIN_SCORE;
-      this.baseBallSpeed = CONFIG.GAME.BALL_SPEED;
-    }
+    this.random = RNG.create(seed);
+    this.seed = this.random.seed;
+    this.ai.setRandom(this.random);
+    this.powerups.setRandom(this.random);
+
+    // Set win score, ball speed and paddle size from the variant or custom rules
+    this.applyRules(variant, rules);
 
     // Initialize game objects
     this.initGameObjects();
+    this.startReplayRecording(this.seed);
 
     // Hide menu overlay
     Screens.hide();
@@ -417,9 +641,9 @@ class Game {
     // Enable touch prevention during gameplay
     enableGameplayTouchPrevention(this.canvas);
 
-    // Start power-ups for chaos mode
-    if (variant === 'chaos') {
-      this.powerups.startSpawns(this.canvas);
+    // Start power-ups for chaos mode (unless the rules turned them all off)
+    if (variant === 'chaos' && this.powerups.typeKeys.length > 0) {
+      this.powerups.startSpawns(this.playfield);
     }
 
     // Play start sound
@@ -431,12 +655,12 @@ class Game {
    */
   initGameObjects() {
     const paddleWidth = CONFIG.GAME.PADDLE_WIDTH;
-    const paddleHeight = CONFIG.GAME.PADDLE_HEIGHT;
+    const paddleHeight = this.basePaddleHeight;
 
     // Left paddle (Player 1)
     this.paddle1 = {
       x: 20,
-      y: (this.canvas.height - paddleHeight) / 2,
+      y: (this.playfield.height - paddleHeight) / 2,
       width: paddleWidth,
       height: paddleHeight,
       speed: CONFIG.GAME.PADDLE_SPEED
@@ -444,25 +668,41 @@ class Game {
 
     // Right paddle (Player 2 / AI)
     this.paddle2 = {
-      x: this.canvas.width - 20 - paddleWidth,
-      y: (this.canvas.height - paddleHeight) / 2,
+      x: this.playfield.width - 20 - paddleWidth,
+      y: (this.playfield.height - paddleHeight) / 2,
       width: paddleWidth,
       height: paddleHeight,
       speed: CONFIG.GAME.PADDLE_SPEED
     };
 
-    // Ball
-    this.ball = {
-      x: this.canvas.width / 2,
-      y: this.canvas.height / 2,
+    this.balls = [this.createBall()];
+    this.particles = [];
+  }
+
+  /**
+   * The main ball: the one served after each point, synced with the server
+   * online and recorded in replays
+   * @returns {Object|null}
+   */
+  get ball() {
+    return this.balls[0] || null;
+  }
+
+  /**
+   * Create a ball at rest in the centre of the field
+   * @returns {Object} Ball {x, y, radius, vx, vy, speed, speedIncrement, trail}
+   */
+  createBall() {
+    return {
+      x: this.playfield.width / 2,
+      y: this.playfield.height / 2,
       radius: CONFIG.GAME.BALL_RADIUS,
       vx: 0,
       vy: 0,
-      speed: this.baseBallSpeed || CONFIG.GAME.BALL_SPEED
+      speed: this.baseBallSpeed || CONFIG.GAME.BALL_SPEED,
+      speedIncrement: this.speedIncrement,
+      trail: []
     };
-
-    this.ballTrail = [];
-    this.particles = [];
   }
 
   /**
@@ -470,7 +710,7 @@ class Game {
    */
   startCountdown() {
     this.state = 'countdown';
-    this.countdownStart = performance.now();
+    this.countdownStart = this.simTime;
     this.countdownValue = 3;
   }
 
@@ -479,15 +719,21 @@ class Game {
    */
   resetGame() {
     this.scores = [0, 0];
-    this.ball = null;
+    this.balls = [];
     this.paddle1 = null;
     this.paddle2 = null;
-    this.ballTrail = [];
     this.particles = [];
+    this.previousPositions = null;
+    this.serveAt = null;
     this.powerups.reset();
     this.ai.reset();
     this.controls.reset();
-    this.targetBallState = null;  // Reset ball sync state for online mode
+    this.ballSnapshots = null;  // Reset ball sync state for online mode
+    this.lastNetworkBall = null;
+    this.field = null;
+    this.paddlePredictor = null;
+    this.replayRecorder = null;  // An unfinished match is not saved
+    this.replayPlayer = null;
 
     disableGameplayTouchPrevention(this.canvas);
   }
@@ -523,18 +769,15 @@ class Game {
   /**
    * Handle point scored
    * @param {number} scorer - Player who scored (1 or 2)
+   * @param {Object} [ball=this.ball] - Ball that crossed the goal line
    */
-  scorePoint(scorer) {
+  scorePoint(scorer, ball = this.ball) {
     this.scores[scorer - 1]++;
+    this.recordReplayFrame(true);
 
     // Clear point-ending power-up effects (like speedBall)
     this.powerups.clearPointEffects();
 
-    // Send score update in online mode (host only)
-    if (this.mode === 'online' && this.multiplayer && this.multiplayer.isHost) {
-      this.multiplayer.sendScoreUpdate(this.scores, 0);
-    }
-
     // Play sound
     if (this.mode === 'single') {
       if (scorer === 1) {
@@ -542,38 +785,25 @@ class Game {
       } else {
         sound.scoreLose();
       }
-    } else if (this.mode === 'online') {
-      // In online mode, determine if local player scored
-      const localPlayerIndex = this.multiplayer ? this.multiplayer.playerIndex : 0;
-      if ((scorer === 1 && localPlayerIndex === 0) || (scorer === 2 && localPlayerIndex === 1)) {
-        sound.scoreWin();
-      } else {
-        sound.scoreLose();
-      }
     } else {
       sound.scoreWin();
     }
 
     // Create particles at goal
-    this.createScoreParticles(scorer);
+    this.createScoreParticles(scorer, ball);
 
     // Check for win
-    if (this.scores[scorer - 1] >= this.winScore) {
+    if (this.isWinningScore(scorer)) {
       this.gameOver(scorer);
       return;
     }
 
     // Reset ball after pause
-    setTimeout(() => {
-      if (this.state === 'playing') {
-        Physics.resetBall(this.ball, this.canvas, scorer === 1 ? 1 : -1);
-        // Restore variant-specific ball speed (Physics.resetBall uses default speed)
-        this.ball.speed = this.baseBallSpeed;
-        this.ballTrail = [];
-      }
-    }, CONFIG.GAME.SCORE_PAUSE_DURATION);
+    this.serveAt = this.simTime + CONFIG.GAME.SCORE_PAUSE_DURATION;
+    this.serveDirection = scorer === 1 ? 1 : -1;
 
-    // Stop ball temporarily
+    // Extra balls only last for the point; stop the main ball until the serve
+    this.balls = [this.ball];
     this.ball.vx = 0;
     this.ball.vy = 0;
   }
@@ -581,10 +811,11 @@ class Game {
   /**
    * Create particle effect for scoring
    * @param {number} scorer - Player who scored
+   * @param {Object} [ball=this.ball] - Ball that crossed the goal line
    */
-  createScoreParticles(scorer) {
-    const x = scorer === 2 ? 0 : this.canvas.width;
-    const y = this.ball.y;
+  createScoreParticles(scorer, ball = this.ball) {
+    const x = scorer === 2 ? 0 : this.playfield.width;
+    const y = ball.y;
     const color = scorer === 1 ? Renderer.colors.neonCyan : Renderer.colors.neonPink;
 
     for (let i = 0; i < CONFIG.VISUALS.PARTICLE_COUNT; i++) {
@@ -617,17 +848,10 @@ class Game {
       Storage.updateStats(winner === 1, this.scores[0], this.scores[1]);
     }
 
-    // Send game over in online mode (either player can report - server validates)
-    if (this.mode === 'online' && this.multiplayer && this.multiplayer.isConnected) {
-      this.multiplayer.sendGameOver(this.scores);
-      // The server will send match-complete event which triggers showOnlineGameOver
-      return;
-    }
+    this.saveReplay(winner);
 
-    // Show game over screen (for non-online modes)
-    if (this.mode !== 'online') {
-      Screens.showGameOver(winner, this.scores[0], this.scores[1], this.mode);
-    }
+    // Show game over screen (online matches end via the server's match-complete event)
+    Screens.showGameOver(winner, this.scores[0], this.scores[1], this.mode);
 
     // Disable touch prevention
     disableGameplayTouchPrevention(this.canvas);
@@ -635,20 +859,30 @@ class Game {
 
   /**
    * Main game loop
+   * Simulates in fixed steps (CONFIG.GAME speeds are per step) so the game runs
+   * at the same speed on any refresh rate, then renders between the last two steps.
    * @param {number} timestamp - Current timestamp
    */
   gameLoop(timestamp) {
-    // Calculate delta time
-    this.deltaTime = (timestamp - this.lastTime) / 1000;
+    // Cap frame time to prevent spiral of death
+    const frameTime = Utils.clamp(timestamp - this.lastTime, 0, Game.MAX_FRAME_TIME);
     this.lastTime = timestamp;
-
-    // Cap delta time to prevent spiral of death
-    this.deltaTime = Math.min(this.deltaTime, 0.1);
+    this.deltaTime = frameTime / 1000;
+    this.accumulator += frameTime;
 
     // Update
-    this.update(timestamp);
+    while (this.accumulator >= Game.FIXED_TIMESTEP) {
+      this.savePreviousPositions();
+      // The simulation clock stops while paused so timers resume where they left off
+      if (this.state !== 'paused') {
+        this.simTime += Game.FIXED_TIMESTEP;
+      }
+      this.update();
+      this.accumulator -= Game.FIXED_TIMESTEP;
+    }
 
     // Render
+    this.renderAlpha = this.accumulator / Game.FIXED_TIMESTEP;
     this.render();
 
     // Continue loop
@@ -656,13 +890,17 @@ class Game {
   }
 
   /**
-   * Update game state
-   * @param {number} timestamp - Current timestamp
+   * Advance the game by one fixed simulation step
    */
-  update(timestamp) {
+  update() {
+    if (this.state === 'replay') {
+      this.updateReplay();
+      return;
+    }
+
     // Handle countdown
     if (this.state === 'countdown') {
-      const elapsed = timestamp - this.countdownStart;
+      const elapsed = this.simTime - this.countdownStart;
       const newCount = 3 - Math.floor(elapsed / 1000);
 
       if (newCount !== this.countdownValue && newCount > 0) {
@@ -671,9 +909,10 @@ class Game {
 
       if (elapsed >= CONFIG.GAME.COUNTDOWN_DURATION) {
         this.state = 'playing';
-        Physics.resetBall(this.ball, this.canvas, null);
-        // Restore variant-specific ball speed (Physics.resetBall uses default speed)
-        this.ball.speed = this.baseBallSpeed;
+        // Online matches are served by the server simulation
+        if (this.mode !== 'online') {
+          this.serveBall(null);
+        }
       }
       return;
     }
@@ -683,57 +922,150 @@ class Game {
       return;
     }
 
+    if (this.serveAt !== null && this.simTime >= this.serveAt) {
+      this.serveAt = null;
+      this.serveBall(this.serveDirection);
+    }
+
     // Update controls and paddles
     this.updatePaddles();
 
-    // Update ball
-    // For online guest players, interpolate ball position from host instead of running physics locally
-    if (this.mode === 'online' && this.multiplayer && this.multiplayer.isGuest) {
-      this.updateGuestBall();
-    } else if (this.ball.vx !== 0 || this.ball.vy !== 0) {
-      this.updateBall();
+    // Update balls
+    // Online matches are simulated by the server, so interpolate toward its ball state
+    if (this.mode === 'online') {
+      this.updateNetworkBall();
+    } else {
+      this.updateBalls();
     }
 
     // Update particles
     this.updateParticles();
 
-    // Update power-ups
+    // Update power-ups (any ball can collect them)
     if (this.ball) {
-      this.powerups.update(this.deltaTime, this.ball);
+      this.powerups.update(Game.FIXED_TIMESTEP / 1000, this.balls);
+    }
+
+    this.matchTime += Game.FIXED_TIMESTEP;
+    this.recordReplayFrame();
+  }
+
+  /**
+   * Put the ball in play from the centre
+   * @param {number|null} direction - 1 for right, -1 for left, null for random
+   */
+  serveBall(direction) {
+    this._launchBall(this.ball, direction);
+    this.ball.trail = [];
+    // Draw the ball at the centre straight away instead of sweeping it there
+    this.savePreviousPositions();
+  }
+
+  /**
+   * Send a ball from the centre at the variant's base speed (as serveBall
+   * does in server/lib/simulation.js)
+   * @param {Object} ball - Ball to launch
+   * @param {number|null} direction - 1 for right, -1 for left, null for random
+   * @private
+   */
+  _launchBall(ball, direction) {
+    Physics.resetBall(ball, this.playfield, direction, this.random);
+
+    // Physics.resetBall serves at the default speed; rescale to the variant speed
+    const scale = this.baseBallSpeed / ball.speed;
+    ball.speed = this.baseBallSpeed;
+    ball.vx *= scale;
+    ball.vy *= scale;
+  }
+
+  /**
+   * Remember ball and paddle positions before a simulation step, for render interpolation
+   */
+  savePreviousPositions() {
+    if (!this.ball || !this.paddle1 || !this.paddle2) {
+      this.previousPositions = null;
+      return;
+    }
+
+    this.previousPositions = {
+      balls: new Map(this.balls.map(ball => [ball, { x: ball.x, y: ball.y }])),
+      paddle1Y: this.paddle1.y,
+      paddle2Y: this.paddle2.y
+    };
+  }
+
+  /**
+   * Get the balls and paddles to draw, interpolated between the last two steps
+   * @returns {{ balls: Object[], paddle1: Object, paddle2: Object }}
+   */
+  getRenderObjects() {
+    const prev = this.previousPositions;
+    if (!prev) {
+      return { balls: this.balls, paddle1: this.paddle1, paddle2: this.paddle2 };
     }
+
+    const alpha = this.renderAlpha;
+    return {
+      // A ball spawned during the last step has no previous position yet
+      balls: this.balls.map(ball => {
+        const from = prev.balls.get(ball) || ball;
+        return {
+          ...ball,
+          x: Utils.lerp(from.x, ball.x, alpha),
+          y: Utils.lerp(from.y, ball.y, alpha)
+        };
+      }),
+      paddle1: { ...this.paddle1, y: Utils.lerp(prev.paddle1Y, this.paddle1.y, alpha) },
+      paddle2: { ...this.paddle2, y: Utils.lerp(prev.paddle2Y, this.paddle2.y, alpha) }
+    };
   }
 
   /**
-   * Update ball position for guest players (interpolation from host state)
+   * Update ball position in online mode (interpolation from server state)
    */
-  updateGuestBall() {
-    if (!this.targetBallState || !this.ball) return;
+  updateNetworkBall() {
+    if (!this.ballSnapshots || !this.ball) return;
     
-    // Use interpolation for smooth ball movement
-    // This reduces jitter from network latency variations
+    // Render the ball slightly in the past, between buffered server snapshots,
+    // so bursts and gaps in packet arrival do not make it stutter or teleport
+    const state = this.ballSnapshots.sample(performance.now());
+    if (!state) return;
     
-    // Interpolate position (helps with visual smoothing)
-    this.ball.x += (this.targetBallState.x - this.ball.x) * Game.BALL_INTERP_FACTOR;
-    this.ball.y += (this.targetBallState.y - this.ball.y) * Game.BALL_INTERP_FACTOR;
+    const position = this.fromField(state.x, state.y);
+    this.ball.x = position.x;
+    this.ball.y = position.y;
     
     // Apply velocity directly (for correct ball trail direction)
-    this.ball.vx = this.targetBallState.vx;
-    this.ball.vy = this.targetBallState.vy;
+    this.ball.vx = state.vx;
+    this.ball.vy = state.vy;
+    
+    // Keep the extra balls already on screen so their trails carry on
+    this.balls = [this.ball, ...state.extraBalls.map((extra, i) => {
+      const ball = this.balls[i + 1] || this.createBall();
+      Object.assign(ball, this.fromField(extra.x, extra.y));
+      ball.vx = extra.vx;
+      ball.vy = extra.vy;
+      return ball;
+    })];
+    
+    this.playNetworkBounceEffects(this.lastNetworkBall, state);
+    this.lastNetworkBall = state;
 
-    // Update ball trail
-    this._updateBallTrail();
+    // Update ball trails
+    this.balls.forEach(ball => this._updateBallTrail(ball));
   }
 
   /**
-   * Update the ball trail array (shared by updateBall and updateGuestBall)
+   * Add a ball's position to its trail (shared by updateBall and updateNetworkBall)
+   * @param {Object} [ball=this.ball] - Ball to update
    * @private
    */
-  _updateBallTrail() {
-    if (!this.ball) return;
+  _updateBallTrail(ball = this.ball) {
+    if (!ball) return;
     
-    this.ballTrail.push({ x: this.ball.x, y: this.ball.y });
-    if (this.ballTrail.length > CONFIG.VISUALS.TRAIL_LENGTH) {
-      this.ballTrail.shift();
+    ball.trail.push({ x: ball.x, y: ball.y });
+    if (ball.trail.length > CONFIG.VISUALS.TRAIL_LENGTH) {
+      ball.trail.shift();
     }
   }
 
@@ -752,12 +1084,12 @@ class Game {
     this.paddle1.height = this.basePaddleHeight * p1Multiplier;
     this.paddle2.height = this.basePaddleHeight * p2Multiplier;
 
-    // Reposition paddles so their centers stay fixed and clamp to canvas bounds
+    // Reposition paddles so their centers stay fixed and clamp to playfield bounds
     this.paddle1.y = p1CenterY - this.paddle1.height / 2;
     this.paddle2.y = p2CenterY - this.paddle2.height / 2;
 
-    this.paddle1.y = Math.max(0, Math.min(this.paddle1.y, this.canvas.height - this.paddle1.height));
-    this.paddle2.y = Math.max(0, Math.min(this.paddle2.y, this.canvas.height - this.paddle2.height));
+    this.paddle1.y = Math.max(0, Math.min(this.paddle1.y, this.playfield.height - this.paddle1.height));
+    this.paddle2.y = Math.max(0, Math.min(this.paddle2.y, this.playfield.height - this.paddle2.height));
 
     // Check for reversed controls
     const p1Reversed = this.powerups.isReversed(1);
@@ -765,10 +1097,23 @@ class Game {
 
     // Online mode: handle based on player index
     if (this.mode === 'online' && this.multiplayer && this.multiplayer.isConnected) {
+      // Spectators control neither paddle
+      if (this.multiplayer.isSpectator) {
+        [this.paddle1, this.paddle2].forEach((paddle, i) => {
+          this.spectatorPaddleY[i] += (this.spectatorTargetY[i] - this.spectatorPaddleY[i]) * Game.PADDLE_SMOOTHING_FACTOR;
+          Physics.updatePaddle(paddle, this.spectatorPaddleY[i], this.playfield.height, paddle.speed);
+        });
+        return;
+      }
+
       // Determine which paddle we control based on playerIndex
       const myPaddle = this.multiplayer.isHost ? this.paddle1 : this.paddle2;
       const opponentPaddle = this.multiplayer.isHost ? this.paddle2 : this.paddle1;
       const myReversed = this.multiplayer.isHost ? p1Reversed : p2Reversed;
+      const myMultiplier = this.multiplayer.isHost ? p1Multiplier : p2Multiplier;
+      
+      // Size effects change the paddle on the server too, so predict with the same height
+      this.paddlePredictor.setHeight(this.basePaddleHeight * myMultiplier);
       
       // Get local player input (use player 1 controls for all online players)
       const myInput = this.controls.getPlayer1Input(this.mode);
@@ -777,30 +1122,28 @@ class Game {
         myDirection = -myDirection;
       }
       
-      // Apply local input to our paddle
+      // Predict our paddle locally (in field coordinates) and send the numbered
+      // input to the server, which acknowledges it with its own paddle position
+      let targetY = null;
       if (myInput.y !== null) {
-        const targetY = myReversed ? (this.canvas.height - myInput.y) : myInput.y;
-        Physics.updatePaddle(myPaddle, targetY, this.canvas.height, myPaddle.speed);
+        targetY = this.toField(0, myReversed ? (this.playfield.height - myInput.y) : myInput.y).y;
       } else if (myDirection !== 0) {
-        const targetY = myPaddle.y + myPaddle.height / 2 + (myDirection * myPaddle.speed);
-        Physics.updatePaddle(myPaddle, targetY, this.canvas.height, myPaddle.speed);
+        targetY = this.paddlePredictor.getCenterY() + myDirection * this.paddlePredictor.paddle.speed;
+      }
+      
+      if (targetY !== null) {
+        const input = this.paddlePredictor.applyInput(targetY);
+        this.multiplayer.sendPaddlePosition(input.y, input.seq);
       }
       
-      // Send our paddle position to opponent
-      const myPaddleY = myPaddle.y + myPaddle.height / 2;
-      this.multiplayer.sendPaddlePosition(myPaddleY);
+      myPaddle.y = this.fromField(0, this.paddlePredictor.getCenterY()).y - myPaddle.height / 2;
       
       // Smooth opponent paddle movement using configurable interpolation factor
       // This provides visual smoothing for network latency variations
       this.opponentPaddleY += (this.opponentTargetY - this.opponentPaddleY) * Game.PADDLE_SMOOTHING_FACTOR;
       
       // Update opponent paddle from network data
-      Physics.updatePaddle(opponentPaddle, this.opponentPaddleY, this.canvas.height, opponentPaddle.speed);
-      
-      // If host, also send ball state
-      if (this.multiplayer.isHost && this.ball) {
-        this.multiplayer.sendBallState(this.ball.x, this.ball.y, this.ball.vx, this.ball.vy);
-      }
+      Physics.updatePaddle(opponentPaddle, this.opponentPaddleY, this.playfield.height, opponentPaddle.speed);
       
       return; // Exit early for online mode
     }
@@ -813,18 +1156,18 @@ class Game {
     }
 
     if (p1Input.y !== null) {
-      const targetY = p1Reversed ? (this.canvas.height - p1Input.y) : p1Input.y;
-      Physics.updatePaddle(this.paddle1, targetY, this.canvas.height, this.paddle1.speed);
+      const targetY = p1Reversed ? (this.playfield.height - p1Input.y) : p1Input.y;
+      Physics.updatePaddle(this.paddle1, targetY, this.playfield.height, this.paddle1.speed);
     } else if (p1Direction !== 0) {
       const targetY = this.paddle1.y + this.paddle1.height / 2 + (p1Direction * this.paddle1.speed);
-      Physics.updatePaddle(this.paddle1, targetY, this.canvas.height, this.paddle1.speed);
+      Physics.updatePaddle(this.paddle1, targetY, this.playfield.height, this.paddle1.speed);
     }
 
     // Player 2 / AI input
     if (this.mode === 'single') {
       // AI controls paddle 2 (AI is not affected by reverse power-up for fairness)
-      const targetY = this.ai.update(this.ball, this.paddle2, this.canvas);
-      this.ai.movePaddle(this.paddle2, targetY, this.paddle2.speed, this.canvas.height);
+      const targetY = this.ai.update(this.getAiTargetBall(), this.paddle2, this.playfield);
+      this.ai.movePaddle(this.paddle2, targetY, this.paddle2.speed, this.playfield.height);
     } else {
       // Player 2 controls (local multiplayer)
       const p2Input = this.controls.getPlayer2Input(this.mode);
@@ -834,52 +1177,84 @@ class Game {
       }
 
       if (p2Input.y !== null) {
-        const targetY = p2Reversed ? (this.canvas.height - p2Input.y) : p2Input.y;
-        Physics.updatePaddle(this.paddle2, targetY, this.canvas.height, this.paddle2.speed);
+        const targetY = p2Reversed ? (this.playfield.height - p2Input.y) : p2Input.y;
+        Physics.updatePaddle(this.paddle2, targetY, this.playfield.height, this.paddle2.speed);
       } else if (p2Direction !== 0) {
         const targetY = this.paddle2.y + this.paddle2.height / 2 + (p2Direction * this.paddle2.speed);
-        Physics.updatePaddle(this.paddle2, targetY, this.canvas.height, this.paddle2.speed);
+        Physics.updatePaddle(this.paddle2, targetY, this.playfield.height, this.paddle2.speed);
+      }
+    }
+  }
+
+  /**
+   * Pick the ball the AI should defend: the nearest one heading its way,
+   * or the main ball if none are
+   * @returns {Object} Ball
+   */
+  getAiTargetBall() {
+    let target = null;
+    for (const ball of this.balls) {
+      if (ball.vx > 0 && (!target || ball.x > target.x)) {
+        target = ball;
+      }
+    }
+    return target || this.ball;
+  }
+
+  /**
+   * Move every ball in play, stopping early if one of them ends the point
+   */
+  updateBalls() {
+    // Iterate over a copy: scoring clears the extra balls
+    for (const ball of [...this.balls]) {
+      if (ball.vx === 0 && ball.vy === 0) {
+        continue;
+      }
+      if (this.updateBall(ball)) {
+        break;
       }
     }
   }
 
   /**
-   * Update ball position and check collisions
+   * Update a ball's position and check collisions
+   * @param {Object} [ball=this.ball] - Ball to move
+   * @returns {boolean} True if the ball scored a point
    */
-  updateBall() {
+  updateBall(ball = this.ball) {
     // Apply ball speed modifier from power-ups
     const speedMultiplier = this.powerups.modifiers.ballSpeedMultiplier;
     const gameSpeedMultiplier = this.powerups.modifiers.gameSpeedMultiplier;
 
     // Update ball trail
-    this._updateBallTrail();
+    this._updateBallTrail(ball);
 
     // Apply curve effect if active (cap vertical velocity to prevent extreme values)
     if (this.powerups.modifiers.curveAmount !== 0) {
-      this.ball.vy += this.powerups.modifiers.curveAmount;
+      ball.vy += this.powerups.modifiers.curveAmount;
       // Cap vertical velocity to prevent uncontrolled behavior
-      const maxVy = this.ball.speed * 1.5;
-      this.ball.vy = Utils.clamp(this.ball.vy, -maxVy, maxVy);
+      const maxVy = ball.speed * 1.5;
+      ball.vy = Utils.clamp(ball.vy, -maxVy, maxVy);
     }
 
     // Temporarily modify ball velocity for speed effects
     const totalMultiplier = speedMultiplier * gameSpeedMultiplier;
-    this.ball.vx *= totalMultiplier;
-    this.ball.vy *= totalMultiplier;
+    ball.vx *= totalMultiplier;
+    ball.vy *= totalMultiplier;
 
     // Update ball physics
     const result = Physics.updateBall(
-      this.ball,
+      ball,
       this.paddle1,
       this.paddle2,
-      this.canvas
+      this.playfield
     );
 
     // Restore velocity - only revert speed multiplication if no paddle bounce occurred.
     // If a paddle was hit, the physics engine has already set a new correct velocity.
     if (!result.hitPaddle && totalMultiplier !== 1) {
-      this.ball.vx /= totalMultiplier;
-      this.ball.vy /= totalMultiplier;
+      ball.vx /= totalMultiplier;
+      ball.vy /= totalMultiplier;
     }
 
     // Handle collisions
@@ -888,11 +1263,11 @@ class Game {
       if (this.powerups.useFireball()) {
         // Fireball used - reverse the bounce that just happened
         // The ball should continue through the paddle
-        this.ball.vx = -this.ball.vx;
+        ball.vx = -ball.vx;
         sound.wallBounce(); // Different sound for fireball pass-through
       } else {
         sound.paddleHit(result.hitPosition);
-        this.createHitParticles();
+        this.createHitParticles(ball);
       }
     }
 
@@ -905,30 +1280,33 @@ class Game {
       const defendingPlayer = result.scored === 1 ? 2 : 1;
       if (this.powerups.useShield(defendingPlayer)) {
         // Shield blocked the goal - bounce the ball back
-        this.ball.vx = -this.ball.vx;
-        this.ball.x = result.scored === 1 ? this.canvas.width - 20 : 20;
+        ball.vx = -ball.vx;
+        ball.x = result.scored === 1 ? this.playfield.width - 20 : 20;
         sound.wallBounce();
       } else {
-        this.scorePoint(result.scored);
+        this.scorePoint(result.scored, ball);
+        return true;
       }
     }
+    return false;
   }
 
   /**
    * Create particles on paddle hit
+   * @param {Object} [ball=this.ball] - Ball that hit the paddle
    */
-  createHitParticles() {
+  createHitParticles(ball = this.ball) {
     const settings = Storage.getSettings();
     if (!settings.particlesEnabled) {
       return;
     }
 
-    const color = this.ball.vx > 0 ? Renderer.colors.neonCyan : Renderer.colors.neonPink;
+    const color = ball.vx > 0 ? Renderer.colors.neonCyan : Renderer.colors.neonPink;
 
     for (let i = 0; i < 10; i++) {
       this.particles.push({
-        x: this.ball.x,
-        y: this.ball.y,
+        x: ball.x,
+        y: ball.y,
         vx: (Math.random() - 0.5) * 8,
         vy: (Math.random() - 0.5) * 8,
         life: 1.0,
@@ -957,20 +1335,29 @@ class Game {
    * Render the game
    */
   render() {
+    // Draw in playfield units, scaled to the canvas backing store
+    this.ctx.setTransform(
+      this.canvas.width / this.playfield.width, 0,
+      0, this.canvas.height / this.playfield.height,
+      0, 0
+    );
+
     // Draw background
-    Renderer.drawBackground(this.ctx, this.canvas);
+    Renderer.drawBackground(this.ctx, this.playfield);
 
     // Only draw game objects if initialized
     if (this.paddle1 && this.paddle2 && this.ball) {
       // Draw shields (behind paddles)
-      this.powerups.drawShields(this.ctx, this.canvas);
+      this.powerups.drawShields(this.ctx, this.playfield);
+
+      const { balls, paddle1, paddle2 } = this.getRenderObjects();
 
       // Draw paddles
-      Renderer.drawPaddle(this.ctx, this.paddle1, Renderer.colors.neonCyan);
-      Renderer.drawPaddle(this.ctx, this.paddle2, Renderer.colors.neonPink);
+      Renderer.drawPaddle(this.ctx, paddle1, Renderer.colors.neonCyan);
+      Renderer.drawPaddle(this.ctx, paddle2, Renderer.colors.neonPink);
 
-      // Draw ball
-      Renderer.drawBall(this.ctx, this.ball, this.ballTrail);
+      // Draw balls
+      balls.forEach(ball => Renderer.drawBall(this.ctx, ball, ball.trail));
 
       // Draw power-ups
       this.powerups.draw(this.ctx);
@@ -979,113 +1366,482 @@ class Game {
       Renderer.drawParticles(this.ctx, this.particles);
 
       // Draw score
-      Renderer.drawScore(this.ctx, this.canvas, this.scores[0], this.scores[1]);
+      Renderer.drawScore(this.ctx, this.playfield, this.scores[0], this.scores[1]);
+      if (this.mode === 'online' && this.series) {
+        Renderer.drawSeriesScore(this.ctx, this.playfield, this.series, this.getSeriesWins());
+      }
 
       // Draw power-up effect indicators
-      this.powerups.drawEffectIndicators(this.ctx, this.canvas);
+      this.powerups.drawEffectIndicators(this.ctx, this.playfield);
     }
 
     // Draw state-specific overlays
     if (this.state === 'countdown') {
-      Renderer.drawCountdown(this.ctx, this.canvas, this.countdownValue);
+      Renderer.drawCountdown(this.ctx, this.playfield, this.countdownValue);
+    }
+
+    // Network debug overlay (online only, toggled in settings)
+    if (this.mode === 'online' && this.showNetDebug && this.ballSnapshots) {
+      Renderer.drawNetDebug(this.ctx, this.playfield, this.ballSnapshots.getStats(performance.now()));
     }
 
     // Note: pause and game over overlays are handled by Screens module
   }
 
   /**
-   * Spawn an extra ball (for multi-ball power-up)
+   * Serve an extra ball from the centre (for multi-ball power-up). Extra balls
+   * play like the main ball until the next point is scored.
    */
   spawnExtraBall() {
-    // Note: True multi-ball would require significant refactoring to track multiple balls.
-    // As a simplified implementation, this power-up makes the ball more chaotic:
-    // - Increases ball speed by 20% (capped at 15)
-    // - Adds random velocity perturbation for unpredictable movement
-    // This simulates the chaos of having multiple balls without the complexity.
-    if (this.ball) {
-      this.ball.speed = Math.min(this.ball.speed * 1.2, 15);
-      const direction = Math.random() < 0.5 ? 1 : -1;
-      const angle = Utils.randomRange(-Math.PI / 4, Math.PI / 4);
-      this.ball.vx += direction * Math.cos(angle) * 2;
-      this.ball.vy += Math.sin(angle) * 2;
+    // Online, the server serves the extra balls and sends them with each ball update
+    if (this.mode === 'online' || !this.ball || this.balls.length >= Game.MAX_BALLS) {
+      return;
     }
+
+    const ball = this.createBall();
+    this._launchBall(ball, null);
+    this.balls.push(ball);
   }
 
   // ==========================================
-  // ONLINE MULTIPLAYER METHODS
+  // REPLAYS
   // ==========================================
 
-  // Validation constants (match server-side validation)
-  static USERNAME_MIN_LENGTH = 3;
-  static USERNAME_MAX_LENGTH = 20;
-  static USERNAME_PATTERN = /^[a-zA-Z0-9_-]+$/;
-  static ROOM_CODE_LENGTH = 6;
-  
-  // Network smoothing configuration
-  // Higher values = faster interpolation (more responsive but jerkier)
-  // Lower values = slower interpolation (smoother but more latency)
-  static PADDLE_SMOOTHING_FACTOR = 0.5; // Range: 0.1 (smooth) to 1.0 (instant)
-  // Ball interpolation factor for guest players (network sync smoothing)
-  // Higher values = faster tracking (more responsive but jerkier)
-  // Lower values = smoother tracking (less responsive but smoother visual)
-  static BALL_INTERP_FACTOR = 0.3; // Range: 0.1 (smooth) to 1.0 (instant)
+  /**
+   * Start recording the match that is about to begin
+   * @param {number|null} seed - RNG seed the match uses
+   */
+  startReplayRecording(seed) {
+    this.matchTime = 0;
+    this.replayRecorder = new ReplayRecorder({
+      seed,
+      mode: this.mode,
+      variant: this.variant,
+      difficulty: this.mode === 'single' ? this.difficulty : null,
+      width: this.playfield.width,
+      height: this.playfield.height
+    });
+  }
 
   /**
-   * Validate username
-   * @param {string} username - Username to validate
-   * @returns {{ valid: boolean, error?: string }}
+   * Record a replay keyframe of the current match
+   * @param {boolean} [force=false] - Record now rather than waiting for the next keyframe (scores)
    */
-  validateUsername(username) {
-    if (!username || typeof username !== 'string') {
-      return { valid: false, error: 'Username is required' };
-    }
-    
-    const trimmed = username.trim();
-    
-    if (trimmed.length < Game.USERNAME_MIN_LENGTH || trimmed.length > Game.USERNAME_MAX_LENGTH) {
-      return { valid: false, error: `Username must be ${Game.USERNAME_MIN_LENGTH}-${Game.USERNAME_MAX_LENGTH} characters` };
-    }
-    
-    if (!Game.USERNAME_PATTERN.test(trimmed)) {
-      return { valid: false, error: 'Username can only contain letters, numbers, _ and -' };
+  recordReplayFrame(force = false) {
+    if (!this.replayRecorder || !this.ball) {
+      return;
     }
-    
-    return { valid: true };
+
+    this.replayRecorder.capture(this.matchTime, {
+      balls: this.balls,
+      paddle1: this.paddle1,
+      paddle2: this.paddle2,
+      scores: this.scores,
+      powerups: this.powerups.active
+    }, force);
   }
 
   /**
-   * Start online mode - show username input or connect
+   * Finish recording and save the replay
+   * @param {number} winner - Winning player (1 or 2)
+   * @param {number[]} [scores] - Final scores (defaults to the current scores)
    */
-  startOnlineMode() {
-    this.mode = 'online';
-    const username = Storage.getUsername();
-    
-    if (username && this.validateUsername(username).valid) {
-      // Already have valid username, connect directly
-      this.connectToServer();
-    } else {
-      // Need username first
-      Screens.showUsernameInput();
+  saveReplay(winner, scores = this.scores) {
+    if (!this.replayRecorder) {
+      return;
+    }
+
+    const replay = this.replayRecorder.finish(scores, winner);
+    this.replayRecorder = null;
+    if (replay) {
+      Storage.saveReplay(replay);
     }
   }
 
   /**
-   * Handle username submission
+   * Play back a replay
+   * @param {Object|null} replay - Replay from Storage
    */
-  async handleUsernameSubmit() {
-    const input = document.getElementById('username-input');
-    const username = input ? input.value.trim() : '';
-    
-    // Validate username using shared validation
-    const validation = this.validateUsername(username);
-    if (!validation.valid) {
-      Screens.showError(validation.error, 'back');
+  startReplay(replay) {
+    if (!replay) {
+      Screens.showError('Replay not found.', 'replays');
       return;
     }
+
+    this.resetGame();
+    this.mode = 'replay';
+    this.variant = replay.variant;
+    this.initGameObjects();
+    this.replayPlayer = new ReplayPlayer(replay);
+    this.state = 'replay';
+    this.applyReplayFrame();
+
+    this.setPauseButtonVisible(false);
+    Screens.showReplayControls(this.replayPlayer);
+  }
+
+  /**
+   * Stop playback and return to the Replays screen
+   */
+  stopReplay() {
+    this.resetGame();
+    this.mode = null;
+    this.state = 'menu';
+    Screens.hide();
+    Screens.showReplays(Storage.getReplays());
+  }
+
+  /**
+   * Advance replay playback
+   */
+  updateReplay() {
+    if (!this.replayPlayer) {
+      return;
+    }
+
+    const wasPaused = this.replayPlayer.paused;
+    this.replayPlayer.update(Game.FIXED_TIMESTEP);
+    if (!wasPaused) {
+      this.applyReplayFrame();
+    }
+    Screens.updateReplayControls(this.replayPlayer);
+  }
+
+  /**
+   * Show the replay frame at the current playback time, scaled to the playfield (older replays were recorded at the canvas size)
+   */
+  applyReplayFrame() {
+    const frame = this.replayPlayer.getFrame();
+    const { field } = this.replayPlayer.replay;
+    const scaleX = this.playfield.width / field.width;
+    const scaleY = this.playfield.height / field.height;
+
+    this.ball.x = frame.ball.x * scaleX;
+    this.ball.y = frame.ball.y * scaleY;
+    this.ball.vx = frame.ball.vx;
+    this.ball.vy = frame.ball.vy;
+
+    // Keep the extra balls already on screen so their trails carry on
+    this.balls = [this.ball, ...frame.extraBalls.map((pos, i) => {
+      const ball = this.balls[i + 1] || this.createBall();
+      ball.x = pos.x * scaleX;
+      ball.y = pos.y * scaleY;
+      return ball;
+    })];
+
+    this.paddle1.y = frame.paddle1.y * scaleY;
+    this.paddle1.height = frame.paddle1.height * scaleY;
+    this.paddle2.y = frame.paddle2.y * scaleY;
+    this.paddle2.height = frame.paddle2.height * scaleY;
+
+    this.scores = frame.scores;
+    this.powerups.active = frame.powerups.map(p => ({ type: p.type, x: p.x * scaleX, y: p.y * scaleY }));
+
+    this.balls.forEach(ball => this._updateBallTrail(ball));
+  }
+
+  /**
+   * Download a saved replay as a JSON file
+   * @param {string} id - Replay ID
+   */
+  exportReplay(id) {
+    const replay = Storage.getReplay(id);
+    if (!replay) {
+      return;
+    }
+
+    const blob = new Blob([JSON.stringify(replay)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `pong-replay-${replay.id}.json`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+  }
+
+  /**
+   * Import a replay from an exported JSON file
+   * @param {string} text - File contents
+   */
+  importReplay(text) {
+    const { replay, error } = ReplayPlayer.parse(text);
+    if (error) {
+      Screens.showError(error, 'replays');
+      return;
+    }
+
+    if (!Storage.saveReplay(replay)) {
+      Screens.showError('Replay is too large to save.', 'replays');
+      return;
+    }
+
+    Screens.showReplays(Storage.getReplays());
+  }
+
+  // ==========================================
+  // ONLINE MULTIPLAYER METHODS
+  // ==========================================
+
+  // Validation constants (match server-side validation)
+  static USERNAME_MIN_LENGTH = 3;
+  static USERNAME_MAX_LENGTH = 20;
+  static USERNAME_PATTERN = /^[a-zA-Z0-9_-]+$/;
+  static ROOM_CODE_LENGTH = 6;
+  
+  // Network smoothing configuration
+  // Higher values = faster interpolation (more responsive but jerkier)
+  // Lower values = slower interpolation (smoother but more latency)
+  static PADDLE_SMOOTHING_FACTOR = 0.5; // Range: 0.1 (smooth) to 1.0 (instant)
+  // Server playfield used when game-start does not include one
+  static DEFAULT_FIELD = { width: 800, height: 600 };
+
+  /**
+   * Validate username
+   * @param {string} username - Username to validate
+   * @returns {{ valid: boolean, error?: string }}
+   */
+  validateUsername(username) {
+    if (!username || typeof username !== 'string') {
+      return { valid: false, error: 'Username is required' };
+    }
+    
+    const trimmed = username.trim();
+    
+    if (trimmed.length < Game.USERNAME_MIN_LENGTH || trimmed.length > Game.USERNAME_MAX_LENGTH) {
+      return { valid: false, error: `Username must be ${Game.USERNAME_MIN_LENGTH}-${Game.USERNAME_MAX_LENGTH} characters` };
+    }
+    
+    if (!Game.USERNAME_PATTERN.test(trimmed)) {
+      return { valid: false, error: 'Username can only contain letters, numbers, _ and -' };
+    }
+    
+    return { valid: true };
+  }
+
+  /**
+   * Convert a point from server field coordinates to playfield coordinates
+   * @param {number} x - Field X position
+   * @param {number} y - Field Y position
+   * @returns {{ x: number, y: number }}
+   */
+  fromField(x, y) {
+    const field = this.field || Game.DEFAULT_FIELD;
+    return {
+      x: x * this.playfield.width / field.width,
+      y: y * this.playfield.height / field.height
+    };
+  }
+
+  /**
+   * Convert a point from playfield coordinates to server field coordinates
+   * @param {number} x - Playfield X position
+   * @param {number} y - Playfield Y position
+   * @returns {{ x: number, y: number }}
+   */
+  toField(x, y) {
+    const field = this.field || Game.DEFAULT_FIELD;
+    return {
+      x: x * field.width / this.playfield.width,
+      y: y * field.height / this.playfield.height
+    };
+  }
+
+  /**
+   * Apply a score change decided by the server
+   * @param {number[]} scores - Authoritative scores [p1, p2]
+   */
+  applyServerScores(scores) {
+    const scorerIndex = scores.findIndex((score, i) => score > this.scores[i]);
+    this.scores = scores;
+    this.recordReplayFrame(true);
+
+    if (scorerIndex === -1 || !this.ball) {
+      return;
+    }
+
+    const scorer = scorerIndex + 1;
+
+    // Clear point-ending power-up effects (like speedBall)
+    this.powerups.clearPointEffects();
+
+    // Determine if local player scored (spectators hear every point as a win)
+    const localPlayerIndex = this.multiplayer ? this.multiplayer.playerIndex : 0;
+    if (scorerIndex === localPlayerIndex || localPlayerIndex === -1) {
+      sound.scoreWin();
+    } else {
+      sound.scoreLose();
+    }
+
+    this.createScoreParticles(scorer);
+    this.ball.trail = [];
+  }
+
+  /**
+   * Show a power-up spawned by the server
+   * @param {Object} data - Power-up {id, type, x, y, lifetime} in field coordinates
+   */
+  addNetworkPowerUp(data) {
+    const position = this.fromField(data.x, data.y);
+    const powerup = this.powerups.createPowerUp(data.type, position.x, position.y, this.simTime, data.id);
+    if (powerup) {
+      powerup.lifetime = data.lifetime;
+      this.powerups.addPowerUp(powerup);
+    }
+  }
+
+  /**
+   * Start a fresh ball buffer from the server's ball when joining a match in progress
+   * @param {Object|null} ball - Ball snapshot from the server (field coordinates)
+   */
+  restoreNetworkBall(ball) {
+    this.ballSnapshots = new SnapshotBuffer();
+    this.lastNetworkBall = ball || null;
+    if (!ball) return;
+    
+    this.ballSnapshots.push(ball, performance.now());
+    const position = this.fromField(ball.x, ball.y);
+    this.ball.x = position.x;
+    this.ball.y = position.y;
+    this.ball.vx = ball.vx;
+    this.ball.vy = ball.vy;
+  }
+
+  /**
+   * Restore server power-ups after reconnecting
+   * @param {{ active: Object[], effects: Object[] }} snapshot - Remaining lifetimes and durations
+   */
+  restoreNetworkPowerUps(snapshot) {
+    const now = this.simTime;
+
+    snapshot.active.forEach(data => this.addNetworkPowerUp(data));
+    snapshot.effects.forEach(data => {
+      const effect = this.powerups.applyEffect(data.type, data.player, now, data.id);
+      if (effect && data.duration > 0) {
+        effect.endTime = now + data.duration;
+      }
+    });
+  }
+
+  /**
+   * Play bounce effects when the rendered server ball changes direction
+   * @param {Object} previous - Previously rendered server ball state
+   * @param {Object} next - Server ball state being rendered now
+   */
+  playNetworkBounceEffects(previous, next) {
+    if (!previous || this.state !== 'playing') {
+      return;
+    }
+
+    if (previous.vx !== 0 && Math.sign(previous.vx) === -Math.sign(next.vx)) {
+      sound.paddleHit();
+      this.createHitParticles();
+    } else if (previous.vy !== 0 && Math.sign(previous.vy) === -Math.sign(next.vy)) {
+      sound.wallBounce();
+    }
+  }
+
+  /**
+   * Start online mode - connect with a saved session or ask how to sign in
+   */
+  startOnlineMode() {
+    this.mode = 'online';
+    
+    if (Storage.getAuth()) {
+      // Still signed in, connect directly
+      this.connectToServer();
+    } else {
+      // Log in, sign up or play as a guest
+      Screens.showUsernameInput();
+    }
+  }
+
+  /**
+   * Open a player's profile with the local player as the viewer
+   * @param {string} username - Player to show
+   */
+  viewProfile(username) {
+    const auth = Storage.getAuth();
+    const options = { viewer: auth ? auth.username : Storage.getUsername() };
+    // The match is over, so leave through the main menu rather than the leaderboard
+    if (Screens.currentScreen === 'onlineGameover') {
+      options.backAction = 'menu';
+      options.backValue = '';
+    }
+    Screens.showPlayerProfile(username, options);
+  }
+
+  /**
+   * Get the multiplayer client, creating it on first use
+   * @returns {MultiplayerClient}
+   */
+  getMultiplayer() {
+    if (!this.multiplayer) {
+      this.multiplayer = new MultiplayerClient();
+      this.setupMultiplayerCallbacks();
+    }
+    return this.multiplayer;
+  }
+
+  /**
+   * Handle the log in and sign up buttons
+   * @param {string} action - 'login' or 'signup'
+   */
+  async handleAccountSubmit(action) {
+    const usernameInput = document.getElementById('username-input');
+    const passwordInput = document.getElementById('password-input');
+    const claimCodeInput = document.getElementById('claim-code-input');
+    const username = usernameInput ? usernameInput.value.trim() : '';
+    const password = passwordInput ? passwordInput.value : '';
+    const claimCode = claimCodeInput ? claimCodeInput.value.trim() : '';
+    
+    const validation = this.validateUsername(username);
+    if (!validation.valid) {
+      Screens.showError(validation.error, 'account');
+      return;
+    }
+    if (!password) {
+      Screens.showError('Password is required', 'account');
+      return;
+    }
+    
+    Screens.showConnecting();
+    
+    try {
+      const client = this.getMultiplayer();
+      const session = action === 'signup'
+        ? await client.signup(username, password, claimCode)
+        : await client.login(username, password);
+      
+      Storage.saveAuth(session);
+      Storage.saveUsername(session.username);
+    } catch (err) {
+      console.error('Sign in error:', err);
+      Screens.showError(Screens.sanitizeHTML(err.message), 'account');
+      return;
+    }
+    
+    this.connectToServer();
+  }
+
+  /**
+   * Handle username submission (play as a guest)
+   */
+  async handleUsernameSubmit() {
+    const input = document.getElementById('username-input');
+    const username = input ? input.value.trim() : '';
+    
+    // Validate username using shared validation
+    const validation = this.validateUsername(username);
+    if (!validation.valid) {
+      Screens.showError(validation.error, 'back');
+      return;
+    }
+    
+    // Save username
+    Storage.saveUsername(username);
     
-    // Save username
-    Storage.saveUsername(username);
-    
     // Connect to server
     this.connectToServer();
   }
@@ -1096,18 +1852,25 @@ class Game {
   async connectToServer() {
     Screens.showConnecting();
     
+    const auth = Storage.getAuth();
+    
     try {
-      // Initialize multiplayer client if needed
-      if (!this.multiplayer) {
-        this.multiplayer = new MultiplayerClient();
-        this.setupMultiplayerCallbacks();
+      // Connect with retry, signed in if we have a session
+      await this.getMultiplayer().connect({ maxRetries: 3, token: auth ? auth.token : null });
+    } catch (err) {
+      console.error('Connection error:', err);
+      if (err.message === MultiplayerClient.INVALID_SESSION) {
+        Storage.clearAuth();
+        Screens.showError('Your session has expired. Please log in again.', 'account');
+      } else {
+        Screens.showError('Could not connect to server. Please try again.', 'back');
       }
-      
-      // Connect with retry
-      await this.multiplayer.connect({ maxRetries: 3 });
-      
-      // Register with username
-      const username = Storage.getUsername();
+      return;
+    }
+    
+    try {
+      // Register (the server uses the account name when signed in)
+      const username = auth ? auth.username : Storage.getUsername();
       const registerResult = await this.multiplayer.register(username);
       
       // Check if we reconnected to an existing game
@@ -1121,8 +1884,9 @@ class Game {
       // Show online lobby
       Screens.showOnlineLobby();
     } catch (err) {
-      console.error('Connection error:', err);
-      Screens.showError('Could not connect to server. Please try again.', 'back');
+      console.error('Registration error:', err);
+      this.multiplayer.disconnect();
+      Screens.showError(Screens.sanitizeHTML(err.message), 'account');
     }
   }
 
@@ -1137,56 +1901,181 @@ class Game {
     };
     
     // Opponent paddle movement
-    this.multiplayer.onOpponentMove = (position) => {
-      this.opponentTargetY = position;
+    this.multiplayer.onOpponentMove = (position, playerIndex) => {
+      if (this.multiplayer.isSpectator) {
+        this.spectatorTargetY[playerIndex] = this.fromField(0, position).y;
+      } else {
+        this.opponentTargetY = this.fromField(0, position).y;
+      }
     };
     
-    // Ball update (guest only)
-    // Store target state for interpolation to reduce jitter from network latency
+    // Server acknowledged our paddle inputs - replay any it has not applied yet
+    this.multiplayer.onPaddleAck = (seq, position) => {
+      if (this.paddlePredictor) {
+        this.paddlePredictor.reconcile(seq, position);
+      }
+    };
+    
+    // Ball update from the server simulation
+    // Buffer timestamped snapshots for interpolation to absorb network jitter
     this.multiplayer.onBallUpdate = (ballState) => {
-      if (this.multiplayer.isGuest && this.ball) {
-        this.targetBallState = {
-          x: ballState.x,
-          y: ballState.y,
-          vx: ballState.vx,
-          vy: ballState.vy
-        };
+      if (this.ballSnapshots) {
+        this.ballSnapshots.push(ballState, performance.now());
       }
     };
     
     // Score sync
     this.multiplayer.onScoreSync = (scores) => {
-      this.scores = scores;
+      this.applyServerScores(scores);
+    };
+    
+    // Chaos power-ups - the server decides spawns, collection and expiry
+    this.multiplayer.onPowerUpSpawn = (data) => {
+      this.addNetworkPowerUp(data);
+    };
+    
+    this.multiplayer.onPowerUpCollect = (data) => {
+      this.powerups.removePowerUp(data.id);
+      this.powerups.applyEffect(data.type, data.player, this.simTime, data.id);
+      sound.powerUpCollect();
+    };
+    
+    this.multiplayer.onPowerUpExpire = (data) => {
+      if (data.kind === 'powerup') {
+        this.powerups.removePowerUp(data.id);
+      } else {
+        this.powerups.removeEffect(data.id);
+      }
     };
     
     // Match complete
     this.multiplayer.onMatchComplete = (data) => {
+      // A series abandoned between games completes again with the same last
+      // game, which has already been counted and saved
+      const alreadyCounted = this.state === 'gameover';
       this.state = 'gameover';
       
+      if (this.multiplayer.isSpectator) {
+        if (!alreadyCounted) this.saveReplay(data.winnerIndex + 1, data.scores);
+        Screens.showSpectatorGameOver(data.winnerIndex, data.scores, this.onlinePlayers);
+        disableGameplayTouchPrevention(this.canvas);
+        return;
+      }
+      
       // Update local stats for online matches
       // Online multiplayer is 1v1, so opponent index is always the other player (0 or 1)
       const isWinner = data.winnerIndex === this.multiplayer.playerIndex;
       const myScoreIndex = this.multiplayer.playerIndex;
       const opponentScoreIndex = 1 - myScoreIndex; // 1v1 game: opponent is always the other player
-      Storage.updateStats(isWinner, data.scores[myScoreIndex], data.scores[opponentScoreIndex]);
+      if (!alreadyCounted) {
+        Storage.updateStats(isWinner, data.scores[myScoreIndex], data.scores[opponentScoreIndex]);
+        this.saveReplay(data.winnerIndex + 1, data.scores);
+      }
       
       // Hide pause button
       this.setPauseButtonVisible(false);
       
-      Screens.showOnlineGameOver(data.winnerIndex, data.scores, this.multiplayer.playerIndex);
+      this.series = data.series || null;
+      Screens.showOnlineGameOver(data.winnerIndex, data.scores, this.multiplayer.playerIndex, {
+        tournament: !!this.tournamentMatch,
+        series: this.series,
+        nextGameIn: data.nextGameIn,
+        forfeit: data.reason === 'forfeit',
+        username: Storage.getUsername(),
+        opponent: (this.onlinePlayers.find(p => p.index !== this.multiplayer.playerIndex) || {}).username
+      });
       disableGameplayTouchPrevention(this.canvas);
     };
     
+    // Spectators watching the room
+    this.multiplayer.onSpectatorCount = (count) => {
+      this.spectatorCount = count;
+      Screens.updateSpectatorCount(count);
+    };
+    
+    // Open public rooms changed; stop listening once the browser is closed
+    this.multiplayer.onLobbyUpdate = (rooms) => {
+      if (Screens.currentScreen === 'lobbyBrowser') {
+        Screens.updateLobbyBrowser(rooms);
+      } else {
+        this.multiplayer.leaveLobby();
+      }
+    };
+    
+    // Friends panel changed (requests sent, accepted or removed by either player)
+    this.multiplayer.onFriendsUpdate = (list) => {
+      this.friends = list;
+      if (Screens.currentScreen === 'friends') {
+        Screens.updateFriends(list);
+      }
+    };
+    
+    // A friend came online, went offline, or started or finished a match
+    this.multiplayer.onFriendPresence = (username, presence) => {
+      const friend = this.friends && this.friends.friends.find(f => f.username === username);
+      if (!friend) {
+        return;
+      }
+      friend.presence = presence;
+      if (Screens.currentScreen === 'friends') {
+        Screens.updateFriends(this.friends);
+      }
+    };
+    
+    // A friend challenged us (turned down while we are watching a match or a replay)
+    this.multiplayer.onFriendChallenge = (challenge) => {
+      if (['playing', 'paused', 'replay'].includes(this.state)) {
+        this.multiplayer.declineChallenge(challenge.roomCode);
+        return;
+      }
+      Screens.showChallenge(challenge);
+    };
+    
+    // The friend we challenged turned it down
+    this.multiplayer.onChallengeDeclined = (username) => {
+      if (Screens.currentScreen === 'waitingRoom') {
+        this.multiplayer.leaveRoom();
+        Screens.showError(`${Screens.sanitizeHTML(username)} declined your challenge`, 'friends');
+      }
+    };
+    
+    // Tournament bracket changed
+    this.multiplayer.onTournamentUpdate = (tournament) => {
+      this.tournament = tournament;
+      if (Screens.currentScreen === 'tournamentBracket') {
+        Screens.showTournamentBracket(tournament, Storage.getUsername());
+      }
+    };
+    
+    // Tournament closed before it started
+    this.multiplayer.onTournamentClosed = () => {
+      this.tournament = null;
+      if (Screens.currentScreen === 'tournamentBracket') {
+        Screens.showError('The tournament closed before it started', 'tournaments');
+      }
+    };
+    
+    // Matchmaking queue status
+    this.multiplayer.onQueueUpdate = (status) => {
+      if (Screens.currentScreen === 'matchmaking') {
+        Screens.updateMatchmakingStatus(status);
+      }
+    };
+    
     // Rematch requested
     this.multiplayer.onRematchRequested = () => {
       Screens.showRematchRequested();
     };
     
     // Opponent disconnected
-    this.multiplayer.onOpponentDisconnect = () => {
+    this.multiplayer.onOpponentDisconnect = (data) => {
+      const spectating = this.multiplayer.isSpectator;
+      if (spectating) {
+        this.multiplayer.stopSpectating();
+      }
       this.state = 'menu';
       this.resetGame();
-      Screens.showOpponentDisconnected();
+      Screens.showOpponentDisconnected(spectating, spectating ? null : data.gracePeriod);
     };
     
     // Connection error
@@ -1197,6 +2086,11 @@ class Game {
       Screens.showError('Connection lost. Please reconnect.', 'menu');
     };
     
+    // Our connection dropped and came back in time to keep our seat
+    this.multiplayer.onResume = (data) => {
+      this.handleReconnection(data);
+    };
+    
     // Player reconnected (opponent came back)
     this.multiplayer.onPlayerReconnected = (_data) => {
       console.log('Opponent reconnected to the game');
@@ -1220,24 +2114,29 @@ class Game {
     
     // Don't reset game - restore state
     this.scores = data.gameState.scores || [0, 0];
+    this.field = data.gameState.field || Game.DEFAULT_FIELD;
+    this.onlinePlayers = data.gameState.players || [];
+    this.series = data.gameState.series || null;
     
-    // Set win score based on variant
-    if (this.variant === 'chaos') {
-      this.winScore = 7;
-      this.baseBallSpeed = CONFIG.GAME.BALL_SPEED;
-    } else if (this.variant === 'speedrun') {
-      this.winScore = 5;
-      this.baseBallSpeed = CONFIG.GAME.BALL_SPEED * 1.5;
-    } else {
-      this.winScore = CONFIG.GAME.WIN_SCORE;
-      this.baseBallSpeed = CONFIG.GAME.BALL_SPEED;
-    }
+    this.applyRules(this.variant, data.gameState.rules);
     
     // Initialize game objects
     this.initGameObjects();
     
-    // Set initial opponent paddle position
-    this.opponentTargetY = this.paddle2.y + this.paddle2.height / 2;
+    // Restore paddle positions from the server (field coordinates)
+    const paddles = data.gameState.paddles || [this.field.height / 2, this.field.height / 2];
+    const myIndex = this.multiplayer.playerIndex;
+    this.paddlePredictor = new PaddlePredictor(this.field.height, paddles[myIndex]);
+    this.restoreNetworkBall(data.gameState.ball);
+    this.loadSettings();
+    
+    // Restore Chaos power-ups as the server has them
+    this.powerups.reset();
+    this.powerups.setRemoteControlled(true);
+    if (data.gameState.powerups) {
+      this.restoreNetworkPowerUps(data.gameState.powerups);
+    }
+    this.opponentTargetY = this.fromField(0, paddles[1 - myIndex]).y;
     this.opponentPaddleY = this.opponentTargetY;
     
     // Hide menu overlay
@@ -1247,19 +2146,236 @@ class Game {
     this.setPauseButtonVisible(true);
     
     // Start playing immediately (no countdown for reconnection)
+    // The ball starts where the server has it and follows its updates
     this.state = 'playing';
-    Physics.resetBall(this.ball, this.canvas, null);
-    this.ball.speed = this.baseBallSpeed;
     
     // Enable touch prevention
     enableGameplayTouchPrevention(this.canvas);
     
-    // Start power-ups for chaos mode
-    if (this.variant === 'chaos') {
-      this.powerups.startSpawns(this.canvas);
+    console.log('Game reconnected and resumed');
+  }
+
+  /**
+   * Get series wins in paddle order (players swap sides between games)
+   * @returns {number[]} [left wins, right wins]
+   */
+  getSeriesWins() {
+    if (this.onlinePlayers.length !== 2) {
+      return this.series.wins;
+    }
+    return this.onlinePlayers.map(p => this.series.wins[this.series.players.indexOf(p.username)] || 0);
+  }
+
+  /**
+   * Set win score, ball speed, paddle size and power-ups for a match. Without
+   * custom rules these come from the variant (mirrors the server's
+   * getMatchRules); rooms with custom rules send the full set, already validated.
+   * @param {string} variant - Game variant (classic, chaos, speedrun)
+   * @param {Object|null} [rules=null] - { winScore, winByTwo, ballSpeed, speedIncrement, paddleHeight, powerups }
+   */
+  applyRules(variant, rules = null) {
+    this.rules = rules || null;
+
+    if (rules) {
+      this.winScore = rules.winScore;
+      this.winByTwo = rules.winByTwo;
+      this.baseBallSpeed = rules.ballSpeed;
+      this.speedIncrement = rules.speedIncrement;
+      this.basePaddleHeight = rules.paddleHeight;
+      this.powerups.setEnabledTypes(rules.powerups);
+      return;
     }
+
+    if (variant === 'chaos') {
+      this.winScore = 7;
+      this.baseBallSpeed = CONFIG.GAME.BALL_SPEED;
+    } else if (variant === 'speedrun') {
+      this.winScore = 5;
+      this.baseBallSpeed = CONFIG.GAME.BALL_SPEED * 1.5; // 50% faster ball
+    } else {
+      this.winScore = CONFIG.GAME.WIN_SCORE;
+      this.baseBallSpeed = CONFIG.GAME.BALL_SPEED;
+    }
+    this.winByTwo = false;
+    this.speedIncrement = CONFIG.GAME.BALL_SPEED_INCREMENT;
+    this.basePaddleHeight = CONFIG.GAME.PADDLE_HEIGHT;
+    this.powerups.setEnabledTypes(null);
+  }
+
+  /**
+   * Check whether a player's score wins the game (mirrors hasWon in the
+   * server's lib/simulation)
+   * @param {number} player - 1 or 2
+   * @returns {boolean}
+   */
+  isWinningScore(player) {
+    const score = this.scores[player - 1];
+    const lead = score - this.scores[2 - player];
+    return score >= this.winScore && lead >= (this.winByTwo ? 2 : 1);
+  }
+
+  /**
+   * Check whether we are watching an online match rather than playing
+   * @returns {boolean}
+   */
+  isSpectating() {
+    return this.mode === 'online' && !!this.multiplayer && this.multiplayer.isSpectator;
+  }
+
+  /**
+   * Handle watching a room by code
+   */
+  async handleSpectateRoom() {
+    const input = document.getElementById('room-code-input');
+    const roomCode = input ? input.value.trim().toUpperCase() : '';
     
-    console.log('Game reconnected and resumed');
+    if (roomCode.length !== Game.ROOM_CODE_LENGTH) {
+      Screens.showError(`Room code must be ${Game.ROOM_CODE_LENGTH} characters`, 'joinRoom');
+      return;
+    }
+    
+    if (!this.multiplayer || !this.multiplayer.isConnected) {
+      await this.connectToServer();
+      if (!this.multiplayer || !this.multiplayer.isConnected) return;
+    }
+    
+    Screens.showConnecting();
+    
+    try {
+      const info = await this.multiplayer.spectateRoom(roomCode);
+      this.startSpectating(info);
+    } catch (err) {
+      console.error('Spectate room error:', err);
+      Screens.showError(err.message || 'Could not watch room', 'onlineBack');
+    }
+  }
+
+  /**
+   * Start watching a room (a match that hasn't started yet begins with game-start)
+   * @param {Object} info - Room info from the server { state, spectators, gameState }
+   */
+  startSpectating(info) {
+    const { gameState } = info;
+    this.mode = 'online';
+    this.spectatorCount = info.spectators;
+    this.onlinePlayers = gameState.players;
+    this.series = gameState.series || null;
+
+    if (info.state !== 'playing') {
+      this.resetGame();
+      Screens.showSpectatorView(this.onlinePlayers, this.spectatorCount, 'Waiting for the match to start...');
+      return;
+    }
+
+    // Join the match in progress, like a reconnecting player but controlling nothing
+    this.variant = gameState.gameMode || 'classic';
+    this.resetGame();
+    this.scores = gameState.scores || [0, 0];
+    this.field = gameState.field || Game.DEFAULT_FIELD;
+    this.applyRules(this.variant, gameState.rules);
+    this.initGameObjects();
+    this.restoreNetworkBall(gameState.ball);
+    this.loadSettings();
+
+    this.powerups.setRemoteControlled(true);
+    if (gameState.powerups) {
+      this.restoreNetworkPowerUps(gameState.powerups);
+    }
+
+    const paddles = gameState.paddles || [this.field.height / 2, this.field.height / 2];
+    this.spectatorTargetY = paddles.map(y => this.fromField(0, y).y);
+    this.spectatorPaddleY = [...this.spectatorTargetY];
+
+    Screens.showSpectatorView(this.onlinePlayers, this.spectatorCount);
+    this.state = 'playing';
+  }
+
+  /**
+   * Stop watching and go back to the online lobby
+   */
+  stopSpectating() {
+    if (this.multiplayer) {
+      this.multiplayer.stopSpectating();
+    }
+    this.state = 'menu';
+    this.resetGame();
+    Screens.showOnlineLobby();
+  }
+
+  /**
+   * Show our tournament's bracket, or the create/join screen if we haven't entered one
+   */
+  async showTournaments() {
+    if (!this.multiplayer || !this.multiplayer.isConnected) {
+      await this.connectToServer();
+      if (!this.multiplayer || !this.multiplayer.isConnected) return;
+    }
+    
+    if (this.tournament && this.multiplayer.tournamentCode === this.tournament.code) {
+      Screens.showTournamentBracket(this.tournament, Storage.getUsername());
+    } else {
+      Screens.showTournamentLobby();
+    }
+  }
+
+  /**
+   * Create a tournament from the options on the tournament screen
+   */
+  async handleCreateTournament() {
+    const nameInput = document.getElementById('tournament-name-input');
+    const sizeSelect = document.getElementById('tournament-size-select');
+    const formatSelect = document.getElementById('tournament-format-select');
+    const options = {
+      name: nameInput ? nameInput.value.trim() : '',
+      size: sizeSelect ? Number(sizeSelect.value) : 8,
+      format: formatSelect ? formatSelect.value : 'single'
+    };
+    
+    Screens.showConnecting();
+    
+    try {
+      this.tournament = await this.multiplayer.createTournament(options, 'classic');
+      Screens.showTournamentBracket(this.tournament, Storage.getUsername());
+    } catch (err) {
+      console.error('Create tournament error:', err);
+      Screens.showError(err.message || 'Could not create tournament', 'tournaments');
+    }
+  }
+
+  /**
+   * Enter a tournament by the code on the tournament screen
+   */
+  async handleJoinTournament() {
+    const input = document.getElementById('tournament-code-input');
+    const code = input ? input.value.trim().toUpperCase() : '';
+    
+    if (code.length !== Game.ROOM_CODE_LENGTH) {
+      Screens.showError(`Tournament code must be ${Game.ROOM_CODE_LENGTH} characters`, 'tournaments');
+      return;
+    }
+    
+    Screens.showConnecting();
+    
+    try {
+      this.tournament = await this.multiplayer.joinTournament(code);
+      Screens.showTournamentBracket(this.tournament, Storage.getUsername());
+    } catch (err) {
+      console.error('Join tournament error:', err);
+      Screens.showError(err.message || 'Could not join tournament', 'tournaments');
+    }
+  }
+
+  /**
+   * Start our tournament before the bracket is full (host only)
+   */
+  async handleStartTournament() {
+    try {
+      await this.multiplayer.startTournament();
+      // The bracket arrives with tournament-update
+    } catch (err) {
+      console.error('Start tournament error:', err);
+      Screens.showError(err.message || 'Could not start tournament', 'showBracket');
+    }
   }
 
   /**
@@ -1279,6 +2395,7 @@ class Game {
       if (!result.matched) {
         // Waiting in queue
         Screens.showMatchmaking('Waiting for opponent...');
+        Screens.updateMatchmakingStatus(result);
       }
       // If matched, onGameStart will be called
     } catch (err) {
@@ -1287,30 +2404,174 @@ class Game {
     }
   }
 
+  /**
+   * Read the private room form (Screens.showRoomRules)
+   * @returns {{ gameMode: string, bestOf: number, rules: Object|null, isPublic: boolean }} rules
+   *   holds only the rules the host changed, or null to play by the mode's standard rules
+   */
+  readRoomRulesForm() {
+    const modeSelect = document.getElementById('room-mode-select');
+    const bestOfSelect = document.getElementById('best-of-select');
+    const gameMode = modeSelect ? modeSelect.value : 'classic';
+    const rules = {};
+
+    const fields = {
+      winScore: 'rule-win-score',
+      ballSpeed: 'rule-ball-speed',
+      speedIncrement: 'rule-speed-increment',
+      paddleHeight: 'rule-paddle-height'
+    };
+    for (const [rule, id] of Object.entries(fields)) {
+      const input = document.getElementById(id);
+      if (input && input.value !== '') {
+        rules[rule] = Number(input.value);
+      }
+    }
+
+    const winByTwo = document.getElementById('rule-win-by-two');
+    if (winByTwo && winByTwo.checked) {
+      rules.winByTwo = true;
+    }
+
+    const powerupBoxes = document.querySelectorAll('#room-powerups input[type="checkbox"]');
+    const enabled = Array.from(powerupBoxes).filter(box => box.checked).map(box => box.value);
+    if (gameMode === 'chaos' && enabled.length < powerupBoxes.length) {
+      rules.powerups = enabled;
+    }
+
+    const publicBox = document.getElementById('room-public');
+
+    return {
+      gameMode,
+      bestOf: bestOfSelect ? Number(bestOfSelect.value) : 1,
+      rules: Object.keys(rules).length > 0 ? rules : null,
+      isPublic: !!publicBox && publicBox.checked
+    };
+  }
+
   /**
    * Create a private online room
    */
   async createOnlineRoom() {
+    const { gameMode, bestOf, rules, isPublic } = this.readRoomRulesForm();
+
     if (!this.multiplayer || !this.multiplayer.isConnected) {
       await this.connectToServer();
       if (!this.multiplayer || !this.multiplayer.isConnected) return;
     }
     
     try {
-      const roomCode = await this.multiplayer.createRoom('classic');
-      Screens.showWaitingForOpponent(roomCode);
+      const room = await this.multiplayer.createRoom(gameMode, bestOf, rules, isPublic);
+      Screens.showWaitingForOpponent(room.roomCode, room.rules);
     } catch (err) {
       console.error('Create room error:', err);
-      Screens.showError('Could not create room. Please try again.', 'onlineBack');
+      Screens.showError(err.message || 'Could not create room. Please try again.', 'createRoom');
+    }
+  }
+
+  /**
+   * Show the public lobby browser, kept up to date by onLobbyUpdate
+   */
+  async showLobbyBrowser() {
+    if (!this.multiplayer || !this.multiplayer.isConnected) {
+      await this.connectToServer();
+      if (!this.multiplayer || !this.multiplayer.isConnected) return;
+    }
+
+    Screens.showLobbyBrowser();
+
+    try {
+      const rooms = await this.multiplayer.listRooms();
+      if (Screens.currentScreen === 'lobbyBrowser') {
+        Screens.updateLobbyBrowser(rooms);
+      }
+    } catch (err) {
+      console.error('List rooms error:', err);
+      Screens.showError(err.message || 'Could not load rooms', 'onlineBack');
+    }
+  }
+
+  /**
+   * Show the friends panel, kept up to date by onFriendsUpdate and onFriendPresence
+   */
+  async showFriends() {
+    if (!Storage.getAuth()) {
+      Screens.showError('Sign in to add friends and challenge them', 'account');
+      return;
+    }
+
+    if (!this.multiplayer || !this.multiplayer.isConnected) {
+      await this.connectToServer();
+      if (!this.multiplayer || !this.multiplayer.isConnected) return;
+    }
+
+    Screens.showFriends();
+
+    try {
+      this.friends = await this.multiplayer.listFriends();
+      if (Screens.currentScreen === 'friends') {
+        Screens.updateFriends(this.friends);
+      }
+    } catch (err) {
+      console.error('List friends error:', err);
+      Screens.showError(err.message || 'Could not load friends', 'onlineBack');
+    }
+  }
+
+  /**
+   * Send a friend request to the name on the friends panel
+   */
+  async handleAddFriend() {
+    const input = document.getElementById('friend-name-input');
+    const username = input ? input.value.trim() : '';
+    if (!username) {
+      return;
+    }
+
+    await this.handleFriendAction(() => this.multiplayer.addFriend(username));
+  }
+
+  /**
+   * Run a friend request action; the panel refreshes itself with onFriendsUpdate
+   * @param {Function} action - Returns the MultiplayerClient promise to wait for
+   */
+  async handleFriendAction(action) {
+    try {
+      await action();
+    } catch (err) {
+      console.error('Friend action error:', err);
+      Screens.showError(err.message || 'Could not update friends', 'friends');
+    }
+  }
+
+  /**
+   * Challenge a friend to a private room set up on the room rules form
+   * @param {string} username - Friend to challenge
+   */
+  async challengeFriend(username) {
+    const { gameMode, bestOf, rules } = this.readRoomRulesForm();
+
+    if (!this.multiplayer || !this.multiplayer.isConnected) {
+      await this.connectToServer();
+      if (!this.multiplayer || !this.multiplayer.isConnected) return;
+    }
+
+    try {
+      const room = await this.multiplayer.challengeFriend(username, gameMode, bestOf, rules);
+      Screens.showWaitingForOpponent(room.roomCode, room.rules, username);
+    } catch (err) {
+      console.error('Challenge error:', err);
+      Screens.showError(err.message || 'Could not send challenge', 'friends');
     }
   }
 
   /**
    * Handle joining a room by code
+   * @param {string} [code] - Room code picked in the lobby browser (read from the input if omitted)
    */
-  async handleJoinRoom() {
+  async handleJoinRoom(code) {
     const input = document.getElementById('room-code-input');
-    const roomCode = input ? input.value.trim().toUpperCase() : '';
+    const roomCode = code || (input ? input.value.trim().toUpperCase() : '');
     
     if (roomCode.length !== Game.ROOM_CODE_LENGTH) {
       Screens.showError(`Room code must be ${Game.ROOM_CODE_LENGTH} characters`, 'joinRoom');
@@ -1324,6 +2585,32 @@ class Game {
     
     Screens.showConnecting();
     
+    try {
+      // Rooms with custom rules show them first; standard rooms are joined straight away
+      const info = await this.multiplayer.getRoomInfo(roomCode);
+      if (info.rules) {
+        Screens.showRoomPreview(info);
+        return;
+      }
+      await this.joinOnlineRoom(info.roomCode);
+    } catch (err) {
+      console.error('Join room error:', err);
+      Screens.showError(err.message || 'Could not join room', 'onlineBack');
+    }
+  }
+
+  /**
+   * Join a room whose code has been checked
+   * @param {string} roomCode - Room code
+   */
+  async joinOnlineRoom(roomCode) {
+    if (!this.multiplayer || !this.multiplayer.isConnected) {
+      await this.connectToServer();
+      if (!this.multiplayer || !this.multiplayer.isConnected) return;
+    }
+
+    Screens.showConnecting();
+
     try {
       await this.multiplayer.joinRoom(roomCode);
       // onGameStart will be called when game starts
@@ -1341,31 +2628,36 @@ class Game {
     this.mode = 'online';
     this.variant = data.gameMode || 'classic';
     this.resetGame();
+    this.field = data.field || Game.DEFAULT_FIELD;
     
-    // Set win score based on variant
-    if (this.variant === 'chaos') {
-      this.winScore = 7;
-      this.baseBallSpeed = CONFIG.GAME.BALL_SPEED;
-    } else if (this.variant === 'speedrun') {
-      this.winScore = 5;
-      this.baseBallSpeed = CONFIG.GAME.BALL_SPEED * 1.5;
-    } else {
-      this.winScore = CONFIG.GAME.WIN_SCORE;
-      this.baseBallSpeed = CONFIG.GAME.BALL_SPEED;
-    }
+    this.applyRules(this.variant, data.rules);
     
     // Initialize game objects
     this.initGameObjects();
+    this.startReplayRecording(data.seed);
+    this.onlinePlayers = data.players || [];
+    this.tournamentMatch = data.tournament || null;
+    this.series = data.series || null;
     
-    // Set initial opponent paddle position
+    // Both paddles start centred; our own paddle is predicted locally
+    this.paddlePredictor = new PaddlePredictor(this.field.height);
+    this.ballSnapshots = new SnapshotBuffer();
+    this.loadSettings();
+    this.powerups.setRemoteControlled(true);
     this.opponentTargetY = this.paddle2.y + this.paddle2.height / 2;
     this.opponentPaddleY = this.opponentTargetY;
+    this.spectatorTargetY = [this.opponentTargetY, this.opponentTargetY];
+    this.spectatorPaddleY = [...this.spectatorTargetY];
     
-    // Hide menu overlay
-    Screens.hide();
-    
-    // Show pause button for mobile users
-    this.setPauseButtonVisible(true);
+    if (this.multiplayer.isSpectator) {
+      Screens.showSpectatorView(this.onlinePlayers, this.spectatorCount);
+    } else {
+      // Hide menu overlay
+      Screens.hide();
+      
+      // Show pause button for mobile users
+      this.setPauseButtonVisible(true);
+    }
     
     // Start countdown
     this.startCountdown();
@@ -1373,11 +2665,6 @@ class Game {
     // Enable touch prevention
     enableGameplayTouchPrevention(this.canvas);
     
-    // Start power-ups for chaos mode
-    if (this.variant === 'chaos') {
-      this.powerups.startSpawns(this.canvas);
-    }
-    
     // Play start sound
     sound.gameStart();
   }
@@ -1388,3 +2675,8 @@ let game;
 document.addEventListener('DOMContentLoaded', () => {
   game = new Game();
 });
+
+// Export for Node.js/testing environments
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Game;
+}
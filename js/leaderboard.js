@@ -35,9 +35,10 @@ const Leaderboard = {
   /**
    * Fetch the global leaderboard (top 100 players)
    * @param {number} [limit=100] - Maximum number of players to fetch
+   * @param {number|null} [season=null] - Season number, or null for all-time
    * @returns {Promise<Array>} Array of player leaderboard entries
    */
-  async getGlobalLeaderboard(limit = 100) {
+  async getGlobalLeaderboard(limit = 100, season = null) {
     if (!this.isInitialized) {
       if (!this.init()) {
         return { data: null, error: 'Supabase not available' };
@@ -45,9 +46,11 @@ const Leaderboard = {
     }
     
     try {
-      const { data, error } = await this.supabase
-        .from('leaderboard')
-        .select('*')
+      const query = season === null
+        ? this.supabase.from('leaderboard').select('*')
+        : this.supabase.from('season_leaderboard').select('*').eq('season_number', season);
+
+      const { data, error } = await query
         .order('elo_rating', { ascending: false })
         .limit(limit);
       
@@ -63,6 +66,35 @@ const Leaderboard = {
     }
   },
   
+  /**
+   * Fetch all seasons, newest first
+   * @returns {Promise<Object>} {data: Array|null, error: string|null}
+   */
+  async getSeasons() {
+    if (!this.isInitialized) {
+      if (!this.init()) {
+        return { data: null, error: 'Supabase not available' };
+      }
+    }
+
+    try {
+      const { data, error } = await this.supabase
+        .from('seasons')
+        .select('number, name, is_active, starts_at, ends_at')
+        .order('number', { ascending: false });
+
+      if (error) {
+        console.error('Leaderboard: Error fetching seasons:', error.message);
+        return { data: null, error: error.message };
+      }
+
+      return { data, error: null };
+    } catch (err) {
+      console.error('Leaderboard: Exception fetching seasons:', err.message);
+      return { data: null, error: err.message };
+    }
+  },
+
   /**
    * Get a specific player's stats from the leaderboard
    * @param {string} username - Player username to look up
@@ -98,6 +130,56 @@ const Leaderboard = {
     }
   },
   
+  /**
+   * Get a player's profile from the game server
+   * @param {string} username - Player username
+   * @param {string} [viewer] - Viewing player, for the head-to-head record
+   * @returns {Promise<Object>} { data: profile or null if the player has none, error }
+   */
+  async getPlayerProfile(username, viewer) {
+    try {
+      const query = viewer ? `?viewer=${encodeURIComponent(viewer)}` : '';
+      const response = await fetch(`${CONFIG.BACKEND_URL}/api/player/${encodeURIComponent(username)}${query}`);
+      const body = await response.json().catch(() => ({}));
+      
+      if (response.status === 404) {
+        return { data: null, error: null };
+      }
+      if (!response.ok) {
+        return { data: null, error: body.error || `Request failed (${response.status})` };
+      }
+      
+      return { data: body, error: null };
+    } catch (err) {
+      console.error('Leaderboard: Exception fetching player profile:', err.message);
+      return { data: null, error: err.message };
+    }
+  },
+  
+  /**
+   * Get a player's Elo after each of their recent matches from the game server
+   * @param {string} username - Player username
+   * @returns {Promise<Object>} { data: [{ before, after, delta, opponent, playedAt }] oldest first, error }
+   */
+  async getRatingHistory(username) {
+    try {
+      const response = await fetch(`${CONFIG.BACKEND_URL}/api/player/${encodeURIComponent(username)}/history`);
+      const body = await response.json().catch(() => ({}));
+      
+      if (response.status === 404) {
+        return { data: [], error: null };
+      }
+      if (!response.ok) {
+        return { data: null, error: body.error || `Request failed (${response.status})` };
+      }
+      
+      return { data: body.history || [], error: null };
+    } catch (err) {
+      console.error('Leaderboard: Exception fetching rating history:', err.message);
+      return { data: null, error: err.message };
+    }
+  },
+  
   /**
    * Format a leaderboard entry for display
    * @param {Object} entry - Leaderboard entry from Supabase
@@ -113,7 +195,9 @@ const Leaderboard = {
       gamesPlayed: entry.games_played || 0,
       gamesWon: entry.games_won || 0,
       winPercentage: entry.win_percentage || 0,
-      bestStreak: entry.best_win_streak || 0
+      bestStreak: entry.best_win_streak || 0,
+      // Set by the leaderboard view while the rating deviation is still high
+      provisional: entry.provisional === true
     };
   },
   
@@ -8,19 +8,36 @@ class MultiplayerClient {
     this.socket = null;
     this.roomCode = null;
     this.playerIndex = -1;  // 0 = host (left), 1 = guest (right)
+    this.isSpectator = false; // Watching roomCode read-only
+    this.tournamentCode = null; // Tournament we have entered, if any
+    this.resumeToken = null;   // Reclaims our seat if the connection drops mid-match
     this.isConnected = false;
     this.player = null;
     
     // Event callbacks (set by game code)
     this.onGameStart = null;
     this.onOpponentMove = null;
+    this.onPaddleAck = null;
     this.onBallUpdate = null;
     this.onScoreSync = null;
+    this.onPowerUpSpawn = null;
+    this.onPowerUpCollect = null;
+    this.onPowerUpExpire = null;
     this.onMatchComplete = null;
     this.onRematchRequested = null;
     this.onOpponentDisconnect = null;
     this.onPlayerReconnected = null;
     this.onConnectionError = null;
+    this.onQueueUpdate = null;
+    this.onSpectatorCount = null;
+    this.onTournamentUpdate = null;
+    this.onTournamentClosed = null;
+    this.onLobbyUpdate = null;
+    this.onFriendsUpdate = null;
+    this.onFriendPresence = null;
+    this.onFriendChallenge = null;
+    this.onChallengeDeclined = null;
+    this.onResume = null;
   }
   
   // ============================
@@ -34,10 +51,12 @@ class MultiplayerClient {
    * @param {number} [options.initialDelayMs=500] - Initial backoff delay in ms
    * @param {number} [options.maxDelayMs=8000] - Maximum delay between retries
    * @param {number} [options.backoffFactor=2] - Multiplier for backoff
+   * @param {string} [options.token] - Session token (omit to play as a guest)
    * @returns {Promise<void>}
    */
   connect(options = {}) {
     const {
+      token = null,
       maxRetries = 3,
       initialDelayMs = 500,
       maxDelayMs = 8000,
@@ -69,12 +88,21 @@ class MultiplayerClient {
 
         this.socket = io(CONFIG.BACKEND_URL, {
           transports: ['websocket', 'polling'],
-          timeout: 10000
+          timeout: 10000,
+          auth: token ? { token } : {}
         });
 
+        let listenersReady = false;
         this.socket.on('connect', () => {
           console.log('Connected to server:', this.socket.id);
           this.isConnected = true;
+
+          if (listenersReady) {
+            // Socket.io reconnected by itself: the server sees a new socket
+            this._resume();
+            return;
+          }
+          listenersReady = true;
           this._setupEventListeners();
           resolve();
         });
@@ -83,7 +111,8 @@ class MultiplayerClient {
           console.error('Connection error:', err);
           this.isConnected = false;
 
-          if (attempt <= maxRetries) {
+          // A refused session will not get better by retrying
+          if (attempt <= maxRetries && err.message !== MultiplayerClient.INVALID_SESSION) {
             const delay = Math.min(currentDelay, maxDelayMs);
             console.log(`Retrying connection in ${delay}ms...`);
             currentDelay = currentDelay * backoffFactor;
@@ -118,6 +147,28 @@ class MultiplayerClient {
       this.isConnected = false;
       this.roomCode = null;
       this.playerIndex = -1;
+      this.isSpectator = false;
+      this.tournamentCode = null;
+      this.resumeToken = null;
+    }
+  }
+
+  /**
+   * Register again after an automatic reconnect, resuming our match if it is still held for us
+   * @private
+   */
+  async _resume() {
+    if (!this.player) {
+      return;
+    }
+
+    try {
+      const response = await this.register(this.player.username);
+      if (response.reconnected && this.onResume) {
+        this.onResume(response);
+      }
+    } catch (err) {
+      console.error('Could not resume match:', err);
     }
   }
   
@@ -132,23 +183,80 @@ class MultiplayerClient {
       if (data.roomCode) {
         this.roomCode = data.roomCode;
       }
-      // Set playerIndex from the players array if we haven't set it yet
-      // This is important for waiting players who get matched
-      if (this.playerIndex === -1 && data.players && this.player) {
+      // Set playerIndex from the players array: waiting players who get matched
+      // don't know it yet, and series games and tournament rounds can put us on
+      // either side
+      if (!this.isSpectator && data.players && this.player) {
         const myPlayer = data.players.find(p => p.username === this.player.username);
         if (myPlayer !== undefined) {
           this.playerIndex = myPlayer.index;
         }
       }
+      // Only players get a token; each game issues a new one
+      this.resumeToken = data.resumeToken || null;
       if (this.onGameStart) this.onGameStart(data);
     });
     
+    // Number of spectators watching the room
+    this.socket.on('spectator-count', (data) => {
+      if (this.onSpectatorCount) this.onSpectatorCount(data.count);
+    });
+    
+    // Open public rooms changed (sent while browsing the lobby)
+    this.socket.on('lobby-update', (data) => {
+      if (this.onLobbyUpdate) this.onLobbyUpdate(data.rooms);
+    });
+    
+    // Friend requests accepted, sent or removed (by us or the other player)
+    this.socket.on('friends-update', (data) => {
+      if (this.onFriendsUpdate) this.onFriendsUpdate(data);
+    });
+    
+    // A friend came online, went offline, or started or finished a match
+    this.socket.on('friend-presence', (data) => {
+      if (this.onFriendPresence) this.onFriendPresence(data.username, data.presence);
+    });
+    
+    // A friend opened a private room for us
+    this.socket.on('friend-challenge', (data) => {
+      if (this.onFriendChallenge) this.onFriendChallenge(data);
+    });
+    
+    // The friend we challenged turned it down
+    this.socket.on('challenge-declined', (data) => {
+      if (this.onChallengeDeclined) this.onChallengeDeclined(data.username);
+    });
+    
+    // Tournament bracket changed (players joined, results, new matches)
+    this.socket.on('tournament-update', (data) => {
+      // Sent again after registering if we were already entered
+      this.tournamentCode = data.code;
+      if (this.onTournamentUpdate) this.onTournamentUpdate(data);
+    });
+    
+    // Our tournament was closed before enough players joined
+    this.socket.on('tournament-closed', (data) => {
+      if (data.code !== this.tournamentCode) return;
+      this.tournamentCode = null;
+      if (this.onTournamentClosed) this.onTournamentClosed(data);
+    });
+    
+    // Matchmaking queue position and estimated wait
+    this.socket.on('queue-update', (data) => {
+      if (this.onQueueUpdate) this.onQueueUpdate(data);
+    });
+    
     // Opponent paddle movement
     this.socket.on('opponent-move', (data) => {
-      if (this.onOpponentMove) this.onOpponentMove(data.position);
+      if (this.onOpponentMove) this.onOpponentMove(data.position, data.playerIndex);
+    });
+    
+    // Server acknowledgement of our paddle inputs
+    this.socket.on('paddle-ack', (data) => {
+      if (this.onPaddleAck) this.onPaddleAck(data.seq, data.position);
     });
     
-    // Ball state (from host)
+    // Ball state (from the server simulation)
     this.socket.on('ball-update', (data) => {
       if (this.onBallUpdate) this.onBallUpdate(data);
     });
@@ -158,9 +266,23 @@ class MultiplayerClient {
       if (this.onScoreSync) this.onScoreSync(data.scores);
     });
     
+    // Chaos power-ups (decided by the server simulation)
+    this.socket.on('powerup-spawn', (data) => {
+      if (this.onPowerUpSpawn) this.onPowerUpSpawn(data);
+    });
+    
+    this.socket.on('powerup-collect', (data) => {
+      if (this.onPowerUpCollect) this.onPowerUpCollect(data);
+    });
+    
+    this.socket.on('powerup-expire', (data) => {
+      if (this.onPowerUpExpire) this.onPowerUpExpire(data);
+    });
+    
     // Match complete
     this.socket.on('match-complete', (data) => {
       console.log('Match complete:', data);
+      this.resumeToken = null;
       if (this.onMatchComplete) this.onMatchComplete(data);
     });
     
@@ -170,9 +292,9 @@ class MultiplayerClient {
     });
     
     // Opponent disconnected
-    this.socket.on('opponent-disconnected', () => {
+    this.socket.on('opponent-disconnected', (data) => {
       console.log('Opponent disconnected');
-      if (this.onOpponentDisconnect) this.onOpponentDisconnect();
+      if (this.onOpponentDisconnect) this.onOpponentDisconnect(data || {});
     });
     
     // Player reconnected (opponent came back)
@@ -186,8 +308,53 @@ class MultiplayerClient {
   // REGISTRATION
   // ============================
   
+  /**
+   * Sign in to an account
+   * @param {string} username - Account username
+   * @param {string} password - Account password
+   * @returns {Promise<{ username: string, token: string, expiresAt: number }>} Session
+   */
+  login(username, password) {
+    return this._postAuth('login', username, password);
+  }
+
+  /**
+   * Create an account and sign in
+   * @param {string} username - Wanted username
+   * @param {string} password - New password
+   * @param {string} [claimCode] - Code for claiming a username from before accounts
+   * @returns {Promise<{ username: string, token: string, expiresAt: number }>} Session
+   */
+  signup(username, password, claimCode) {
+    return this._postAuth('signup', username, password, claimCode ? { claimCode } : {});
+  }
+
+  /**
+   * Send credentials to an auth endpoint
+   * @private
+   * @param {string} action - 'login' or 'signup'
+   * @param {string} username - Username
+   * @param {string} password - Password
+   * @param {Object} [extra] - Other fields to send
+   * @returns {Promise<Object>} Session
+   */
+  async _postAuth(action, username, password, extra = {}) {
+    const response = await fetch(`${CONFIG.BACKEND_URL}/api/auth/${action}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ username, password, ...extra })
+    });
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(data.error || 'Could not reach the server');
+    }
+    return data;
+  }
+
   /**
    * Register with the server
+   * Signed-in sockets always register as their account; the username is only used by guests.
    * @param {string} username - Player username
    * @returns {Promise<Object>} Player data
    */
@@ -197,11 +364,11 @@ class MultiplayerClient {
         return reject(new Error('Not connected to server'));
       }
       
-      this.socket.emit('register', { username }, (response) => {
+      this.socket.emit('register', { username, resumeToken: this.resumeToken }, (response) => {
         if (response.success) {
           this.player = response.player;
           
-          // Handle reconnection to existing game
+          // Handle reconnection to existing game (the server checked our resume token)
           if (response.reconnected) {
             this.roomCode = response.roomCode;
             this.playerIndex = response.playerIndex;
@@ -223,19 +390,74 @@ class MultiplayerClient {
   /**
    * Create a new game room
    * @param {string} [gameMode='classic'] - Game mode
-   * @returns {Promise<string>} Room code
+   * @param {number} [bestOf=1] - Series length (1, 3, 5 or 7 games)
+   * @param {Object|null} [rules=null] - Custom rules; any left out keep the mode's standard value
+   * @param {boolean} [isPublic=false] - List the room in the public lobby
+   * @returns {Promise<Object>} Room { roomCode, bestOf, rules, isPublic } with the full validated
+   *   rules (null for the standard rules)
    */
-  createRoom(gameMode = 'classic') {
+  createRoom(gameMode = 'classic', bestOf = 1, rules = null, isPublic = false) {
     return new Promise((resolve, reject) => {
       if (!this.socket || !this.isConnected) {
         return reject(new Error('Not connected to server'));
       }
       
-      this.socket.emit('create-room', { gameMode }, (response) => {
+      this.socket.emit('create-room', { gameMode, bestOf, rules, isPublic }, (response) => {
         if (response.success) {
           this.roomCode = response.roomCode;
           this.playerIndex = 0;  // Host is player 0 (left)
-          resolve(response.roomCode);
+          this.isSpectator = false;
+          resolve(response);
+        } else {
+          reject(new Error(response.error));
+        }
+      });
+    });
+  }
+  
+  /**
+   * List the open public rooms and receive lobby updates (onLobbyUpdate) until leaveLobby
+   * @returns {Promise<Object[]>} Rooms [{ roomCode, host, gameMode, bestOf, elo, createdAt }]
+   */
+  listRooms() {
+    return new Promise((resolve, reject) => {
+      if (!this.socket || !this.isConnected) {
+        return reject(new Error('Not connected to server'));
+      }
+      
+      this.socket.emit('list-rooms', (response) => {
+        if (response.success) {
+          resolve(response.rooms);
+        } else {
+          reject(new Error(response.error));
+        }
+      });
+    });
+  }
+  
+  /**
+   * Stop receiving lobby updates
+   */
+  leaveLobby() {
+    if (this.socket && this.isConnected) {
+      this.socket.emit('leave-lobby');
+    }
+  }
+  
+  /**
+   * Look up a room before joining it
+   * @param {string} roomCode - Room code
+   * @returns {Promise<Object>} Room info { roomCode, host, gameMode, bestOf, rules }
+   */
+  getRoomInfo(roomCode) {
+    return new Promise((resolve, reject) => {
+      if (!this.socket || !this.isConnected) {
+        return reject(new Error('Not connected to server'));
+      }
+      
+      this.socket.emit('room-info', roomCode.toUpperCase(), (response) => {
+        if (response.success) {
+          resolve(response);
         } else {
           reject(new Error(response.error));
         }
@@ -258,6 +480,7 @@ class MultiplayerClient {
         if (response.success) {
           this.roomCode = roomCode.toUpperCase();
           this.playerIndex = response.playerIndex;  // Guest is player 1 (right)
+          this.isSpectator = false;
           resolve(response.playerIndex);
         } else {
           reject(new Error(response.error));
@@ -266,6 +489,41 @@ class MultiplayerClient {
     });
   }
   
+  /**
+   * Watch a room read-only
+   * @param {string} roomCode - Room code to watch
+   * @returns {Promise<Object>} Room info { roomCode, state, spectators, gameState }
+   */
+  spectateRoom(roomCode) {
+    return new Promise((resolve, reject) => {
+      if (!this.socket || !this.isConnected) {
+        return reject(new Error('Not connected to server'));
+      }
+      
+      this.socket.emit('spectate-room', roomCode.toUpperCase(), (response) => {
+        if (response.success) {
+          this.roomCode = response.roomCode;
+          this.playerIndex = -1;
+          this.isSpectator = true;
+          resolve(response);
+        } else {
+          reject(new Error(response.error));
+        }
+      });
+    });
+  }
+  
+  /**
+   * Stop watching the current room
+   */
+  stopSpectating() {
+    if (this.socket && this.isConnected && this.isSpectator) {
+      this.socket.emit('leave-spectate');
+    }
+    this.roomCode = null;
+    this.isSpectator = false;
+  }
+  
   // ============================
   // MATCHMAKING
   // ============================
@@ -273,7 +531,7 @@ class MultiplayerClient {
   /**
    * Find a random match
    * @param {string} [gameMode='classic'] - Game mode
-   * @returns {Promise<Object>} Match result { matched, playerIndex?, position? }
+   * @returns {Promise<Object>} Match result { matched, playerIndex?, position?, estimatedWait? }
    */
   findMatch(gameMode = 'classic') {
     return new Promise((resolve, reject) => {
@@ -305,50 +563,225 @@ class MultiplayerClient {
   }
   
   // ============================
-  // GAME SYNC
+  // TOURNAMENTS
   // ============================
   
   /**
-   * Send paddle position (call every frame)
-   * @param {number} y - Paddle Y position
+   * Create a tournament (we are entered as its first player)
+   * @param {Object} options - Tournament options
+   * @param {string} [options.name] - Tournament name
+   * @param {number} options.size - Bracket size (4, 8 or 16)
+   * @param {string} options.format - 'single' or 'double' elimination
+   * @param {string} [gameMode='classic'] - Game mode for every match
+   * @returns {Promise<Object>} Tournament view
    */
-  sendPaddlePosition(y) {
-    if (this.isConnected && this.roomCode) {
-      this.socket.emit('paddle-move', { position: y });
-    }
+  createTournament(options, gameMode = 'classic') {
+    return new Promise((resolve, reject) => {
+      if (!this.socket || !this.isConnected) {
+        return reject(new Error('Not connected to server'));
+      }
+      
+      this.socket.emit('create-tournament', { ...options, gameMode }, (response) => {
+        if (response.success) {
+          this.tournamentCode = response.tournament.code;
+          resolve(response.tournament);
+        } else {
+          reject(new Error(response.error));
+        }
+      });
+    });
+  }
+  
+  /**
+   * Enter a tournament by its join code
+   * @param {string} code - Tournament code
+   * @returns {Promise<Object>} Tournament view
+   */
+  joinTournament(code) {
+    return new Promise((resolve, reject) => {
+      if (!this.socket || !this.isConnected) {
+        return reject(new Error('Not connected to server'));
+      }
+      
+      this.socket.emit('join-tournament', code.toUpperCase(), (response) => {
+        if (response.success) {
+          this.tournamentCode = response.tournament.code;
+          resolve(response.tournament);
+        } else {
+          reject(new Error(response.error));
+        }
+      });
+    });
+  }
+  
+  /**
+   * Start our tournament before it fills up (host only)
+   * @returns {Promise<void>}
+   */
+  startTournament() {
+    return new Promise((resolve, reject) => {
+      if (!this.socket || !this.isConnected || !this.tournamentCode) {
+        return reject(new Error('Not in a tournament'));
+      }
+      
+      this.socket.emit('start-tournament', this.tournamentCode, (response) => {
+        if (response.success) {
+          resolve();
+        } else {
+          reject(new Error(response.error));
+        }
+      });
+    });
   }
   
   /**
-   * Send ball state (host only, call every frame)
-   * @param {number} x - Ball X position
-   * @param {number} y - Ball Y position
-   * @param {number} vx - Ball X velocity
-   * @param {number} vy - Ball Y velocity
+   * Withdraw from our tournament (only possible before it starts)
    */
-  sendBallState(x, y, vx, vy) {
-    if (this.isConnected && this.roomCode && this.playerIndex === 0) {
-      this.socket.emit('ball-sync', { x, y, vx, vy });
+  leaveTournament() {
+    if (this.socket && this.isConnected && this.tournamentCode) {
+      this.socket.emit('leave-tournament', this.tournamentCode);
     }
+    this.tournamentCode = null;
   }
   
+  // ============================
+  // FRIENDS
+  // ============================
+  
   /**
-   * Send score update
-   * @param {number[]} scores - Current scores [p1, p2]
-   * @param {number} [longestRally=0] - Longest rally count
+   * Load our friends panel (signed-in players only)
+   * Changes arrive afterwards with onFriendsUpdate and onFriendPresence.
+   * @returns {Promise<Object>} { friends: [{ username, presence }], incoming: string[], outgoing: string[] }
    */
-  sendScoreUpdate(scores, longestRally = 0) {
-    if (this.isConnected && this.roomCode) {
-      this.socket.emit('score-update', { scores, longestRally });
+  listFriends() {
+    return new Promise((resolve, reject) => {
+      if (!this.socket || !this.isConnected) {
+        return reject(new Error('Not connected to server'));
+      }
+      
+      this.socket.emit('list-friends', (response) => {
+        if (response.success) {
+          resolve({ friends: response.friends, incoming: response.incoming, outgoing: response.outgoing });
+        } else {
+          reject(new Error(response.error));
+        }
+      });
+    });
+  }
+  
+  /**
+   * Send a friend request (accepts theirs if they already asked us)
+   * @param {string} username - Player to add
+   * @returns {Promise<boolean>} True if this made us friends straight away
+   */
+  addFriend(username) {
+    return new Promise((resolve, reject) => {
+      if (!this.socket || !this.isConnected) {
+        return reject(new Error('Not connected to server'));
+      }
+      
+      this.socket.emit('add-friend', username, (response) => {
+        if (response.success) {
+          resolve(response.accepted);
+        } else {
+          reject(new Error(response.error));
+        }
+      });
+    });
+  }
+  
+  /**
+   * Accept a friend request
+   * @param {string} username - Player who sent the request
+   * @returns {Promise<void>}
+   */
+  acceptFriend(username) {
+    return new Promise((resolve, reject) => {
+      if (!this.socket || !this.isConnected) {
+        return reject(new Error('Not connected to server'));
+      }
+      
+      this.socket.emit('accept-friend', username, (response) => {
+        if (response.success) {
+          resolve();
+        } else {
+          reject(new Error(response.error));
+        }
+      });
+    });
+  }
+  
+  /**
+   * Remove a friend, or decline or cancel a friend request
+   * @param {string} username - The other player
+   * @returns {Promise<void>}
+   */
+  removeFriend(username) {
+    return new Promise((resolve, reject) => {
+      if (!this.socket || !this.isConnected) {
+        return reject(new Error('Not connected to server'));
+      }
+      
+      this.socket.emit('remove-friend', username, (response) => {
+        if (response.success) {
+          resolve();
+        } else {
+          reject(new Error(response.error));
+        }
+      });
+    });
+  }
+  
+  /**
+   * Challenge a friend: opens a private room and invites them to it
+   * @param {string} username - Friend to challenge
+   * @param {string} [gameMode='classic'] - Game mode
+   * @param {number} [bestOf=1] - Series length (1, 3, 5 or 7 games)
+   * @param {Object|null} [rules=null] - Custom rules; any left out keep the mode's standard value
+   * @returns {Promise<Object>} Room { roomCode, bestOf, rules }
+   */
+  challengeFriend(username, gameMode = 'classic', bestOf = 1, rules = null) {
+    return new Promise((resolve, reject) => {
+      if (!this.socket || !this.isConnected) {
+        return reject(new Error('Not connected to server'));
+      }
+      
+      this.socket.emit('challenge-friend', { username, gameMode, bestOf, rules }, (response) => {
+        if (response.success) {
+          this.roomCode = response.roomCode;
+          this.playerIndex = 0;  // Challenger hosts the room
+          this.isSpectator = false;
+          resolve(response);
+        } else {
+          reject(new Error(response.error));
+        }
+      });
+    });
+  }
+  
+  /**
+   * Turn down a friend's challenge
+   * @param {string} roomCode - Room we were challenged to
+   */
+  declineChallenge(roomCode) {
+    if (this.socket && this.isConnected) {
+      this.socket.emit('decline-challenge', roomCode);
     }
   }
   
+  // ============================
+  // GAME SYNC
+  // ============================
+  
   /**
-   * Send game over signal
-   * @param {number[]} scores - Final scores
+   * Send paddle input (call every frame the paddle is steered)
+   * The server simulation owns the ball and scores; clients only send input.
+   * @param {number} y - Target paddle centre Y in server field coordinates
+   * @param {number} seq - Input sequence number, acknowledged via paddle-ack
    */
-  sendGameOver(scores) {
+  sendPaddlePosition(y, seq) {
     if (this.isConnected && this.roomCode) {
-      this.socket.emit('game-over', { scores });
+      this.socket.emit('paddle-move', { position: y, seq });
     }
   }
   
@@ -398,14 +831,23 @@ class MultiplayerClient {
    * Leave current room
    */
   leaveRoom() {
+    if (this.isSpectator) {
+      this.stopSpectating();
+      return;
+    }
+    
     // Notify server that we're leaving the room
     if (this.socket && this.isConnected && this.roomCode) {
       this.socket.emit('leave-room', { roomCode: this.roomCode });
     }
     this.roomCode = null;
     this.playerIndex = -1;
+    this.resumeToken = null;
   }
 }
 
+// Server error when a session token is forged or has expired
+MultiplayerClient.INVALID_SESSION = 'Invalid or expired session';
+
 // Export for use
 window.MultiplayerClient = MultiplayerClient;
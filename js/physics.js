@@ -6,11 +6,14 @@
 const Physics = {
   /**
    * Update ball position and handle collisions
+   * The ball's path is swept against both paddles so it can't tunnel through
+   * a paddle at high speed.
    * @param {Object} ball - Ball object {x, y, vx, vy, radius, speed}
    * @param {Object} paddle1 - Left paddle {x, y, width, height}
    * @param {Object} paddle2 - Right paddle {x, y, width, height}
    * @param {Object} canvas - Canvas dimensions {width, height}
    * @returns {Object} Result with collision info {scored: null|1|2, hitPaddle: boolean, hitWall: boolean}
+   *   (hitWall is also set when the ball glances off the top or bottom of a paddle)
    */
   updateBall(ball, paddle1, paddle2, canvas) {
     const result = {
@@ -20,9 +23,48 @@ const Physics = {
       hitPosition: 0
     };
 
-    // Update position
-    ball.x += ball.vx;
-    ball.y += ball.vy;
+    // Find the first paddle the ball's path touches this step
+    const hit1 = this.sweepCircleRect(ball, ball.vx, ball.vy, paddle1);
+    const hit2 = this.sweepCircleRect(ball, ball.vx, ball.vy, paddle2);
+    let hit = null;
+    let hitPaddle = null;
+    let direction = 0;
+    if (hit1 && (!hit2 || hit1.time <= hit2.time)) {
+      hit = hit1;
+      hitPaddle = paddle1;
+      direction = 1;
+    } else if (hit2) {
+      hit = hit2;
+      hitPaddle = paddle2;
+      direction = -1;
+    }
+
+    // Update position (bouncing at the point of contact)
+    if (!hit) {
+      ball.x += ball.vx;
+      ball.y += ball.vy;
+    } else {
+      ball.x = hit.x;
+      ball.y = hit.y;
+
+      if (Math.sign(hit.normal.x) === direction) {
+        // Front face or front corner - return the ball
+        result.hitPosition = this.calculateHitPosition(ball, hitPaddle);
+        this.applyBounce(ball, hitPaddle, direction);
+        result.hitPaddle = true;
+      } else {
+        // Top, bottom or back of the paddle - deflect off the surface
+        const dot = ball.vx * hit.normal.x + ball.vy * hit.normal.y;
+        ball.vx -= 2 * dot * hit.normal.x;
+        ball.vy -= 2 * dot * hit.normal.y;
+        result.hitWall = true;
+      }
+
+      // Spend the rest of the step moving away along the new velocity
+      const remaining = 1 - hit.time;
+      ball.x += ball.vx * remaining;
+      ball.y += ball.vy * remaining;
+    }
 
     // Check wall collisions (top and bottom)
     if (ball.y - ball.radius <= 0) {
@@ -35,22 +77,24 @@ const Physics = {
       result.hitWall = true;
     }
 
-    // Check paddle collisions
-    // Left paddle (paddle1)
-    if (this.checkPaddleCollision(ball, paddle1)) {
-      ball.x = paddle1.x + paddle1.width + ball.radius;
-      const hitPos = this.calculateHitPosition(ball, paddle1);
-      result.hitPosition = hitPos;
-      this.applyBounce(ball, paddle1, 1);
-      result.hitPaddle = true;
-    }
-    // Right paddle (paddle2) - only check if not already hit paddle1
-    else if (this.checkPaddleCollision(ball, paddle2)) {
-      ball.x = paddle2.x - ball.radius;
-      const hitPos = this.calculateHitPosition(ball, paddle2);
-      result.hitPosition = hitPos;
-      this.applyBounce(ball, paddle2, -1);
-      result.hitPaddle = true;
+    // Check paddle overlap (the sweep misses a paddle that moved onto the ball)
+    if (!hit) {
+      // Left paddle (paddle1)
+      if (this.checkPaddleCollision(ball, paddle1)) {
+        ball.x = paddle1.x + paddle1.width + ball.radius;
+        const hitPos = this.calculateHitPosition(ball, paddle1);
+        result.hitPosition = hitPos;
+        this.applyBounce(ball, paddle1, 1);
+        result.hitPaddle = true;
+      }
+      // Right paddle (paddle2) - only check if not already hit paddle1
+      else if (this.checkPaddleCollision(ball, paddle2)) {
+        ball.x = paddle2.x - ball.radius;
+        const hitPos = this.calculateHitPosition(ball, paddle2);
+        result.hitPosition = hitPos;
+        this.applyBounce(ball, paddle2, -1);
+        result.hitPaddle = true;
+      }
     }
 
     // Check scoring (ball passes paddles)
@@ -63,6 +107,104 @@ const Physics = {
     return result;
   },
 
+  /**
+   * Sweep a moving circle against a rectangle (continuous collision detection)
+   * Finds the first contact along the circle's path, including rounded hits on
+   * the rectangle's corners. A circle that already overlaps the rectangle is not
+   * reported (see checkPaddleCollision).
+   * @param {Object} circle - Circle at the start of the step {x, y, radius}
+   * @param {number} dx - X movement this step
+   * @param {number} dy - Y movement this step
+   * @param {Object} rect - Rectangle {x, y, width, height}
+   * @returns {{ time: number, x: number, y: number, normal: {x: number, y: number}, corner: boolean }|null}
+   *   Time of impact (0-1 along the movement), circle centre at contact and the
+   *   contact normal pointing out of the rectangle, or null if there is no hit
+   */
+  sweepCircleRect(circle, dx, dy, rect) {
+    const r = circle.radius;
+    const left = rect.x;
+    const right = rect.x + rect.width;
+    const top = rect.y;
+    const bottom = rect.y + rect.height;
+
+    // Intersect the path with the rectangle grown by the radius (slab test)
+    let tEnter = -Infinity;
+    let tExit = Infinity;
+    let normal = null;
+    const axes = [
+      { pos: circle.x, delta: dx, min: left - r, max: right + r, nx: 1, ny: 0 },
+      { pos: circle.y, delta: dy, min: top - r, max: bottom + r, nx: 0, ny: 1 }
+    ];
+
+    for (const axis of axes) {
+      if (axis.delta === 0) {
+        if (axis.pos < axis.min || axis.pos > axis.max) {
+          return null;
+        }
+        continue;
+      }
+
+      const tMin = (axis.min - axis.pos) / axis.delta;
+      const tMax = (axis.max - axis.pos) / axis.delta;
+      const near = Math.min(tMin, tMax);
+      const far = Math.max(tMin, tMax);
+      if (near > tEnter) {
+        tEnter = near;
+        // The face we enter through faces against the movement
+        const sign = axis.delta > 0 ? -1 : 1;
+        normal = { x: axis.nx * sign, y: axis.ny * sign };
+      }
+      tExit = Math.min(tExit, far);
+    }
+
+    if (tEnter > tExit || tExit < 0 || tEnter > 1) {
+      return null;
+    }
+
+    // Where the path meets the grown rectangle
+    const t = Math.max(tEnter, 0);
+    const px = circle.x + dx * t;
+    const py = circle.y + dy * t;
+    const beyondX = px < left || px > right;
+    const beyondY = py < top || py > bottom;
+
+    if (!(beyondX && beyondY)) {
+      // Flat face hit, or already overlapping
+      if (tEnter < 0 || !normal) {
+        return null;
+      }
+      return { time: tEnter, x: px, y: py, normal, corner: false };
+    }
+
+    // Corner region - the grown rectangle is rounded here, so hit the corner's circle
+    const cornerX = px < left ? left : right;
+    const cornerY = py < top ? top : bottom;
+    const ox = circle.x - cornerX;
+    const oy = circle.y - cornerY;
+    const a = dx * dx + dy * dy;
+    const b = 2 * (ox * dx + oy * dy);
+    const c = ox * ox + oy * oy - r * r;
+    const discriminant = b * b - 4 * a * c;
+    if (c <= 0 || a === 0 || discriminant < 0) {
+      return null;
+    }
+
+    const time = (-b - Math.sqrt(discriminant)) / (2 * a);
+    if (time < 0 || time > 1) {
+      return null;
+    }
+
+    const x = circle.x + dx * time;
+    const y = circle.y + dy * time;
+    return {
+      time,
+      x,
+      y,
+      normal: { x: (x - cornerX) / r, y: (y - cornerY) / r },
+      corner: true
+    };
+  },
+
   /**
    * Check if ball collides with paddle
    * @param {Object} ball - Ball object
@@ -129,8 +271,9 @@ const Physics = {
   applyBounce(ball, paddle, direction) {
     const angle = this.calculateBounceAngle(ball, paddle);
 
-    // Increase speed slightly on each hit
-    ball.speed = Math.min(ball.speed + CONFIG.GAME.BALL_SPEED_INCREMENT, 15);
+    // Increase speed slightly on each hit (custom room rules may set the step per ball)
+    const increment = typeof ball.speedIncrement === 'number' ? ball.speedIncrement : CONFIG.GAME.BALL_SPEED_INCREMENT;
+    ball.speed = Math.min(ball.speed + increment, 15);
 
     // Calculate new velocity
     ball.vx = direction * Math.cos(angle) * ball.speed;
@@ -142,17 +285,18 @@ const Physics = {
    * @param {Object} ball - Ball object to reset
    * @param {Object} canvas - Canvas dimensions
    * @param {number|null} serveDirection - 1 for right, -1 for left, null for random
+   * @param {Function} [random=Math.random] - Generator returning [0, 1) (see RNG.create)
    */
-  resetBall(ball, canvas, serveDirection = null) {
+  resetBall(ball, canvas, serveDirection = null, random = Math.random) {
     ball.x = canvas.width / 2;
     ball.y = canvas.height / 2;
     ball.speed = CONFIG.GAME.BALL_SPEED;
 
     // Random direction if not specified
-    const direction = serveDirection !== null ? serveDirection : (Math.random() < 0.5 ? 1 : -1);
+    const direction = serveDirection !== null ? serveDirection : (random() < 0.5 ? 1 : -1);
 
     // Random angle between -30 and 30 degrees
-    const angle = Utils.randomRange(-Math.PI / 6, Math.PI / 6);
+    const angle = Utils.randomRange(-Math.PI / 6, Math.PI / 6, random);
 
     ball.vx = direction * Math.cos(angle) * ball.speed;
     ball.vy = Math.sin(angle) * ball.speed;
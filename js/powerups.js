@@ -55,7 +55,7 @@ const POWERUP_TYPES = {
     name: 'multiBall',
     duration: -1, // Instant effect
     color: '#ff00ff',
-    description: 'Chaotic ball burst',
+    description: 'Two extra balls',
     icon: '●●'
   },
   FIREBALL: {
@@ -94,14 +94,28 @@ const POWERUP_TYPE_KEYS = Object.keys(POWERUP_TYPES);
 // Name-to-configuration lookup map for O(1) access
 const POWERUP_TYPES_BY_NAME = Object.fromEntries(Object.values(POWERUP_TYPES).map(type => [type.name, type]));
 
+// Spawning limits
+const MAX_ACTIVE_POWERUPS = 3;
+const POWERUP_LIFETIME = 15000; // Power-ups disappear after 15 seconds if not collected
+const POWERUP_RADIUS = 15;
+
 class PowerUpManager {
   constructor() {
     this.active = [];
     this.effects = [];
-    this.spawnTimeoutId = null;
+    this.nextSpawnAt = null;
     this.spawnsActive = false;
     this.canvas = null;
     this.gameRef = null;
+    // When true (online play), spawning, collection and expiry are decided by
+    // the server and arrive as events instead of being simulated locally
+    this.remoteControlled = false;
+    // Random generator for spawn timing, type and position (see RNG.create)
+    this.random = Math.random;
+    // Clock for spawns, lifetimes and effect durations; the game supplies its simulation time
+    this.now = () => performance.now();
+    // Types that may spawn (custom room rules can turn some off)
+    this.typeKeys = POWERUP_TYPE_KEYS;
     
     // Effect modifiers that can be queried by game logic
     this.modifiers = {
@@ -126,6 +140,40 @@ class PowerUpManager {
     this.gameRef = game;
   }
 
+  /**
+   * Set the random generator used for spawning
+   * @param {Function} random - Generator returning [0, 1) (see RNG.create)
+   */
+  setRandom(random) {
+    this.random = random;
+  }
+
+  /**
+   * Limit which power-up types spawn
+   * @param {string[]|null} names - Type names (e.g. 'bigPaddle'), or null for all types
+   */
+  setEnabledTypes(names) {
+    this.typeKeys = names
+      ? POWERUP_TYPE_KEYS.filter(key => names.includes(POWERUP_TYPES[key].name))
+      : POWERUP_TYPE_KEYS;
+  }
+
+  /**
+   * Set the clock used for spawns, lifetimes and effect durations
+   * @param {Function} now - Returns the current time in ms
+   */
+  setClock(now) {
+    this.now = now;
+  }
+
+  /**
+   * Let the online server decide spawns, collection and expiry
+   * @param {boolean} enabled - True for server-driven power-ups
+   */
+  setRemoteControlled(enabled) {
+    this.remoteControlled = enabled;
+  }
+
   /**
    * Start spawning power-ups at random intervals
    * @param {HTMLCanvasElement} canvas - Canvas for spawn positions
@@ -140,7 +188,7 @@ class PowerUpManager {
   }
 
   /**
-   * Schedule the next power-up spawn
+   * Schedule the next power-up spawn (spawned by update once it is due)
    */
   scheduleNextSpawn() {
     if (!this.spawnsActive) {
@@ -149,24 +197,16 @@ class PowerUpManager {
 
     const interval = CONFIG.GAME.POWERUP_INTERVAL;
     const variance = CONFIG.GAME.POWERUP_VARIANCE;
-    const delay = interval + (Math.random() - 0.5) * 2 * variance;
+    const delay = interval + (this.random() - 0.5) * 2 * variance;
 
-    this.spawnTimeoutId = setTimeout(() => {
-      if (this.spawnsActive && this.canvas) {
-        this.spawn(this.canvas);
-        this.scheduleNextSpawn();
-      }
-    }, delay);
+    this.nextSpawnAt = this.now() + delay;
   }
 
   /**
-   * Stop spawning power-ups and clear any pending spawn timers
+   * Stop spawning power-ups and cancel the pending spawn
    */
   stopSpawns() {
-    if (this.spawnTimeoutId !== null) {
-      clearTimeout(this.spawnTimeoutId);
-      this.spawnTimeoutId = null;
-    }
+    this.nextSpawnAt = null;
     this.spawnsActive = false;
   }
 
@@ -176,42 +216,89 @@ class PowerUpManager {
    */
   spawn(canvas) {
     // Limit active power-ups to prevent clutter
-    if (this.active.length >= 3) {
+    if (this.active.length >= MAX_ACTIVE_POWERUPS || this.typeKeys.length === 0) {
       return;
     }
 
     // Random type selection
-    const typeKey = POWERUP_TYPE_KEYS[Utils.randomInt(0, POWERUP_TYPE_KEYS.length - 1)];
-    const powerupType = POWERUP_TYPES[typeKey];
+    const typeKey = this.typeKeys[Utils.randomInt(0, this.typeKeys.length - 1, this.random)];
 
     // Random position in the middle third of the play area
     const margin = 100;
-    const x = Utils.randomRange(canvas.width * 0.3, canvas.width * 0.7);
-    const y = Utils.randomRange(margin, canvas.height - margin);
+    const x = Utils.randomRange(canvas.width * 0.3, canvas.width * 0.7, this.random);
+    const y = Utils.randomRange(margin, canvas.height - margin, this.random);
+
+    this.addPowerUp(this.createPowerUp(POWERUP_TYPES[typeKey].name, x, y, this.now()));
+  }
 
-    const powerup = {
+  /**
+   * Create a power-up object
+   * @param {string} type - Power-up type name (e.g. 'bigPaddle')
+   * @param {number} x - X position
+   * @param {number} y - Y position
+   * @param {number} now - Spawn timestamp
+   * @param {number|null} [id=null] - Identifier (online power-ups use the server's id)
+   * @returns {Object|null} Power-up object, or null for an unknown type
+   */
+  createPowerUp(type, x, y, now, id = null) {
+    const powerupType = POWERUP_TYPES_BY_NAME[type];
+    if (!powerupType) {
+      return null;
+    }
+
+    return {
+      id: id,
       x: x,
       y: y,
-      radius: 15,
+      radius: POWERUP_RADIUS,
       type: powerupType.name,
       color: powerupType.color,
       icon: powerupType.icon,
-      spawnTime: performance.now(),
-      lifetime: 15000, // Power-ups disappear after 15 seconds if not collected
-      pulsePhase: Math.random() * Math.PI * 2
+      spawnTime: now,
+      lifetime: POWERUP_LIFETIME,
+      pulsePhase: Math.random() * Math.PI * 2 // Cosmetic only, so it never consumes the seeded generator
     };
+  }
 
+  /**
+   * Add a spawned power-up to the field
+   * @param {Object} powerup - Power-up from createPowerUp
+   */
+  addPowerUp(powerup) {
+    if (!powerup) {
+      return;
+    }
     this.active.push(powerup);
     sound.powerUpSpawn();
   }
 
+  /**
+   * Remove an uncollected power-up by id
+   * @param {number} id - Power-up id
+   */
+  removePowerUp(id) {
+    this.active = this.active.filter(p => p.id !== id);
+  }
+
   /**
    * Update power-ups and effects
    * @param {number} deltaTime - Time since last update (unused but kept for interface)
-   * @param {Object} ball - Ball object for collision detection
+   * @param {Object|Object[]} balls - Ball, or every ball in play, for collision detection
    */
-  update(deltaTime, ball) {
-    const now = performance.now();
+  update(deltaTime, balls) {
+    const now = this.now();
+    const ballList = Array.isArray(balls) ? balls : [balls];
+
+    // Online power-ups are collected and expired by the server
+    if (this.remoteControlled) {
+      this.updateEffects(now);
+      return;
+    }
+
+    if (this.spawnsActive && this.nextSpawnAt !== null && now >= this.nextSpawnAt && this.canvas) {
+      this.spawn(this.canvas);
+      this.scheduleNextSpawn();
+    }
 
     // Update active power-ups (check collection and expiry)
     for (let i = this.active.length - 1; i >= 0; i--) {
@@ -223,9 +310,9 @@ class PowerUpManager {
         continue;
       }
 
-      // Check collision with ball
-      const dist = Utils.distance(ball.x, ball.y, powerup.x, powerup.y);
-      if (dist < ball.radius + powerup.radius) {
+      // Check collision with each ball
+      const ball = ballList.find(b => Utils.distance(b.x, b.y, powerup.x, powerup.y) < b.radius + powerup.radius);
+      if (ball) {
         // Determine which player collected based on ball direction
         const collector = ball.vx > 0 ? 1 : 2;
         this.collect(powerup, collector);
@@ -315,16 +402,28 @@ class PowerUpManager {
    */
   collect(powerup, player) {
     sound.powerUpCollect();
+    this.applyEffect(powerup.type, player, this.now(), powerup.id);
+  }
 
+  /**
+   * Start a power-up's effect for a player
+   * Used for local collection, by the online server, and for effects it reports.
+   * @param {string} type - Power-up type name
+   * @param {number} player - Player who collected (1 or 2)
+   * @param {number} now - Current timestamp
+   * @param {number|null} [id=null] - Effect id (online effects share the power-up's id)
+   * @returns {Object|null} The started effect, or null for instant or unknown power-ups
+   */
+  applyEffect(type, player, now, id = null) {
     // Find the power-up type configuration (O(1) lookup)
-    const typeConfig = POWERUP_TYPES_BY_NAME[powerup.type];
+    const typeConfig = POWERUP_TYPES_BY_NAME[type];
     if (!typeConfig) {
-      return;
+      return null;
     }
 
-    const now = performance.now();
     const effect = {
-      type: powerup.type,
+      id: id,
+      type: type,
       player: player,
       startTime: now,
       duration: typeConfig.duration,
@@ -333,7 +432,7 @@ class PowerUpManager {
     };
 
     // Handle special power-ups that don't use the standard effect system
-    switch (powerup.type) {
+    switch (type) {
       case 'shield':
         if (player === 1) {
           this.modifiers.player1Shield = true;
@@ -354,13 +453,31 @@ class PowerUpManager {
           this.gameRef.spawnExtraBall();
           this.gameRef.spawnExtraBall();
         }
-        break;
+        return null;
 
       default:
         // Standard timed effects
         this.effects.push(effect);
         break;
     }
+
+    this.updateEffects(now);
+    return effect;
+  }
+
+  /**
+   * End an effect by id (online effects end when the server says so)
+   * @param {number} id - Effect id
+   */
+  removeEffect(id) {
+    this.effects = this.effects.filter(e => e.id !== id);
+
+    // Single-use effects keep their own flags
+    this.modifiers.player1Shield = this.hasEffect('shield', 1);
+    this.modifiers.player2Shield = this.hasEffect('shield', 2);
+    this.modifiers.fireball = this.effects.some(e => e.type === 'fireball');
+
+    this.updateEffects(this.now());
   }
 
   /**
@@ -400,13 +517,17 @@ class PowerUpManager {
 
   /**
    * Clear effects that end on point (like speedBall)
+   * @param {number} [now] - Current timestamp (defaults to the manager's clock)
+   * @returns {Object[]} The effects that were cleared
    */
-  clearPointEffects() {
+  clearPointEffects(now = this.now()) {
+    const cleared = this.effects.filter(e => e.type === 'speedBall');
     this.effects = this.effects.filter(e => {
       // Remove effects that last "until next point"
       return e.type !== 'speedBall';
     });
-    this.updateEffects(performance.now());
+    this.updateEffects(now);
+    return cleared;
   }
 
   /**
@@ -425,7 +546,7 @@ class PowerUpManager {
    * @param {HTMLCanvasElement} canvas - Canvas element
    */
   drawEffectIndicators(ctx, canvas) {
-    const now = performance.now();
+    const now = this.now();
     let y1 = 80; // Start position for player 1 effects
     let y2 = 80; // Start position for player 2 effects
 
@@ -497,6 +618,7 @@ class PowerUpManager {
     this.active = [];
     this.effects = [];
     this.stopSpawns();
+    this.remoteControlled = false;
 
     // Reset all modifiers
     this.modifiers = {
@@ -544,5 +666,5 @@ class PowerUpManager {
 
 // Export for Node.js/testing environments
 if (typeof module !== 'undefined' && module.exports) {
-  module.exports = { PowerUpManager, POWERUP_TYPES, POWERUP_TYPE_KEYS };
+  module.exports = { PowerUpManager, POWERUP_TYPES, POWERUP_TYPE_KEYS, MAX_ACTIVE_POWERUPS, POWERUP_LIFETIME };
 }
@@ -0,0 +1,116 @@
+/**
+ * Client-side paddle prediction for online play
+ * Applies local paddle input immediately, numbers each input, and replays the
+ * inputs the server has not yet acknowledged whenever a correction arrives.
+ * All positions are in server field coordinates.
+ */
+
+class PaddlePredictor {
+  // Inputs kept for replay (about two seconds at 60fps); older ones are assumed lost
+  static MAX_PENDING_INPUTS = 120;
+
+  /**
+   * Create a paddle predictor
+   * @param {number} fieldHeight - Height of the server playfield
+   * @param {number} [centerY] - Starting paddle centre (defaults to mid-field)
+   */
+  constructor(fieldHeight, centerY = fieldHeight / 2) {
+    this.fieldHeight = fieldHeight;
+    this.paddle = {
+      y: 0,
+      height: CONFIG.GAME.PADDLE_HEIGHT,
+      speed: CONFIG.GAME.PADDLE_SPEED
+    };
+    this.reset(centerY);
+  }
+
+  /**
+   * Reset the prediction (new match or reconnection)
+   * @param {number} centerY - Paddle centre to start from
+   */
+  reset(centerY) {
+    this.paddle.y = centerY - this.paddle.height / 2;
+    this.pendingInputs = [];
+    this.nextSeq = 1;
+    this.lastAckedSeq = 0;
+  }
+
+  /**
+   * Apply a local input and record it for later reconciliation
+   * Mirrors the server, which moves the paddle at most one step per tick (we send one input per tick).
+   * @param {number} targetY - Requested paddle centre
+   * @returns {{ seq: number, y: number }} Input to send to the server
+   */
+  applyInput(targetY) {
+    const input = {
+      seq: this.nextSeq++,
+      y: Utils.clamp(targetY, 0, this.fieldHeight)
+    };
+
+    this.pendingInputs.push(input);
+    if (this.pendingInputs.length > PaddlePredictor.MAX_PENDING_INPUTS) {
+      this.pendingInputs.shift();
+    }
+
+    this.step(input.y);
+    return input;
+  }
+
+  /**
+   * Correct the prediction from a server acknowledgement
+   * @param {number} ackSeq - Last input sequence number the server applied
+   * @param {number} serverCenterY - Server paddle centre after that input
+   * @returns {number} Distance the paddle was corrected by (0 if prediction agreed)
+   */
+  reconcile(ackSeq, serverCenterY) {
+    // Ignore acks that arrive out of order
+    if (ackSeq < this.lastAckedSeq) {
+      return 0;
+    }
+    this.lastAckedSeq = ackSeq;
+
+    const predictedY = this.paddle.y;
+
+    // Rewind to the server state, then replay what it has not seen yet
+    this.pendingInputs = this.pendingInputs.filter(input => input.seq > ackSeq);
+    this.paddle.y = serverCenterY - this.paddle.height / 2;
+    this.pendingInputs.forEach(input => this.step(input.y));
+
+    return Math.abs(this.paddle.y - predictedY);
+  }
+
+  /**
+   * Resize the paddle around its centre (power-up size effects)
+   * @param {number} height - New paddle height
+   */
+  setHeight(height) {
+    if (height === this.paddle.height) {
+      return;
+    }
+    const centerY = this.getCenterY();
+    this.paddle.height = height;
+    this.paddle.y = Utils.clamp(centerY - height / 2, 0, this.fieldHeight - height);
+  }
+
+  /**
+   * Move the predicted paddle one step toward a target
+   * @param {number} targetY - Paddle centre to move toward
+   * @private
+   */
+  step(targetY) {
+    Physics.updatePaddle(this.paddle, targetY, this.fieldHeight, this.paddle.speed);
+  }
+
+  /**
+   * Get the predicted paddle centre
+   * @returns {number}
+   */
+  getCenterY() {
+    return this.paddle.y + this.paddle.height / 2;
+  }
+}
+
+// Export for Node.js/testing environments
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PaddlePredictor;
+}
@@ -187,6 +187,102 @@ const Renderer = {
     ctx.shadowBlur = 0;
   },
 
+  /**
+   * Draw the series score between the game scores
+   * @param {CanvasRenderingContext2D} ctx - Canvas context
+   * @param {HTMLCanvasElement} canvas - Canvas element
+   * @param {Object} series - Series {bestOf, gamesPlayed, winner}
+   * @param {number[]} wins - Series wins [left, right]
+   */
+  drawSeriesScore(ctx, canvas, series, wins) {
+    const game = series.winner ? series.gamesPlayed : series.gamesPlayed + 1;
+
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'top';
+    ctx.fillStyle = this.colors.white;
+
+    ctx.font = '10px "Press Start 2P", "Orbitron", monospace';
+    ctx.fillText(`BO${series.bestOf} - GAME ${game}`, canvas.width / 2, 30);
+
+    ctx.font = 'bold 16px "Press Start 2P", "Orbitron", monospace';
+    ctx.fillText(`${wins[0]} - ${wins[1]}`, canvas.width / 2, 48);
+  },
+
+  /**
+   * Draw the online network debug overlay
+   * @param {CanvasRenderingContext2D} ctx - Canvas context
+   * @param {Object} canvas - Canvas dimensions {width, height}
+   * @param {Object} stats - Snapshot buffer stats {depth, delay, mode, extrapolatedMs}
+   */
+  drawNetDebug(ctx, canvas, stats) {
+    const lines = [
+      `BUFFER ${stats.depth}`,
+      `DELAY ${stats.delay}ms`,
+      `${stats.mode.toUpperCase()}${stats.extrapolatedMs > 0 ? ' ' + Math.round(stats.extrapolatedMs) + 'ms' : ''}`
+    ];
+
+    ctx.font = '10px "Press Start 2P", "Orbitron", monospace';
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'bottom';
+    ctx.fillStyle = stats.mode === 'extrapolate' ? this.colors.neonOrange : this.colors.neonGreen;
+
+    lines.forEach((line, i) => {
+      ctx.fillText(line, 10, canvas.height - 10 - (lines.length - 1 - i) * 14);
+    });
+  },
+
+  /**
+   * Draw a rating-over-time sparkline
+   * @param {CanvasRenderingContext2D} ctx - Canvas context
+   * @param {Object} canvas - Canvas dimensions {width, height}
+   * @param {number[]} values - Ratings, oldest first
+   */
+  drawSparkline(ctx, canvas, values) {
+    const padding = 6;
+    const width = canvas.width - padding * 2;
+    const height = canvas.height - padding * 2;
+
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    if (values.length < 2) {
+      return;
+    }
+
+    const min = Math.min(...values);
+    const max = Math.max(...values);
+    const range = max - min || 1;
+    const points = values.map((value, i) => ({
+      x: padding + (i / (values.length - 1)) * width,
+      y: padding + (1 - (value - min) / range) * height
+    }));
+
+    // Rising overall in cyan, falling in pink
+    const color = values[values.length - 1] >= values[0] ? this.colors.neonCyan : this.colors.neonPink;
+
+    ctx.save();
+    ctx.strokeStyle = color;
+    ctx.lineWidth = 2;
+    ctx.lineJoin = 'round';
+    ctx.shadowColor = color;
+    ctx.shadowBlur = 8;
+    ctx.beginPath();
+    points.forEach((point, i) => {
+      if (i === 0) {
+        ctx.moveTo(point.x, point.y);
+      } else {
+        ctx.lineTo(point.x, point.y);
+      }
+    });
+    ctx.stroke();
+
+    // Mark the current rating
+    const last = points[points.length - 1];
+    ctx.fillStyle = this.colors.white;
+    ctx.beginPath();
+    ctx.arc(last.x, last.y, 3, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.restore();
+  },
+
   /**
    * Draw a power-up
    * @param {CanvasRenderingContext2D} ctx - Canvas context
@@ -0,0 +1,364 @@
+/**
+ * Match replays for Pong game
+ * Records each match as a compact replay (seed, mode and variant plus
+ * periodic keyframes of the balls, paddles, scores and power-ups) and plays
+ * replays back with pause, scrubbing and speed control.
+ *
+ * Keyframes are arrays to keep saved replays small:
+ * [time, ballX, ballY, paddle1Y, paddle1Height, paddle2Y, paddle2Height,
+ *  score1, score2, powerups?, extraBalls?] where powerups is
+ * [[type, x, y], ...] and extraBalls is [[x, y], ...] for multi-ball. Each
+ * is only present while needed (powerups is [] if only extra balls are).
+ */
+
+const REPLAY_VERSION = 1;
+
+// Keyframe field positions
+const REPLAY_FRAME = {
+  TIME: 0,
+  BALL_X: 1,
+  BALL_Y: 2,
+  PADDLE1_Y: 3,
+  PADDLE1_HEIGHT: 4,
+  PADDLE2_Y: 5,
+  PADDLE2_HEIGHT: 6,
+  SCORE1: 7,
+  SCORE2: 8,
+  POWERUPS: 9,
+  EXTRA_BALLS: 10
+};
+
+class ReplayRecorder {
+  // Time between keyframes in ms (playback interpolates in between)
+  static KEYFRAME_INTERVAL = 50;
+
+  // Longest recording (10 minutes), keeps saved replays within localStorage limits
+  static MAX_FRAMES = 12000;
+
+  /**
+   * Start recording a match
+   * @param {Object} info - Match details
+   * @param {number|null} info.seed - RNG seed the match was started with
+   * @param {string} info.mode - Game mode (single, local, online)
+   * @param {string} info.variant - Game variant (classic, chaos, speedrun)
+   * @param {string|null} [info.difficulty] - AI difficulty (single player only)
+   * @param {number} info.width - Playfield width the positions are recorded in
+   * @param {number} info.height - Playfield height the positions are recorded in
+   */
+  constructor(info) {
+    this.replay = {
+      version: REPLAY_VERSION,
+      id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+      createdAt: new Date().toISOString(),
+      seed: info.seed === undefined ? null : info.seed,
+      mode: info.mode,
+      variant: info.variant,
+      difficulty: info.difficulty || null,
+      field: { width: info.width, height: info.height },
+      duration: 0,
+      scores: [0, 0],
+      winner: null,
+      frames: []
+    };
+    this.lastFrameTime = -Infinity;
+  }
+
+  /**
+   * Record a keyframe if one is due
+   * @param {number} time - Match time in ms (excluding pauses)
+   * @param {Object} state - Current game state
+   * @param {Object[]} state.balls - Balls in play {x, y}, main ball first
+   * @param {Object} state.paddle1 - Left paddle {y, height}
+   * @param {Object} state.paddle2 - Right paddle {y, height}
+   * @param {number[]} state.scores - Scores [p1, p2]
+   * @param {Object[]} [state.powerups] - Power-ups on the field {type, x, y}
+   * @param {boolean} [force=false] - Record even if the interval has not passed (e.g. on a score)
+   * @returns {boolean} True if a keyframe was recorded
+   */
+  capture(time, state, force = false) {
+    const frames = this.replay.frames;
+    if (frames.length >= ReplayRecorder.MAX_FRAMES) {
+      return false;
+    }
+    if (!force && time - this.lastFrameTime < ReplayRecorder.KEYFRAME_INTERVAL) {
+      return false;
+    }
+
+    const t = Math.max(Math.round(time), frames.length > 0 ? frames[frames.length - 1][REPLAY_FRAME.TIME] : 0);
+    const [ball, ...extraBalls] = state.balls;
+    const frame = [
+      t,
+      Math.round(ball.x),
+      Math.round(ball.y),
+      Math.round(state.paddle1.y),
+      Math.round(state.paddle1.height),
+      Math.round(state.paddle2.y),
+      Math.round(state.paddle2.height),
+      state.scores[0],
+      state.scores[1]
+    ];
+
+    const powerups = state.powerups || [];
+    if (powerups.length > 0 || extraBalls.length > 0) {
+      frame.push(powerups.map(p => [p.type, Math.round(p.x), Math.round(p.y)]));
+    }
+    if (extraBalls.length > 0) {
+      frame.push(extraBalls.map(b => [Math.round(b.x), Math.round(b.y)]));
+    }
+
+    // A forced frame at the same time replaces the previous one
+    if (frames.length > 0 && frames[frames.length - 1][REPLAY_FRAME.TIME] === t) {
+      frames[frames.length - 1] = frame;
+    } else {
+      frames.push(frame);
+    }
+    this.lastFrameTime = time;
+    return true;
+  }
+
+  /**
+   * Finish the recording
+   * @param {number[]} scores - Final scores [p1, p2]
+   * @param {number|null} winner - Winning player (1 or 2)
+   * @returns {Object|null} The replay, or null if nothing was recorded
+   */
+  finish(scores, winner) {
+    const { frames } = this.replay;
+    if (frames.length === 0) {
+      return null;
+    }
+
+    this.replay.scores = [scores[0], scores[1]];
+    this.replay.winner = winner;
+    this.replay.duration = frames[frames.length - 1][REPLAY_FRAME.TIME];
+    return this.replay;
+  }
+}
+
+class ReplayPlayer {
+  // Supported playback speeds
+  static SPEEDS = [0.5, 1, 2];
+
+  // Ball jumps larger than this fraction of the field width are cuts (serves), not movement
+  static SNAP_FRACTION = 0.25;
+
+  /**
+   * Create a player for a replay
+   * @param {Object} replay - Replay from ReplayRecorder (or a validated import)
+   */
+  constructor(replay) {
+    this.replay = replay;
+    this.duration = replay.duration;
+    this.time = 0;
+    this.speed = 1;
+    this.paused = false;
+  }
+
+  /**
+   * Check that data is a playable replay (e.g. an imported file)
+   * @param {*} data - Parsed replay data
+   * @returns {{ valid: boolean, error?: string }}
+   */
+  static validate(data) {
+    if (!data || typeof data !== 'object') {
+      return { valid: false, error: 'Replay must be an object' };
+    }
+    if (data.version !== REPLAY_VERSION) {
+      return { valid: false, error: 'Unsupported replay version' };
+    }
+    if (typeof data.mode !== 'string' || typeof data.variant !== 'string') {
+      return { valid: false, error: 'Replay is missing its mode or variant' };
+    }
+    if (!data.field || !(data.field.width > 0) || !(data.field.height > 0)) {
+      return { valid: false, error: 'Replay has an invalid playfield' };
+    }
+    if (!Array.isArray(data.frames) || data.frames.length === 0) {
+      return { valid: false, error: 'Replay has no frames' };
+    }
+
+    let lastTime = -Infinity;
+    for (const frame of data.frames) {
+      if (!Array.isArray(frame) || frame.length < REPLAY_FRAME.POWERUPS) {
+        return { valid: false, error: 'Replay has a malformed frame' };
+      }
+      for (let i = 0; i < REPLAY_FRAME.POWERUPS; i++) {
+        if (typeof frame[i] !== 'number' || !isFinite(frame[i])) {
+          return { valid: false, error: 'Replay has a malformed frame' };
+        }
+      }
+      if (frame.length > REPLAY_FRAME.POWERUPS && !Array.isArray(frame[REPLAY_FRAME.POWERUPS])) {
+        return { valid: false, error: 'Replay has a malformed frame' };
+      }
+      if (frame.length > REPLAY_FRAME.EXTRA_BALLS && !ReplayPlayer._isPositionList(frame[REPLAY_FRAME.EXTRA_BALLS])) {
+        return { valid: false, error: 'Replay has a malformed frame' };
+      }
+      if (frame[REPLAY_FRAME.TIME] < lastTime) {
+        return { valid: false, error: 'Replay frames are out of order' };
+      }
+      lastTime = frame[REPLAY_FRAME.TIME];
+    }
+
+    return { valid: true };
+  }
+
+  /**
+   * Check for a list of [x, y] positions
+   * @param {*} list - Value from a keyframe
+   * @returns {boolean}
+   * @private
+   */
+  static _isPositionList(list) {
+    return Array.isArray(list) && list.every(pos =>
+      Array.isArray(pos) && pos.length === 2 && pos.every(n => typeof n === 'number' && isFinite(n)));
+  }
+
+  /**
+   * Parse an exported replay file
+   * @param {string} text - JSON text
+   * @returns {{ replay: Object|null, error: string|null }}
+   */
+  static parse(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (e) {
+      return { replay: null, error: 'Replay file is not valid JSON' };
+    }
+
+    const validation = ReplayPlayer.validate(data);
+    if (!validation.valid) {
+      return { replay: null, error: validation.error };
+    }
+
+    const frames = data.frames;
+    return {
+      replay: {
+        ...data,
+        id: typeof data.id === 'string' ? data.id : `import-${Date.now().toString(36)}`,
+        createdAt: typeof data.createdAt === 'string' ? data.createdAt : new Date().toISOString(),
+        duration: frames[frames.length - 1][REPLAY_FRAME.TIME],
+        scores: Array.isArray(data.scores) ? data.scores : frames[frames.length - 1].slice(REPLAY_FRAME.SCORE1, REPLAY_FRAME.SCORE2 + 1)
+      },
+      error: null
+    };
+  }
+
+  /**
+   * Advance playback
+   * @param {number} deltaMs - Real time elapsed in ms
+   */
+  update(deltaMs) {
+    if (this.paused) {
+      return;
+    }
+
+    this.time = Math.min(this.time + deltaMs * this.speed, this.duration);
+    if (this.isFinished()) {
+      this.paused = true;
+    }
+  }
+
+  /**
+   * Jump to a point in the replay
+   * @param {number} time - Replay time in ms
+   */
+  seek(time) {
+    this.time = Utils.clamp(time, 0, this.duration);
+  }
+
+  /**
+   * Set playback speed
+   * @param {number} speed - One of ReplayPlayer.SPEEDS
+   * @returns {boolean} True if the speed was changed
+   */
+  setSpeed(speed) {
+    if (!ReplayPlayer.SPEEDS.includes(speed)) {
+      return false;
+    }
+    this.speed = speed;
+    return true;
+  }
+
+  /**
+   * Pause or resume playback (resuming at the end restarts the replay)
+   */
+  togglePause() {
+    if (this.paused && this.isFinished()) {
+      this.time = 0;
+    }
+    this.paused = !this.paused;
+  }
+
+  /**
+   * Check whether playback has reached the end
+   * @returns {boolean}
+   */
+  isFinished() {
+    return this.time >= this.duration;
+  }
+
+  /**
+   * Get the game state at the current playback time
+   * @returns {{ ball: Object, extraBalls: Object[], paddle1: Object, paddle2: Object, scores: number[], powerups: Object[] }}
+   */
+  getFrame() {
+    const frames = this.replay.frames;
+
+    // Find the last keyframe at or before the current time
+    let low = 0;
+    let high = frames.length - 1;
+    while (low < high) {
+      const mid = Math.ceil((low + high) / 2);
+      if (frames[mid][REPLAY_FRAME.TIME] <= this.time) {
+        low = mid;
+      } else {
+        high = mid - 1;
+      }
+    }
+
+    const a = frames[low];
+    const b = frames[Math.min(low + 1, frames.length - 1)];
+    const span = b[REPLAY_FRAME.TIME] - a[REPLAY_FRAME.TIME];
+    const progress = span > 0 ? Utils.clamp((this.time - a[REPLAY_FRAME.TIME]) / span, 0, 1) : 0;
+    let alpha = progress;
+
+    // Don't sweep the ball across the field when it is put back in play
+    const snapDistance = this.replay.field.width * ReplayPlayer.SNAP_FRACTION;
+    if (Utils.distance(a[REPLAY_FRAME.BALL_X], a[REPLAY_FRAME.BALL_Y], b[REPLAY_FRAME.BALL_X], b[REPLAY_FRAME.BALL_Y]) > snapDistance) {
+      alpha = 0;
+    }
+
+    const lerp = (index) => Utils.lerp(a[index], b[index], alpha);
+    const powerups = a[REPLAY_FRAME.POWERUPS] || [];
+
+    // Extra balls move like the main ball while they stay in play; one that
+    // is gone by the next keyframe holds its position
+    const nextExtraBalls = b[REPLAY_FRAME.EXTRA_BALLS] || [];
+    const extraBalls = (a[REPLAY_FRAME.EXTRA_BALLS] || []).map(([x, y], i) => {
+      const next = nextExtraBalls[i];
+      if (!next || Utils.distance(x, y, next[0], next[1]) > snapDistance) {
+        return { x, y };
+      }
+      return { x: Utils.lerp(x, next[0], progress), y: Utils.lerp(y, next[1], progress) };
+    });
+
+    return {
+      ball: {
+        x: lerp(REPLAY_FRAME.BALL_X),
+        y: lerp(REPLAY_FRAME.BALL_Y),
+        vx: b[REPLAY_FRAME.BALL_X] - a[REPLAY_FRAME.BALL_X],
+        vy: b[REPLAY_FRAME.BALL_Y] - a[REPLAY_FRAME.BALL_Y]
+      },
+      extraBalls,
+      paddle1: { y: lerp(REPLAY_FRAME.PADDLE1_Y), height: lerp(REPLAY_FRAME.PADDLE1_HEIGHT) },
+      paddle2: { y: lerp(REPLAY_FRAME.PADDLE2_Y), height: lerp(REPLAY_FRAME.PADDLE2_HEIGHT) },
+      scores: [a[REPLAY_FRAME.SCORE1], a[REPLAY_FRAME.SCORE2]],
+      powerups: powerups.map(([type, x, y]) => ({ type, x, y }))
+    };
+  }
+}
+
+// Export for Node.js/testing environments
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { ReplayRecorder, ReplayPlayer, REPLAY_VERSION };
+}
@@ -0,0 +1,72 @@
+/**
+ * Seedable random number generator for Pong game
+ * Lets a match be reproduced exactly from its seed and input log.
+ * Generators are plain functions returning [0, 1), so Math.random can be used
+ * anywhere a generator is accepted.
+ */
+
+const RNG = {
+  /**
+   * Create a seeded generator (mulberry32)
+   * @param {number|string} [seed] - Seed; a random one is chosen if omitted
+   * @returns {Function} Generator returning numbers in [0, 1), with
+   *   `seed`, `getState()` and `setState(state)` properties
+   */
+  create(seed = RNG.randomSeed()) {
+    const normalizedSeed = RNG.normalizeSeed(seed);
+    let state = normalizedSeed;
+
+    const random = () => {
+      state = (state + 0x6D2B79F5) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+
+    random.seed = normalizedSeed;
+    random.getState = () => state;
+    random.setState = (newState) => {
+      state = newState >>> 0;
+    };
+
+    return random;
+  },
+
+  /**
+   * Convert a seed to an unsigned 32-bit integer
+   * Strings (e.g. from a bug report) are hashed so any text works as a seed.
+   * @param {number|string} seed - Seed value
+   * @returns {number} Unsigned 32-bit seed
+   */
+  normalizeSeed(seed) {
+    if (typeof seed === 'string') {
+      // FNV-1a hash
+      let hash = 0x811C9DC5;
+      for (let i = 0; i < seed.length; i++) {
+        hash ^= seed.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+      }
+      return hash >>> 0;
+    }
+
+    if (typeof seed !== 'number' || !isFinite(seed)) {
+      return 0;
+    }
+
+    return Math.floor(seed) >>> 0;
+  },
+
+  /**
+   * Pick a fresh random seed
+   * @returns {number} Unsigned 32-bit seed
+   */
+  randomSeed() {
+    return Math.floor(Math.random() * 4294967296) >>> 0;
+  }
+};
+
+// Export for Node.js/testing environments
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = RNG;
+}
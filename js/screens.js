@@ -30,6 +30,7 @@ const Screens = {
           <button class="menu-btn" data-action="play" data-testid="play-button">PLAY</button>
           <button class="menu-btn" data-action="settings" data-testid="settings-button">SETTINGS</button>
           <button class="menu-btn" data-action="leaderboard" data-testid="leaderboard-button">LEADERBOARD</button>
+          <button class="menu-btn" data-action="replays" data-testid="replays-button">REPLAYS</button>
           <button class="menu-btn" data-action="howto">HOW TO PLAY</button>
         </div>
       </div>
@@ -153,6 +154,12 @@ const Screens = {
               ${settings.scanlinesEnabled ? 'ON' : 'OFF'}
             </button>
           </div>
+          <div class="setting-item">
+            <label>Net Debug</label>
+            <button class="toggle-btn ${settings.netDebugEnabled ? 'on' : ''}" data-setting="netDebugEnabled" data-value="${settings.netDebugEnabled}">
+              ${settings.netDebugEnabled ? 'ON' : 'OFF'}
+            </button>
+          </div>
         </div>
         <button class="back-btn" data-action="back" data-testid="back-button">← BACK</button>
       </div>
@@ -196,8 +203,9 @@ const Screens = {
   /**
    * Show leaderboard screen with tabs
    * @param {string} [activeTab='local'] - Which tab to show ('local' or 'global')
+   * @param {number|null} [season=null] - Season to rank on the global tab, or null for all-time
    */
-  showLeaderboard(activeTab = 'local') {
+  showLeaderboard(activeTab = 'local', season = null) {
     this.currentScreen = 'leaderboard';
     const stats = Storage.getLocalStats();
 
@@ -208,6 +216,11 @@ const Screens = {
           <button class="tab-btn ${activeTab === 'local' ? 'active' : ''}" data-action="leaderboardTab" data-value="local" data-testid="tab-local">YOUR STATS</button>
           <button class="tab-btn ${activeTab === 'global' ? 'active' : ''}" data-action="leaderboardTab" data-value="global" data-testid="tab-global">GLOBAL</button>
         </div>
+        ${activeTab === 'global' ? `
+          <select id="season-select" class="text-input season-select" data-testid="season-select">
+            <option value="">ALL TIME</option>
+          </select>
+        ` : ''}
         <div class="leaderboard-content" id="leaderboard-content">
           ${activeTab === 'local' ? this._renderLocalStats(stats) : '<div class="loading-indicator"><span class="dot"></span><span class="dot"></span><span class="dot"></span></div>'}
         </div>
@@ -218,7 +231,10 @@ const Screens = {
     
     // If global tab, fetch and render leaderboard data
     if (activeTab === 'global') {
-      this._fetchAndRenderGlobalLeaderboard();
+      document.getElementById('season-select').addEventListener('change', (e) => {
+        this.showLeaderboard('global', e.target.value ? parseInt(e.target.value, 10) : null);
+      });
+      this._fetchAndRenderGlobalLeaderboard(season);
     }
   },
 
@@ -261,9 +277,10 @@ const Screens = {
 
   /**
    * Fetch and render global leaderboard
+   * @param {number|null} [season=null] - Season number, or null for all-time
    * @private
    */
-  async _fetchAndRenderGlobalLeaderboard() {
+  async _fetchAndRenderGlobalLeaderboard(season = null) {
     const contentEl = document.getElementById('leaderboard-content');
     if (!contentEl) return;
     
@@ -273,7 +290,11 @@ const Screens = {
       return;
     }
     
-    const { data, error } = await Leaderboard.getGlobalLeaderboard(50);
+    const [{ data, error }, seasons] = await Promise.all([
+      Leaderboard.getGlobalLeaderboard(50, season),
+      Leaderboard.getSeasons()
+    ]);
+    this._renderSeasonOptions(seasons.data || [], season);
     
     if (error) {
       contentEl.innerHTML = this._renderGlobalError(error);
@@ -286,6 +307,25 @@ const Screens = {
     }
     
     contentEl.innerHTML = this._renderGlobalLeaderboard(data);
+    // Rows arrive after the initial listener pass, so bind them separately
+    this.attachButtonListeners(contentEl);
+  },
+
+  /**
+   * Fill the season selector, keeping the shown season selected
+   * @param {Array} seasons - Seasons from Leaderboard.getSeasons, newest first
+   * @param {number|null} selected - Season being shown, or null for all-time
+   * @private
+   */
+  _renderSeasonOptions(seasons, selected) {
+    const select = document.getElementById('season-select');
+    if (!select) return;
+
+    const options = seasons.map(season => {
+      const label = `${season.name}${season.is_active ? ' (CURRENT)' : ''}`.toUpperCase();
+      return `<option value="${season.number}" ${season.number === selected ? 'selected' : ''}>${this.sanitizeHTML(label)}</option>`;
+    }).join('');
+    select.innerHTML = `<option value="">ALL TIME</option>${options}`;
   },
 
   /**
@@ -296,17 +336,18 @@ const Screens = {
    */
   _renderGlobalLeaderboard(entries) {
     const rows = entries.map((entry, index) => {
-      const formatted = Leaderboard.formatEntry(entry, index + 1);
+      // Archived seasons keep the rank they finished with
+      const formatted = Leaderboard.formatEntry(entry, entry.final_rank || index + 1);
       const rankClass = index < 3 ? `rank-${index + 1}` : '';
       // Format win percentage to 1 decimal place
       const winPct = typeof formatted.winPercentage === 'number' 
         ? formatted.winPercentage.toFixed(1) 
         : formatted.winPercentage;
       return `
-        <tr class="leaderboard-row ${rankClass}">
+        <tr class="leaderboard-row ${rankClass}" data-action="viewProfile" data-value="${this.sanitizeHTML(formatted.username)}">
           <td class="rank">${formatted.rank}</td>
           <td class="username">${this.sanitizeHTML(formatted.username)}</td>
-          <td class="elo">${formatted.elo}</td>
+          <td class="elo">${formatted.elo}${this._renderProvisionalBadge(formatted)}</td>
           <td class="wins">${formatted.gamesWon}</td>
           <td class="winrate">${winPct}%</td>
         </tr>
@@ -333,6 +374,18 @@ const Screens = {
     `;
   },
 
+  /**
+   * Render a badge for ratings that are still settling
+   * @param {Object} formatted - Entry from Leaderboard.formatEntry
+   * @returns {string} HTML string (empty for established ratings)
+   * @private
+   */
+  _renderProvisionalBadge(formatted) {
+    return formatted.provisional
+      ? '<span class="provisional-badge" title="Provisional rating: not enough recent games yet">?</span>'
+      : '';
+  },
+
   /**
    * Render error state for global leaderboard
    * @param {string} errorMsg - Error message
@@ -355,6 +408,165 @@ const Screens = {
     `;
   },
 
+  /**
+   * Show a player's online profile: stats, rating history, recent matches and
+   * the head-to-head record against the viewer
+   * @param {string} username - Player to show
+   * @param {Object} [options]
+   * @param {string} [options.viewer] - Local player's username, for the head-to-head record
+   * @param {string} [options.backAction='leaderboardTab'] - Action for the back button
+   * @param {string} [options.backValue='global'] - Value for the back button
+   */
+  showPlayerProfile(username, options = {}) {
+    this.currentScreen = 'playerProfile';
+    const { viewer = null, backAction = 'leaderboardTab', backValue = 'global' } = options;
+
+    this.overlay.innerHTML = `
+      <div class="screen profile-screen" data-testid="profile-screen">
+        <h2 class="subtitle">${this.sanitizeHTML(username)}</h2>
+        <div class="leaderboard-content" id="profile-stats">
+          <div class="loading-indicator"><span class="dot"></span><span class="dot"></span><span class="dot"></span></div>
+        </div>
+        <p class="stat-label">RATING HISTORY</p>
+        <canvas id="rating-sparkline" class="rating-sparkline" width="300" height="90" data-testid="rating-sparkline"></canvas>
+        <p class="rating-history-status" id="rating-history-status"></p>
+        <div id="profile-matches"></div>
+        <button class="back-btn" data-action="${this.sanitizeHTML(backAction)}" data-value="${this.sanitizeHTML(backValue)}" data-testid="back-button">← BACK</button>
+      </div>
+    `;
+    this.attachButtonListeners();
+
+    if (typeof Leaderboard === 'undefined') {
+      document.getElementById('profile-stats').innerHTML = this._renderGlobalError('Leaderboard module not loaded');
+      return;
+    }
+
+    this._fetchAndRenderProfile(username, viewer);
+    this._fetchAndRenderRatingHistory(username);
+  },
+
+  /**
+   * Fetch a player profile and render its stats and match sections
+   * @param {string} username - Player to fetch
+   * @param {string|null} viewer - Local player's username
+   * @private
+   */
+  async _fetchAndRenderProfile(username, viewer) {
+    const { data, error } = await Leaderboard.getPlayerProfile(username, viewer);
+    const contentEl = document.getElementById('profile-stats');
+    const matchesEl = document.getElementById('profile-matches');
+    if (!contentEl || !matchesEl || this.currentScreen !== 'playerProfile') return;
+
+    if (error) {
+      contentEl.innerHTML = this._renderGlobalError(error);
+      return;
+    }
+    if (!data) {
+      contentEl.innerHTML = `
+        <div class="leaderboard-empty">
+          <p class="empty-text">No ranked games yet</p>
+          <p class="empty-detail">Guests and new players have no profile</p>
+        </div>
+      `;
+      return;
+    }
+
+    const stat = (label, value) => `
+        <div class="stat-item">
+          <span class="stat-label">${label}</span>
+          <span class="stat-value">${value}</span>
+        </div>`;
+    contentEl.innerHTML = `
+      <div class="stats-list">
+        ${stat('Elo', `${data.elo}${this._renderProvisionalBadge(data)}`)}
+        ${stat('Win Rate', `${data.winPercentage.toFixed(1)}%`)}
+        ${stat('Wins / Losses', `${data.gamesWon} / ${data.gamesLost}`)}
+        ${stat('Current Streak', data.currentStreak)}
+        ${stat('Best Streak', data.bestStreak)}
+        ${stat('Longest Rally', data.longestRally)}
+      </div>
+    `;
+
+    matchesEl.innerHTML = `
+      ${this._renderHeadToHead(data)}
+      <p class="stat-label">RECENT MATCHES</p>
+      ${this._renderRecentMatches(data.recentMatches)}
+    `;
+  },
+
+  /**
+   * Render the viewer's head-to-head record against a profiled player
+   * @param {Object} profile - Profile from Leaderboard.getPlayerProfile
+   * @returns {string} HTML string (empty without a record)
+   * @private
+   */
+  _renderHeadToHead(profile) {
+    const record = profile.headToHead;
+    if (!record) return '';
+
+    const played = record.viewerWins + record.playerWins;
+    return `
+      <p class="head-to-head" data-testid="head-to-head">
+        ${played === 0
+          ? 'You have not played each other yet'
+          : `YOU ${record.viewerWins} - ${record.playerWins} ${this.sanitizeHTML(profile.username)}`}
+      </p>
+    `;
+  },
+
+  /**
+   * Render a profile's recent matches
+   * @param {Object[]} matches - Matches from the profile, newest first
+   * @returns {string} HTML string
+   * @private
+   */
+  _renderRecentMatches(matches) {
+    if (!matches || matches.length === 0) {
+      return '<p class="rating-history-status">No matches yet</p>';
+    }
+
+    const rows = matches.map(match => {
+      const date = new Date(match.playedAt);
+      const dateText = isNaN(date.getTime()) ? '' : date.toLocaleDateString();
+      return `
+        <div class="replay-item" data-testid="recent-match">
+          <div class="replay-info">
+            <span class="replay-title ${match.won ? 'cyan' : 'pink'}">${match.won ? 'WIN' : 'LOSS'} vs ${this.sanitizeHTML(match.opponent || 'Unknown')}</span>
+            <span class="replay-detail">${match.score[0]} - ${match.score[1]}${match.forfeit ? ' (forfeit)' : ''} • ${this.sanitizeHTML(String(match.gameMode).toUpperCase())} • ${this.sanitizeHTML(dateText)}</span>
+          </div>
+        </div>
+      `;
+    }).join('');
+
+    return `<div class="replay-list profile-matches">${rows}</div>`;
+  },
+
+  /**
+   * Fetch a player's rating history and draw it as a sparkline
+   * @param {string} username - Player to fetch
+   * @private
+   */
+  async _fetchAndRenderRatingHistory(username) {
+    const { data, error } = await Leaderboard.getRatingHistory(username);
+    const canvas = document.getElementById('rating-sparkline');
+    const statusEl = document.getElementById('rating-history-status');
+    if (!canvas || !statusEl || this.currentScreen !== 'playerProfile') return;
+
+    if (error) {
+      statusEl.textContent = 'Rating history unavailable';
+      return;
+    }
+    if (!data || data.length === 0) {
+      statusEl.textContent = 'No rated matches yet';
+      return;
+    }
+
+    const ratings = [data[0].before, ...data.map(entry => entry.after)];
+    Renderer.drawSparkline(canvas.getContext('2d'), canvas, ratings);
+    const change = ratings[ratings.length - 1] - ratings[0];
+    statusEl.textContent = `${data.length} MATCHES  ${change >= 0 ? '+' : ''}${change}`;
+  },
+
   /**
    * Render empty state for global leaderboard
    * @returns {string} HTML string
@@ -370,6 +582,108 @@ const Screens = {
     `;
   },
 
+  /**
+   * Show replays screen
+   * @param {Object[]} replays - Saved replays, newest first
+   */
+  showReplays(replays) {
+    this.currentScreen = 'replays';
+    const rows = replays.map(replay => {
+      const date = new Date(replay.createdAt);
+      const dateText = isNaN(date.getTime()) ? '' : date.toLocaleDateString();
+      const scores = replay.scores || [0, 0];
+      return `
+        <div class="replay-item" data-testid="replay-item">
+          <div class="replay-info">
+            <span class="replay-title">${this.sanitizeHTML(String(replay.mode).toUpperCase())} • ${this.sanitizeHTML(String(replay.variant).toUpperCase())}</span>
+            <span class="replay-detail">${scores[0]} - ${scores[1]} • ${Utils.formatTime(replay.duration || 0)} • ${this.sanitizeHTML(dateText)}</span>
+          </div>
+          <div class="replay-actions">
+            <button class="toggle-btn" data-action="playReplay" data-value="${this.sanitizeHTML(replay.id)}" data-testid="play-replay">▶</button>
+            <button class="toggle-btn" data-action="exportReplay" data-value="${this.sanitizeHTML(replay.id)}" title="Export">⤓</button>
+            <button class="toggle-btn" data-action="deleteReplay" data-value="${this.sanitizeHTML(replay.id)}" title="Delete">✕</button>
+          </div>
+        </div>
+      `;
+    }).join('');
+
+    this.overlay.innerHTML = `
+      <div class="screen replays-screen" data-testid="replays-screen">
+        <h2 class="subtitle">REPLAYS</h2>
+        <div class="replay-list">
+          ${rows || `
+            <div class="leaderboard-empty">
+              <p class="empty-text">No replays yet!</p>
+              <p class="empty-detail">Finished matches are saved here</p>
+            </div>
+          `}
+        </div>
+        <div class="menu-buttons">
+          <button class="menu-btn" data-import-replay data-testid="import-replay">IMPORT</button>
+          <input type="file" id="replay-file-input" accept=".json,application/json" class="hidden-input">
+        </div>
+        <button class="back-btn" data-action="back" data-testid="back-button">← BACK</button>
+      </div>
+    `;
+    this.attachButtonListeners();
+    this.attachReplayImportListener();
+    this.overlay.classList.remove('hidden');
+  },
+
+  /**
+   * Show replay playback controls over the canvas
+   * @param {ReplayPlayer} player - Replay being played
+   */
+  showReplayControls(player) {
+    this.currentScreen = 'replay';
+    const speeds = ReplayPlayer.SPEEDS.map(speed => `
+      <button class="toggle-btn replay-speed ${speed === player.speed ? 'on' : ''}" data-action="replaySpeed" data-value="${speed}">${speed}x</button>
+    `).join('');
+
+    this.overlay.innerHTML = `
+      <div class="replay-controls" data-testid="replay-controls">
+        <button class="toggle-btn" data-action="replayPause" id="replay-pause" data-testid="replay-pause">${player.paused ? '▶' : '❚❚'}</button>
+        <input type="range" class="replay-scrub" id="replay-scrub" min="0" max="${player.duration}" value="${player.time}" data-testid="replay-scrub">
+        <span class="replay-time" id="replay-time">${Utils.formatTime(player.time)} / ${Utils.formatTime(player.duration)}</span>
+        ${speeds}
+        <button class="back-btn" data-action="replayExit" data-testid="replay-exit">EXIT</button>
+      </div>
+    `;
+    this.overlay.classList.add('replay-mode');
+    this.attachButtonListeners();
+    this.attachReplayScrubListeners();
+    this.overlay.classList.remove('hidden');
+  },
+
+  /**
+   * Refresh replay controls for the current playback position
+   * @param {ReplayPlayer} player - Replay being played
+   */
+  updateReplayControls(player) {
+    if (this.currentScreen !== 'replay') {
+      return;
+    }
+
+    const scrub = document.getElementById('replay-scrub');
+    if (scrub && !this._scrubbing) {
+      scrub.value = player.time;
+    }
+
+    const time = document.getElementById('replay-time');
+    if (time) {
+      time.textContent = `${Utils.formatTime(player.time)} / ${Utils.formatTime(player.duration)}`;
+    }
+
+    const pause = document.getElementById('replay-pause');
+    if (pause) {
+      pause.textContent = player.paused ? '▶' : '❚❚';
+    }
+
+    this.overlay.querySelectorAll('.replay-speed').forEach(button => {
+      button.classList.toggle('on', Number(button.dataset.value) === player.speed);
+    });
+  },
+
   /**
    * Show pause menu
    */
@@ -422,14 +736,173 @@ const Screens = {
    */
   showOnlineLobby() {
     this.currentScreen = 'onlineLobby';
+    const auth = Storage.getAuth();
+    const account = auth
+      ? `Signed in as ${this.sanitizeHTML(auth.username)}`
+      : 'Playing as a guest (unranked)';
     this.overlay.innerHTML = `
       <div class="screen online-lobby">
         <h2 class="subtitle">ONLINE PLAY</h2>
+        <p class="account-status" data-testid="account-status">${account}</p>
         <div class="menu-buttons">
           <button class="menu-btn" data-action="quickMatch" data-testid="quick-match">QUICK MATCH</button>
           <button class="menu-btn" data-action="createRoom" data-testid="create-room">CREATE ROOM</button>
           <button class="menu-btn" data-action="joinRoom" data-testid="join-room">JOIN ROOM</button>
+          <button class="menu-btn" data-action="browseRooms" data-testid="browse-rooms">BROWSE ROOMS</button>
+          <button class="menu-btn" data-action="friends" data-testid="friends">FRIENDS</button>
+          <button class="menu-btn" data-action="tournaments" data-testid="tournaments">TOURNAMENT</button>
+          <button class="menu-btn" data-action="account" data-testid="account">ACCOUNT</button>
+        </div>
+        <button class="back-btn" data-action="onlineBack" data-testid="back-button">← BACK</button>
+      </div>
+    `;
+    this.attachButtonListeners();
+    this.overlay.classList.remove('hidden');
+  },
+
+  /**
+   * Show the private room setup: game mode, series length and custom rules.
+   * Rules left blank keep the mode's standard value.
+   * @param {string|null} [challenge=null] - Friend to challenge to the room (challenge rooms are never public)
+   */
+  showRoomRules(challenge = null) {
+    this.currentScreen = 'roomRules';
+    const friend = challenge ? this.sanitizeHTML(challenge) : null;
+    const bounds = CONFIG.ROOM_RULES;
+    const number = (id, label, range, step) => `
+          <div class="setting-item">
+            <label for="${id}">${label}</label>
+            <input type="number" id="${id}" class="text-input" min="${range.MIN}" max="${range.MAX}" step="${step}"
+                   placeholder="${range.MIN}-${range.MAX}" data-testid="${id}">
+          </div>`;
+    const powerups = Object.values(POWERUP_TYPES).map(type => `
+          <label class="room-powerup">
+            <input type="checkbox" value="${type.name}" checked>
+            <span>${type.icon} ${type.description}</span>
+          </label>`).join('');
+
+    this.overlay.innerHTML = `
+      <div class="screen room-rules-screen" data-testid="room-rules-screen">
+        <h2 class="subtitle">${friend ? `CHALLENGE ${friend}` : 'PRIVATE ROOM'}</h2>
+        <div class="settings-list">
+          <div class="setting-item">
+            <label for="room-mode-select">Mode</label>
+            <select id="room-mode-select" class="text-input" data-testid="room-mode-select">
+              <option value="classic">CLASSIC</option>
+              <option value="chaos">CHAOS</option>
+              <option value="speedrun">SPEED RUN</option>
+            </select>
+          </div>
+          ${friend ? '' : `<div class="setting-item">
+            <label for="room-public">Public</label>
+            <input type="checkbox" id="room-public" data-testid="room-public">
+          </div>`}
+          <div class="setting-item">
+            <label for="best-of-select">Series</label>
+            <select id="best-of-select" class="text-input" data-testid="best-of-select">
+              <option value="1">SINGLE GAME</option>
+              <option value="3">BEST OF 3</option>
+              <option value="5">BEST OF 5</option>
+              <option value="7">BEST OF 7</option>
+            </select>
+          </div>
+          ${number('rule-win-score', 'Win score', bounds.WIN_SCORE, 1)}
+          <div class="setting-item">
+            <label for="rule-win-by-two">Win by two</label>
+            <input type="checkbox" id="rule-win-by-two" data-testid="rule-win-by-two">
+          </div>
+          ${number('rule-ball-speed', 'Ball speed', bounds.BALL_SPEED, 0.5)}
+          ${number('rule-speed-increment', 'Speed-up per hit', bounds.SPEED_INCREMENT, 0.1)}
+          ${number('rule-paddle-height', 'Paddle size', bounds.PADDLE_HEIGHT, 10)}
+        </div>
+        <p class="input-hint">Leave a rule blank to keep the mode's standard value${friend ? '' : '. Public rooms play by the standard rules'}</p>
+        <div class="room-powerups" id="room-powerups" data-testid="room-powerups">
+          <p class="stat-label">CHAOS POWER-UPS</p>
+          ${powerups}
+        </div>
+        <div class="menu-buttons">
+          ${friend
+            ? `<button class="menu-btn" data-action="submitChallenge" data-value="${friend}" data-testid="submit-challenge">SEND CHALLENGE</button>`
+            : '<button class="menu-btn" data-action="submitRoomRules" data-testid="submit-room-rules">CREATE ROOM</button>'}
+        </div>
+        <button class="back-btn" data-action="${friend ? 'friends' : 'onlineBack'}" data-testid="back-button">← BACK</button>
+      </div>
+    `;
+    this.attachButtonListeners();
+    this.overlay.classList.remove('hidden');
+  },
+
+  /**
+   * Describe a room's custom rules
+   * @param {Object|null} rules - Rules from the server (null for the standard rules)
+   * @returns {string} HTML
+   */
+  _renderRoomRules(rules) {
+    if (!rules) {
+      return '<p class="input-hint">Standard rules</p>';
+    }
+
+    const allPowerups = Object.values(POWERUP_TYPES);
+    let powerups = 'NONE';
+    if (rules.powerups.length === allPowerups.length) {
+      powerups = 'ALL';
+    } else if (rules.powerups.length > 0) {
+      powerups = allPowerups
+        .filter(type => rules.powerups.includes(type.name))
+        .map(type => type.icon)
+        .join(' ');
+    }
+
+    const rows = [
+      ['Win score', `${rules.winScore}${rules.winByTwo ? ' (win by 2)' : ''}`],
+      ['Ball speed', rules.ballSpeed],
+      ['Speed-up per hit', rules.speedIncrement],
+      ['Paddle size', rules.paddleHeight],
+      ['Power-ups', powerups]
+    ];
+    return `
+      <ul class="room-rules" data-testid="room-rules">
+        ${rows.map(([label, value]) => `<li><span>${label}</span><span>${this.sanitizeHTML(String(value))}</span></li>`).join('')}
+      </ul>`;
+  },
+
+  /**
+   * Show a room's rules before joining it
+   * @param {Object} info - Room info from the server { roomCode, host, gameMode, bestOf, rules }
+   */
+  showRoomPreview(info) {
+    this.currentScreen = 'roomPreview';
+    const host = info.host ? `${this.sanitizeHTML(info.host)}'s room` : 'Private room';
+    const series = info.bestOf > 1 ? ` - BEST OF ${info.bestOf}` : '';
+    this.overlay.innerHTML = `
+      <div class="screen room-preview-screen" data-testid="room-preview">
+        <h2 class="subtitle">JOIN ROOM</h2>
+        <p class="status-message">${host}: ${this.sanitizeHTML(info.gameMode.toUpperCase())}${series}</p>
+        ${this._renderRoomRules(info.rules)}
+        <div class="menu-buttons">
+          <button class="menu-btn" data-action="confirmJoinRoom" data-value="${this.sanitizeHTML(info.roomCode)}"
+                  data-testid="confirm-join-room">JOIN</button>
+        </div>
+        <button class="back-btn" data-action="joinRoom" data-testid="back-button">← BACK</button>
+      </div>
+    `;
+    this.attachButtonListeners();
+    this.overlay.classList.remove('hidden');
+  },
+
+  /**
+   * Show the public lobby browser
+   * The list starts loading and is filled in by updateLobbyBrowser.
+   */
+  showLobbyBrowser() {
+    this.currentScreen = 'lobbyBrowser';
+    this.overlay.innerHTML = `
+      <div class="screen lobby-browser" data-testid="lobby-browser">
+        <h2 class="subtitle">OPEN ROOMS</h2>
+        <div class="lobby-rooms" id="lobby-rooms" data-testid="lobby-rooms">
+          <p class="status-message">Loading...</p>
         </div>
+        <p class="input-hint">Public rooms appear here until someone joins</p>
         <button class="back-btn" data-action="onlineBack" data-testid="back-button">← BACK</button>
       </div>
     `;
@@ -438,25 +911,168 @@ const Screens = {
   },
 
   /**
-   * Show username input screen
+   * Replace the rooms listed in the lobby browser
+   * @param {Object[]} rooms - Open rooms [{ roomCode, host, gameMode, bestOf, elo }]
+   */
+  updateLobbyBrowser(rooms) {
+    const list = document.getElementById('lobby-rooms');
+    if (!list) {
+      return;
+    }
+
+    if (rooms.length === 0) {
+      list.innerHTML = '<p class="status-message">No open rooms. Create a public room to start one!</p>';
+      return;
+    }
+
+    list.innerHTML = rooms.map(room => `
+      <button class="lobby-room" data-action="browseJoin" data-value="${this.sanitizeHTML(room.roomCode)}"
+              data-testid="lobby-room">
+        <span class="lobby-room-host">${this.sanitizeHTML(room.host)}</span>
+        <span class="lobby-room-mode">${this.sanitizeHTML(room.gameMode.toUpperCase())}${room.bestOf > 1 ? ` BO${room.bestOf}` : ''}</span>
+        <span class="lobby-room-elo">${room.elo}</span>
+      </button>`).join('');
+    this.attachButtonListeners(list);
+  },
+
+  /**
+   * Show the friends panel
+   * The list starts loading and is filled in by updateFriends.
+   */
+  showFriends() {
+    this.currentScreen = 'friends';
+    this.overlay.innerHTML = `
+      <div class="screen friends-screen" data-testid="friends-screen">
+        <h2 class="subtitle">FRIENDS</h2>
+        <div class="input-group">
+          <input type="text" id="friend-name-input" class="text-input"
+                 placeholder="Username" maxlength="20" data-testid="friend-name-input">
+        </div>
+        <div class="menu-buttons">
+          <button class="menu-btn" data-action="addFriend" data-testid="add-friend">ADD FRIEND</button>
+        </div>
+        <div class="friends-list" id="friends-list" data-testid="friends-list">
+          <p class="status-message">Loading...</p>
+        </div>
+        <button class="back-btn" data-action="onlineBack" data-testid="back-button">← BACK</button>
+      </div>
+    `;
+    this.attachButtonListeners();
+    this.overlay.classList.remove('hidden');
+  },
+
+  /**
+   * Replace the friends and requests shown in the friends panel
+   * @param {Object} list - { friends: [{ username, presence }], incoming: string[], outgoing: string[] }
+   */
+  updateFriends(list) {
+    const container = document.getElementById('friends-list');
+    if (!container) {
+      return;
+    }
+
+    const presenceLabels = { online: 'ONLINE', 'in-game': 'IN GAME', offline: 'OFFLINE' };
+    const row = (username, status, buttons) => {
+      const name = this.sanitizeHTML(username);
+      return `
+        <div class="friend-row" data-testid="friend-row">
+          <span class="friend-name">${name}</span>
+          ${status}
+          ${buttons.map(([action, label]) => `<button data-action="${action}" data-value="${name}">${label}</button>`).join('')}
+        </div>`;
+    };
+
+    const incoming = list.incoming.map(username =>
+      row(username, '<span class="friend-presence">WANTS TO BE FRIENDS</span>',
+        [['acceptFriend', 'ACCEPT'], ['removeFriend', 'DECLINE']]));
+    const friends = list.friends.map(friend =>
+      row(friend.username, `<span class="friend-presence ${friend.presence}">${presenceLabels[friend.presence]}</span>`,
+        friend.presence === 'online'
+          ? [['challengeFriend', 'CHALLENGE'], ['removeFriend', 'REMOVE']]
+          : [['removeFriend', 'REMOVE']]));
+    const outgoing = list.outgoing.map(username =>
+      row(username, '<span class="friend-presence">REQUEST SENT</span>', [['removeFriend', 'CANCEL']]));
+
+    const rows = [...incoming, ...friends, ...outgoing];
+    container.innerHTML = rows.length > 0
+      ? rows.join('')
+      : '<p class="status-message">No friends yet. Add someone by their username!</p>';
+    this.attachButtonListeners(container);
+  },
+
+  /**
+   * Show a friend's challenge with the room's rules
+   * @param {Object} challenge - { from, roomCode, gameMode, bestOf, rules }
+   */
+  showChallenge(challenge) {
+    this.currentScreen = 'challenge';
+    const series = challenge.bestOf > 1 ? ` - BEST OF ${challenge.bestOf}` : '';
+    const roomCode = this.sanitizeHTML(challenge.roomCode);
+    this.overlay.innerHTML = `
+      <div class="screen challenge-screen" data-testid="challenge">
+        <h2 class="subtitle">CHALLENGE!</h2>
+        <p class="status-message">${this.sanitizeHTML(challenge.from)} challenges you: ${this.sanitizeHTML(challenge.gameMode.toUpperCase())}${series}</p>
+        ${this._renderRoomRules(challenge.rules)}
+        <div class="menu-buttons">
+          <button class="menu-btn cyan" data-action="acceptChallenge" data-value="${roomCode}" data-testid="accept">ACCEPT</button>
+          <button class="menu-btn pink" data-action="declineChallenge" data-value="${roomCode}" data-testid="decline">DECLINE</button>
+        </div>
+      </div>
+    `;
+    this.attachButtonListeners();
+    this.overlay.classList.remove('hidden');
+  },
+
+  /**
+   * Show the sign-in screen (log in, sign up or play as a guest)
+   * When already signed in, offers to continue or log out instead.
    */
   showUsernameInput() {
     this.currentScreen = 'usernameInput';
-    const savedUsername = Storage.getUsername();
+    const auth = Storage.getAuth();
+    
+    if (auth) {
+      this.overlay.innerHTML = `
+        <div class="screen username-screen">
+          <h2 class="subtitle">SIGNED IN AS ${this.sanitizeHTML(auth.username)}</h2>
+          <div class="menu-buttons">
+            <button class="menu-btn" data-action="continueSignedIn" data-testid="continue-signed-in">CONTINUE</button>
+            <button class="menu-btn" data-action="logout" data-testid="logout">LOG OUT</button>
+          </div>
+          <button class="back-btn" data-action="onlineBack" data-testid="back-button">← BACK</button>
+        </div>
+      `;
+      this.attachButtonListeners();
+      this.overlay.classList.remove('hidden');
+      return;
+    }
+    
+    const savedUsername = this.sanitizeHTML(Storage.getUsername());
     
     this.overlay.innerHTML = `
       <div class="screen username-screen">
-        <h2 class="subtitle">ENTER USERNAME</h2>
+        <h2 class="subtitle">SIGN IN</h2>
         <div class="input-group">
           <input type="text" id="username-input" class="text-input" 
                  placeholder="Username" maxlength="20" 
                  value="${savedUsername}" data-testid="username-input">
           <p class="input-hint">3-20 characters, letters, numbers, _ and -</p>
+          <input type="password" id="password-input" class="text-input" 
+                 placeholder="Password" maxlength="128" 
+                 autocomplete="current-password" data-testid="password-input">
+          <p class="input-hint">At least 8 characters. Leave empty to play as a guest.</p>
+          <input type="text" id="claim-code-input" class="text-input" 
+                 placeholder="Claim code (optional)" maxlength="32" 
+                 autocomplete="off" data-testid="claim-code-input">
+          <p class="input-hint">Played before accounts? Ask for a claim code to sign up with your old name and stats.</p>
         </div>
         <div class="menu-buttons">
-          <button class="menu-btn" data-action="submitUsername" data-testid="submit-username">CONTINUE</button>
+          <button class="menu-btn" data-action="login" data-testid="login">LOG IN</button>
+          <button class="menu-btn" data-action="signup" data-testid="signup">SIGN UP</button>
+          <button class="menu-btn" data-action="submitUsername" data-testid="submit-username">PLAY AS GUEST</button>
         </div>
-        <button class="back-btn" data-action="back" data-testid="back-button">← BACK</button>
+        <p class="input-hint">Guest games are not ranked</p>
+        <button class="back-btn" data-action="onlineBack" data-testid="back-button">← BACK</button>
       </div>
     `;
     this.attachButtonListeners();
@@ -475,10 +1091,11 @@ const Screens = {
           <input type="text" id="room-code-input" class="text-input" 
                  placeholder="ROOM CODE" maxlength="6" 
                  style="text-transform: uppercase;" data-testid="room-code-input">
-          <p class="input-hint">Enter 6-character room code</p>
+          <p class="input-hint">Enter 6-character room code to play or watch</p>
         </div>
         <div class="menu-buttons">
           <button class="menu-btn" data-action="submitRoomCode" data-testid="submit-room-code">JOIN</button>
+          <button class="menu-btn" data-action="spectateRoom" data-testid="spectate-room">WATCH</button>
         </div>
         <button class="back-btn" data-action="onlineBack" data-testid="back-button">← BACK</button>
       </div>
@@ -501,18 +1118,21 @@ const Screens = {
   /**
    * Show waiting for opponent screen (room created)
    * @param {string} roomCode - The room code
+   * @param {Object|null} [rules=null] - The room's custom rules, if any
+   * @param {string|null} [challenged=null] - Friend we challenged to the room, if any
    */
-  showWaitingForOpponent(roomCode) {
+  showWaitingForOpponent(roomCode, rules = null, challenged = null) {
     this.currentScreen = 'waitingRoom';
     // Sanitize roomCode to prevent XSS (defensive measure even for server-generated codes)
     const sanitizedRoomCode = this.sanitizeHTML(roomCode);
     this.overlay.innerHTML = `
       <div class="screen waiting-screen">
-        <h2 class="subtitle">WAITING FOR OPPONENT</h2>
+        <h2 class="subtitle">WAITING FOR ${challenged ? this.sanitizeHTML(challenged) : 'OPPONENT'}</h2>
         <div class="room-code-display">
           <p class="room-label">SHARE THIS CODE:</p>
           <p class="room-code" data-testid="room-code">${sanitizedRoomCode}</p>
         </div>
+        ${rules ? this._renderRoomRules(rules) : ''}
         <div class="loading-indicator">
           <span class="dot"></span>
           <span class="dot"></span>
@@ -540,6 +1160,7 @@ const Screens = {
           <span class="dot"></span>
           <span class="dot"></span>
         </div>
+        <p class="queue-status" id="queue-status" data-testid="queue-status"></p>
         <button class="back-btn" data-action="cancelMatchmaking" data-testid="cancel-button">CANCEL</button>
       </div>
     `;
@@ -547,6 +1168,27 @@ const Screens = {
     this.overlay.classList.remove('hidden');
   },
 
+  /**
+   * Show queue position and estimated wait on the matchmaking screen
+   * @param {Object} status - Queue status from the server
+   * @param {number} status.position - Position in the queue for this game mode
+   * @param {number|null} [status.estimatedWait] - Estimated wait in seconds (null if unknown)
+   * @param {number} [status.penaltySeconds] - Time left to sit out for abandoned matches
+   */
+  updateMatchmakingStatus(status) {
+    const el = document.getElementById('queue-status');
+    if (!el || !status || !status.position) {
+      return;
+    }
+
+    const wait = typeof status.estimatedWait === 'number'
+      ? `about ${Utils.formatTime(status.estimatedWait * 1000)}`
+      : 'waiting for players';
+    el.textContent = status.penaltySeconds > 0
+      ? `Penalty for abandoned matches - searching in ${Utils.formatTime(status.penaltySeconds * 1000)}`
+      : `#${status.position} in queue - ${wait}`;
+  },
+
   /**
    * Show connecting screen
    */
@@ -586,13 +1228,19 @@ const Screens = {
 
   /**
    * Show opponent disconnected screen
+   * @param {boolean} [spectating=false] - True if we were watching rather than playing
+   * @param {number|null} [gracePeriod=null] - Time the opponent has to come back before forfeiting (ms)
    */
-  showOpponentDisconnected() {
+  showOpponentDisconnected(spectating = false, gracePeriod = null) {
     this.currentScreen = 'disconnected';
+    const forfeitText = gracePeriod
+      ? `<p class="status-message">If they are not back within ${Math.ceil(gracePeriod / 1000)}s, you win by forfeit.</p>`
+      : '';
     this.overlay.innerHTML = `
       <div class="screen disconnected-screen">
-        <h2 class="subtitle">OPPONENT LEFT</h2>
-        <p class="status-message">Your opponent has disconnected.</p>
+        <h2 class="subtitle">${spectating ? 'PLAYER LEFT' : 'OPPONENT LEFT'}</h2>
+        <p class="status-message">${spectating ? 'A player has disconnected.' : 'Your opponent has disconnected.'}</p>
+        ${forfeitText}
         <div class="menu-buttons">
           <button class="menu-btn" data-action="quickMatch" data-testid="find-new">FIND NEW MATCH</button>
           <button class="menu-btn" data-action="menu" data-testid="main-menu">MAIN MENU</button>
@@ -608,19 +1256,257 @@ const Screens = {
    * @param {number} winnerIndex - Winner (0 or 1)
    * @param {number[]} scores - Final scores [p1, p2]
    * @param {number} playerIndex - Local player index
+   * @param {Object} [options] - Match context
+   * @param {boolean} [options.tournament=false] - True for a bracket match (no rematches)
+   * @param {Object} [options.series] - Series { bestOf, players, wins, winner } for a best-of-N room
+   * @param {number|null} [options.nextGameIn] - Delay before the series' next game (ms)
+   * @param {boolean} [options.forfeit=false] - True if the loser abandoned the match
+   * @param {string} [options.username] - Local player's username (to read the series score)
+   * @param {string} [options.opponent] - Opponent's username (for the profile button)
    */
-  showOnlineGameOver(winnerIndex, scores, playerIndex) {
+  showOnlineGameOver(winnerIndex, scores, playerIndex, options = {}) {
     this.currentScreen = 'onlineGameover';
-    const isWinner = winnerIndex === playerIndex;
-    const winnerText = isWinner ? 'YOU WIN!' : 'YOU LOSE!';
+    const { tournament = false, series = null, nextGameIn = null, forfeit = false, username, opponent } = options;
+    const seriesOngoing = !!series && !series.winner;
+    let isWinner = winnerIndex === playerIndex;
+    let winnerText = isWinner ? 'YOU WIN!' : 'YOU LOSE!';
+    let seriesText = '';
+    const forfeitText = forfeit
+      ? `<p class="status-message" data-testid="forfeit">${isWinner ? 'Your opponent forfeited' : 'You forfeited'}</p>`
+      : '';
+
+    if (series) {
+      const mine = series.players.indexOf(username);
+      seriesText = `<p class="series-score" data-testid="series-score">SERIES ${series.wins[mine]} - ${series.wins[1 - mine]} (BEST OF ${series.bestOf})</p>`;
+      if (series.winner) {
+        isWinner = series.winner === username;
+        winnerText = isWinner ? 'SERIES WON!' : 'SERIES LOST!';
+      } else if (nextGameIn) {
+        seriesText += `<p class="status-message">Next game in ${Math.ceil(nextGameIn / 1000)}s - switching sides</p>`;
+      }
+    }
+
+    let buttons = `<button class="menu-btn" data-action="requestRematch" data-testid="rematch">REMATCH</button>
+          <button class="menu-btn" data-action="quickMatch" data-testid="new-match">NEW MATCH</button>`;
+    if (tournament) {
+      buttons = '<button class="menu-btn" data-action="showBracket" data-testid="show-bracket">BRACKET</button>';
+    } else if (seriesOngoing) {
+      buttons = '';
+    }
+    if (opponent && !seriesOngoing) {
+      buttons += `<button class="menu-btn" data-action="viewProfile" data-value="${this.sanitizeHTML(opponent)}" data-testid="view-opponent">VIEW ${this.sanitizeHTML(opponent.toUpperCase())}</button>`;
+    }
 
     this.overlay.innerHTML = `
       <div class="screen gameover-screen">
         <h2 class="winner-text ${isWinner ? 'cyan' : 'pink'}">${winnerText}</h2>
         <div class="final-score">${scores[0]} - ${scores[1]}</div>
+        ${forfeitText}
+        ${seriesText}
+        <div class="menu-buttons">
+          ${buttons}
+          <button class="menu-btn" data-action="menu" data-testid="main-menu">MAIN MENU</button>
+        </div>
+      </div>
+    `;
+    this.attachButtonListeners();
+    this.overlay.classList.remove('hidden');
+  },
+
+  /**
+   * Show the tournament screen (create a bracket or join one by code)
+   */
+  showTournamentLobby() {
+    this.currentScreen = 'tournamentLobby';
+    this.overlay.innerHTML = `
+      <div class="screen tournament-lobby">
+        <h2 class="subtitle">TOURNAMENT</h2>
+        <div class="input-group">
+          <input type="text" id="tournament-name-input" class="text-input"
+                 placeholder="Tournament name" maxlength="30" data-testid="tournament-name-input">
+          <div class="tournament-options">
+            <select id="tournament-size-select" class="text-input" data-testid="tournament-size">
+              <option value="4">4 PLAYERS</option>
+              <option value="8" selected>8 PLAYERS</option>
+              <option value="16">16 PLAYERS</option>
+            </select>
+            <select id="tournament-format-select" class="text-input" data-testid="tournament-format">
+              <option value="single">SINGLE ELIM</option>
+              <option value="double">DOUBLE ELIM</option>
+            </select>
+          </div>
+        </div>
+        <div class="menu-buttons">
+          <button class="menu-btn" data-action="createTournament" data-testid="create-tournament">CREATE</button>
+        </div>
+        <div class="input-group">
+          <input type="text" id="tournament-code-input" class="text-input"
+                 placeholder="TOURNAMENT CODE" maxlength="6"
+                 style="text-transform: uppercase;" data-testid="tournament-code-input">
+          <p class="input-hint">Players are seeded by rating when the bracket starts</p>
+        </div>
+        <div class="menu-buttons">
+          <button class="menu-btn" data-action="joinTournament" data-testid="join-tournament">JOIN</button>
+        </div>
+        <button class="back-btn" data-action="tournamentBack" data-testid="back-button">← BACK</button>
+      </div>
+    `;
+    this.attachButtonListeners();
+    this.overlay.classList.remove('hidden');
+  },
+
+  /**
+   * Show a tournament: the entrants while registration is open, then the bracket
+   * @param {Object} tournament - Tournament view from the server
+   * @param {string} username - Local player's username
+   */
+  showTournamentBracket(tournament, username) {
+    this.currentScreen = 'tournamentBracket';
+    const players = new Map(tournament.players.map(p => [p.username, p]));
+    const format = tournament.format === 'double' ? 'DOUBLE ELIM' : 'SINGLE ELIM';
+
+    let body;
+    let buttons = '';
+    if (tournament.state === 'registration') {
+      const entrants = tournament.players.map(p => `
+        <li class="${p.username === username ? 'you' : ''}">
+          <span>${this.sanitizeHTML(p.displayName)}</span>
+          <span class="tournament-rating">${p.rating}</span>
+        </li>`).join('');
+      body = `
+        <p class="status-message">${tournament.players.length}/${tournament.size} players - waiting for entrants...</p>
+        <ul class="tournament-entrants" data-testid="tournament-entrants">${entrants}</ul>`;
+      if (tournament.host === username && tournament.players.length >= 2) {
+        buttons += '<button class="menu-btn" data-action="startTournament" data-testid="start-tournament">START NOW</button>';
+      }
+      buttons += '<button class="menu-btn" data-action="leaveTournament" data-testid="leave-tournament">LEAVE</button>';
+    } else {
+      const status = tournament.champion
+        ? `<p class="tournament-champion" data-testid="tournament-champion">CHAMPION: ${this.sanitizeHTML(players.get(tournament.champion).displayName)}</p>`
+        : '<p class="status-message">Your next match starts when you and your opponent are both free</p>';
+      body = status + this.renderBracket(tournament, players, username);
+    }
+
+    this.overlay.innerHTML = `
+      <div class="screen tournament-screen" data-testid="tournament-bracket">
+        <h2 class="subtitle">${this.sanitizeHTML(tournament.name)}</h2>
+        <p class="tournament-meta">CODE <span class="room-code">${this.sanitizeHTML(tournament.code)}</span> ${tournament.size} PLAYERS - ${format}</p>
+        ${body}
+        <div class="menu-buttons">${buttons}</div>
+        <button class="back-btn" data-action="tournamentBack" data-testid="back-button">← BACK</button>
+      </div>
+    `;
+    this.attachButtonListeners();
+    this.overlay.classList.remove('hidden');
+  },
+
+  /**
+   * Build the bracket markup: one column per round for each bracket section
+   * @param {Object} tournament - Tournament view from the server
+   * @param {Map<string, Object>} players - Entrants by username
+   * @param {string} username - Local player's username
+   * @returns {string} HTML
+   */
+  renderBracket(tournament, players, username) {
+    const sections = [
+      { bracket: 'winners', title: tournament.format === 'double' ? 'WINNERS' : '' },
+      { bracket: 'losers', title: 'LOSERS' },
+      { bracket: 'final', title: 'GRAND FINAL' }
+    ];
+
+    const slot = (match, i) => {
+      const name = match.players[i];
+      let label = 'TBD';
+      if (name === '') {
+        label = 'BYE';
+      } else if (name) {
+        label = this.sanitizeHTML(players.get(name).displayName);
+      }
+      const classes = [
+        'bracket-slot',
+        match.winner === i ? 'winner' : '',
+        name && name === username ? 'you' : ''
+      ].join(' ');
+      const score = match.scores ? `<span class="bracket-score">${match.scores[i]}</span>` : '';
+      return `<div class="${classes}"><span>${label}</span>${score}</div>`;
+    };
+
+    return sections.map(({ bracket, title }) => {
+      const matches = tournament.matches.filter(m => m.bracket === bracket && m.state !== 'skipped');
+      if (matches.length === 0) {
+        return '';
+      }
+
+      const rounds = [...new Set(matches.map(m => m.round))];
+      const columns = rounds.map(round => `
+        <div class="bracket-round">
+          ${matches.filter(m => m.round === round).map(m => `
+            <div class="bracket-match ${m.state}">${slot(m, 0)}${slot(m, 1)}</div>`).join('')}
+        </div>`).join('');
+
+      return `
+        <div class="bracket-section">
+          ${title ? `<p class="bracket-title">${title}</p>` : ''}
+          <div class="bracket">${columns}</div>
+        </div>`;
+    }).join('');
+  },
+
+  /**
+   * Show the spectator bar over the canvas
+   * @param {Array<{ username: string, displayName: string }>} players - Players in the room
+   * @param {number} count - Spectators watching
+   * @param {string} [message] - Status shown above the bar (e.g. while waiting for the match)
+   */
+  showSpectatorView(players, count, message) {
+    this.currentScreen = 'spectating';
+    const name = (i) => this.sanitizeHTML(players[i] ? (players[i].displayName || players[i].username) : '...');
+
+    this.overlay.innerHTML = `
+      ${message ? `<p class="status-message spectator-message">${message}</p>` : ''}
+      <div class="spectator-bar" data-testid="spectator-bar">
+        <span class="spectator-player cyan">${name(0)}</span>
+        <span class="spectator-vs">VS</span>
+        <span class="spectator-player pink">${name(1)}</span>
+        <span class="spectator-count" id="spectator-count" data-testid="spectator-count">${count} watching</span>
+        <button class="back-btn" data-action="stopSpectating" data-testid="stop-spectating">LEAVE</button>
+      </div>
+    `;
+    this.overlay.classList.add('spectator-mode');
+    this.attachButtonListeners();
+    this.overlay.classList.remove('hidden');
+  },
+
+  /**
+   * Refresh the live spectator count
+   * @param {number} count - Spectators watching
+   */
+  updateSpectatorCount(count) {
+    const el = document.getElementById('spectator-count');
+    if (el) {
+      el.textContent = `${count} watching`;
+    }
+  },
+
+  /**
+   * Show the result of a match we were watching
+   * @param {number} winnerIndex - Winner (0 or 1)
+   * @param {number[]} scores - Final scores [p1, p2]
+   * @param {Array<{ username: string, displayName: string }>} players - Players in the room
+   */
+  showSpectatorGameOver(winnerIndex, scores, players) {
+    this.currentScreen = 'spectatorGameover';
+    const winner = players[winnerIndex];
+    const winnerName = this.sanitizeHTML(winner ? (winner.displayName || winner.username) : `PLAYER ${winnerIndex + 1}`);
+
+    this.overlay.classList.remove('spectator-mode');
+    this.overlay.innerHTML = `
+      <div class="screen gameover-screen">
+        <h2 class="winner-text ${winnerIndex === 0 ? 'cyan' : 'pink'}">${winnerName} WINS!</h2>
+        <div class="final-score">${scores[0]} - ${scores[1]}</div>
+        <p class="status-message">Stay to watch a rematch</p>
         <div class="menu-buttons">
-          <button class="menu-btn" data-action="requestRematch" data-testid="rematch">REMATCH</button>
-          <button class="menu-btn" data-action="quickMatch" data-testid="new-match">NEW MATCH</button>
+          <button class="menu-btn" data-action="stopSpectating" data-testid="stop-spectating">LEAVE</button>
           <button class="menu-btn" data-action="menu" data-testid="main-menu">MAIN MENU</button>
         </div>
       </div>
@@ -653,14 +1539,16 @@ const Screens = {
    */
   hide() {
     this.overlay.classList.add('hidden');
+    this.overlay.classList.remove('replay-mode');
+    this.overlay.classList.remove('spectator-mode');
     this.currentScreen = null;
   },
 
   /**
    * Attach click listeners to menu buttons
    */
-  attachButtonListeners() {
-    const buttons = this.overlay.querySelectorAll('[data-action]');
+  attachButtonListeners(root = this.overlay) {
+    const buttons = root.querySelectorAll('[data-action]');
     buttons.forEach(button => {
       button.addEventListener('click', () => {
         sound.menuSelect();
@@ -674,6 +1562,55 @@ const Screens = {
     });
   },
 
+  /**
+   * Attach listeners for the replay import button and file picker
+   */
+  attachReplayImportListener() {
+    const button = this.overlay.querySelector('[data-import-replay]');
+    const input = document.getElementById('replay-file-input');
+    if (!button || !input) {
+      return;
+    }
+
+    button.addEventListener('click', () => {
+      sound.menuSelect();
+      input.click();
+    });
+
+    input.addEventListener('change', async () => {
+      const file = input.files && input.files[0];
+      if (!file) {
+        return;
+      }
+      const text = await file.text();
+      if (this.onAction) {
+        this.onAction('importReplay', text);
+      }
+    });
+  },
+
+  /**
+   * Attach listeners for scrubbing through a replay
+   */
+  attachReplayScrubListeners() {
+    const scrub = document.getElementById('replay-scrub');
+    if (!scrub) {
+      return;
+    }
+
+    // While dragging, playback updates must not move the slider under the pointer
+    scrub.addEventListener('input', () => {
+      this._scrubbing = true;
+      if (this.onAction) {
+        this.onAction('replaySeek', scrub.value);
+      }
+    });
+
+    scrub.addEventListener('change', () => {
+      this._scrubbing = false;
+    });
+  },
+
   /**
    * Attach listeners for settings controls
    */
@@ -0,0 +1,218 @@
+/**
+ * Snapshot interpolation buffer for online play
+ * Stores timestamped ball snapshots from the server and renders the ball a
+ * fixed delay in the past, so bursts and gaps in packet arrival are smoothed
+ * out. When snapshots run late the ball is extrapolated for a capped time.
+ * Multi-ball extras ride along in each snapshot and are smoothed the same way.
+ * Positions are in server field coordinates; velocities are per server tick.
+ */
+
+class SnapshotBuffer {
+  // How quickly the clock offset follows slower packets (faster ones are adopted at once)
+  static CLOCK_DRIFT_FACTOR = 0.01;
+
+  /**
+   * Create a snapshot buffer
+   * @param {Object} [options] - Buffer options
+   * @param {number} [options.delay] - Interpolation delay in ms
+   * @param {number} [options.maxExtrapolation] - Longest extrapolation in ms
+   * @param {number} [options.maxSize] - Maximum snapshots kept
+   * @param {number} [options.tickMs] - Server tick length in ms
+   */
+  constructor(options = {}) {
+    const {
+      delay = CONFIG.NETWORK.INTERP_DELAY,
+      maxExtrapolation = CONFIG.NETWORK.MAX_EXTRAPOLATION,
+      maxSize = CONFIG.NETWORK.SNAPSHOT_BUFFER_SIZE,
+      tickMs = 1000 / CONFIG.NETWORK.TICK_RATE
+    } = options;
+
+    this.delay = delay;
+    this.maxExtrapolation = maxExtrapolation;
+    this.maxSize = maxSize;
+    this.tickMs = tickMs;
+    this.clear();
+  }
+
+  /**
+   * Remove all snapshots and forget the clock offset
+   */
+  clear() {
+    this.snapshots = [];
+    this.clockOffset = null;  // Estimated server time minus local time
+    this.mode = 'empty';      // empty, hold, interpolate, extrapolate
+    this.extrapolatedMs = 0;
+  }
+
+  /**
+   * Add a snapshot from the server
+   * @param {Object} snapshot - Snapshot {t, x, y, vx, vy, extraBalls?}, t in server ms
+   * @param {number} receivedAt - Local time the snapshot arrived (ms)
+   * @returns {boolean} True if the snapshot was stored
+   */
+  push(snapshot, receivedAt) {
+    if (!snapshot || typeof snapshot.t !== 'number') {
+      return false;
+    }
+
+    // Track the fastest-arriving packets; later (jittered) ones only drift the estimate
+    const offset = snapshot.t - receivedAt;
+    if (this.clockOffset === null || offset > this.clockOffset) {
+      this.clockOffset = offset;
+    } else {
+      this.clockOffset += (offset - this.clockOffset) * SnapshotBuffer.CLOCK_DRIFT_FACTOR;
+    }
+
+    // Drop duplicates and packets that arrive after newer ones
+    const latest = this.snapshots[this.snapshots.length - 1];
+    if (latest && snapshot.t <= latest.t) {
+      return false;
+    }
+
+    this.snapshots.push({
+      t: snapshot.t,
+      x: snapshot.x,
+      y: snapshot.y,
+      vx: snapshot.vx,
+      vy: snapshot.vy,
+      extraBalls: Array.isArray(snapshot.extraBalls)
+        ? snapshot.extraBalls.map(({ x, y, vx, vy }) => ({ x, y, vx, vy }))
+        : []
+    });
+
+    if (this.snapshots.length > this.maxSize) {
+      this.snapshots.shift();
+    }
+
+    return true;
+  }
+
+  /**
+   * Get the server time currently being rendered
+   * @param {number} now - Local time (ms)
+   * @returns {number|null} Server time in ms, or null before any snapshot
+   */
+  getRenderTime(now) {
+    if (this.clockOffset === null) {
+      return null;
+    }
+    return now + this.clockOffset - this.delay;
+  }
+
+  /**
+   * Get the ball state to render
+   * @param {number} now - Local time (ms)
+   * @returns {{ x: number, y: number, vx: number, vy: number, extraBalls: Object[] }|null}
+   *   The main ball, with any extra balls in the same {x, y, vx, vy} form
+   */
+  sample(now) {
+    const renderTime = this.getRenderTime(now);
+    if (renderTime === null || this.snapshots.length === 0) {
+      this.mode = 'empty';
+      return null;
+    }
+
+    const first = this.snapshots[0];
+    const last = this.snapshots[this.snapshots.length - 1];
+    this.extrapolatedMs = 0;
+
+    // Not enough history yet - hold the oldest snapshot
+    if (renderTime <= first.t) {
+      this.mode = 'hold';
+      return {
+        x: first.x,
+        y: first.y,
+        vx: first.vx,
+        vy: first.vy,
+        extraBalls: first.extraBalls.map(ball => ({ ...ball }))
+      };
+    }
+
+    // Snapshots are late - extrapolate from the newest, for a limited time
+    if (renderTime >= last.t) {
+      const ahead = Math.min(renderTime - last.t, this.maxExtrapolation);
+      const ticks = ahead / this.tickMs;
+      this.mode = ahead > 0 ? 'extrapolate' : 'interpolate';
+      this.extrapolatedMs = ahead;
+      this.prune(this.snapshots.length - 1);
+      const advance = ball => ({
+        x: ball.x + ball.vx * ticks,
+        y: ball.y + ball.vy * ticks,
+        vx: ball.vx,
+        vy: ball.vy
+      });
+      return { ...advance(last), extraBalls: last.extraBalls.map(advance) };
+    }
+
+    // Interpolate between the snapshots either side of the render time
+    let i = 1;
+    while (this.snapshots[i].t < renderTime) {
+      i++;
+    }
+    const a = this.snapshots[i - 1];
+    const b = this.snapshots[i];
+    const alpha = (renderTime - a.t) / (b.t - a.t);
+
+    this.mode = 'interpolate';
+    this.prune(i - 1);
+
+    const lerpBall = (from, to) => ({
+      x: Utils.lerp(from.x, to.x, alpha),
+      y: Utils.lerp(from.y, to.y, alpha),
+      vx: from.vx,
+      vy: from.vy
+    });
+
+    // Extra balls appear and vanish between snapshots; show those in both
+    const extraCount = Math.min(a.extraBalls.length, b.extraBalls.length);
+    const extraBalls = [];
+    for (let j = 0; j < extraCount; j++) {
+      extraBalls.push(lerpBall(a.extraBalls[j], b.extraBalls[j]));
+    }
+
+    return { ...lerpBall(a, b), extraBalls };
+  }
+
+  /**
+   * Drop snapshots that are no longer needed for interpolation
+   * @param {number} keepFrom - Index of the oldest snapshot still needed
+   * @private
+   */
+  prune(keepFrom) {
+    if (keepFrom > 0) {
+      this.snapshots.splice(0, keepFrom);
+    }
+  }
+
+  /**
+   * Count snapshots buffered ahead of the render time
+   * @param {number} now - Local time (ms)
+   * @returns {number}
+   */
+  getDepth(now) {
+    const renderTime = this.getRenderTime(now);
+    if (renderTime === null) {
+      return 0;
+    }
+    return this.snapshots.filter(s => s.t > renderTime).length;
+  }
+
+  /**
+   * Get buffer statistics for the debug overlay
+   * @param {number} now - Local time (ms)
+   * @returns {{ depth: number, delay: number, mode: string, extrapolatedMs: number }}
+   */
+  getStats(now) {
+    return {
+      depth: this.getDepth(now),
+      delay: this.delay,
+      mode: this.mode,
+      extrapolatedMs: this.extrapolatedMs
+    };
+  }
+}
+
+// Export for Node.js/testing environments
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SnapshotBuffer;
+}
@@ -1,15 +1,20 @@
 /**
  * Storage module for Pong game
- * Handles localStorage for settings and local stats
+ * Handles localStorage for settings, local stats and replays
  */
 
 const Storage = {
   KEYS: {
     STATS: 'pongStats',
     SETTINGS: 'pongSettings',
-    USERNAME: 'pongUsername'
+    USERNAME: 'pongUsername',
+    AUTH: 'pongAuth',
+    REPLAYS: 'pongReplays'
   },
 
+  // Most recent replays kept (each can be a few hundred KB)
+  MAX_REPLAYS: 5,
+
   /**
    * Save local game stats
    * @param {Object} stats - Stats object to save
@@ -130,6 +135,7 @@ const Storage = {
       lowPowerMode: false,
       controlSensitivity: 1.0,
       invertControls: false,
+      netDebugEnabled: false,
       difficulty: 'medium'
     };
   },
@@ -177,6 +183,113 @@ const Storage = {
     }
   },
 
+  /**
+   * Save the signed-in account's session
+   * @param {{ token: string, username: string, expiresAt: number }} auth - Session from the server
+   */
+  saveAuth(auth) {
+    try {
+      localStorage.setItem(this.KEYS.AUTH, JSON.stringify({
+        token: auth.token,
+        username: auth.username,
+        expiresAt: auth.expiresAt
+      }));
+    } catch (e) {
+      console.warn('Failed to save session:', e);
+    }
+  },
+
+  /**
+   * Get the saved session
+   * @returns {{ token: string, username: string, expiresAt: number }|null} Session, or null if signed out or expired
+   */
+  getAuth() {
+    try {
+      const data = localStorage.getItem(this.KEYS.AUTH);
+      const auth = data ? JSON.parse(data) : null;
+      if (!auth || typeof auth.token !== 'string' || !(auth.expiresAt > Date.now())) {
+        return null;
+      }
+      return auth;
+    } catch (e) {
+      console.warn('Failed to load session:', e);
+      return null;
+    }
+  },
+
+  /**
+   * Forget the saved session (log out)
+   */
+  clearAuth() {
+    try {
+      localStorage.removeItem(this.KEYS.AUTH);
+    } catch (e) {
+      console.warn('Failed to clear session:', e);
+    }
+  },
+
+  /**
+   * Get saved replays, newest first
+   * @returns {Object[]} Replays
+   */
+  getReplays() {
+    try {
+      const data = localStorage.getItem(this.KEYS.REPLAYS);
+      return data ? JSON.parse(data) : [];
+    } catch (e) {
+      console.warn('Failed to load replays:', e);
+      return [];
+    }
+  },
+
+  /**
+   * Get a saved replay
+   * @param {string} id - Replay ID
+   * @returns {Object|null} Replay, or null if not found
+   */
+  getReplay(id) {
+    return this.getReplays().find(replay => replay.id === id) || null;
+  },
+
+  /**
+   * Save a replay, replacing one with the same ID
+   * Older replays are dropped to stay within MAX_REPLAYS and the storage quota.
+   * @param {Object} replay - Replay to save
+   * @returns {boolean} True if the replay was saved
+   */
+  saveReplay(replay) {
+    const replays = [replay, ...this.getReplays().filter(r => r.id !== replay.id)]
+      .slice(0, this.MAX_REPLAYS);
+
+    while (replays.length > 0) {
+      try {
+        localStorage.setItem(this.KEYS.REPLAYS, JSON.stringify(replays));
+        return true;
+      } catch (e) {
+        if (replays.length === 1) {
+          console.warn('Failed to save replay:', e);
+          return false;
+        }
+        // Probably over quota - drop the oldest and try again
+        replays.pop();
+      }
+    }
+    return false;
+  },
+
+  /**
+   * Delete a saved replay
+   * @param {string} id - Replay ID
+   */
+  deleteReplay(id) {
+    try {
+      const replays = this.getReplays().filter(replay => replay.id !== id);
+      localStorage.setItem(this.KEYS.REPLAYS, JSON.stringify(replays));
+    } catch (e) {
+      console.warn('Failed to delete replay:', e);
+    }
+  },
+
   /**
    * Clear all stored data
    */
@@ -185,6 +298,8 @@ const Storage = {
       localStorage.removeItem(this.KEYS.STATS);
       localStorage.removeItem(this.KEYS.SETTINGS);
       localStorage.removeItem(this.KEYS.USERNAME);
+      localStorage.removeItem(this.KEYS.AUTH);
+      localStorage.removeItem(this.KEYS.REPLAYS);
     } catch (e) {
       console.warn('Failed to clear storage:', e);
     }
@@ -34,20 +34,22 @@ const Utils = {
    * Generate a random number within a range
    * @param {number} min - Minimum value (inclusive)
    * @param {number} max - Maximum value (exclusive)
+   * @param {Function} [random=Math.random] - Generator returning [0, 1) (see RNG.create)
    * @returns {number} Random value in range
    */
-  randomRange(min, max) {
-    return Math.random() * (max - min) + min;
+  randomRange(min, max, random = Math.random) {
+    return random() * (max - min) + min;
   },
 
   /**
    * Generate a random integer within a range
    * @param {number} min - Minimum value (inclusive)
    * @param {number} max - Maximum value (inclusive)
+   * @param {Function} [random=Math.random] - Generator returning [0, 1) (see RNG.create)
    * @returns {number} Random integer in range
    */
-  randomInt(min, max) {
-    return Math.floor(Math.random() * (max - min + 1)) + min;
+  randomInt(min, max, random = Math.random) {
+    return Math.floor(random() * (max - min + 1)) + min;
   },
 
   /**
@@ -0,0 +1,228 @@
+/**
+ * Tests for account authentication
+ */
+
+const {
+  AUTH,
+  validatePassword,
+  hashPassword,
+  verifyPassword,
+  createToken,
+  verifyToken,
+  createResumeToken,
+  verifyResumeToken
+} = require('./lib/auth');
+const { createTestDatabase } = require('./testDatabase');
+
+const SECRET = 'test-secret';
+const NOW = 1700000000000;
+const ACCOUNT = { id: 'player-1', username: 'alice' };
+
+describe('Auth Module', () => {
+  describe('validatePassword', () => {
+    test('accepts passwords within the length limits', () => {
+      expect(validatePassword('x'.repeat(AUTH.PASSWORD_MIN_LENGTH)).valid).toBe(true);
+      expect(validatePassword('x'.repeat(AUTH.PASSWORD_MAX_LENGTH)).valid).toBe(true);
+    });
+
+    test('rejects missing, short and long passwords', () => {
+      expect(validatePassword(undefined).valid).toBe(false);
+      expect(validatePassword(12345678).valid).toBe(false);
+      expect(validatePassword('short').valid).toBe(false);
+      expect(validatePassword('x'.repeat(AUTH.PASSWORD_MAX_LENGTH + 1)).valid).toBe(false);
+    });
+  });
+
+  describe('password hashing', () => {
+    test('verifies the right password only', async () => {
+      const stored = await hashPassword('correct horse');
+      expect(stored).toMatch(/^scrypt\$/);
+      expect(await verifyPassword('correct horse', stored)).toBe(true);
+      expect(await verifyPassword('wrong horse', stored)).toBe(false);
+    });
+
+    test('salts each hash', async () => {
+      expect(await hashPassword('same password')).not.toBe(await hashPassword('same password'));
+    });
+
+    test('rejects malformed stored hashes', async () => {
+      expect(await verifyPassword('anything', 'plain')).toBe(false);
+      expect(await verifyPassword('anything', null)).toBe(false);
+    });
+  });
+
+  describe('tokens', () => {
+    test('round-trips the account', () => {
+      const { token, expiresAt } = createToken(ACCOUNT, SECRET, NOW);
+      expect(expiresAt).toBe(NOW + AUTH.TOKEN_TTL_MS);
+      expect(verifyToken(token, SECRET, NOW + 1000)).toEqual({ valid: true, account: ACCOUNT });
+    });
+
+    test('rejects tokens signed with another secret', () => {
+      const { token } = createToken(ACCOUNT, 'other-secret', NOW);
+      expect(verifyToken(token, SECRET, NOW).valid).toBe(false);
+    });
+
+    test('rejects tampered payloads', () => {
+      const { token } = createToken(ACCOUNT, SECRET, NOW);
+      const [, signature] = token.split('.');
+      const forged = Buffer.from(JSON.stringify({
+        sub: 'player-2', username: 'mallory', iat: NOW, exp: NOW + AUTH.TOKEN_TTL_MS
+      })).toString('base64url');
+      expect(verifyToken(`${forged}.${signature}`, SECRET, NOW).valid).toBe(false);
+    });
+
+    test('rejects expired tokens', () => {
+      const { token } = createToken(ACCOUNT, SECRET, NOW);
+      expect(verifyToken(token, SECRET, NOW + AUTH.TOKEN_TTL_MS)).toEqual({
+        valid: false, error: 'Token has expired'
+      });
+    });
+
+    test('rejects malformed tokens', () => {
+      expect(verifyToken(undefined, SECRET).valid).toBe(false);
+      expect(verifyToken('no-dot', SECRET).valid).toBe(false);
+      expect(verifyToken('a.b.c', SECRET).valid).toBe(false);
+    });
+  });
+
+  describe('resume tokens', () => {
+    test('round-trips the room and seat', () => {
+      const token = createResumeToken('ABC123', 1, SECRET);
+      expect(verifyResumeToken(token, SECRET)).toEqual({ valid: true, roomCode: 'ABC123', playerIndex: 1 });
+    });
+
+    test('issues a different token for every game', () => {
+      expect(createResumeToken('ABC123', 0, SECRET)).not.toBe(createResumeToken('ABC123', 0, SECRET));
+    });
+
+    test('rejects tampered tokens and session tokens', () => {
+      const [, signature] = createResumeToken('ABC123', 0, SECRET).split('.');
+      const forged = Buffer.from(JSON.stringify({ room: 'ABC123', seat: 1, nonce: 'x' })).toString('base64url');
+      expect(verifyResumeToken(`${forged}.${signature}`, SECRET).valid).toBe(false);
+
+      const { token } = createToken(ACCOUNT, SECRET, NOW);
+      expect(verifyResumeToken(token, SECRET).valid).toBe(false);
+      expect(verifyResumeToken(undefined, SECRET).valid).toBe(false);
+    });
+  });
+
+  describe('create_account', () => {
+    let db;
+
+    beforeAll(async () => {
+      db = await createTestDatabase();
+    }, 60000);
+
+    afterAll(async () => {
+      await db.close();
+    });
+
+    const createAccount = async (username) => {
+      const { rows } = await db.query('SELECT create_account($1, $2) AS id', [username, 'hash']);
+      return rows[0].id;
+    };
+
+    test('creates the player with stats and credentials', async () => {
+      const id = await createAccount('alice');
+
+      expect(id).toEqual(expect.any(String));
+      const { rows } = await db.query(
+        `SELECT p.username, s.elo_rating, c.password_hash FROM players p
+         JOIN player_stats s ON s.player_id = p.id
+         JOIN player_credentials c ON c.player_id = p.id
+         WHERE p.id = $1`,
+        [id]
+      );
+      expect(rows).toEqual([{ username: 'alice', elo_rating: 1000, password_hash: 'hash' }]);
+    });
+
+    test('refuses a name that already has an account', async () => {
+      await createAccount('bob');
+      expect(await createAccount('bob')).toBeNull();
+    });
+
+    test('leaves a player from before accounts with their stats', async () => {
+      const { rows } = await db.query("INSERT INTO players (username) VALUES ('carol') RETURNING id");
+      const legacyId = rows[0].id;
+      await db.query('INSERT INTO player_stats (player_id, elo_rating) VALUES ($1, 1400)', [legacyId]);
+
+      expect(await createAccount('carol')).toBeNull();
+      const credentials = await db.query('SELECT 1 FROM player_credentials WHERE player_id = $1', [legacyId]);
+      expect(credentials.rows).toHaveLength(0);
+    });
+  });
+
+  describe('legacy username claims', () => {
+    let db;
+
+    beforeAll(async () => {
+      db = await createTestDatabase();
+    }, 60000);
+
+    afterAll(async () => {
+      await db.close();
+    });
+
+    const createLegacyPlayer = async (username) => {
+      const { rows } = await db.query('INSERT INTO players (username) VALUES ($1) RETURNING id', [username]);
+      await db.query('INSERT INTO player_stats (player_id, elo_rating) VALUES ($1, 1400)', [rows[0].id]);
+      return rows[0].id;
+    };
+
+    const issueClaim = async (username) => {
+      const { rows } = await db.query('SELECT issue_legacy_claim($1) AS code', [username]);
+      return rows[0].code;
+    };
+
+    const claimAccount = async (username, code) => {
+      const { rows } = await db.query('SELECT claim_account($1, $2, $3) AS id', [username, 'hash', code]);
+      return rows[0].id;
+    };
+
+    test('a claim code turns the old player into an account with its stats', async () => {
+      const legacyId = await createLegacyPlayer('dave');
+      const code = await issueClaim('dave');
+
+      expect(await claimAccount('dave', ` ${code.toLowerCase()} `)).toBe(legacyId);
+      const { rows } = await db.query(
+        `SELECT s.elo_rating, c.password_hash FROM player_stats s
+         JOIN player_credentials c ON c.player_id = s.player_id
+         WHERE s.player_id = $1`,
+        [legacyId]
+      );
+      expect(rows).toEqual([{ elo_rating: 1400, password_hash: 'hash' }]);
+
+      // The code is used up, and the name is now an account
+      expect(await claimAccount('dave', code)).toBeNull();
+      await expect(issueClaim('dave')).rejects.toThrow('No unclaimed player');
+    });
+
+    test('rejects wrong, replaced and expired codes', async () => {
+      await createLegacyPlayer('erin');
+      const first = await issueClaim('erin');
+      const second = await issueClaim('erin');
+
+      expect(await claimAccount('erin', 'WRONGCODE123')).toBeNull();
+      expect(await claimAccount('erin', first)).toBeNull();
+
+      await db.query("UPDATE legacy_claims SET expires_at = NOW() - INTERVAL '1 second'");
+      expect(await claimAccount('erin', second)).toBeNull();
+    });
+
+    test('a code only claims the name it was issued for', async () => {
+      await createLegacyPlayer('frank');
+      await createLegacyPlayer('grace');
+      const code = await issueClaim('frank');
+
+      expect(await claimAccount('grace', code)).toBeNull();
+    });
+
+    test('cannot be issued for names that are not players from before accounts', async () => {
+      await db.query("SELECT create_account('heidi', 'hash')");
+
+      await expect(issueClaim('heidi')).rejects.toThrow('No unclaimed player');
+      await expect(issueClaim('nobody')).rejects.toThrow('No unclaimed player');
+    });
+  });
+});
@@ -0,0 +1,112 @@
+/**
+ * Tests for friends and presence
+ */
+
+const {
+  FRIENDS,
+  PRESENCE,
+  getFriendshipKey,
+  findFriendship,
+  validateFriendRequest,
+  getPresence,
+  buildFriendList
+} = require('./lib/friends');
+
+const friendship = (requester, addressee, status = 'accepted') => ({ requester, addressee, status });
+
+describe('Friends Module', () => {
+  describe('getFriendshipKey', () => {
+    test('is the same whichever player asked', () => {
+      expect(getFriendshipKey('alice', 'bob')).toBe(getFriendshipKey('bob', 'alice'));
+    });
+
+    test('differs between pairs', () => {
+      expect(getFriendshipKey('alice', 'bob')).not.toBe(getFriendshipKey('alice', 'carol'));
+    });
+  });
+
+  describe('findFriendship', () => {
+    test('finds the pair in either direction', () => {
+      const record = friendship('bob', 'alice');
+      expect(findFriendship([record], 'alice', 'bob')).toBe(record);
+    });
+
+    test('is null for strangers', () => {
+      expect(findFriendship([friendship('alice', 'carol')], 'alice', 'bob')).toBeNull();
+    });
+  });
+
+  describe('validateFriendRequest', () => {
+    test('sends a new request', () => {
+      expect(validateFriendRequest([], 'alice', 'bob')).toEqual({ valid: true, accept: false });
+    });
+
+    test('accepts a pending request from the target', () => {
+      const friendships = [friendship('bob', 'alice', 'pending')];
+      expect(validateFriendRequest(friendships, 'alice', 'bob')).toEqual({ valid: true, accept: true });
+    });
+
+    test('rejects adding yourself', () => {
+      expect(validateFriendRequest([], 'alice', 'alice').error).toBe('You cannot add yourself');
+    });
+
+    test('rejects existing friends and repeated requests', () => {
+      expect(validateFriendRequest([friendship('bob', 'alice')], 'alice', 'bob').error).toBe('Already friends');
+      expect(validateFriendRequest([friendship('alice', 'bob', 'pending')], 'alice', 'bob').error)
+        .toBe('Friend request already sent');
+    });
+
+    test('caps the friend list', () => {
+      const friendships = Array.from({ length: FRIENDS.MAX_FRIENDS }, (_, i) => friendship('alice', `p${i}`));
+      expect(validateFriendRequest(friendships, 'alice', 'bob').error).toBe('Friend list is full');
+    });
+  });
+
+  describe('getPresence', () => {
+    const player = { username: 'alice' };
+
+    test('is offline without a connection', () => {
+      expect(getPresence(undefined, undefined)).toBe(PRESENCE.OFFLINE);
+    });
+
+    test('is in-game during a match', () => {
+      expect(getPresence(player, { state: 'playing' })).toBe(PRESENCE.IN_GAME);
+    });
+
+    test('is online outside a match', () => {
+      expect(getPresence(player, undefined)).toBe(PRESENCE.ONLINE);
+      expect(getPresence(player, { state: 'waiting' })).toBe(PRESENCE.ONLINE);
+      expect(getPresence(player, { state: 'finished' })).toBe(PRESENCE.ONLINE);
+    });
+  });
+
+  describe('buildFriendList', () => {
+    const presence = { bob: PRESENCE.OFFLINE, carol: PRESENCE.ONLINE, dave: PRESENCE.IN_GAME, erin: PRESENCE.ONLINE };
+    const presenceOf = username => presence[username];
+
+    test('sorts friends by presence then name', () => {
+      const friendships = ['bob', 'erin', 'dave', 'carol'].map(name => friendship('alice', name));
+      const list = buildFriendList(friendships, 'alice', presenceOf);
+      expect(list.friends).toEqual([
+        { username: 'carol', presence: PRESENCE.ONLINE },
+        { username: 'erin', presence: PRESENCE.ONLINE },
+        { username: 'dave', presence: PRESENCE.IN_GAME },
+        { username: 'bob', presence: PRESENCE.OFFLINE }
+      ]);
+    });
+
+    test('lists friends whichever player asked', () => {
+      const list = buildFriendList([friendship('carol', 'alice')], 'alice', presenceOf);
+      expect(list.friends.map(f => f.username)).toEqual(['carol']);
+    });
+
+    test('splits pending requests by direction', () => {
+      const friendships = [friendship('bob', 'alice', 'pending'), friendship('alice', 'carol', 'pending')];
+      expect(buildFriendList(friendships, 'alice', presenceOf)).toEqual({
+        friends: [],
+        incoming: ['bob'],
+        outgoing: ['carol']
+      });
+    });
+  });
+});
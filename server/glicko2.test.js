@@ -0,0 +1,425 @@
+/**
+ * Tests for Glicko-2 rating calculation
+ * record_match() rates players with the same formulas in the database, so
+ * the second half of this file applies every migration to an in-process
+ * Postgres and checks the two agree.
+ */
+
+const { createTestDatabase } = require('./testDatabase');
+const {
+  GLICKO2,
+  expectedScore,
+  idlePeriods,
+  inflateDeviation,
+  updateRating,
+  rateMatch,
+  isProvisional
+} = require('./lib/glicko2');
+const { DEFAULT_ELO, MIN_ELO } = require('./lib/elo');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const newPlayer = () => ({
+  rating: GLICKO2.DEFAULT_RATING,
+  deviation: GLICKO2.DEFAULT_DEVIATION,
+  volatility: GLICKO2.DEFAULT_VOLATILITY
+});
+
+const daysAgo = days => new Date(Date.now() - days * DAY_MS).toISOString();
+
+// Matches both implementations are checked against: [name, winner, loser]
+const MATCHES = [
+  ['two new players', newPlayer(), newPlayer()],
+  ['two settled players', { rating: 1000, deviation: 50, volatility: 0.06 }, { rating: 1000, deviation: 50, volatility: 0.06 }],
+  ['an expected result', { rating: 1400, deviation: 80, volatility: 0.06 }, { rating: 1000, deviation: 80, volatility: 0.06 }],
+  ['an upset', { rating: 1000, deviation: 80, volatility: 0.06 }, { rating: 1400, deviation: 80, volatility: 0.06 }],
+  ['a loser at the rating floor', newPlayer(), { rating: MIN_ELO, deviation: 350, volatility: 0.06 }],
+  ['uneven confidence', { rating: 1234, deviation: 120, volatility: 0.06 }, { rating: 987, deviation: 200, volatility: 0.07 }],
+  ['a volatile winner', { rating: 1100, deviation: 80, volatility: 0.2 }, { rating: 900, deviation: 40, volatility: 0.06 }]
+];
+
+// Idle deviations both implementations are checked against: [deviation, volatility, days idle]
+const IDLE = [
+  [80, 0.06, null],
+  [80, 0.06, 6],
+  [80, 0.06, 22],
+  [80, 0.06, 70],
+  [150, 0.09, 400],
+  [300, 0.06, 100000]
+];
+
+describe('Glicko-2 Module', () => {
+  describe('Constants', () => {
+    test('shares the Elo default and floor', () => {
+      expect(GLICKO2.DEFAULT_RATING).toBe(DEFAULT_ELO);
+      expect(GLICKO2.MIN_RATING).toBe(MIN_ELO);
+    });
+
+    test('uses the standard starting deviation and volatility', () => {
+      expect(GLICKO2.DEFAULT_DEVIATION).toBe(350);
+      expect(GLICKO2.DEFAULT_VOLATILITY).toBe(0.06);
+    });
+
+    test('new players start provisional', () => {
+      expect(GLICKO2.DEFAULT_DEVIATION).toBeGreaterThan(GLICKO2.PROVISIONAL_DEVIATION);
+    });
+  });
+
+  describe('expectedScore', () => {
+    test('is 0.5 between equal ratings', () => {
+      expect(expectedScore(0, 0, 1)).toBeCloseTo(0.5);
+    });
+
+    test('favours the higher rated player', () => {
+      expect(expectedScore(1, 0, 0.5)).toBeGreaterThan(0.5);
+      expect(expectedScore(0, 1, 0.5)).toBeLessThan(0.5);
+    });
+
+    test('is pulled towards 0.5 by an uncertain opponent', () => {
+      const certain = expectedScore(1, 0, 0.2);
+      const uncertain = expectedScore(1, 0, 2);
+      expect(uncertain).toBeLessThan(certain);
+      expect(uncertain).toBeGreaterThan(0.5);
+    });
+  });
+
+  describe('updateRating', () => {
+    test('matches the worked example from the Glicko-2 paper', () => {
+      // Glickman's example is centred on 1500; only rating differences matter
+      const offset = GLICKO2.DEFAULT_RATING - 1500;
+      const result = updateRating(
+        { rating: 1500 + offset, deviation: 200, volatility: 0.06 },
+        [
+          { rating: 1400 + offset, deviation: 30, score: 1 },
+          { rating: 1550 + offset, deviation: 100, score: 0 },
+          { rating: 1700 + offset, deviation: 300, score: 0 }
+        ]
+      );
+
+      expect(result.rating - offset).toBeCloseTo(1464.06, 1);
+      expect(result.deviation).toBeCloseTo(151.52, 1);
+      expect(result.volatility).toBeCloseTo(0.059996, 5);
+    });
+
+    test('only grows the deviation for a period without games', () => {
+      const player = { rating: 1200, deviation: 50, volatility: 0.06 };
+      const result = updateRating(player, []);
+      expect(result.rating).toBe(1200);
+      expect(result.volatility).toBe(0.06);
+      expect(result.deviation).toBeGreaterThan(50);
+    });
+
+    test('shrinks the deviation after a game', () => {
+      const result = updateRating(newPlayer(), [{ rating: 1000, deviation: 350, score: 1 }]);
+      expect(result.deviation).toBeLessThan(GLICKO2.DEFAULT_DEVIATION);
+    });
+  });
+
+  describe('rateMatch', () => {
+    test('winner gains and loser drops', () => {
+      const result = rateMatch(newPlayer(), newPlayer());
+      expect(result.winner.rating).toBeGreaterThan(GLICKO2.DEFAULT_RATING);
+      expect(result.loser.rating).toBeLessThan(GLICKO2.DEFAULT_RATING);
+    });
+
+    test('new players move further than settled players', () => {
+      const settled = { rating: 1000, deviation: 50, volatility: 0.06 };
+      const fresh = rateMatch(newPlayer(), newPlayer());
+      const stable = rateMatch(settled, settled);
+      const freshGain = fresh.winner.rating - 1000;
+      const stableGain = stable.winner.rating - 1000;
+
+      expect(freshGain).toBeGreaterThan(stableGain * 3);
+      expect(stableGain).toBeGreaterThan(0);
+    });
+
+    test('an upset moves ratings more than an expected result', () => {
+      const strong = { rating: 1400, deviation: 80, volatility: 0.06 };
+      const weak = { rating: 1000, deviation: 80, volatility: 0.06 };
+      const expected = rateMatch(strong, weak);
+      const upset = rateMatch(weak, strong);
+
+      expect(upset.winner.rating - 1000).toBeGreaterThan(expected.winner.rating - 1400);
+    });
+
+    test('returns integer ratings', () => {
+      const result = rateMatch(
+        { rating: 1234, deviation: 120, volatility: 0.06 },
+        { rating: 987, deviation: 200, volatility: 0.06 }
+      );
+      expect(Number.isInteger(result.winner.rating)).toBe(true);
+      expect(Number.isInteger(result.loser.rating)).toBe(true);
+    });
+
+    test('does not go below MIN_RATING', () => {
+      const result = rateMatch(newPlayer(), { rating: MIN_ELO, deviation: 350, volatility: 0.06 });
+      expect(result.loser.rating).toBe(MIN_ELO);
+    });
+
+    test('keeps deviations within bounds', () => {
+      let player = { rating: 1000, deviation: GLICKO2.MIN_DEVIATION, volatility: 0.06 };
+      for (let i = 0; i < 20; i++) {
+        player = rateMatch(player, player).winner;
+      }
+      expect(player.deviation).toBeGreaterThanOrEqual(GLICKO2.MIN_DEVIATION);
+      expect(player.deviation).toBeLessThanOrEqual(GLICKO2.MAX_DEVIATION);
+    });
+
+    test('a returning player moves more than an active one', () => {
+      const now = Date.now();
+      const active = { rating: 1000, deviation: 60, volatility: 0.06, lastRatedAt: new Date(now - DAY_MS).toISOString() };
+      const returning = { ...active, lastRatedAt: new Date(now - 365 * DAY_MS).toISOString() };
+      const opponent = { rating: 1000, deviation: 60, volatility: 0.06 };
+
+      const activeGain = rateMatch(active, opponent, now).winner.rating - 1000;
+      const returningGain = rateMatch(returning, opponent, now).winner.rating - 1000;
+      expect(returningGain).toBeGreaterThan(activeGain);
+    });
+  });
+
+  describe('idlePeriods', () => {
+    test('is 0 for players never rated', () => {
+      expect(idlePeriods(null)).toBe(0);
+    });
+
+    test('counts whole rating periods', () => {
+      const now = Date.now();
+      const periodMs = GLICKO2.RATING_PERIOD_DAYS * DAY_MS;
+      expect(idlePeriods(new Date(now - periodMs + 1000).toISOString(), now)).toBe(0);
+      expect(idlePeriods(new Date(now - periodMs * 3).toISOString(), now)).toBe(3);
+    });
+
+    test('ignores timestamps in the future', () => {
+      const now = Date.now();
+      expect(idlePeriods(new Date(now + DAY_MS).toISOString(), now)).toBe(0);
+    });
+  });
+
+  describe('inflateDeviation', () => {
+    test('leaves the deviation alone with no idle periods', () => {
+      expect(inflateDeviation(80, 0.06, 0)).toBe(80);
+    });
+
+    test('grows with each idle period', () => {
+      const one = inflateDeviation(80, 0.06, 1);
+      const ten = inflateDeviation(80, 0.06, 10);
+      expect(one).toBeGreaterThan(80);
+      expect(ten).toBeGreaterThan(one);
+    });
+
+    test('is capped at MAX_DEVIATION', () => {
+      expect(inflateDeviation(300, 0.06, 100000)).toBe(GLICKO2.MAX_DEVIATION);
+    });
+  });
+
+  describe('isProvisional', () => {
+    test('is true above the provisional threshold', () => {
+      expect(isProvisional(GLICKO2.DEFAULT_DEVIATION)).toBe(true);
+      expect(isProvisional(GLICKO2.PROVISIONAL_DEVIATION + 1)).toBe(true);
+    });
+
+    test('is false at or below the threshold', () => {
+      expect(isProvisional(GLICKO2.PROVISIONAL_DEVIATION)).toBe(false);
+      expect(isProvisional(50)).toBe(false);
+    });
+  });
+});
+
+describe('Glicko-2 database functions', () => {
+  let db;
+  let playerCount = 0;
+
+  beforeAll(async () => {
+    db = await createTestDatabase();
+  }, 60000);
+
+  afterAll(async () => {
+    await db.close();
+  });
+
+  /**
+   * Rate one player after a single game
+   */
+  async function update(player, opponent, score) {
+    const { rows } = await db.query(
+      'SELECT * FROM glicko2_update($1, $2, $3, $4, $5, $6)',
+      [player.rating, player.deviation, player.volatility, opponent.rating, opponent.deviation, score]
+    );
+    return rows[0];
+  }
+
+  async function inflate(deviation, volatility, lastRatedAt) {
+    const { rows } = await db.query('SELECT glicko2_inflate($1, $2, $3) AS deviation', [deviation, volatility, lastRatedAt]);
+    return rows[0].deviation;
+  }
+
+  /**
+   * Register a player with stats, overriding any stats columns given
+   */
+  async function createPlayer(stats = {}) {
+    playerCount++;
+    const { rows } = await db.query('INSERT INTO players (username) VALUES ($1) RETURNING id', [`player${playerCount}`]);
+    const id = rows[0].id;
+    const columns = Object.keys(stats);
+    await db.query(
+      `INSERT INTO player_stats (player_id${columns.map(c => `, ${c}`).join('')})
+       VALUES ($1${columns.map((_, i) => `, $${i + 2}`).join('')})`,
+      [id, ...Object.values(stats)]
+    );
+    return id;
+  }
+
+  async function getStats(id) {
+    const { rows } = await db.query('SELECT * FROM player_stats WHERE player_id = $1', [id]);
+    return rows[0];
+  }
+
+  async function recordMatch(player1, player2, winner, engine) {
+    const { rows } = await db.query(
+      "SELECT * FROM record_match($1, $2, 11, 5, $3, 'classic', 90, 12, false, $4)",
+      [player1, player2, winner, engine]
+    );
+    return rows[0];
+  }
+
+  /**
+   * Check a rating from the database against one from lib/glicko2
+   */
+  function expectSameRating(actual, expected) {
+    expect(actual.rating).toBe(expected.rating);
+    expect(actual.deviation).toBeCloseTo(expected.deviation, 6);
+    expect(actual.volatility).toBeCloseTo(expected.volatility, 8);
+  }
+
+  test('every migration applies', async () => {
+    const { rows } = await db.query("SELECT COUNT(*)::INTEGER AS count FROM pg_proc WHERE proname LIKE 'glicko2_%'");
+    expect(rows[0].count).toBe(3);
+  });
+
+  describe('glicko2_update', () => {
+    test('matches the Glicko-2 paper for a single game', async () => {
+      // Glickman's example player after only their win over the 1400 player.
+      // The paper centres ratings on 1500; only rating differences matter.
+      const offset = DEFAULT_ELO - 1500;
+      const result = await update(
+        { rating: 1500 + offset, deviation: 200, volatility: 0.06 },
+        { rating: 1400 + offset, deviation: 30 },
+        1
+      );
+      expect(result.rating - offset).toBe(1564);
+      expect(result.deviation).toBeCloseTo(175.40, 1);
+      expect(result.volatility).toBeCloseTo(0.059999, 5);
+    });
+
+    test.each(MATCHES)('agrees with rateMatch for %s', async (name, winner, loser) => {
+      const expected = rateMatch(winner, loser);
+      expectSameRating(await update(winner, loser, 1), expected.winner);
+      expectSameRating(await update(loser, winner, 0), expected.loser);
+    });
+  });
+
+  describe('glicko2_inflate', () => {
+    test.each(IDLE)('agrees with inflateDeviation for deviation %d, volatility %d, %p days idle', async (deviation, volatility, days) => {
+      const lastRatedAt = days === null ? null : daysAgo(days);
+      const expected = inflateDeviation(deviation, volatility, idlePeriods(lastRatedAt));
+      expect(await inflate(deviation, volatility, lastRatedAt)).toBeCloseTo(expected, 6);
+    });
+  });
+
+  describe('record_match', () => {
+    test('rates both players with fixed-K Elo', async () => {
+      const winner = await createPlayer();
+      const loser = await createPlayer();
+      const result = await recordMatch(winner, loser, winner, 'elo');
+
+      expect(result).toMatchObject({ winner_elo: DEFAULT_ELO + 16, loser_elo: DEFAULT_ELO - 16, elo_change: 16 });
+      expect((await getStats(winner)).games_won).toBe(1);
+      expect((await getStats(loser)).games_lost).toBe(1);
+    });
+
+    test('rates both players with Glicko-2 like rateMatch', async () => {
+      const winner = await createPlayer();
+      const loser = await createPlayer();
+      const expected = rateMatch(newPlayer(), newPlayer());
+      const result = await recordMatch(winner, loser, winner, 'glicko2');
+
+      expect(result.winner_elo).toBe(expected.winner.rating);
+      expect(result.loser_elo).toBe(expected.loser.rating);
+      expect(result.elo_change).toBe(expected.winner.rating - DEFAULT_ELO);
+      const stats = await getStats(winner);
+      expect(stats.elo_rating).toBe(expected.winner.rating);
+      expect(stats.rating_deviation).toBeCloseTo(expected.winner.deviation, 6);
+      expect(stats.last_rated_at).not.toBeNull();
+    });
+
+    test('tracks deviation under Elo too', async () => {
+      const winner = await createPlayer();
+      const loser = await createPlayer();
+      await recordMatch(winner, loser, loser, 'elo');
+      expect((await getStats(winner)).rating_deviation).toBeLessThan(350);
+    });
+
+    test('inflates the deviation of a returning player like rateMatch', async () => {
+      const returning = { rating: 1000, deviation: 60, volatility: 0.06, lastRatedAt: daysAgo(365) };
+      const opponent = { rating: 1000, deviation: 60, volatility: 0.06, lastRatedAt: daysAgo(1) };
+      const winner = await createPlayer({ rating_deviation: 60, last_rated_at: returning.lastRatedAt });
+      const loser = await createPlayer({ rating_deviation: 60, last_rated_at: opponent.lastRatedAt });
+      const expected = rateMatch(returning, opponent);
+
+      const result = await recordMatch(winner, loser, winner, 'glicko2');
+      expect(result.winner_elo).toBe(expected.winner.rating);
+      expect(result.loser_elo).toBe(expected.loser.rating);
+      expect((await getStats(winner)).rating_deviation).toBeCloseTo(expected.winner.deviation, 6);
+    });
+
+    test('writes both players to the rating history', async () => {
+      const winner = await createPlayer();
+      const loser = await createPlayer();
+      const { match_id: matchId } = await recordMatch(winner, loser, winner, 'glicko2');
+      const { rows } = await db.query(
+        'SELECT player_id, rating_before, rating_after, delta FROM rating_history WHERE match_id = $1',
+        [matchId]
+      );
+      expect(rows).toHaveLength(2);
+      for (const row of rows) {
+        expect(row.rating_before).toBe(DEFAULT_ELO);
+        expect(row.delta).toBe(row.rating_after - row.rating_before);
+      }
+    });
+
+    test('rejects a winner who did not play', async () => {
+      const player1 = await createPlayer();
+      const player2 = await createPlayer();
+      const outsider = await createPlayer();
+      await expect(recordMatch(player1, player2, outsider, 'elo')).rejects.toThrow('did not play');
+    });
+
+    test('rejects an unknown rating engine', async () => {
+      const player1 = await createPlayer();
+      const player2 = await createPlayer();
+      await expect(recordMatch(player1, player2, player1, 'trueskill')).rejects.toThrow('Unknown rating engine');
+    });
+  });
+
+  test('glicko2_is_provisional uses the same threshold as isProvisional', async () => {
+    const threshold = GLICKO2.PROVISIONAL_DEVIATION;
+    for (const deviation of [30, threshold - 0.1, threshold, threshold + 0.1, 350]) {
+      const { rows } = await db.query('SELECT glicko2_is_provisional($1) AS provisional', [deviation]);
+      expect(rows[0].provisional).toBe(isProvisional(deviation));
+    }
+  });
+
+  test('the leaderboard view flags provisional ratings like isProvisional', async () => {
+    const winner = await createPlayer({ rating_deviation: 40 });
+    const loser = await createPlayer();
+    await recordMatch(winner, loser, winner, 'elo');
+    const { rows } = await db.query(
+      'SELECT id, rating_deviation, provisional FROM leaderboard WHERE id IN ($1, $2)',
+      [winner, loser]
+    );
+    expect(rows).toHaveLength(2);
+    for (const row of rows) {
+      expect(row.provisional).toBe(isProvisional(Number(row.rating_deviation)));
+    }
+  });
+});
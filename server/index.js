@@ -3,21 +3,73 @@
  * Handles real-time multiplayer via Socket.io, matchmaking, and game state
  */
 
+const crypto = require('crypto');
 const express = require('express');
 const { createServer } = require('http');
 const { Server } = require('socket.io');
 const cors = require('cors');
 const rateLimit = require('express-rate-limit');
 
-const { calculateEloChange, applyEloChange } = require('./lib/elo');
+const { DEFAULT_ELO } = require('./lib/elo');
+const { PROFILE, buildProfile } = require('./lib/profile');
 const { generateUniqueRoomCode } = require('./lib/roomCode');
+const { validateRoomRules } = require('./lib/roomRules');
+const { LOBBY, validatePublicFlag, listOpenRooms } = require('./lib/lobby');
+const { getFriendshipKey, findFriendship, validateFriendRequest, getPresence, buildFriendList } = require('./lib/friends');
+const { getPowerUpSnapshot } = require('./lib/powerups');
 const { 
   validateUsername, 
   validateRoomCode, 
-  validateGameMode, 
-  validateScores, 
-  validateRally 
+  validateGameMode,
+  validateSeason
 } = require('./lib/validation');
+const {
+  TICK_MS,
+  FIELD,
+  createSimulation,
+  queuePaddleInput,
+  resetPlayerInput,
+  getPaddleCenter,
+  advanceSimulation,
+  getBallSnapshot
+} = require('./lib/simulation');
+const {
+  MATCHMAKING,
+  createQueueEntry,
+  findOpponent,
+  findMatches,
+  getQueueStatus
+} = require('./lib/matchmaking');
+const {
+  validateTournamentOptions,
+  createTournament,
+  addPlayer,
+  removePlayer,
+  getMatch,
+  startTournament,
+  reportResult,
+  resetMatch,
+  getReadyMatches,
+  getTournamentView
+} = require('./lib/tournament');
+const {
+  SERIES,
+  validateBestOf,
+  createSeries,
+  recordGame,
+  forfeitSeries,
+  isSeriesOver,
+  getSeriesView
+} = require('./lib/series');
+const {
+  validatePassword,
+  hashPassword,
+  verifyPassword,
+  createToken,
+  verifyToken,
+  createResumeToken,
+  verifyResumeToken
+} = require('./lib/auth');
 
 // ============================================
 // CONFIGURATION
@@ -31,18 +83,53 @@ const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:8080';
 const SUPABASE_URL = process.env.SUPABASE_URL;
 const SUPABASE_SERVICE_KEY = process.env.SUPABASE_SERVICE_KEY;
 
-// Grace period for reconnection (30 seconds)
-const RECONNECT_GRACE_PERIOD = 30000;
+// Secret for signing session tokens. Without one, sessions end when the server restarts.
+const AUTH_SECRET = process.env.AUTH_SECRET || crypto.randomBytes(32).toString('hex');
+if (!process.env.AUTH_SECRET) {
+  console.warn('AUTH_SECRET not set, using a random secret (sessions will not survive a restart)');
+}
+
+// Rating engine applied by record_match(): fixed-K 'elo' or 'glicko2'
+const RATING_ENGINES = ['elo', 'glicko2'];
+let RATING_ENGINE = process.env.RATING_ENGINE || 'elo';
+if (!RATING_ENGINES.includes(RATING_ENGINE)) {
+  console.warn(`Unknown RATING_ENGINE "${RATING_ENGINE}", falling back to elo`);
+  RATING_ENGINE = 'elo';
+}
+
+// Grace period for reconnection before the match is forfeited (30 seconds)
+const RECONNECT = {
+  GRACE_PERIOD_MS: 30000
+};
+
+// Most rating history entries returned for one player
+const RATING_HISTORY_LIMIT = 100;
+
+// How long a finished tournament's bracket stays viewable (1 hour)
+const TOURNAMENT_RETENTION = 60 * 60 * 1000;
+
+// How long a tournament can wait for players before it is closed (2 hours)
+const TOURNAMENT_REGISTRATION_TIMEOUT = 2 * 60 * 60 * 1000;
 
 // Socket event rate limiting configuration
 const SOCKET_RATE_LIMITS = {
-  'paddle-move': { maxEvents: 60, windowMs: 1000 },  // 60 events per second (60fps)
-  'ball-sync': { maxEvents: 60, windowMs: 1000 },    // 60 events per second
-  'score-update': { maxEvents: 10, windowMs: 1000 }, // 10 events per second
+  'paddle-move': { maxEvents: 120, windowMs: 1000 }, // 120 events per second (60fps, with room for high refresh displays)
   'register': { maxEvents: 3, windowMs: 10000 },     // 3 registrations per 10s
   'create-room': { maxEvents: 5, windowMs: 60000 },  // 5 room creates per minute
   'join-room': { maxEvents: 10, windowMs: 60000 },   // 10 room joins per minute
-  'find-match': { maxEvents: 5, windowMs: 60000 }    // 5 matchmaking attempts per minute
+  'room-info': { maxEvents: 20, windowMs: 60000 },   // 20 room lookups per minute
+  'list-rooms': { maxEvents: 20, windowMs: 60000 },  // 20 lobby listings per minute
+  'find-match': { maxEvents: 5, windowMs: 60000 },   // 5 matchmaking attempts per minute
+  'spectate-room': { maxEvents: 10, windowMs: 60000 }, // 10 spectate attempts per minute
+  'create-tournament': { maxEvents: 3, windowMs: 60000 }, // 3 tournament creates per minute
+  'join-tournament': { maxEvents: 10, windowMs: 60000 },  // 10 tournament joins per minute
+  'start-tournament': { maxEvents: 5, windowMs: 60000 },  // 5 tournament starts per minute
+  'list-friends': { maxEvents: 20, windowMs: 60000 },     // 20 friend list loads per minute
+  'add-friend': { maxEvents: 10, windowMs: 60000 },       // 10 friend requests per minute
+  'accept-friend': { maxEvents: 10, windowMs: 60000 },    // 10 accepted requests per minute
+  'remove-friend': { maxEvents: 10, windowMs: 60000 },    // 10 removed friends per minute
+  'challenge-friend': { maxEvents: 5, windowMs: 60000 },  // 5 challenges per minute
+  'decline-challenge': { maxEvents: 10, windowMs: 60000 } // 10 declined challenges per minute
 };
 
 // In-memory rate limit tracking: socketId -> { event -> { count, windowStart } }
@@ -145,8 +232,13 @@ const readApiLimiter = rateLimit({
   legacyHeaders: false
 });
 
-// Note: writeApiLimiter removed as no write endpoints currently exist.
-// Add it back when implementing POST/PUT/DELETE endpoints that modify data.
+const writeApiLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 30, // 30 sign-ups or log-ins per 15 min (slows password guessing)
+  message: { error: 'Too many requests, please try again later.' },
+  standardHeaders: true,
+  legacyHeaders: false
+});
 
 // CORS configuration
 const corsOrigins = [
@@ -177,9 +269,13 @@ const io = new Server(httpServer, {
 // ============================================
 
 const gameRooms = new Map();      // roomCode -> room data
-const matchmakingQueue = [];      // waiting players
+const matchmakingQueue = [];      // waiting players, oldest first (see lib/matchmaking)
 const playerSockets = new Map();  // socketId -> player data
-const pendingReconnects = new Map(); // username -> { roomCode, playerIndex, disconnectTime }
+const pendingReconnects = new Map(); // resume token -> { roomCode, playerIndex, username, disconnectTime }
+const tournaments = new Map();    // join code -> tournament (see lib/tournament)
+const accounts = new Map();       // username -> { id, username, passwordHash } (only without a database)
+const abandonments = new Map();   // username -> abandoned matches (guests, or without a database)
+const friendships = new Map();    // pair key -> { requester, addressee, status } (only without a database, see lib/friends)
 
 // ============================================
 // REST API ENDPOINTS
@@ -191,20 +287,48 @@ app.get('/', (req, res) => {
     status: 'Pong server running',
     players: io.engine.clientsCount,
     rooms: gameRooms.size,
-    queue: matchmakingQueue.length
+    queue: matchmakingQueue.length,
+    tournaments: tournaments.size,
+    ratingEngine: RATING_ENGINE
   });
 });
 
-// Get leaderboard (rate limited)
+// Get leaderboard, all-time or for one season via ?season=<number|current> (rate limited)
 app.get('/api/leaderboard', readApiLimiter, async (req, res) => {
   if (!supabase) {
     return res.status(503).json({ error: 'Database not configured' });
   }
+
+  let season = null;
+  if (req.query.season !== undefined) {
+    const seasonResult = validateSeason(req.query.season);
+    if (!seasonResult.valid) {
+      return res.status(400).json({ error: seasonResult.error });
+    }
+    season = seasonResult.season;
+  }
   
   try {
-    const { data, error } = await supabase
-      .from('leaderboard')
-      .select('*')
+    if (season === 'current') {
+      const { data: active, error: activeError } = await supabase
+        .from('seasons')
+        .select('number')
+        .eq('is_active', true)
+        .maybeSingle();
+
+      if (activeError) throw activeError;
+      if (!active) {
+        return res.status(404).json({ error: 'No season in progress' });
+      }
+      season = active.number;
+    }
+
+    const query = season === null
+      ? supabase.from('leaderboard').select('*')
+      : supabase.from('season_leaderboard').select('*').eq('season_number', season);
+
+    const { data, error } = await query
+      .order('elo_rating', { ascending: false })
       .limit(100);
 
     if (error) throw error;
@@ -214,444 +338,2115 @@ app.get('/api/leaderboard', readApiLimiter, async (req, res) => {
   }
 });
 
-// Get player by username (rate limited)
-app.get('/api/player/:username', readApiLimiter, async (req, res) => {
+// List seasons, newest first (rate limited)
+app.get('/api/seasons', readApiLimiter, async (req, res) => {
   if (!supabase) {
     return res.status(503).json({ error: 'Database not configured' });
   }
-  
+
   try {
     const { data, error } = await supabase
-      .from('leaderboard')
-      .select('*')
-      .eq('username', req.params.username)
-      .single();
+      .from('seasons')
+      .select('number, name, is_active, starts_at, ends_at')
+      .order('number', { ascending: false });
 
     if (error) throw error;
     res.json(data);
   } catch (err) {
-    res.status(404).json({ error: 'Player not found' });
+    res.status(500).json({ error: err.message });
   }
 });
 
-// ============================================
-// DATABASE HELPERS
-// ============================================
-
-/**
- * Save match result to database and update player stats
- * @param {Object} room - Game room data
- */
-async function saveMatchResult(room) {
+// Get a player's profile: stats, recent matches and, with ?viewer=<username>,
+// the head-to-head record against the viewer (rate limited)
+app.get('/api/player/:username', readApiLimiter, async (req, res) => {
   if (!supabase) {
-    console.log('Database not configured, skipping match save');
-    return;
+    return res.status(503).json({ error: 'Database not configured' });
+  }
+
+  const usernameResult = validateUsername(req.params.username);
+  if (!usernameResult.valid) {
+    return res.status(400).json({ error: usernameResult.error });
   }
+  // An unusable viewer name just means no head-to-head record
+  const viewerResult = req.query.viewer ? validateUsername(req.query.viewer) : { valid: false };
   
   try {
-    const { players, scores, gameMode, startTime, longestRally } = room;
-    const [player1, player2] = players;
-    const winner = scores[0] > scores[1] ? player1 : player2;
-    const loser = scores[0] > scores[1] ? player2 : player1;
-    const duration = Math.floor((Date.now() - startTime) / 1000);
+    const { data: player, error: playerError } = await supabase
+      .from('players')
+      .select('id, username, display_name')
+      .eq('username', usernameResult.sanitized)
+      .maybeSingle();
 
-    // Insert match record
-    await supabase.from('matches').insert({
-      player1_id: player1.dbId,
-      player2_id: player2.dbId,
-      player1_score: scores[0],
-      player2_score: scores[1],
-      winner_id: winner.dbId,
-      game_mode: gameMode || 'classic',
-      duration_seconds: duration,
-      longest_rally: longestRally || 0
-    });
+    if (playerError) throw playerError;
+    if (!player) {
+      return res.status(404).json({ error: 'Player not found' });
+    }
 
-    // Get current stats
-    const { data: winnerStats } = await supabase
-      .from('player_stats')
-      .select('*')
-      .eq('player_id', winner.dbId)
-      .single();
+    const [statsResult, matchesResult] = await Promise.all([
+      supabase.from('player_stats').select('*').eq('player_id', player.id).maybeSingle(),
+      supabase
+        .from('matches')
+        .select('id, player1_id, player2_id, player1_score, player2_score, winner_id, game_mode, forfeit, played_at, player1:player1_id(username), player2:player2_id(username)')
+        .or(`player1_id.eq.${player.id},player2_id.eq.${player.id}`)
+        .order('played_at', { ascending: false })
+        .limit(PROFILE.RECENT_MATCHES)
+    ]);
+    if (statsResult.error) throw statsResult.error;
+    if (matchesResult.error) throw matchesResult.error;
+
+    let headToHead = null;
+    if (viewerResult.valid && viewerResult.sanitized !== player.username) {
+      const { data: viewer, error: viewerError } = await supabase
+        .from('players')
+        .select('id, username')
+        .eq('username', viewerResult.sanitized)
+        .maybeSingle();
+
+      if (viewerError) throw viewerError;
+      if (viewer) {
+        const { data: shared, error: sharedError } = await supabase
+          .from('matches')
+          .select('winner_id')
+          .or(`and(player1_id.eq.${player.id},player2_id.eq.${viewer.id}),and(player1_id.eq.${viewer.id},player2_id.eq.${player.id})`);
+
+        if (sharedError) throw sharedError;
+        headToHead = { viewer, matches: shared };
+      }
+    }
 
-    const { data: loserStats } = await supabase
-      .from('player_stats')
-      .select('*')
-      .eq('player_id', loser.dbId)
-      .single();
+    res.json(buildProfile(player, statsResult.data, matchesResult.data, headToHead));
+  } catch (err) {
+    console.error('Error fetching player profile:', err);
+    res.status(500).json({ error: 'Failed to fetch player profile' });
+  }
+});
 
-    if (!winnerStats || !loserStats) {
-      console.error('Could not find player stats');
-      return;
-    }
+// Get a player's Elo after each of their recent matches, oldest first (rate limited)
+app.get('/api/player/:username/history', readApiLimiter, async (req, res) => {
+  if (!supabase) {
+    return res.status(503).json({ error: 'Database not configured' });
+  }
 
-    // Calculate ELO changes
-    const elo = calculateEloChange(winnerStats.elo_rating, loserStats.elo_rating);
+  const usernameResult = validateUsername(req.params.username);
+  if (!usernameResult.valid) {
+    return res.status(400).json({ error: usernameResult.error });
+  }
+  const limit = Math.min(parseInt(req.query.limit, 10) || RATING_HISTORY_LIMIT, RATING_HISTORY_LIMIT);
 
-    // Determine winner's score and loser's score
-    const winnerScore = scores[0] > scores[1] ? scores[0] : scores[1];
-    const loserScore = scores[0] > scores[1] ? scores[1] : scores[0];
+  try {
+    const { data: player, error: playerError } = await supabase
+      .from('players')
+      .select('id, username')
+      .eq('username', usernameResult.sanitized)
+      .maybeSingle();
 
-    // Update winner stats
-    await supabase
-      .from('player_stats')
-      .update({
-        games_played: winnerStats.games_played + 1,
-        games_won: winnerStats.games_won + 1,
-        total_points_scored: winnerStats.total_points_scored + winnerScore,
-        total_points_conceded: winnerStats.total_points_conceded + loserScore,
-        current_win_streak: winnerStats.current_win_streak + 1,
-        best_win_streak: Math.max(winnerStats.best_win_streak, winnerStats.current_win_streak + 1),
-        longest_rally: Math.max(winnerStats.longest_rally, longestRally || 0),
-        elo_rating: applyEloChange(winnerStats.elo_rating, elo.winnerGain),
-        updated_at: new Date().toISOString()
-      })
-      .eq('player_id', winner.dbId);
+    if (playerError) throw playerError;
+    if (!player) {
+      return res.status(404).json({ error: 'Player not found' });
+    }
 
-    // Update loser stats
-    await supabase
-      .from('player_stats')
-      .update({
-        games_played: loserStats.games_played + 1,
-        games_lost: loserStats.games_lost + 1,
-        total_points_scored: loserStats.total_points_scored + loserScore,
-        total_points_conceded: loserStats.total_points_conceded + winnerScore,
-        current_win_streak: 0,
-        longest_rally: Math.max(loserStats.longest_rally, longestRally || 0),
-        elo_rating: applyEloChange(loserStats.elo_rating, -elo.loserLoss),
-        updated_at: new Date().toISOString()
-      })
-      .eq('player_id', loser.dbId);
+    const { data, error } = await supabase
+      .from('rating_history')
+      .select('match_id, rating_before, rating_after, delta, played_at, opponent:opponent_id(username)')
+      .eq('player_id', player.id)
+      .order('played_at', { ascending: false })
+      .limit(limit);
 
-    console.log(`Match saved: ${winner.username} beat ${loser.username}`);
+    if (error) throw error;
+
+    res.json({
+      username: player.username,
+      history: data.reverse().map(row => ({
+        matchId: row.match_id,
+        before: row.rating_before,
+        after: row.rating_after,
+        delta: row.delta,
+        opponent: row.opponent ? row.opponent.username : null,
+        playedAt: row.played_at
+      }))
+    });
   } catch (err) {
-    console.error('Error saving match:', err);
+    console.error('Error fetching rating history:', err);
+    res.status(500).json({ error: 'Failed to fetch rating history' });
   }
-}
+});
 
-// ============================================
-// SOCKET.IO EVENT HANDLERS
-// ============================================
+// Create an account and sign in (rate limited). A claim code from an operator
+// signs up a username from before accounts instead (see the legacy_claims migration).
+app.post('/api/auth/signup', writeApiLimiter, async (req, res) => {
+  const { username, password, claimCode } = req.body || {};
 
-io.on('connection', (socket) => {
-  console.log(`Player connected: ${socket.id}`);
+  const usernameResult = validateUsername(username);
+  if (!usernameResult.valid) {
+    return res.status(400).json({ error: usernameResult.error });
+  }
+  const passwordResult = validatePassword(password);
+  if (!passwordResult.valid) {
+    return res.status(400).json({ error: passwordResult.error });
+  }
+  if (claimCode !== undefined && (typeof claimCode !== 'string' || claimCode.length > 32)) {
+    return res.status(400).json({ error: 'Invalid claim code' });
+  }
 
-  // ------------------------------
-  // REGISTRATION
-  // ------------------------------
-  socket.on('register', async ({ username }, callback) => {
-    // Rate limit check
-    if (isRateLimited(socket.id, 'register')) {
-      return callback({ success: false, error: 'Too many requests. Please wait.' });
+  try {
+    if (await findAccount(usernameResult.sanitized)) {
+      return res.status(409).json({ error: 'Username is taken' });
     }
-    
-    try {
-      // Validate username
-      const usernameResult = validateUsername(username);
-      if (!usernameResult.valid) {
-        return callback({ success: false, error: usernameResult.error });
-      }
-      const sanitized = usernameResult.sanitized;
-      
-      let player = { 
-        socketId: socket.id, 
-        username: sanitized, 
-        display_name: sanitized 
-      };
-
-      // If database available, create or fetch player
-      if (supabase) {
-        let { data: dbPlayer } = await supabase
-          .from('players')
-          .select('*')
-          .eq('username', sanitized)
-          .single();
-
-        if (!dbPlayer) {
-          // Create new player
-          const { data: newPlayer, error } = await supabase
-            .from('players')
-            .insert({ username: sanitized, display_name: sanitized })
-            .select()
-            .single();
-
-          if (error) throw error;
-          dbPlayer = newPlayer;
-
-          // Create initial stats
-          await supabase
-            .from('player_stats')
-            .insert({ player_id: dbPlayer.id });
-        } else {
-          // Update last seen
-          await supabase
-            .from('players')
-            .update({ last_seen: new Date().toISOString() })
-            .eq('id', dbPlayer.id);
-        }
-
-        player = {
-          ...dbPlayer,
-          dbId: dbPlayer.id,
-          socketId: socket.id
-        };
-      }
-
-      // Store in memory
-      playerSockets.set(socket.id, player);
 
-      // Check for pending reconnect (player had a game in progress)
-      const reconnectInfo = pendingReconnects.get(sanitized);
-      if (reconnectInfo) {
-        const room = gameRooms.get(reconnectInfo.roomCode);
-        if (room && room.state === 'playing') {
-          const roomPlayer = room.players[reconnectInfo.playerIndex];
-          if (roomPlayer && roomPlayer.disconnected) {
-            // Re-associate player with new socket
-            roomPlayer.socketId = socket.id;
-            roomPlayer.disconnected = false;
-            
-            // Set socket properties
-            socket.join(reconnectInfo.roomCode);
-            socket.roomCode = reconnectInfo.roomCode;
-            socket.playerIndex = reconnectInfo.playerIndex;
-            
-            // Clean up pending reconnect
-            pendingReconnects.delete(sanitized);
-            
-            console.log(`Player ${sanitized} reconnected to room ${reconnectInfo.roomCode}`);
-            
-            // Notify both players that game can resume
-            io.to(reconnectInfo.roomCode).emit('player-reconnected', {
-              playerIndex: reconnectInfo.playerIndex,
-              roomCode: reconnectInfo.roomCode
-            });
-            
-            // Also send current game state to reconnected player
-            callback({ 
-              success: true, 
-              player,
-              reconnected: true,
-              roomCode: reconnectInfo.roomCode,
-              playerIndex: reconnectInfo.playerIndex,
-              gameState: {
-                scores: room.scores,
-                gameMode: room.gameMode,
-                players: room.players.map((p, i) => ({
-                  username: p.username,
-                  displayName: p.display_name,
-                  index: i
-                }))
-              }
-            });
-            return;
-          }
-        }
-        // Invalid reconnect info, clean it up
-        pendingReconnects.delete(sanitized);
+    const passwordHash = await hashPassword(password);
+    if (claimCode) {
+      const claimed = await claimAccount(usernameResult.sanitized, passwordHash, claimCode);
+      if (!claimed) {
+        return res.status(403).json({ error: 'Invalid or expired claim code' });
       }
-
-      callback({ success: true, player });
-    } catch (err) {
-      callback({ success: false, error: err.message });
+      return res.status(201).json({ username: claimed.username, ...createToken(claimed, AUTH_SECRET) });
     }
-  });
 
-  // ------------------------------
-  // ROOM MANAGEMENT
-  // ------------------------------
-  socket.on('create-room', ({ gameMode }, callback) => {
-    // Rate limit check
-    if (isRateLimited(socket.id, 'create-room')) {
-      return callback({ success: false, error: 'Too many requests. Please wait.' });
+    const account = await createAccount(usernameResult.sanitized, passwordHash);
+    if (!account) {
+      return res.status(409).json({ error: 'Username is taken' });
     }
-    
-    const player = playerSockets.get(socket.id);
 
-    if (!player) {
-      return callback({ success: false, error: 'Not registered' });
-    }
+    res.status(201).json({ username: account.username, ...createToken(account, AUTH_SECRET) });
+  } catch (err) {
+    console.error('Error creating account:', err);
+    res.status(500).json({ error: 'Could not create account' });
+  }
+});
 
-    // Validate game mode
-    const modeResult = validateGameMode(gameMode);
-    if (!modeResult.valid) {
-      return callback({ success: false, error: modeResult.error });
-    }
+// Sign in to an existing account (rate limited)
+app.post('/api/auth/login', writeApiLimiter, async (req, res) => {
+  const { username, password } = req.body || {};
 
-    // Generate unique room code
-    const roomCode = generateUniqueRoomCode(gameRooms);
-    if (!roomCode) {
-      return callback({ success: false, error: 'Could not generate room code' });
+  const usernameResult = validateUsername(username);
+  if (!usernameResult.valid || typeof password !== 'string') {
+    return res.status(401).json({ error: 'Invalid username or password' });
+  }
+
+  try {
+    const account = await findAccount(usernameResult.sanitized);
+    if (!account || !(await verifyPassword(password, account.passwordHash))) {
+      return res.status(401).json({ error: 'Invalid username or password' });
     }
 
-    gameRooms.set(roomCode, {
-      code: roomCode,
-      players: [player],
-      state: 'waiting',
-      gameMode: modeResult.mode,
-      scores: [0, 0],
-      startTime: null,
-      longestRally: 0
-    });
+    res.json({ username: account.username, ...createToken(account, AUTH_SECRET) });
+  } catch (err) {
+    console.error('Error signing in:', err);
+    res.status(500).json({ error: 'Could not sign in' });
+  }
+});
 
-    socket.join(roomCode);
-    socket.roomCode = roomCode;
-    socket.playerIndex = 0;
+// ============================================
+// DATABASE HELPERS
+// ============================================
 
-    callback({ success: true, roomCode });
-  });
+/**
+ * Look up a registered account by username
+ * Players from before accounts existed have no credentials and are not accounts.
+ * @param {string} username - Validated username
+ * @returns {Promise<{ id: string, username: string, passwordHash: string }|null>}
+ */
+async function findAccount(username) {
+  if (!supabase) {
+    return accounts.get(username) || null;
+  }
 
-  socket.on('join-room', (roomCode, callback) => {
-    // Rate limit check
-    if (isRateLimited(socket.id, 'join-room')) {
-      return callback({ success: false, error: 'Too many requests. Please wait.' });
-    }
-    
-    const player = playerSockets.get(socket.id);
+  const { data: player, error } = await supabase
+    .from('players')
+    .select('id, username')
+    .eq('username', username)
+    .maybeSingle();
+  if (error) throw error;
+  if (!player) {
+    return null;
+  }
 
-    if (!player) {
-      return callback({ success: false, error: 'Not registered' });
-    }
+  const { data: credentials, error: credentialsError } = await supabase
+    .from('player_credentials')
+    .select('password_hash')
+    .eq('player_id', player.id)
+    .maybeSingle();
+  if (credentialsError) throw credentialsError;
 
-    // Validate room code
-    const codeResult = validateRoomCode(roomCode);
-    if (!codeResult.valid) {
-      return callback({ success: false, error: codeResult.error });
-    }
+  return credentials
+    ? { id: player.id, username: player.username, passwordHash: credentials.password_hash }
+    : null;
+}
 
-    const room = gameRooms.get(codeResult.normalized);
-    if (!room) {
-      return callback({ success: false, error: 'Room not found' });
-    }
-    if (room.players.length >= 2) {
-      return callback({ success: false, error: 'Room is full' });
-    }
-    
-    // Verify the host is still connected before allowing join
-    const host = room.players[0];
-    if (host) {
-      const hostSocket = io.sockets.sockets.get(host.socketId);
-      if (!hostSocket || !hostSocket.connected) {
-        // Host is disconnected, clean up the room
-        gameRooms.delete(codeResult.normalized);
-        return callback({ success: false, error: 'Room host has disconnected' });
-      }
+/**
+ * Create an account with a new player row. Usernames from before accounts
+ * existed keep their row and stats: nothing proves who owns them, so they
+ * count as taken unless claimed (see claimAccount).
+ * @param {string} username - Validated username
+ * @param {string} passwordHash - Hash from hashPassword
+ * @returns {Promise<{ id: string, username: string, passwordHash: string }|null>} Null if the name is taken
+ */
+async function createAccount(username, passwordHash) {
+  if (!supabase) {
+    if (accounts.has(username)) {
+      return null;
     }
+    const account = { id: crypto.randomUUID(), username, passwordHash };
+    accounts.set(username, account);
+    return account;
+  }
 
-    room.players.push(player);
-    socket.join(codeResult.normalized);
-    socket.roomCode = codeResult.normalized;
-    socket.playerIndex = 1;
-
-    // Start the game
-    room.state = 'playing';
-    room.startTime = Date.now();
+  // One transaction creates the player, its stats and its credentials
+  const { data: playerId, error } = await supabase.rpc('create_account', {
+    p_username: username,
+    p_password_hash: passwordHash
+  });
+  if (error) throw error;
 
-    // Double-check host is still connected after join (race condition protection)
-    const hostSocketAfterJoin = io.sockets.sockets.get(host.socketId);
-    if (!hostSocketAfterJoin || !hostSocketAfterJoin.connected) {
-      // Host disconnected during join - clean up and notify joiner
-      room.players.pop(); // Remove the joining player
-      socket.leave(codeResult.normalized);
-      socket.roomCode = null;
-      socket.playerIndex = undefined;
-      gameRooms.delete(codeResult.normalized);
-      return callback({ success: false, error: 'Room host disconnected during join' });
-    }
+  return playerId ? { id: playerId, username, passwordHash } : null;
+}
 
-    io.to(codeResult.normalized).emit('game-start', {
-      roomCode: codeResult.normalized,
-      players: room.players.map((p, i) => ({
-        username: p.username,
-        displayName: p.display_name,
-        index: i
-      })),
-      gameMode: room.gameMode
-    });
+/**
+ * Turn a username from before accounts into an account, keeping its stats
+ * The claim code is issued by an operator and works once (see the
+ * legacy_claims migration).
+ * @param {string} username - Validated username
+ * @param {string} passwordHash - Hash from hashPassword
+ * @param {string} claimCode - Code as typed by the player
+ * @returns {Promise<{ id: string, username: string, passwordHash: string }|null>} Null if the code does not match
+ */
+async function claimAccount(username, passwordHash, claimCode) {
+  // Without a database there are no players from before accounts
+  if (!supabase) {
+    return null;
+  }
 
-    callback({ success: true, playerIndex: 1 });
+  const { data: playerId, error } = await supabase.rpc('claim_account', {
+    p_username: username,
+    p_password_hash: passwordHash,
+    p_claim_code: claimCode
   });
+  if (error) throw error;
 
-  // ------------------------------
-  // MATCHMAKING
-  // ------------------------------
-  socket.on('find-match', ({ gameMode }, callback) => {
-    // Rate limit check
-    if (isRateLimited(socket.id, 'find-match')) {
-      return callback({ success: false, error: 'Too many requests. Please wait.' });
-    }
-    
-    const player = playerSockets.get(socket.id);
+  return playerId ? { id: playerId, username, passwordHash } : null;
+}
 
-    if (!player) {
-      return callback({ success: false, error: 'Not registered' });
-    }
+/**
+ * Load the player record for a signed-in account
+ * @param {{ id: string, username: string }} account - Verified account from the session token
+ * @param {string} socketId - Player's socket
+ * @returns {Promise<Object>} Registered player
+ */
+async function loadAccountPlayer(account, socketId) {
+  if (!supabase) {
+    return { socketId, username: account.username, display_name: account.username, guest: false };
+  }
 
-    // Validate game mode
-    const modeResult = validateGameMode(gameMode);
+  const { data: dbPlayer, error } = await supabase
+    .from('players')
+    .update({ last_seen: new Date().toISOString() })
+    .eq('id', account.id)
+    .select()
+    .single();
+  if (error) throw error;
+
+  return { ...dbPlayer, dbId: dbPlayer.id, socketId, guest: false };
+}
+
+/**
+ * Get a player's Elo rating for matchmaking
+ * @param {Object} player - Registered player
+ * @returns {Promise<number>} Rating (DEFAULT_ELO without a database)
+ */
+async function getPlayerRating(player) {
+  if (!supabase || !player.dbId) {
+    return DEFAULT_ELO;
+  }
+
+  try {
+    const { data, error } = await supabase
+      .from('player_stats')
+      .select('elo_rating')
+      .eq('player_id', player.dbId)
+      .single();
+
+    if (error) throw error;
+    return data.elo_rating;
+  } catch (err) {
+    console.error('Error loading rating:', err);
+    return DEFAULT_ELO;
+  }
+}
+
+/**
+ * Get how many matches a player has abandoned, for matchmaking penalties
+ * @param {Object} player - Registered player
+ * @returns {Promise<number>}
+ */
+async function getAbandonmentCount(player) {
+  if (!supabase || !player.dbId) {
+    return abandonments.get(player.username) || 0;
+  }
+
+  try {
+    const { data, error } = await supabase
+      .from('player_stats')
+      .select('abandonments')
+      .eq('player_id', player.dbId)
+      .single();
+
+    if (error) throw error;
+    return data.abandonments || 0;
+  } catch (err) {
+    console.error('Error loading abandonments:', err);
+    return 0;
+  }
+}
+
+/**
+ * Count a match abandoned by a player
+ * @param {Object} player - Player who left a match and did not come back
+ */
+async function recordAbandonment(player) {
+  if (!supabase || !player.dbId) {
+    abandonments.set(player.username, (abandonments.get(player.username) || 0) + 1);
+    return;
+  }
+
+  try {
+    // Incremented in one statement so simultaneous abandonments all count
+    // (see the record_abandonment migration)
+    const { error } = await supabase.rpc('record_abandonment', { p_player_id: player.dbId });
+    if (error) throw error;
+  } catch (err) {
+    console.error('Error saving abandonment:', err);
+  }
+}
+
+/**
+ * Load every friendship and pending friend request involving an account
+ * @param {{ id: string, username: string }} account - Registered account
+ * @returns {Promise<Array<{ requester: string, addressee: string, status: string }>>} Usernames on each side
+ */
+async function loadFriendships(account) {
+  if (!supabase) {
+    return [...friendships.values()]
+      .filter(f => f.requester === account.username || f.addressee === account.username);
+  }
+
+  const { data, error } = await supabase
+    .from('friendships')
+    .select('status, requester:players!requester_id(username), addressee:players!addressee_id(username)')
+    .or(`requester_id.eq.${account.id},addressee_id.eq.${account.id}`);
+  if (error) throw error;
+
+  return data.map(row => ({
+    requester: row.requester.username,
+    addressee: row.addressee.username,
+    status: row.status
+  }));
+}
+
+/**
+ * Send a friend request
+ * @param {{ id: string, username: string }} account - Player asking
+ * @param {{ id: string, username: string }} target - Player being asked
+ */
+async function saveFriendRequest(account, target) {
+  if (!supabase) {
+    friendships.set(getFriendshipKey(account.username, target.username), {
+      requester: account.username,
+      addressee: target.username,
+      status: 'pending'
+    });
+    return;
+  }
+
+  const { error } = await supabase
+    .from('friendships')
+    .insert({ requester_id: account.id, addressee_id: target.id });
+  // Unique violation: the pair already has a request, which the client sees in the next list
+  if (error && error.code !== '23505') throw error;
+}
+
+/**
+ * Accept a pending friend request
+ * @param {{ id: string, username: string }} account - Player accepting
+ * @param {{ id: string, username: string }} requester - Player who sent the request
+ */
+async function acceptFriendRequest(account, requester) {
+  if (!supabase) {
+    friendships.get(getFriendshipKey(account.username, requester.username)).status = 'accepted';
+    return;
+  }
+
+  const { error } = await supabase
+    .from('friendships')
+    .update({ status: 'accepted', accepted_at: new Date().toISOString() })
+    .eq('requester_id', requester.id)
+    .eq('addressee_id', account.id)
+    .eq('status', 'pending');
+  if (error) throw error;
+}
+
+/**
+ * Remove a friend, or decline or cancel a pending request
+ * @param {{ id: string, username: string }} account - Player removing the friendship
+ * @param {{ id: string, username: string }} other - The other player
+ */
+async function deleteFriendship(account, other) {
+  if (!supabase) {
+    friendships.delete(getFriendshipKey(account.username, other.username));
+    return;
+  }
+
+  const { error } = await supabase
+    .from('friendships')
+    .delete()
+    .or(`and(requester_id.eq.${account.id},addressee_id.eq.${other.id}),and(requester_id.eq.${other.id},addressee_id.eq.${account.id})`);
+  if (error) throw error;
+}
+
+/**
+ * Save match result to database and update player stats
+ * @param {Object} room - Game room data
+ * @param {number} winnerIndex - Winning player index (a forfeit winner may be behind on points)
+ * @param {Object} [options]
+ * @param {boolean} [options.forfeit=false] - True if the loser abandoned the match
+ * @returns {Promise<string|null>} ID of the saved match row, if any
+ */
+async function saveMatchResult(room, winnerIndex, { forfeit = false } = {}) {
+  if (!supabase) {
+    console.log('Database not configured, skipping match save');
+    return null;
+  }
+
+  // Guests are kept off the ranked ladder
+  if (room.seats.some(p => p.guest || !p.dbId)) {
+    console.log('Guest match, skipping match save');
+    return null;
+  }
+  
+  try {
+    const { seats: players, scores, gameMode, startTime, longestRally } = room;
+    const [player1, player2] = players;
+    const winner = players[winnerIndex];
+    const loser = players[1 - winnerIndex];
+    const duration = Math.floor((Date.now() - startTime) / 1000);
+
+    // One transaction inserts the match and applies both players' stats and
+    // rating changes (see the record_match and glicko2 migrations)
+    const { data, error } = await supabase.rpc('record_match', {
+      p_player1_id: player1.dbId,
+      p_player2_id: player2.dbId,
+      p_player1_score: scores[0],
+      p_player2_score: scores[1],
+      p_winner_id: winner.dbId,
+      p_game_mode: gameMode || 'classic',
+      p_duration_seconds: duration,
+      p_longest_rally: longestRally || 0,
+      p_forfeit: forfeit,
+      p_rating_engine: RATING_ENGINE
+    });
+
+    if (error) throw error;
+    const result = Array.isArray(data) ? data[0] : data;
+
+    console.log(`Match saved: ${winner.username} beat ${loser.username}${forfeit ? ' (forfeit)' : ''}, rating ${result.elo_change >= 0 ? '+' : ''}${result.elo_change} (${RATING_ENGINE})`);
+    return result.match_id;
+  } catch (err) {
+    console.error('Error saving match:', err);
+    return null;
+  }
+}
+
+/**
+ * Save a decided series and link its per-game match rows to it
+ * @param {Object} room - Game room data with a finished series
+ */
+async function saveSeriesResult(room) {
+  // Guest series are unranked like their games
+  if (!supabase || room.seats.some(p => p.guest || !p.dbId)) {
+    return;
+  }
+
+  const { series } = room;
+  const dbIdOf = username => {
+    const player = room.seats.find(p => p.username === username);
+    return player ? player.dbId : null;
+  };
+
+  try {
+    // One transaction saves the series and links its games to it
+    // (see the record_series migration)
+    const { error } = await supabase.rpc('record_series', {
+      p_player1_id: dbIdOf(series.players[0]),
+      p_player2_id: dbIdOf(series.players[1]),
+      p_best_of: series.bestOf,
+      p_player1_wins: series.wins[0],
+      p_player2_wins: series.wins[1],
+      p_winner_id: dbIdOf(series.winner),
+      p_game_mode: room.gameMode || 'classic',
+      p_match_ids: series.matchIds
+    });
+    if (error) throw error;
+
+    console.log(`Series saved: ${series.winner} won best of ${series.bestOf}`);
+  } catch (err) {
+    console.error('Error saving series:', err);
+  }
+}
+
+/**
+ * Save a tournament and its seeded entrants when the bracket starts
+ * @param {Object} tournament - Tournament that has just started
+ */
+async function saveTournamentStart(tournament) {
+  if (!supabase) {
+    return;
+  }
+
+  try {
+    const host = tournament.players.find(p => p.username === tournament.host);
+    const { data, error } = await supabase
+      .from('tournaments')
+      .insert({
+        code: tournament.code,
+        name: tournament.name,
+        size: tournament.size,
+        format: tournament.format,
+        game_mode: tournament.gameMode,
+        host_id: host ? host.dbId : null,
+        started_at: new Date(tournament.startedAt).toISOString()
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+    tournament.dbId = data.id;
+
+    // Guests play in brackets but have no player row to record
+    await supabase.from('tournament_players').insert(
+      tournament.players.filter(p => p.dbId).map(p => ({
+        tournament_id: tournament.dbId,
+        player_id: p.dbId,
+        seed: p.seed,
+        elo_rating: p.rating
+      }))
+    );
+  } catch (err) {
+    console.error('Error saving tournament:', err);
+  }
+}
+
+/**
+ * Save a played tournament match, and the champion once the bracket is done
+ * @param {Object} tournament - Tournament
+ * @param {Object} match - Completed match
+ */
+async function saveTournamentResult(tournament, match) {
+  if (!supabase || !tournament.dbId) {
+    return;
+  }
+
+  const dbIdOf = username => {
+    const player = tournament.players.find(p => p.username === username);
+    return player ? player.dbId : null;
+  };
+
+  try {
+    await supabase.from('tournament_matches').insert({
+      tournament_id: tournament.dbId,
+      match_key: match.id,
+      bracket: match.bracket,
+      round: match.round,
+      player1_id: dbIdOf(match.players[0]),
+      player2_id: dbIdOf(match.players[1]),
+      player1_score: match.scores[0],
+      player2_score: match.scores[1],
+      winner_id: dbIdOf(match.players[match.winner])
+    });
+
+    if (tournament.state === 'finished') {
+      await supabase
+        .from('tournaments')
+        .update({
+          state: 'finished',
+          champion_id: dbIdOf(tournament.champion),
+          finished_at: new Date(tournament.finishedAt).toISOString()
+        })
+        .eq('id', tournament.dbId);
+    }
+  } catch (err) {
+    console.error('Error saving tournament match:', err);
+  }
+}
+
+// ============================================
+// MATCH SIMULATION
+// ============================================
+
+/**
+ * Get the public player list for a room
+ * @param {Object} room - Game room data
+ * @returns {Array<{ username: string, displayName: string, index: number }>}
+ */
+function getRoomPlayers(room) {
+  return room.players.map((p, i) => ({
+    username: p.username,
+    displayName: p.display_name,
+    index: i
+  }));
+}
+
+/**
+ * Get the state a client needs to show a match already in progress
+ * (used when a player reconnects and when a spectator joins)
+ * @param {Object} room - Game room data
+ * @returns {Object} Scores, mode, field, players, paddle centres, ball and power-ups
+ */
+function getRoomSnapshot(room) {
+  return {
+    scores: room.scores,
+    gameMode: room.gameMode,
+    rules: room.rules || null,
+    field: FIELD,
+    players: getRoomPlayers(room),
+    paddles: room.sim ? [getPaddleCenter(room.sim, 0), getPaddleCenter(room.sim, 1)] : null,
+    ball: room.sim ? getBallSnapshot(room.sim) : null,
+    powerups: room.sim && room.sim.powerups ? getPowerUpSnapshot(room.sim.powerups, Date.now()) : null,
+    series: room.series ? getSeriesView(room.series) : null
+  };
+}
+
+/**
+ * Tell everyone in a room how many spectators are watching
+ * @param {Object} room - Game room data
+ */
+function emitSpectatorCount(room) {
+  io.to(room.code).emit('spectator-count', { count: room.spectators.length });
+}
+
+/**
+ * List the public rooms still waiting for an opponent
+ * @returns {Object[]} Room listings (see lib/lobby)
+ */
+function getOpenRooms() {
+  return listOpenRooms(gameRooms.values(), (room) => {
+    const hostSocket = io.sockets.sockets.get(room.players[0].socketId);
+    return !!hostSocket && hostSocket.connected;
+  });
+}
+
+/**
+ * Send the open room list to everyone browsing the lobby
+ */
+function broadcastLobby() {
+  io.to(LOBBY.CHANNEL).emit('lobby-update', { rooms: getOpenRooms() });
+}
+
+/**
+ * Send an event to every connection of a player
+ * @param {string} username - Player to notify
+ * @param {string} event - Event name
+ * @param {Object} data - Event payload
+ */
+function emitToPlayer(username, event, data) {
+  playerSockets.forEach(player => {
+    if (player.username === username) {
+      io.to(player.socketId).emit(event, data);
+    }
+  });
+}
+
+/**
+ * Work out whether a player is offline, online or in a match
+ * @param {string} username - Player to look up
+ * @returns {string} One of PRESENCE (see lib/friends)
+ */
+function getPlayerPresence(username) {
+  const player = [...playerSockets.values()].find(p => p.username === username);
+  const playerSocket = player ? io.sockets.sockets.get(player.socketId) : null;
+  return getPresence(player, playerSocket ? gameRooms.get(playerSocket.roomCode) : undefined);
+}
+
+/**
+ * Build an account's friends panel
+ * @param {{ id: string, username: string }} account - Registered account
+ * @returns {Promise<Object>} Friends with presence and pending requests (see lib/friends)
+ */
+async function getFriendList(account) {
+  return buildFriendList(await loadFriendships(account), account.username, getPlayerPresence);
+}
+
+/**
+ * Send an account its friends panel on every connection
+ * @param {{ id: string, username: string }} account - Registered account
+ */
+async function sendFriendList(account) {
+  try {
+    emitToPlayer(account.username, 'friends-update', await getFriendList(account));
+  } catch (err) {
+    console.error('Error sending friend list:', err);
+  }
+}
+
+/**
+ * Tell an account's online friends whether it is online or in a match
+ * @param {{ id: string, username: string }} account - Account whose presence changed
+ */
+async function broadcastPresence(account) {
+  try {
+    const accepted = (await loadFriendships(account)).filter(f => f.status === 'accepted');
+    // Worked out once the friends are loaded, so it reflects whatever triggered the update
+    const presence = getPlayerPresence(account.username);
+    accepted.forEach(f => {
+      const friend = f.requester === account.username ? f.addressee : f.requester;
+      emitToPlayer(friend, 'friend-presence', { username: account.username, presence });
+    });
+  } catch (err) {
+    console.error('Error sending presence:', err);
+  }
+}
+
+/**
+ * Update the presence of a room's signed-in players after their match starts or ends
+ * @param {Object} room - Game room data
+ */
+function broadcastRoomPresence(room) {
+  room.players.forEach(p => {
+    const playerSocket = io.sockets.sockets.get(p.socketId);
+    if (playerSocket && playerSocket.account) {
+      broadcastPresence(playerSocket.account);
+    }
+  });
+}
+
+/**
+ * Stop a socket spectating the room it is watching
+ * @param {Object} socket - Spectator's socket
+ */
+function stopSpectating(socket) {
+  const roomCode = socket.spectatingRoom;
+  if (!roomCode) {
+    return;
+  }
+
+  socket.spectatingRoom = null;
+  socket.leave(roomCode);
+
+  const room = gameRooms.get(roomCode);
+  if (room) {
+    room.spectators = room.spectators.filter(id => id !== socket.id);
+    emitSpectatorCount(room);
+  }
+}
+
+/**
+ * Start (or restart) the authoritative simulation for a room and notify players
+ * @param {Object} room - Game room data
+ * @param {Object} [extra={}] - Additional fields for the game-start payload
+ */
+function startMatch(room, extra = {}) {
+  const now = Date.now();
+
+  room.state = 'playing';
+  room.startTime = now;
+  room.longestRally = 0;
+  room.sim = createSimulation(room.gameMode, now, undefined, room.rules);
+  room.scores = room.sim.scores;
+  // Players by paddle for this match; room.players loses anyone who leaves the room
+  room.seats = [...room.players];
+
+  // Each seat gets its own token for resuming after a dropped connection
+  room.resumeTokens = room.players.map((p, i) => createResumeToken(room.code, i, AUTH_SECRET));
+
+  const payload = {
+    roomCode: room.code,
+    players: getRoomPlayers(room),
+    gameMode: room.gameMode,
+    rules: room.rules || null,
+    field: FIELD,
+    seed: room.sim.seed,
+    ...(room.series ? { series: getSeriesView(room.series) } : {}),
+    ...extra
+  };
+
+  // Spectators share the room channel but must not see the players' tokens
+  const playerSocketIds = room.players.map(p => p.socketId).filter(Boolean);
+  io.to(room.code).except(playerSocketIds).emit('game-start', payload);
+  room.players.forEach((p, i) => {
+    if (p.socketId) {
+      io.to(p.socketId).emit('game-start', { ...payload, resumeToken: room.resumeTokens[i] });
+    }
+  });
+
+  broadcastRoomPresence(room);
+}
+
+/**
+ * Start a new series between a room's players
+ * Rooms created for a single game (bestOf 1) have no series.
+ * @param {Object} room - Game room data with both players
+ */
+function startSeries(room) {
+  room.series = room.bestOf > 1
+    ? createSeries(room.bestOf, room.players.map(p => p.username))
+    : null;
+}
+
+/**
+ * Check whether a finished room's players may start a rematch
+ * Tournament matches are played once, and a series plays on by itself until decided.
+ * @param {Object} room - Game room data
+ * @returns {boolean}
+ */
+function canRematch(room) {
+  return !room.tournament && (!room.series || isSeriesOver(room.series));
+}
+
+/**
+ * Swap the players' sides and start the next game of a series after a short pause
+ * @param {Object} room - Game room data with an undecided series
+ */
+function scheduleNextSeriesGame(room) {
+  const { series } = room;
+
+  setTimeout(() => {
+    // The room may have been cleaned up, or a player may have left, meanwhile
+    const bothConnected = room.players.length === 2 && room.players.every(p => {
+      const playerSocket = io.sockets.sockets.get(p.socketId);
+      return playerSocket && playerSocket.connected;
+    });
+    if (gameRooms.get(room.code) !== room || room.series !== series || room.state !== 'finished' || !bothConnected) {
+      return;
+    }
+
+    room.players.reverse();
+    room.players.forEach((player, i) => {
+      io.sockets.sockets.get(player.socketId).playerIndex = i;
+    });
+    startMatch(room);
+  }, SERIES.NEXT_GAME_DELAY_MS);
+}
+
+/**
+ * End a decided match, save it and notify players
+ * @param {Object} room - Game room data
+ * @param {string} [reason='score'] - 'score' when the simulation decided it, 'forfeit' when a player abandoned it
+ */
+async function finishMatch(room, reason = 'score') {
+  // Atomically transition to 'finished' so the result is only processed once
+  room.state = 'finished';
+
+  const finalScores = [...room.sim.scores];
+  const winnerIndex = room.sim.winnerIndex;
+  const forfeit = reason === 'forfeit';
+  const winner = room.seats[winnerIndex];
+
+  if (!winner) {
+    console.error(`Room ${room.code} finished without a player in seat ${winnerIndex}`);
+    return;
+  }
+
+  const matchId = await saveMatchResult(room, winnerIndex, { forfeit });
+
+  const { series } = room;
+  if (series) {
+    recordGame(series, winner.username, {
+      [room.seats[0].username]: finalScores[0],
+      [room.seats[1].username]: finalScores[1]
+    });
+    // Abandoning one game abandons the rest of the series
+    if (forfeit && !isSeriesOver(series)) {
+      forfeitSeries(series, winner.username);
+    }
+    if (matchId) {
+      series.matchIds.push(matchId);
+    }
+  }
+
+  io.to(room.code).emit('match-complete', {
+    scores: finalScores,
+    winnerIndex,
+    reason,
+    duration: Math.floor((Date.now() - room.startTime) / 1000),
+    ...(series ? {
+      series: getSeriesView(series),
+      nextGameIn: isSeriesOver(series) ? null : SERIES.NEXT_GAME_DELAY_MS
+    } : {})
+  });
+
+  broadcastRoomPresence(room);
+
+  if (series) {
+    if (isSeriesOver(series)) {
+      saveSeriesResult(room);
+    } else {
+      scheduleNextSeriesGame(room);
+    }
+  }
+
+  if (room.tournament) {
+    advanceTournament(room, winnerIndex, finalScores);
+  }
+}
+
+/**
+ * Award a match to the player still connected after the other failed to come back
+ * @param {Object} room - Game room data
+ * @param {number} loserIndex - Index of the player who abandoned the match
+ */
+function forfeitMatch(room, loserIndex) {
+  if (room.state !== 'playing' || !room.sim) {
+    return;
+  }
+
+  const loser = room.seats[loserIndex];
+  room.sim.phase = 'finished';
+  room.sim.winnerIndex = 1 - loserIndex;
+
+  console.log(`${loser.username} forfeited room ${room.code}`);
+  recordAbandonment(loser);
+  finishMatch(room, 'forfeit');
+}
+
+/**
+ * Check whether a room is in the pause between two games of an undecided series
+ * @param {Object} room - Game room data
+ * @returns {boolean}
+ */
+function isBetweenSeriesGames(room) {
+  return room.state === 'finished' && !!room.series && !isSeriesOver(room.series);
+}
+
+/**
+ * Award the rest of a series to the player left after the other abandoned it
+ * between games, and save the series
+ * @param {Object} room - Game room data between two series games
+ * @param {number} loserIndex - Index of the player who abandoned the series
+ */
+function forfeitSeriesBetweenGames(room, loserIndex) {
+  if (!isBetweenSeriesGames(room)) {
+    return;
+  }
+
+  const { series } = room;
+  const loser = room.seats[loserIndex];
+  const winnerIndex = 1 - loserIndex;
+  forfeitSeries(series, room.seats[winnerIndex].username);
+
+  console.log(`${loser.username} abandoned the series in room ${room.code}`);
+  recordAbandonment(loser);
+
+  // The last game's score stands; the series goes to the player who stayed
+  io.to(room.code).emit('match-complete', {
+    scores: [...room.sim.scores],
+    winnerIndex,
+    reason: 'forfeit',
+    duration: Math.floor((Date.now() - room.startTime) / 1000),
+    series: getSeriesView(series),
+    nextGameIn: null
+  });
+
+  saveSeriesResult(room);
+}
+
+/**
+ * Advance a room's simulation and broadcast the authoritative state
+ * @param {Object} room - Game room data
+ * @param {number} now - Current time in ms
+ */
+function tickRoom(room, now) {
+  if (room.state !== 'playing' || !room.sim) {
+    return;
+  }
+
+  const { sim } = room;
+
+  // Freeze the match while a player is inside the reconnect grace period
+  if (room.players.some(p => p.disconnected)) {
+    sim.lastStepTime = now;
+    return;
+  }
+
+  const ackedBefore = [...sim.lastProcessedSeq];
+  const results = advanceSimulation(sim, now);
+  if (results.length === 0) {
+    return;
+  }
+
+  room.longestRally = sim.longestRally;
+
+  // Power-up spawns, collections and expiries happen in tick order
+  results.forEach(result => {
+    result.events.forEach(({ name, data }) => io.to(room.code).emit(name, data));
+  });
+
+  io.to(room.code).emit('ball-update', getBallSnapshot(sim));
+
+  // Acknowledge applied paddle inputs so the owner can reconcile its prediction,
+  // and show the opponent where the server put the paddle
+  room.seats.forEach((player, i) => {
+    const seq = sim.lastProcessedSeq[i];
+    if (seq === ackedBefore[i]) {
+      return;
+    }
+
+    const position = getPaddleCenter(sim, i);
+    io.to(player.socketId).emit('paddle-ack', { seq, position });
+    io.to(room.code).except(player.socketId).emit('opponent-move', {
+      position,
+      playerIndex: i
+    });
+  });
+
+  if (results.some(r => r.scored !== null)) {
+    io.to(room.code).emit('score-sync', { scores: sim.scores });
+  }
+
+  if (sim.phase === 'finished') {
+    finishMatch(room);
+  }
+}
+
+// Single fixed-rate loop drives every active room
+setInterval(() => {
+  const now = Date.now();
+  for (const room of gameRooms.values()) {
+    tickRoom(room, now);
+  }
+}, TICK_MS);
+
+// ============================================
+// MATCHMAKING
+// ============================================
+
+/**
+ * Take a socket out of a room whose match is over
+ * @param {Object} socket - Player's socket
+ */
+function leaveFinishedRoom(socket) {
+  const room = gameRooms.get(socket.roomCode);
+  if (!room || room.state !== 'finished') {
+    return;
+  }
+
+  socket.leave(room.code);
+  room.players = room.players.filter(p => p.socketId !== socket.id);
+  if (room.players.length === 0) {
+    gameRooms.delete(room.code);
+  }
+  socket.roomCode = null;
+  socket.playerIndex = undefined;
+}
+
+/**
+ * Open a room hosted by a player, waiting for an opponent to join
+ * @param {Object} socket - Host's socket
+ * @param {Object} player - Registered host
+ * @param {Object} options - Validated room settings
+ * @param {string} options.gameMode - Game mode
+ * @param {number} options.bestOf - Series length
+ * @param {Object|null} options.rules - Custom rules (null for the mode's standard rules)
+ * @param {boolean} [options.isPublic=false] - List the room in the lobby
+ * @param {number|null} [options.hostRating=null] - Host's rating, shown in the lobby
+ * @param {string|null} [options.challenged=null] - Friend challenged to this room
+ * @returns {Object|null} The room, or null if no room code was available
+ */
+function openWaitingRoom(socket, player, { gameMode, bestOf, rules, isPublic = false, hostRating = null, challenged = null }) {
+  const roomCode = generateUniqueRoomCode(gameRooms);
+  if (!roomCode) {
+    return null;
+  }
+
+  const room = {
+    code: roomCode,
+    players: [player],
+    state: 'waiting',
+    gameMode,
+    rules,
+    bestOf,
+    isPublic,
+    hostRating,
+    challenged,
+    createdAt: Date.now(),
+    series: null,
+    scores: [0, 0],
+    startTime: null,
+    longestRally: 0,
+    spectators: []        // socket IDs watching read-only
+  };
+
+  gameRooms.set(roomCode, room);
+
+  stopSpectating(socket);
+  socket.join(roomCode);
+  socket.roomCode = roomCode;
+  socket.playerIndex = 0;
+
+  return room;
+}
+
+/**
+ * Put two players into a new room (not yet started)
+ * @param {Object[]} players - Registered players, in paddle order
+ * @param {string} gameMode - Validated game mode
+ * @returns {Object|null} The room, or null if no room code was available
+ */
+function createMatchRoom(players, gameMode) {
+  const roomCode = generateUniqueRoomCode(gameRooms);
+  if (!roomCode) {
+    return null;
+  }
+
+  const room = {
+    code: roomCode,
+    players,
+    state: 'waiting',
+    gameMode,
+    rules: null,
+    bestOf: SERIES.DEFAULT_BEST_OF,
+    series: null,
+    scores: [0, 0],
+    startTime: null,
+    longestRally: 0,
+    spectators: []
+  };
+
+  gameRooms.set(roomCode, room);
+
+  // Join both players to room
+  room.players.forEach((player, i) => {
+    const playerSocket = io.sockets.sockets.get(player.socketId);
+    if (playerSocket) {
+      stopSpectating(playerSocket);
+      leaveFinishedRoom(playerSocket);
+      playerSocket.join(roomCode);
+      playerSocket.roomCode = roomCode;
+      playerSocket.playerIndex = i;
+    }
+  });
+
+  return room;
+}
+
+/**
+ * Put two queued players into a new room and start their match
+ * @param {Object} first - Queue entry for player 1 (the one who waited longer)
+ * @param {Object} second - Queue entry for player 2
+ * @returns {Object|null} The room, or null if no room code was available
+ */
+function startQueuedMatch(first, second) {
+  const room = createMatchRoom([first.player, second.player], first.gameMode);
+  if (!room) {
+    return null;
+  }
+
+  // Start the match and notify both players
+  startMatch(room);
+  return room;
+}
+
+/**
+ * Pair players whose search windows have widened enough and send everyone
+ * still waiting their queue position and estimated wait
+ * @param {number} now - Current time in ms
+ */
+function updateMatchmaking(now) {
+  findMatches(matchmakingQueue, now).forEach(([first, second]) => {
+    if (!startQueuedMatch(first, second)) {
+      // Try again on the next update
+      matchmakingQueue.unshift(first, second);
+    }
+  });
+
+  matchmakingQueue.forEach(entry => {
+    io.to(entry.player.socketId).emit('queue-update', getQueueStatus(matchmakingQueue, entry, now));
+  });
+}
+
+setInterval(() => updateMatchmaking(Date.now()), MATCHMAKING.UPDATE_INTERVAL_MS);
+
+// ============================================
+// TOURNAMENTS
+// ============================================
+
+/**
+ * Get the Socket.io room name for a tournament's players
+ * @param {string} code - Tournament join code
+ * @returns {string}
+ */
+function getTournamentChannel(code) {
+  return `tournament:${code}`;
+}
+
+/**
+ * Send the current bracket to everyone in a tournament
+ * @param {Object} tournament - Tournament
+ */
+function broadcastTournament(tournament) {
+  io.to(getTournamentChannel(tournament.code)).emit('tournament-update', getTournamentView(tournament));
+}
+
+/**
+ * Find a connected player who is free to start a tournament match
+ * @param {string} username - Player to look for
+ * @returns {Object|null} Registered player, or null if offline or mid-match
+ */
+function findAvailablePlayer(username) {
+  for (const player of playerSockets.values()) {
+    if (player.username !== username) {
+      continue;
+    }
+
+    const playerSocket = io.sockets.sockets.get(player.socketId);
+    if (!playerSocket || !playerSocket.connected) {
+      return null;
+    }
+    const room = gameRooms.get(playerSocket.roomCode);
+    return room && room.state !== 'finished' ? null : player;
+  }
+  return null;
+}
+
+/**
+ * Create rooms for every bracket match whose players are both free
+ * Players who are offline or still playing get their match once they are free.
+ * @param {Object} tournament - Running tournament
+ */
+function startReadyTournamentMatches(tournament) {
+  let started = false;
+
+  getReadyMatches(tournament).forEach(match => {
+    const players = match.players.map(findAvailablePlayer);
+    if (players.some(p => !p)) {
+      return;
+    }
+
+    // A bracket match takes priority over the matchmaking queue
+    players.forEach(player => {
+      const queueIndex = matchmakingQueue.findIndex(e => e.player.socketId === player.socketId);
+      if (queueIndex !== -1) {
+        matchmakingQueue.splice(queueIndex, 1);
+      }
+    });
+
+    const room = createMatchRoom(players, tournament.gameMode);
+    if (!room) {
+      return;
+    }
+
+    room.tournament = { code: tournament.code, matchId: match.id };
+    match.state = 'playing';
+    match.roomCode = room.code;
+    started = true;
+
+    startMatch(room, {
+      tournament: { code: tournament.code, name: tournament.name, matchId: match.id }
+    });
+  });
+
+  if (started) {
+    broadcastTournament(tournament);
+  }
+}
+
+/**
+ * Close registration and start the first round
+ * @param {Object} tournament - Tournament in registration
+ * @returns {{ success: boolean, error?: string }}
+ */
+function beginTournament(tournament) {
+  const result = startTournament(tournament);
+  if (!result.success) {
+    return result;
+  }
+
+  console.log(`Tournament ${tournament.code} started with ${tournament.players.length} players`);
+  saveTournamentStart(tournament);
+  broadcastTournament(tournament);
+  startReadyTournamentMatches(tournament);
+  return result;
+}
+
+/**
+ * Record a finished bracket match and start the matches it unlocks
+ * @param {Object} room - Finished tournament room
+ * @param {number} winnerIndex - Winning player index
+ * @param {number[]} scores - Final scores
+ */
+function advanceTournament(room, winnerIndex, scores) {
+  const tournament = tournaments.get(room.tournament.code);
+  if (!tournament) {
+    return;
+  }
+
+  const { matchId } = room.tournament;
+  const result = reportResult(tournament, matchId, room.seats[winnerIndex].username, scores);
+  if (!result.success) {
+    console.error(`Could not record tournament match ${matchId}: ${result.error}`);
+    return;
+  }
+
+  saveTournamentResult(tournament, getMatch(tournament, matchId));
+
+  if (tournament.state === 'finished') {
+    console.log(`Tournament ${tournament.code} won by ${tournament.champion}`);
+    setTimeout(() => tournaments.delete(tournament.code), TOURNAMENT_RETENTION);
+  }
+
+  broadcastTournament(tournament);
+  startReadyTournamentMatches(tournament);
+}
+
+/**
+ * Close tournaments that have waited too long for players to start
+ * Running tournaments are left alone; finished ones are removed after
+ * TOURNAMENT_RETENTION (see advanceTournament).
+ * @param {number} now - Current time in ms
+ */
+function expireTournaments(now) {
+  for (const tournament of tournaments.values()) {
+    if (tournament.state !== 'registration' || now - tournament.createdAt < TOURNAMENT_REGISTRATION_TIMEOUT) {
+      continue;
+    }
+
+    const channel = getTournamentChannel(tournament.code);
+    io.to(channel).emit('tournament-closed', { code: tournament.code });
+    io.in(channel).socketsLeave(channel);
+    tournaments.delete(tournament.code);
+    console.log(`Tournament ${tournament.code} closed before it started`);
+  }
+}
+
+// Check for tournaments that never started once a minute
+setInterval(() => expireTournaments(Date.now()), 60 * 1000);
+
+/**
+ * Requeue the bracket match of a tournament room that closed unfinished
+ * The match is played again once both players are free.
+ * @param {Object} room - Tournament room being deleted
+ */
+function requeueTournamentMatch(room) {
+  const tournament = tournaments.get(room.tournament.code);
+  if (!tournament) {
+    return;
+  }
+
+  const { matchId } = room.tournament;
+  if (!resetMatch(tournament, matchId).success) {
+    return;
+  }
+
+  console.log(`Tournament match ${matchId} requeued (room ${room.code} closed unfinished)`);
+  broadcastTournament(tournament);
+  startReadyTournamentMatches(tournament);
+}
+
+// ============================================
+// SOCKET.IO EVENT HANDLERS
+// ============================================
+
+// Sockets that present a session token are signed in to that account; others play as guests
+io.use((socket, next) => {
+  const token = socket.handshake.auth && socket.handshake.auth.token;
+  if (!token) {
+    return next();
+  }
+
+  const result = verifyToken(token, AUTH_SECRET);
+  if (!result.valid) {
+    return next(new Error('Invalid or expired session'));
+  }
+
+  socket.account = result.account;
+  next();
+});
+
+io.on('connection', (socket) => {
+  console.log(`Player connected: ${socket.id}`);
+
+  // ------------------------------
+  // REGISTRATION
+  // ------------------------------
+  socket.on('register', async ({ username, resumeToken }, callback) => {
+    // Rate limit check
+    if (isRateLimited(socket.id, 'register')) {
+      return callback({ success: false, error: 'Too many requests. Please wait.' });
+    }
+    
+    try {
+      let player;
+
+      if (socket.account) {
+        // Signed in: the username comes from the verified session, not the client
+        player = await loadAccountPlayer(socket.account, socket.id);
+      } else {
+        // Guest: any free name, kept off the ranked ladder
+        const usernameResult = validateUsername(username);
+        if (!usernameResult.valid) {
+          return callback({ success: false, error: usernameResult.error });
+        }
+
+        if (await findAccount(usernameResult.sanitized)) {
+          return callback({ success: false, error: 'That username belongs to an account. Log in to use it.' });
+        }
+
+        // A dropped player's name stays reserved for its resume token during the grace period
+        const inUse = [...playerSockets.values()]
+          .some(p => p.username === usernameResult.sanitized && p.socketId !== socket.id) ||
+          [...pendingReconnects.entries()]
+            .some(([token, info]) => info.username === usernameResult.sanitized && token !== resumeToken);
+        if (inUse) {
+          return callback({ success: false, error: 'Username is already in use' });
+        }
+
+        player = {
+          socketId: socket.id,
+          username: usernameResult.sanitized,
+          display_name: usernameResult.sanitized,
+          guest: true
+        };
+      }
+      const sanitized = player.username;
+
+      // Store in memory
+      playerSockets.set(socket.id, player);
+
+      // Friends see us come online (or back in our match, if we are resuming it)
+      if (socket.account) {
+        broadcastPresence(socket.account);
+      }
+
+      // Check for pending reconnect (player had a game in progress and kept its resume token)
+      const resume = resumeToken ? verifyResumeToken(resumeToken, AUTH_SECRET) : null;
+      const reconnectInfo = resume && resume.valid ? pendingReconnects.get(resumeToken) : null;
+      if (reconnectInfo) {
+        const room = gameRooms.get(reconnectInfo.roomCode);
+        if (room && room.state === 'playing' && room.resumeTokens[reconnectInfo.playerIndex] === resumeToken) {
+          const roomPlayer = room.players[reconnectInfo.playerIndex];
+          // The seat is only handed back to the same player name
+          if (roomPlayer && roomPlayer.disconnected && roomPlayer.username === sanitized) {
+            // Re-associate player with new socket
+            roomPlayer.socketId = socket.id;
+            roomPlayer.disconnected = false;
+            
+            // The new client numbers its paddle inputs from scratch
+            resetPlayerInput(room.sim, reconnectInfo.playerIndex);
+            
+            // Set socket properties
+            socket.join(reconnectInfo.roomCode);
+            socket.roomCode = reconnectInfo.roomCode;
+            socket.playerIndex = reconnectInfo.playerIndex;
+            
+            // Clean up pending reconnect
+            pendingReconnects.delete(resumeToken);
+            
+            console.log(`Player ${sanitized} reconnected to room ${reconnectInfo.roomCode}`);
+            
+            // Notify both players that game can resume
+            io.to(reconnectInfo.roomCode).emit('player-reconnected', {
+              playerIndex: reconnectInfo.playerIndex,
+              roomCode: reconnectInfo.roomCode
+            });
+            
+            // Also send current game state to reconnected player
+            callback({ 
+              success: true, 
+              player,
+              reconnected: true,
+              roomCode: reconnectInfo.roomCode,
+              playerIndex: reconnectInfo.playerIndex,
+              gameState: getRoomSnapshot(room)
+            });
+            return;
+          }
+        } else {
+          // The match is over or has moved on, clean it up
+          pendingReconnects.delete(resumeToken);
+        }
+      }
+
+      callback({ success: true, player });
+
+      // Rejoin tournaments and start any bracket match that was waiting on us
+      tournaments.forEach(tournament => {
+        if (tournament.players.some(p => p.username === sanitized)) {
+          socket.join(getTournamentChannel(tournament.code));
+          socket.emit('tournament-update', getTournamentView(tournament));
+          if (tournament.state === 'running') {
+            startReadyTournamentMatches(tournament);
+          }
+        }
+      });
+    } catch (err) {
+      callback({ success: false, error: err.message });
+    }
+  });
+
+  // ------------------------------
+  // ROOM MANAGEMENT
+  // ------------------------------
+  socket.on('create-room', async ({ gameMode, bestOf, rules, isPublic }, callback) => {
+    // Rate limit check
+    if (isRateLimited(socket.id, 'create-room')) {
+      return callback({ success: false, error: 'Too many requests. Please wait.' });
+    }
+    
+    const player = playerSockets.get(socket.id);
+
+    if (!player) {
+      return callback({ success: false, error: 'Not registered' });
+    }
+
+    // Validate game mode
+    const modeResult = validateGameMode(gameMode);
+    if (!modeResult.valid) {
+      return callback({ success: false, error: modeResult.error });
+    }
+
+    // Validate series length
+    const bestOfResult = validateBestOf(bestOf);
+    if (!bestOfResult.valid) {
+      return callback({ success: false, error: bestOfResult.error });
+    }
+
+    // Validate custom rules (null keeps the mode's standard rules)
+    const rulesResult = validateRoomRules(rules, modeResult.mode);
+    if (!rulesResult.valid) {
+      return callback({ success: false, error: rulesResult.error });
+    }
+
+    // Validate the public flag (public rooms are listed in the lobby)
+    const publicResult = validatePublicFlag(isPublic);
+    if (!publicResult.valid) {
+      return callback({ success: false, error: publicResult.error });
+    }
+
+    // Anyone can join a listed room and its result is rated, so only private
+    // rooms may change the rules
+    if (publicResult.isPublic && rulesResult.rules) {
+      return callback({ success: false, error: 'Public rooms play by the standard rules' });
+    }
+
+    // The lobby shows the host's rating
+    const hostRating = publicResult.isPublic ? await getPlayerRating(player) : null;
+
+    // The player may have left while the rating loaded
+    if (!socket.connected) {
+      return;
+    }
+
+    const room = openWaitingRoom(socket, player, {
+      gameMode: modeResult.mode,
+      bestOf: bestOfResult.bestOf,
+      rules: rulesResult.rules,
+      isPublic: publicResult.isPublic,
+      hostRating
+    });
+    if (!room) {
+      return callback({ success: false, error: 'Could not generate room code' });
+    }
+
+    callback({
+      success: true,
+      roomCode: room.code,
+      bestOf: room.bestOf,
+      rules: room.rules,
+      isPublic: room.isPublic
+    });
+
+    if (publicResult.isPublic) {
+      broadcastLobby();
+    }
+  });
+
+  // Look up a waiting room so the joiner can see its rules before joining
+  socket.on('room-info', (roomCode, callback) => {
+    // Rate limit check
+    if (isRateLimited(socket.id, 'room-info')) {
+      return callback({ success: false, error: 'Too many requests. Please wait.' });
+    }
+
+    // Validate room code
+    const codeResult = validateRoomCode(roomCode);
+    if (!codeResult.valid) {
+      return callback({ success: false, error: codeResult.error });
+    }
+
+    const room = gameRooms.get(codeResult.normalized);
+    if (!room) {
+      return callback({ success: false, error: 'Room not found' });
+    }
+    if (room.players.length >= 2) {
+      return callback({ success: false, error: 'Room is full' });
+    }
+
+    callback({
+      success: true,
+      roomCode: room.code,
+      host: room.players[0] ? room.players[0].display_name || room.players[0].username : null,
+      gameMode: room.gameMode,
+      bestOf: room.bestOf,
+      rules: room.rules
+    });
+  });
+
+  socket.on('join-room', (roomCode, callback) => {
+    // Rate limit check
+    if (isRateLimited(socket.id, 'join-room')) {
+      return callback({ success: false, error: 'Too many requests. Please wait.' });
+    }
+    
+    const player = playerSockets.get(socket.id);
+
+    if (!player) {
+      return callback({ success: false, error: 'Not registered' });
+    }
+
+    // Validate room code
+    const codeResult = validateRoomCode(roomCode);
+    if (!codeResult.valid) {
+      return callback({ success: false, error: codeResult.error });
+    }
+
+    const room = gameRooms.get(codeResult.normalized);
+    if (!room) {
+      return callback({ success: false, error: 'Room not found' });
+    }
+    if (room.players.length >= 2) {
+      return callback({ success: false, error: 'Room is full' });
+    }
+    
+    // Verify the host is still connected before allowing join
+    const host = room.players[0];
+    if (host) {
+      const hostSocket = io.sockets.sockets.get(host.socketId);
+      if (!hostSocket || !hostSocket.connected) {
+        // Host is disconnected, clean up the room
+        gameRooms.delete(codeResult.normalized);
+        if (room.isPublic) {
+          broadcastLobby();
+        }
+        return callback({ success: false, error: 'Room host has disconnected' });
+      }
+    }
+
+    stopSpectating(socket);
+    room.players.push(player);
+    socket.join(codeResult.normalized);
+    socket.roomCode = codeResult.normalized;
+    socket.playerIndex = 1;
+
+    // Double-check host is still connected after join (race condition protection)
+    const hostSocketAfterJoin = io.sockets.sockets.get(host.socketId);
+    if (!hostSocketAfterJoin || !hostSocketAfterJoin.connected) {
+      // Host disconnected during join - clean up and notify joiner
+      room.players.pop(); // Remove the joining player
+      socket.leave(codeResult.normalized);
+      socket.roomCode = null;
+      socket.playerIndex = undefined;
+      gameRooms.delete(codeResult.normalized);
+      if (room.isPublic) {
+        broadcastLobby();
+      }
+      return callback({ success: false, error: 'Room host disconnected during join' });
+    }
+
+    // Start the game (or the first game of the series)
+    startSeries(room);
+    startMatch(room);
+
+    // The room is full, so it leaves the lobby
+    if (room.isPublic) {
+      broadcastLobby();
+    }
+
+    callback({ success: true, playerIndex: 1, bestOf: room.bestOf, rules: room.rules });
+  });
+
+  // ------------------------------
+  // PUBLIC LOBBY
+  // ------------------------------
+  // Listing the rooms also subscribes the socket to lobby-update until leave-lobby
+  socket.on('list-rooms', (callback) => {
+    // Rate limit check
+    if (isRateLimited(socket.id, 'list-rooms')) {
+      return callback({ success: false, error: 'Too many requests. Please wait.' });
+    }
+
+    socket.join(LOBBY.CHANNEL);
+    callback({ success: true, rooms: getOpenRooms() });
+  });
+
+  socket.on('leave-lobby', () => {
+    socket.leave(LOBBY.CHANNEL);
+  });
+
+  // ------------------------------
+  // FRIENDS
+  // ------------------------------
+  // Friends are for signed-in players; changes reach both players as friends-update
+  socket.on('list-friends', async (callback) => {
+    // Rate limit check
+    if (isRateLimited(socket.id, 'list-friends')) {
+      return callback({ success: false, error: 'Too many requests. Please wait.' });
+    }
+
+    if (!playerSockets.has(socket.id)) {
+      return callback({ success: false, error: 'Not registered' });
+    }
+    if (!socket.account) {
+      return callback({ success: false, error: 'Sign in to add friends' });
+    }
+
+    try {
+      callback({ success: true, ...(await getFriendList(socket.account)) });
+    } catch (err) {
+      console.error('Error loading friends:', err);
+      callback({ success: false, error: 'Could not load friends' });
+    }
+  });
+
+  socket.on('add-friend', async (username, callback) => {
+    // Rate limit check
+    if (isRateLimited(socket.id, 'add-friend')) {
+      return callback({ success: false, error: 'Too many requests. Please wait.' });
+    }
+
+    if (!playerSockets.has(socket.id)) {
+      return callback({ success: false, error: 'Not registered' });
+    }
+    if (!socket.account) {
+      return callback({ success: false, error: 'Sign in to add friends' });
+    }
+
+    // Validate username
+    const usernameResult = validateUsername(username);
+    if (!usernameResult.valid) {
+      return callback({ success: false, error: usernameResult.error });
+    }
+
+    try {
+      // Only accounts can be friends
+      const target = await findAccount(usernameResult.sanitized);
+      if (!target) {
+        return callback({ success: false, error: 'Player not found' });
+      }
+
+      const requestResult = validateFriendRequest(
+        await loadFriendships(socket.account), socket.account.username, target.username
+      );
+      if (!requestResult.valid) {
+        return callback({ success: false, error: requestResult.error });
+      }
+
+      // Asking someone who already asked us makes us friends straight away
+      if (requestResult.accept) {
+        await acceptFriendRequest(socket.account, target);
+      } else {
+        await saveFriendRequest(socket.account, target);
+      }
+
+      callback({ success: true, accepted: requestResult.accept });
+      sendFriendList(socket.account);
+      sendFriendList(target);
+    } catch (err) {
+      console.error('Error adding friend:', err);
+      callback({ success: false, error: 'Could not add friend' });
+    }
+  });
+
+  socket.on('accept-friend', async (username, callback) => {
+    // Rate limit check
+    if (isRateLimited(socket.id, 'accept-friend')) {
+      return callback({ success: false, error: 'Too many requests. Please wait.' });
+    }
+
+    if (!playerSockets.has(socket.id)) {
+      return callback({ success: false, error: 'Not registered' });
+    }
+    if (!socket.account) {
+      return callback({ success: false, error: 'Sign in to add friends' });
+    }
+
+    // Validate username
+    const usernameResult = validateUsername(username);
+    if (!usernameResult.valid) {
+      return callback({ success: false, error: usernameResult.error });
+    }
+
+    try {
+      const existing = findFriendship(
+        await loadFriendships(socket.account), socket.account.username, usernameResult.sanitized
+      );
+      if (!existing || existing.status !== 'pending' || existing.addressee !== socket.account.username) {
+        return callback({ success: false, error: 'No friend request from that player' });
+      }
+
+      const requester = await findAccount(usernameResult.sanitized);
+      await acceptFriendRequest(socket.account, requester);
+
+      callback({ success: true });
+      sendFriendList(socket.account);
+      sendFriendList(requester);
+    } catch (err) {
+      console.error('Error accepting friend:', err);
+      callback({ success: false, error: 'Could not accept friend request' });
+    }
+  });
+
+  // Also declines an incoming request or cancels an outgoing one
+  socket.on('remove-friend', async (username, callback) => {
+    // Rate limit check
+    if (isRateLimited(socket.id, 'remove-friend')) {
+      return callback({ success: false, error: 'Too many requests. Please wait.' });
+    }
+
+    if (!playerSockets.has(socket.id)) {
+      return callback({ success: false, error: 'Not registered' });
+    }
+    if (!socket.account) {
+      return callback({ success: false, error: 'Sign in to add friends' });
+    }
+
+    // Validate username
+    const usernameResult = validateUsername(username);
+    if (!usernameResult.valid) {
+      return callback({ success: false, error: usernameResult.error });
+    }
+
+    try {
+      const existing = findFriendship(
+        await loadFriendships(socket.account), socket.account.username, usernameResult.sanitized
+      );
+      if (!existing) {
+        return callback({ success: false, error: 'Not friends with that player' });
+      }
+
+      const other = await findAccount(usernameResult.sanitized);
+      await deleteFriendship(socket.account, other);
+
+      callback({ success: true });
+      sendFriendList(socket.account);
+      sendFriendList(other);
+    } catch (err) {
+      console.error('Error removing friend:', err);
+      callback({ success: false, error: 'Could not remove friend' });
+    }
+  });
+
+  // Open a private room and invite a friend to it; they join it with join-room
+  socket.on('challenge-friend', async ({ username, gameMode, bestOf, rules }, callback) => {
+    // Rate limit check
+    if (isRateLimited(socket.id, 'challenge-friend')) {
+      return callback({ success: false, error: 'Too many requests. Please wait.' });
+    }
+
+    const player = playerSockets.get(socket.id);
+
+    if (!player) {
+      return callback({ success: false, error: 'Not registered' });
+    }
+    if (!socket.account) {
+      return callback({ success: false, error: 'Sign in to challenge friends' });
+    }
+
+    // Validate username
+    const usernameResult = validateUsername(username);
+    if (!usernameResult.valid) {
+      return callback({ success: false, error: usernameResult.error });
+    }
+
+    // Validate game mode
+    const modeResult = validateGameMode(gameMode);
     if (!modeResult.valid) {
       return callback({ success: false, error: modeResult.error });
     }
 
-    // Check if someone is waiting with same mode
-    const opponentIndex = matchmakingQueue.findIndex(
-      p => p.gameMode === modeResult.mode
-    );
+    // Validate series length
+    const bestOfResult = validateBestOf(bestOf);
+    if (!bestOfResult.valid) {
+      return callback({ success: false, error: bestOfResult.error });
+    }
+
+    // Validate custom rules (null keeps the mode's standard rules)
+    const rulesResult = validateRoomRules(rules, modeResult.mode);
+    if (!rulesResult.valid) {
+      return callback({ success: false, error: rulesResult.error });
+    }
+
+    let friendship;
+    try {
+      friendship = findFriendship(
+        await loadFriendships(socket.account), socket.account.username, usernameResult.sanitized
+      );
+    } catch (err) {
+      console.error('Error loading friends:', err);
+      return callback({ success: false, error: 'Could not send challenge' });
+    }
+
+    // The player may have left while the friends loaded
+    if (!socket.connected) {
+      return;
+    }
+
+    if (!friendship || friendship.status !== 'accepted') {
+      return callback({ success: false, error: 'You can only challenge friends' });
+    }
+
+    // The friend must be online and not already in a match
+    if (!findAvailablePlayer(usernameResult.sanitized)) {
+      return callback({ success: false, error: `${usernameResult.sanitized} is not available` });
+    }
+
+    const room = openWaitingRoom(socket, player, {
+      gameMode: modeResult.mode,
+      bestOf: bestOfResult.bestOf,
+      rules: rulesResult.rules,
+      challenged: usernameResult.sanitized
+    });
+    if (!room) {
+      return callback({ success: false, error: 'Could not generate room code' });
+    }
+
+    emitToPlayer(usernameResult.sanitized, 'friend-challenge', {
+      from: player.username,
+      roomCode: room.code,
+      gameMode: room.gameMode,
+      bestOf: room.bestOf,
+      rules: room.rules
+    });
+
+    callback({ success: true, roomCode: room.code, bestOf: room.bestOf, rules: room.rules });
+  });
+
+  // The challenger hears about it and can cancel their room
+  socket.on('decline-challenge', (roomCode) => {
+    // Rate limit check
+    if (isRateLimited(socket.id, 'decline-challenge')) {
+      return;
+    }
+
+    const player = playerSockets.get(socket.id);
+    const codeResult = validateRoomCode(roomCode);
+    if (!player || !codeResult.valid) {
+      return;
+    }
+
+    const room = gameRooms.get(codeResult.normalized);
+    if (!room || room.state !== 'waiting' || room.challenged !== player.username) {
+      return;
+    }
+
+    room.challenged = null;
+    io.to(room.code).emit('challenge-declined', { username: player.username, roomCode: room.code });
+  });
+
+  // ------------------------------
+  // SPECTATING
+  // ------------------------------
+  socket.on('spectate-room', (roomCode, callback) => {
+    // Rate limit check
+    if (isRateLimited(socket.id, 'spectate-room')) {
+      return callback({ success: false, error: 'Too many requests. Please wait.' });
+    }
+
+    const player = playerSockets.get(socket.id);
+
+    if (!player) {
+      return callback({ success: false, error: 'Not registered' });
+    }
+
+    // Validate room code
+    const codeResult = validateRoomCode(roomCode);
+    if (!codeResult.valid) {
+      return callback({ success: false, error: codeResult.error });
+    }
+
+    const room = gameRooms.get(codeResult.normalized);
+    if (!room) {
+      return callback({ success: false, error: 'Room not found' });
+    }
+    if (socket.roomCode === room.code) {
+      return callback({ success: false, error: 'You are playing in this room' });
+    }
+
+    // Spectators join the Socket.io room so they get every broadcast, but are
+    // not players: paddle inputs and rematches look at socket.roomCode instead
+    stopSpectating(socket);
+    socket.join(room.code);
+    socket.spectatingRoom = room.code;
+    room.spectators.push(socket.id);
+
+    callback({
+      success: true,
+      roomCode: room.code,
+      state: room.state,
+      spectators: room.spectators.length,
+      gameState: getRoomSnapshot(room)
+    });
+
+    emitSpectatorCount(room);
+  });
+
+  socket.on('leave-spectate', () => {
+    stopSpectating(socket);
+  });
+
+  // ------------------------------
+  // MATCHMAKING
+  // ------------------------------
+  socket.on('find-match', async ({ gameMode }, callback) => {
+    // Rate limit check
+    if (isRateLimited(socket.id, 'find-match')) {
+      return callback({ success: false, error: 'Too many requests. Please wait.' });
+    }
+    
+    const player = playerSockets.get(socket.id);
+
+    if (!player) {
+      return callback({ success: false, error: 'Not registered' });
+    }
+
+    // Validate game mode
+    const modeResult = validateGameMode(gameMode);
+    if (!modeResult.valid) {
+      return callback({ success: false, error: modeResult.error });
+    }
+
+    if (matchmakingQueue.some(p => p.player.socketId === socket.id)) {
+      return callback({ success: false, error: 'Already searching for a match' });
+    }
+
+    const rating = await getPlayerRating(player);
+    const abandoned = await getAbandonmentCount(player);
+
+    // The player may have left while the rating loaded
+    if (!socket.connected) {
+      return;
+    }
+
+    const now = Date.now();
+    const entry = createQueueEntry(player, modeResult.mode, rating, now, abandoned);
+
+    // Check if someone close enough in rating is waiting with the same mode
+    const opponentIndex = findOpponent(matchmakingQueue, entry, now);
 
     if (opponentIndex !== -1) {
       // Match found!
       const opponent = matchmakingQueue.splice(opponentIndex, 1)[0];
-      const roomCode = generateUniqueRoomCode(gameRooms);
+      const room = startQueuedMatch(opponent, entry);
 
-      if (!roomCode) {
+      if (!room) {
+        matchmakingQueue.splice(opponentIndex, 0, opponent);
         return callback({ success: false, error: 'Could not create match' });
       }
 
-      const room = {
-        code: roomCode,
-        players: [opponent.player, player],
-        state: 'playing',
-        gameMode: modeResult.mode,
-        scores: [0, 0],
-        startTime: Date.now(),
-        longestRally: 0
-      };
-
-      gameRooms.set(roomCode, room);
-
-      // Join both players to room
-      socket.join(roomCode);
-      socket.roomCode = roomCode;
-      socket.playerIndex = 1;
-
-      const opponentSocket = io.sockets.sockets.get(opponent.player.socketId);
-      if (opponentSocket) {
-        opponentSocket.join(roomCode);
-        opponentSocket.roomCode = roomCode;
-        opponentSocket.playerIndex = 0;
-      }
-
-      // Notify both players
-      io.to(roomCode).emit('game-start', {
-        roomCode,
-        players: room.players.map((p, i) => ({
-          username: p.username,
-          displayName: p.display_name,
-          index: i
-        })),
-        gameMode: room.gameMode
-      });
-
-      callback({ success: true, matched: true, playerIndex: 1, roomCode });
+      callback({ success: true, matched: true, playerIndex: 1, roomCode: room.code });
     } else {
       // Add to queue
-      matchmakingQueue.push({
-        player,
-        gameMode: modeResult.mode,
-        timestamp: Date.now()
-      });
+      matchmakingQueue.push(entry);
 
-      callback({ success: true, matched: false, position: matchmakingQueue.length });
+      const status = getQueueStatus(matchmakingQueue, entry, now);
+      callback({ success: true, matched: false, ...status });
     }
   });
 
@@ -667,6 +2462,17 @@ io.on('connection', (socket) => {
     
     const room = gameRooms.get(roomCode);
     if (room) {
+      // Leaving a match in progress, or a series between games, abandons it:
+      // the opponent wins by forfeit
+      const seatIndex = (room.state === 'playing' || isBetweenSeriesGames(room)) && room.seats
+        ? room.seats.findIndex(p => p.socketId === socket.id)
+        : -1;
+      if (seatIndex !== -1 && room.state === 'playing') {
+        forfeitMatch(room, seatIndex);
+      } else if (seatIndex !== -1) {
+        forfeitSeriesBetweenGames(room, seatIndex);
+      }
+
       // Remove player from room
       const playerIndex = room.players.findIndex(p => p.socketId === socket.id);
       if (playerIndex !== -1) {
@@ -678,127 +2484,204 @@ io.on('connection', (socket) => {
       socket.roomCode = null;
       socket.playerIndex = undefined;
       
-      // Notify remaining players
-      socket.to(roomCode).emit('opponent-disconnected');
+      // Notify remaining players (after a forfeit they get match-complete instead)
+      if (seatIndex === -1) {
+        socket.to(roomCode).emit('opponent-disconnected');
+      }
       
       // Clean up empty room
       if (room.players.length === 0) {
         gameRooms.delete(roomCode);
         console.log(`Room ${roomCode} deleted (all players left)`);
       }
+
+      if (room.isPublic) {
+        broadcastLobby();
+      }
     }
   });
 
   // ------------------------------
-  // GAME EVENTS
+  // TOURNAMENTS
   // ------------------------------
-  socket.on('paddle-move', ({ position }) => {
-    // Rate limit high-frequency events silently (no callback to block)
-    if (isRateLimited(socket.id, 'paddle-move')) return;
-    
-    if (socket.roomCode) {
-      socket.to(socket.roomCode).emit('opponent-move', {
-        position,
-        playerIndex: socket.playerIndex
-      });
+  socket.on('create-tournament', async ({ name, size, format, gameMode }, callback) => {
+    // Rate limit check
+    if (isRateLimited(socket.id, 'create-tournament')) {
+      return callback({ success: false, error: 'Too many requests. Please wait.' });
     }
-  });
 
-  socket.on('ball-sync', (ballState) => {
-    // Rate limit high-frequency events silently
-    if (isRateLimited(socket.id, 'ball-sync')) return;
-    
-    // Only player 0 (host) can sync ball state
-    if (socket.roomCode && socket.playerIndex === 0) {
-      socket.to(socket.roomCode).emit('ball-update', ballState);
+    const player = playerSockets.get(socket.id);
+
+    if (!player) {
+      return callback({ success: false, error: 'Not registered' });
     }
-  });
 
-  socket.on('score-update', ({ scores, longestRally }) => {
-    // Rate limit score updates
-    if (isRateLimited(socket.id, 'score-update')) return;
-    const room = gameRooms.get(socket.roomCode);
-    
-    // Only process from host player during active game
-    if (!room || room.state !== 'playing' || socket.playerIndex !== 0) {
+    const optionsResult = validateTournamentOptions({ name, size, format });
+    if (!optionsResult.valid) {
+      return callback({ success: false, error: optionsResult.error });
+    }
+
+    const modeResult = validateGameMode(gameMode);
+    if (!modeResult.valid) {
+      return callback({ success: false, error: modeResult.error });
+    }
+
+    const rating = await getPlayerRating(player);
+
+    // The player may have left while the rating loaded
+    if (!socket.connected || playerSockets.get(socket.id) !== player) {
       return;
     }
 
-    // Defensive check: room.scores should always be [number, number] since it's
-    // initialized in create-room and join-room handlers. This fallback handles
-    // potential edge cases or corrupted state gracefully.
-    const prevScores = Array.isArray(room.scores) && room.scores.length === 2
-      ? room.scores
-      : [0, 0];
+    const code = generateUniqueRoomCode(tournaments);
+    if (!code) {
+      return callback({ success: false, error: 'Could not generate tournament code' });
+    }
+
+    const tournament = createTournament(code, player.username, optionsResult.options, modeResult.mode);
+    addPlayer(tournament, {
+      username: player.username,
+      displayName: player.display_name,
+      rating,
+      dbId: player.dbId
+    });
+    tournaments.set(code, tournament);
+
+    socket.join(getTournamentChannel(code));
+    callback({ success: true, tournament: getTournamentView(tournament) });
+  });
+
+  socket.on('join-tournament', async (code, callback) => {
+    // Rate limit check
+    if (isRateLimited(socket.id, 'join-tournament')) {
+      return callback({ success: false, error: 'Too many requests. Please wait.' });
+    }
+
+    const player = playerSockets.get(socket.id);
+
+    if (!player) {
+      return callback({ success: false, error: 'Not registered' });
+    }
+
+    // Tournament codes use the same format as room codes
+    const codeResult = validateRoomCode(code);
+    if (!codeResult.valid) {
+      return callback({ success: false, error: codeResult.error });
+    }
+
+    const tournament = tournaments.get(codeResult.normalized);
+    if (!tournament) {
+      return callback({ success: false, error: 'Tournament not found' });
+    }
+
+    const rating = await getPlayerRating(player);
 
-    // Validate scores with delta check
-    const scoresResult = validateScores(scores, prevScores);
-    if (!scoresResult.valid) {
-      console.warn(`Invalid score update from ${socket.id}: ${scoresResult.error}`);
+    // The player may have left, or the tournament closed, while the rating loaded
+    if (!socket.connected || playerSockets.get(socket.id) !== player) {
       return;
     }
+    if (tournaments.get(tournament.code) !== tournament) {
+      return callback({ success: false, error: 'Tournament not found' });
+    }
+
+    const result = addPlayer(tournament, {
+      username: player.username,
+      displayName: player.display_name,
+      rating,
+      dbId: player.dbId
+    });
+    if (!result.success) {
+      return callback(result);
+    }
+
+    socket.join(getTournamentChannel(tournament.code));
+    callback({ success: true, tournament: getTournamentView(tournament) });
+
+    // A full bracket starts straight away
+    if (tournament.players.length === tournament.size) {
+      beginTournament(tournament);
+    } else {
+      broadcastTournament(tournament);
+    }
+  });
+
+  socket.on('start-tournament', (code, callback) => {
+    // Rate limit check
+    if (isRateLimited(socket.id, 'start-tournament')) {
+      return callback({ success: false, error: 'Too many requests. Please wait.' });
+    }
+
+    const player = playerSockets.get(socket.id);
+
+    if (!player) {
+      return callback({ success: false, error: 'Not registered' });
+    }
 
-    room.scores = scoresResult.scores;
+    // Tournament codes use the same format as room codes
+    const codeResult = validateRoomCode(code);
+    if (!codeResult.valid) {
+      return callback({ success: false, error: codeResult.error });
+    }
 
-    // Validate longest rally
-    const rallyResult = validateRally(longestRally, room.longestRally);
-    if (rallyResult.valid) {
-      room.longestRally = rallyResult.rally;
+    const tournament = tournaments.get(codeResult.normalized);
+    if (!tournament) {
+      return callback({ success: false, error: 'Tournament not found' });
+    }
+    if (tournament.host !== player.username) {
+      return callback({ success: false, error: 'Only the host can start the tournament' });
     }
 
-    socket.to(socket.roomCode).emit('score-sync', { scores: room.scores });
+    callback(beginTournament(tournament));
   });
 
-  socket.on('game-over', async ({ scores }) => {
-    const room = gameRooms.get(socket.roomCode);
-    
-    // Prevent race condition: only process if game is still 'playing'
-    if (!room || room.state !== 'playing') {
+  socket.on('leave-tournament', (code) => {
+    const player = playerSockets.get(socket.id);
+    const codeResult = validateRoomCode(code);
+    const tournament = codeResult.valid ? tournaments.get(codeResult.normalized) : null;
+    if (!player || !tournament) {
       return;
     }
-    
-    // Allow either player to report game-over (handles host disconnect case)
-    // The server uses its own authoritative scores, so this is safe
-    const reporterIndex = socket.playerIndex;
-    console.log(`Game-over reported by player ${reporterIndex} (${reporterIndex === 0 ? 'host' : 'guest'})`);
-    
-    // Atomically transition to 'finished' state
-    room.state = 'finished';
-
-    // Use server-tracked scores as authoritative
-    const finalScores = Array.isArray(room.scores) && room.scores.length === 2
-      ? room.scores
-      : [0, 0];
-
-    // Log discrepancies for monitoring and detect potential cheating
-    if (JSON.stringify(scores) !== JSON.stringify(finalScores)) {
-      const clientTotal = (scores[0] || 0) + (scores[1] || 0);
-      const serverTotal = finalScores[0] + finalScores[1];
-      const scoreDiff = Math.abs(clientTotal - serverTotal);
-      
-      console.warn(`Score mismatch from ${socket.id}: client=${JSON.stringify(scores)} server=${JSON.stringify(finalScores)}`);
-      
-      // Flag significant score mismatches (>3 points difference suggests manipulation)
-      if (scoreDiff > 3) {
-        console.warn(`SUSPICIOUS: Large score discrepancy (${scoreDiff} points) from ${socket.id} - possible manipulation attempt`);
-        // Note: In production, consider tracking repeated offenses and implementing bans
-      }
+
+    socket.leave(getTournamentChannel(tournament.code));
+
+    // Once the bracket is running, players stay in it (their matches wait for them)
+    if (!removePlayer(tournament, player.username)) {
+      return;
     }
 
-    await saveMatchResult(room);
+    if (tournament.players.length === 0) {
+      tournaments.delete(tournament.code);
+      return;
+    }
+    if (tournament.host === player.username) {
+      tournament.host = tournament.players[0].username;
+    }
+    broadcastTournament(tournament);
+  });
 
-    io.to(socket.roomCode).emit('match-complete', {
-      scores: finalScores,
-      winnerIndex: finalScores[0] > finalScores[1] ? 0 : 1,
-      duration: Math.floor((Date.now() - room.startTime) / 1000)
-    });
+  // ------------------------------
+  // GAME EVENTS
+  // ------------------------------
+  socket.on('paddle-move', ({ position, seq }) => {
+    // Rate limit high-frequency events silently (no callback to block)
+    if (isRateLimited(socket.id, 'paddle-move')) return;
+
+    const room = gameRooms.get(socket.roomCode);
+    if (!room || !room.sim || room.state !== 'playing') {
+      return;
+    }
+
+    // Paddle input is the only thing clients send; it is applied on the next
+    // tick and acknowledged by sequence number (see tickRoom)
+    queuePaddleInput(room.sim, socket.playerIndex, position, seq);
   });
 
   // ------------------------------
   // REMATCH
   // ------------------------------
   socket.on('rematch-request', () => {
-    if (socket.roomCode) {
+    const room = gameRooms.get(socket.roomCode);
+    if (room && canRematch(room)) {
       socket.to(socket.roomCode).emit('rematch-requested', {
         fromPlayer: socket.playerIndex
       });
@@ -807,22 +2690,13 @@ io.on('connection', (socket) => {
 
   socket.on('rematch-accept', () => {
     const room = gameRooms.get(socket.roomCode);
-    if (room) {
-      room.state = 'playing';
-      room.scores = [0, 0];
-      room.startTime = Date.now();
-      room.longestRally = 0;
-
-      io.to(socket.roomCode).emit('game-start', {
-        roomCode: socket.roomCode,
-        players: room.players.map((p, i) => ({
-          username: p.username,
-          displayName: p.display_name,
-          index: i
-        })),
-        gameMode: room.gameMode,
-        isRematch: true
-      });
+    // Only a finished match can be restarted (prevents mid-game score resets)
+    if (room && room.state === 'finished' && canRematch(room)) {
+      // A rematch of a series is a whole new series
+      if (room.series) {
+        startSeries(room);
+      }
+      startMatch(room, { isRematch: true });
     }
   });
 
@@ -841,6 +2715,9 @@ io.on('connection', (socket) => {
       matchmakingQueue.splice(queueIndex, 1);
     }
 
+    // Stop spectating
+    stopSpectating(socket);
+
     // Handle room disconnection with grace period
     if (socket.roomCode) {
       const room = gameRooms.get(socket.roomCode);
@@ -848,6 +2725,7 @@ io.on('connection', (socket) => {
         // Find the disconnecting player
         const player = playerSockets.get(socket.id);
         const playerIndex = socket.playerIndex;
+        let pending = null;
         
         if (player && room.state === 'playing') {
           // Mark player as disconnected instead of removing
@@ -857,54 +2735,64 @@ io.on('connection', (socket) => {
             roomPlayer.socketId = null; // Clear old socket
           }
           
-          // Store reconnect info by username
-          pendingReconnects.set(player.username, {
+          // Hold the seat for whoever presents its resume token
+          pending = {
             roomCode: socket.roomCode,
             playerIndex: playerIndex,
+            username: player.username,
             disconnectTime: Date.now()
-          });
+          };
+          pendingReconnects.set(room.resumeTokens[playerIndex], pending);
           
           console.log(`Player ${player.username} disconnected from room ${socket.roomCode}, allowing reconnect`);
         }
+
+        // Dropping out between series games abandons the series straight away:
+        // there is no match to hold a seat in
+        const seriesSeat = player && isBetweenSeriesGames(room)
+          ? room.seats.findIndex(p => p.socketId === socket.id)
+          : -1;
+        if (seriesSeat !== -1) {
+          forfeitSeriesBetweenGames(room, seriesSeat);
+        } else {
+          // Notify opponent (they win by forfeit if we are not back in time)
+          socket.to(socket.roomCode).emit('opponent-disconnected', {
+            gracePeriod: room.state === 'playing' ? RECONNECT.GRACE_PERIOD_MS : null
+          });
+        }
+
+        // A waiting public room drops out of the lobby with its host
+        if (room.isPublic && room.state === 'waiting') {
+          broadcastLobby();
+        }
         
-        // Notify opponent
-        socket.to(socket.roomCode).emit('opponent-disconnected');
-        
-        // Capture roomCode and username for closure
+        // Capture roomCode, username, the seat's token and this disconnect's
+        // pending entry for closure
         const roomCode = socket.roomCode;
         const username = player ? player.username : null;
-        
-        // Set grace period before cleanup
-        // Capture playerIndex for additional validation
-        const capturedPlayerIndex = playerIndex;
+        const resumeToken = pending ? room.resumeTokens[playerIndex] : null;
         
         setTimeout(() => {
+          const current = resumeToken ? pendingReconnects.get(resumeToken) : undefined;
           const currentRoom = gameRooms.get(roomCode);
           if (!currentRoom) {
             // Room was already cleaned up, just ensure pendingReconnects is cleared
-            if (username) pendingReconnects.delete(username);
+            if (pending && current === pending) pendingReconnects.delete(resumeToken);
+            return;
+          }
+
+          // The player came back and dropped again: that disconnect's timer
+          // gives them a full grace period of their own
+          if (current && current !== pending) {
             return;
           }
           
-          // Check if player reconnected
-          const reconnectInfo = username ? pendingReconnects.get(username) : null;
-          if (reconnectInfo && reconnectInfo.roomCode === roomCode) {
-            // Validate the reconnect info still matches what we expect
-            if (reconnectInfo.playerIndex === capturedPlayerIndex) {
-              // Player never reconnected, clean up
-              pendingReconnects.delete(username);
-              console.log(`Grace period expired for ${username} in room ${roomCode}, cleaning up`);
-              
-              // Also mark the player slot as fully disconnected in the room
-              const roomPlayer = currentRoom.players[capturedPlayerIndex];
-              if (roomPlayer && roomPlayer.disconnected) {
-                // Player didn't reconnect in time, room will be cleaned up below if empty
-                console.log(`Player ${username} slot marked for cleanup`);
-              }
-            } else {
-              // Player index doesn't match - reconnect info may be stale, clean it up
-              pendingReconnects.delete(username);
-            }
+          // Check if player reconnected (this disconnect is only still pending if not)
+          const expired = !!pending && current === pending;
+          if (expired) {
+            // Player never reconnected, clean up
+            pendingReconnects.delete(resumeToken);
+            console.log(`Grace period expired for ${username} in room ${roomCode}, cleaning up`);
           }
           
           // Clean up room if no connected players
@@ -912,15 +2800,23 @@ io.on('connection', (socket) => {
           if (connectedPlayers.length === 0) {
             gameRooms.delete(roomCode);
             console.log(`Room ${roomCode} deleted (no connected players after grace period)`);
-          } else if (currentRoom.state === 'playing' && connectedPlayers.length === 1) {
-            // Only one player left and game was in progress - end the match
-            console.log(`Room ${roomCode} has only one connected player, match will end on timeout`);
+            if (currentRoom.tournament && currentRoom.state === 'playing') {
+              requeueTournamentMatch(currentRoom);
+            }
+          } else if (expired && currentRoom.state === 'playing' && connectedPlayers.length === 1) {
+            // Only one player left and game was in progress - they win by forfeit
+            forfeitMatch(currentRoom, playerIndex);
           }
-        }, RECONNECT_GRACE_PERIOD);
+        }, RECONNECT.GRACE_PERIOD_MS);
       }
     }
 
     playerSockets.delete(socket.id);
+
+    // Friends see us go offline (unless we are still connected elsewhere)
+    if (socket.account) {
+      broadcastPresence(socket.account);
+    }
   });
 });
 
@@ -929,7 +2825,7 @@ io.on('connection', (socket) => {
 // ============================================
 
 // Export for testing
-module.exports = { app, httpServer, io, gameRooms, matchmakingQueue, playerSockets };
+module.exports = { app, httpServer, io, gameRooms, matchmakingQueue, playerSockets, pendingReconnects, tournaments, accounts, abandonments, friendships, RECONNECT, updateMatchmaking, expireTournaments };
 
 // Start server if run directly
 if (require.main === module) {
@@ -941,5 +2837,6 @@ if (require.main === module) {
     } else {
       console.log(`   Database: Not configured (running in memory-only mode)`);
     }
+    console.log(`   Rating engine: ${RATING_ENGINE}`);
   });
 }
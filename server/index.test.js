@@ -9,12 +9,25 @@ const Client = require('socket.io-client');
 const request = require('supertest');
 
 // Import server components for testing
-const { app, httpServer, io, gameRooms, matchmakingQueue, playerSockets } = require('./index');
+const { app, httpServer, io, gameRooms, matchmakingQueue, playerSockets, pendingReconnects, tournaments, accounts, abandonments, friendships, RECONNECT, updateMatchmaking, expireTournaments } = require('./index');
+const { SERIES } = require('./lib/series');
+const { DEFAULT_ELO } = require('./lib/elo');
 
 // Test configuration
 const TEST_PORT = 3099;
 const TEST_URL = `http://localhost:${TEST_PORT}`;
 
+// Make a player score the winning point of a running room
+function winMatch(room, winnerIndex) {
+  const { sim } = room;
+  sim.scores[winnerIndex] = sim.winScore - 1;
+  sim.phase = 'playing';
+  sim.paddles[1 - winnerIndex].y = 500;
+  Object.assign(sim.ball, winnerIndex === 0
+    ? { x: 760, y: 100, vx: 10, vy: 0 }
+    : { x: 40, y: 100, vx: -10, vy: 0 });
+}
+
 describe('Server Integration Tests', () => {
   let serverInstance;
   
@@ -37,6 +50,11 @@ describe('Server Integration Tests', () => {
     gameRooms.clear();
     matchmakingQueue.length = 0;
     playerSockets.clear();
+    pendingReconnects.clear();
+    tournaments.clear();
+    accounts.clear();
+    abandonments.clear();
+    friendships.clear();
   });
 
   // ============================================
@@ -52,6 +70,7 @@ describe('Server Integration Tests', () => {
       expect(response.body).toHaveProperty('players');
       expect(response.body).toHaveProperty('rooms');
       expect(response.body).toHaveProperty('queue');
+      expect(response.body).toHaveProperty('ratingEngine', 'elo');
     });
 
     test('GET /api/leaderboard returns 503 when database not configured', async () => {
@@ -61,12 +80,33 @@ describe('Server Integration Tests', () => {
       expect(response.body).toHaveProperty('error', 'Database not configured');
     });
 
+    test('GET /api/leaderboard with a season returns 503 when database not configured', async () => {
+      const response = await request(app).get('/api/leaderboard?season=current');
+
+      expect(response.status).toBe(503);
+      expect(response.body).toHaveProperty('error', 'Database not configured');
+    });
+
+    test('GET /api/seasons returns 503 when database not configured', async () => {
+      const response = await request(app).get('/api/seasons');
+
+      expect(response.status).toBe(503);
+      expect(response.body).toHaveProperty('error', 'Database not configured');
+    });
+
     test('GET /api/player/:username returns 503 when database not configured', async () => {
       const response = await request(app).get('/api/player/testuser');
       
       expect(response.status).toBe(503);
       expect(response.body).toHaveProperty('error', 'Database not configured');
     });
+
+    test('GET /api/player/:username/history returns 503 when database not configured', async () => {
+      const response = await request(app).get('/api/player/testuser/history');
+      
+      expect(response.status).toBe(503);
+      expect(response.body).toHaveProperty('error', 'Database not configured');
+    });
   });
 
   // ============================================
@@ -262,6 +302,7 @@ describe('Server Integration Tests', () => {
         expect(data.roomCode).toBe(roomCode);
         expect(data.players).toHaveLength(2);
         expect(data.gameMode).toBe('classic');
+        expect(data.field).toEqual({ width: 800, height: 600 });
         gameStartReceived.host = true;
         if (gameStartReceived.host && gameStartReceived.guest) done();
       });
@@ -274,6 +315,42 @@ describe('Server Integration Tests', () => {
       });
     });
 
+    test('room rules are validated, shown before joining and sent with game-start', (done) => {
+      hostSocket = Client(TEST_URL, { transports: ['websocket'], forceNew: true });
+      guestSocket = Client(TEST_URL, { transports: ['websocket'], forceNew: true });
+      const rules = { winScore: 3, winByTwo: true, paddleHeight: 120 };
+
+      hostSocket.on('connect', () => {
+        hostSocket.emit('register', { username: 'Host' }, () => {
+          hostSocket.emit('create-room', { gameMode: 'classic', rules: { winScore: 99 } }, (rejected) => {
+            expect(rejected.success).toBe(false);
+            expect(rejected.error).toMatch(/Win score/);
+
+            hostSocket.emit('create-room', { gameMode: 'classic', rules }, (response) => {
+              expect(response.success).toBe(true);
+              expect(response.rules).toMatchObject(rules);
+
+              guestSocket.emit('register', { username: 'Guest' }, () => {
+                guestSocket.emit('room-info', response.roomCode, (info) => {
+                  expect(info.success).toBe(true);
+                  expect(info.host).toBe('Host');
+                  expect(info.gameMode).toBe('classic');
+                  expect(info.rules).toEqual(response.rules);
+                  guestSocket.emit('join-room', response.roomCode, () => {});
+                });
+              });
+            });
+          });
+        });
+      });
+
+      guestSocket.on('game-start', (data) => {
+        expect(data.rules).toMatchObject(rules);
+        expect(gameRooms.get(data.roomCode).sim.winByTwo).toBe(true);
+        done();
+      });
+    });
+
     test('cannot join non-existent room', (done) => {
       guestSocket = Client(TEST_URL, { transports: ['websocket'], forceNew: true });
 
@@ -317,6 +394,90 @@ describe('Server Integration Tests', () => {
     });
   });
 
+  describe('Public Lobby', () => {
+    let hostSocket, guestSocket;
+
+    afterEach((done) => {
+      if (hostSocket && hostSocket.connected) hostSocket.disconnect();
+      if (guestSocket && guestSocket.connected) guestSocket.disconnect();
+      setTimeout(done, 50);
+    });
+
+    test('private rooms are not listed', (done) => {
+      hostSocket = Client(TEST_URL, { transports: ['websocket'], forceNew: true });
+
+      hostSocket.on('connect', () => {
+        hostSocket.emit('register', { username: 'Host' }, () => {
+          hostSocket.emit('create-room', { gameMode: 'classic' }, (response) => {
+            expect(response.isPublic).toBe(false);
+            hostSocket.emit('list-rooms', (listing) => {
+              expect(listing.success).toBe(true);
+              expect(listing.rooms).toEqual([]);
+              done();
+            });
+          });
+        });
+      });
+    });
+
+    test('rejects a non-boolean public flag', (done) => {
+      hostSocket = Client(TEST_URL, { transports: ['websocket'], forceNew: true });
+
+      hostSocket.on('connect', () => {
+        hostSocket.emit('register', { username: 'Host' }, () => {
+          hostSocket.emit('create-room', { gameMode: 'classic', isPublic: 'yes' }, (response) => {
+            expect(response.success).toBe(false);
+            done();
+          });
+        });
+      });
+    });
+
+    test('public rooms cannot change the rules', (done) => {
+      hostSocket = Client(TEST_URL, { transports: ['websocket'], forceNew: true });
+
+      hostSocket.on('connect', () => {
+        hostSocket.emit('register', { username: 'Host' }, () => {
+          hostSocket.emit('create-room', { gameMode: 'classic', isPublic: true, rules: { winScore: 3 } }, (response) => {
+            expect(response).toEqual({ success: false, error: 'Public rooms play by the standard rules' });
+            done();
+          });
+        });
+      });
+    });
+
+    test('public rooms are listed live until an opponent joins', (done) => {
+      hostSocket = Client(TEST_URL, { transports: ['websocket'], forceNew: true });
+      guestSocket = Client(TEST_URL, { transports: ['websocket'], forceNew: true });
+      const updates = [];
+
+      guestSocket.on('lobby-update', ({ rooms }) => {
+        updates.push(rooms);
+        if (updates.length === 1) {
+          expect(rooms).toHaveLength(1);
+          expect(rooms[0]).toMatchObject({ host: 'Host', gameMode: 'chaos', elo: DEFAULT_ELO });
+          guestSocket.emit('join-room', rooms[0].roomCode, () => {});
+        } else {
+          expect(rooms).toEqual([]);
+          done();
+        }
+      });
+
+      guestSocket.on('connect', () => {
+        guestSocket.emit('register', { username: 'Guest' }, () => {
+          guestSocket.emit('list-rooms', (listing) => {
+            expect(listing.rooms).toEqual([]);
+            hostSocket.emit('register', { username: 'Host' }, () => {
+              hostSocket.emit('create-room', { gameMode: 'chaos', isPublic: true }, (response) => {
+                expect(response.success).toBe(true);
+              });
+            });
+          });
+        });
+      });
+    });
+  });
+
   // ============================================
   // MATCHMAKING TESTS
   // ============================================
@@ -382,6 +543,79 @@ describe('Server Integration Tests', () => {
       });
     });
 
+    test('queued player is told their position and estimated wait', (done) => {
+      player1Socket = Client(TEST_URL, { transports: ['websocket'], forceNew: true });
+
+      player1Socket.on('connect', () => {
+        player1Socket.emit('register', { username: 'Player1' }, () => {
+          player1Socket.emit('find-match', { gameMode: 'classic' }, (response) => {
+            expect(response.queueSize).toBe(1);
+            expect(response.estimatedWait).toBeNull();
+
+            player1Socket.on('queue-update', (status) => {
+              expect(status.position).toBe(1);
+              expect(status.searchWindow).toBeGreaterThan(0);
+              done();
+            });
+            updateMatchmaking(Date.now());
+          });
+        });
+      });
+    });
+
+    test('players far apart in rating are matched once their search windows widen', (done) => {
+      player1Socket = Client(TEST_URL, { transports: ['websocket'], forceNew: true });
+      player2Socket = Client(TEST_URL, { transports: ['websocket'], forceNew: true });
+
+      let matchedCount = 0;
+      const onGameStart = () => {
+        matchedCount++;
+        if (matchedCount === 2) {
+          expect(matchmakingQueue).toHaveLength(0);
+          done();
+        }
+      };
+
+      player1Socket.on('connect', () => {
+        player1Socket.emit('register', { username: 'Player1' }, () => {
+          player1Socket.emit('find-match', { gameMode: 'classic' }, () => {
+            // No database in tests, so give the waiting player a higher rating directly
+            matchmakingQueue[0].rating = 1300;
+
+            player2Socket.emit('register', { username: 'Player2' }, () => {
+              player2Socket.emit('find-match', { gameMode: 'classic' }, (response) => {
+                expect(response.matched).toBe(false);
+                expect(response.position).toBe(2);
+                expect(response.estimatedWait).toBeGreaterThan(0);
+
+                player1Socket.on('game-start', onGameStart);
+                player2Socket.on('game-start', onGameStart);
+
+                // A minute later both windows cover the 300 point gap
+                updateMatchmaking(Date.now() + 60000);
+              });
+            });
+          });
+        });
+      });
+    });
+
+    test('player cannot queue twice', (done) => {
+      player1Socket = Client(TEST_URL, { transports: ['websocket'], forceNew: true });
+
+      player1Socket.on('connect', () => {
+        player1Socket.emit('register', { username: 'Player1' }, () => {
+          player1Socket.emit('find-match', { gameMode: 'classic' }, () => {
+            player1Socket.emit('find-match', { gameMode: 'classic' }, (response) => {
+              expect(response.success).toBe(false);
+              expect(matchmakingQueue).toHaveLength(1);
+              done();
+            });
+          });
+        });
+      });
+    });
+
     test('player can cancel matchmaking', (done) => {
       player1Socket = Client(TEST_URL, { transports: ['websocket'], forceNew: true });
 
@@ -412,13 +646,13 @@ describe('Server Integration Tests', () => {
     let roomCode;
 
     // Helper to set up a game with two players
-    const setupGame = (callback) => {
+    const setupGame = (callback, gameMode = 'classic') => {
       hostSocket = Client(TEST_URL, { transports: ['websocket'], forceNew: true });
       guestSocket = Client(TEST_URL, { transports: ['websocket'], forceNew: true });
 
       hostSocket.on('connect', () => {
         hostSocket.emit('register', { username: 'Host' }, () => {
-          hostSocket.emit('create-room', { gameMode: 'classic' }, (response) => {
+          hostSocket.emit('create-room', { gameMode }, (response) => {
             roomCode = response.roomCode;
             
             guestSocket.emit('register', { username: 'Guest' }, () => {
@@ -437,76 +671,176 @@ describe('Server Integration Tests', () => {
 
     test('paddle movement is relayed to opponent', (done) => {
       setupGame(() => {
-        // Guest should receive host's paddle movement
+        // Guest should see where the server moved the host's paddle
         guestSocket.on('opponent-move', (data) => {
-          expect(data.position).toBe(100);
+          expect(data.position).toBeLessThan(300);
           expect(data.playerIndex).toBe(0); // From host
           done();
         });
 
-        // Host sends paddle position
+        // Host sends paddle input
         setTimeout(() => {
-          hostSocket.emit('paddle-move', { position: 100 });
+          hostSocket.emit('paddle-move', { position: 100, seq: 1 });
         }, 50);
       });
     });
 
-    test('ball sync is relayed from host to guest', (done) => {
+    test('paddle inputs are acknowledged with the server paddle position', (done) => {
       setupGame(() => {
-        // Guest should receive ball update
-        guestSocket.on('ball-update', (data) => {
-          expect(data.x).toBe(400);
-          expect(data.y).toBe(300);
-          expect(data.vx).toBe(5);
-          expect(data.vy).toBe(-3);
+        hostSocket.on('paddle-ack', (data) => {
+          if (data.seq !== 2) return;
+          expect(data.position).toBe(300 - 2 * 8);
           done();
         });
 
-        // Host sends ball state
+        // One input per tick, as the client sends them
+        setTimeout(() => hostSocket.emit('paddle-move', { position: 0, seq: 1 }), 50);
+        setTimeout(() => hostSocket.emit('paddle-move', { position: 0, seq: 2 }), 100);
+      });
+    });
+
+    test('stale paddle inputs are ignored', (done) => {
+      setupGame(() => {
         setTimeout(() => {
-          hostSocket.emit('ball-sync', { x: 400, y: 300, vx: 5, vy: -3 });
+          hostSocket.emit('paddle-move', { position: 0, seq: 5 });
+          hostSocket.emit('paddle-move', { position: 600, seq: 3 });
+          
+          setTimeout(() => {
+            const { sim } = gameRooms.get(roomCode);
+            expect(sim.lastProcessedSeq[0]).toBe(5);
+            expect(sim.paddles[0].y + sim.paddles[0].height / 2).toBe(300 - 8);
+            done();
+          }, 100);
         }, 50);
       });
     });
 
-    test('score update is synced to guest', (done) => {
+    test('server broadcasts authoritative ball updates to both players', (done) => {
       setupGame(() => {
-        // Guest should receive score sync
-        guestSocket.on('score-sync', (data) => {
-          expect(data.scores).toEqual([1, 0]);
-          done();
-        });
+        let received = { host: false, guest: false };
+        
+        const checkDone = (data, who) => {
+          expect(typeof data.x).toBe('number');
+          expect(typeof data.y).toBe('number');
+          expect(typeof data.vx).toBe('number');
+          expect(typeof data.vy).toBe('number');
+          expect(typeof data.t).toBe('number');
+          expect(typeof data.tick).toBe('number');
+          received[who] = true;
+          if (received.host && received.guest) done();
+        };
+
+        hostSocket.once('ball-update', (data) => checkDone(data, 'host'));
+        guestSocket.once('ball-update', (data) => checkDone(data, 'guest'));
+      });
+    });
+
+    test('ball-sync from the host is ignored', (done) => {
+      setupGame(() => {
+        setTimeout(() => {
+          hostSocket.emit('ball-sync', { x: 1, y: 1, vx: 99, vy: 99 });
+          
+          setTimeout(() => {
+            const room = gameRooms.get(roomCode);
+            expect(room.sim.ball.vx).not.toBe(99);
+            done();
+          }, 50);
+        }, 50);
+      });
+    });
 
-        // Host sends score update
+    test('faked score updates from the host are ignored', (done) => {
+      setupGame(() => {
         setTimeout(() => {
           hostSocket.emit('score-update', { scores: [1, 0], longestRally: 5 });
+          
+          setTimeout(() => {
+            const room = gameRooms.get(roomCode);
+            expect(room.scores).toEqual([0, 0]);
+            done();
+          }, 50);
         }, 50);
       });
     });
 
-    test('game over triggers match-complete for both players', (done) => {
+    test('score is synced when the server ball crosses a goal line', (done) => {
+      setupGame(() => {
+        let syncCount = 0;
+        
+        const checkDone = (data) => {
+          expect(data.scores).toEqual([0, 1]);
+          syncCount++;
+          if (syncCount === 2) done();
+        };
+
+        hostSocket.on('score-sync', checkDone);
+        guestSocket.on('score-sync', checkDone);
+
+        // Skip the countdown and send the ball past the host's paddle
+        setTimeout(() => {
+          const { sim } = gameRooms.get(roomCode);
+          sim.phase = 'playing';
+          sim.paddles[0].y = 500;
+          Object.assign(sim.ball, { x: 40, y: 100, vx: -10, vy: 0 });
+        }, 50);
+      });
+    });
+
+    test('match completes when the server simulation reaches the win score', (done) => {
       setupGame(() => {
         let completedCount = 0;
         
         const checkDone = (data) => {
-          expect(data.scores).toBeDefined();
-          expect(data.winnerIndex).toBeDefined();
+          expect(data.scores).toEqual([11, 5]);
+          expect(data.winnerIndex).toBe(0);
           expect(data.duration).toBeDefined();
           completedCount++;
-          if (completedCount === 2) done();
+          if (completedCount === 2) {
+            expect(gameRooms.get(roomCode).state).toBe('finished');
+            done();
+          }
         };
 
         hostSocket.on('match-complete', checkDone);
         guestSocket.on('match-complete', checkDone);
 
-        // Set up scores first, then end game
+        // Host is one point from winning; send the ball past the guest's paddle
         setTimeout(() => {
-          const room = gameRooms.get(roomCode);
-          room.scores = [11, 5]; // Host wins
-          hostSocket.emit('game-over', { scores: [11, 5] });
+          const { sim } = gameRooms.get(roomCode);
+          sim.scores[0] = 10;
+          sim.scores[1] = 5;
+          sim.phase = 'playing';
+          sim.paddles[1].y = 500;
+          Object.assign(sim.ball, { x: 760, y: 100, vx: 10, vy: 0 });
         }, 50);
       });
     });
+
+    test('chaos power-up spawns are sent to both players', (done) => {
+      setupGame(() => {
+        let spawnCount = 0;
+        
+        const checkDone = (data) => {
+          expect(data.id).toBe(1);
+          expect(typeof data.type).toBe('string');
+          spawnCount++;
+          if (spawnCount === 2) done();
+        };
+
+        hostSocket.on('powerup-spawn', checkDone);
+        guestSocket.on('powerup-spawn', checkDone);
+
+        // Skip the countdown and make the spawn timer due
+        setTimeout(() => {
+          const { sim } = gameRooms.get(roomCode);
+          sim.phase = 'playing';
+          sim.ball.vx = 0;
+          sim.ball.vy = 0;
+          sim.ball.y = 10;
+          sim.powerups.nextSpawnAt = 0;
+        }, 50);
+      }, 'chaos');
+    });
   });
 
   // ============================================
@@ -571,90 +905,630 @@ describe('Server Integration Tests', () => {
   });
 
   // ============================================
-  // DISCONNECT HANDLING TESTS
+  // SERIES TESTS
   // ============================================
-  
-  describe('Disconnect Handling', () => {
+
+  describe('Best-of-N Series', () => {
     let hostSocket, guestSocket;
+    let roomCode;
+    const nextGameDelay = SERIES.NEXT_GAME_DELAY_MS;
 
-    afterEach((done) => {
-      if (hostSocket && hostSocket.connected) hostSocket.disconnect();
-      if (guestSocket && guestSocket.connected) guestSocket.disconnect();
-      setTimeout(done, 50);
+    beforeAll(() => {
+      SERIES.NEXT_GAME_DELAY_MS = 50;
     });
 
-    test('opponent receives notification when player disconnects', (done) => {
+    afterAll(() => {
+      SERIES.NEXT_GAME_DELAY_MS = nextGameDelay;
+    });
+
+    // Start a best-of-N room between Host and Guest
+    const setupSeries = (bestOf, callback) => {
       hostSocket = Client(TEST_URL, { transports: ['websocket'], forceNew: true });
       guestSocket = Client(TEST_URL, { transports: ['websocket'], forceNew: true });
 
       hostSocket.on('connect', () => {
         hostSocket.emit('register', { username: 'Host' }, () => {
-          hostSocket.emit('create-room', { gameMode: 'classic' }, (response) => {
-            const roomCode = response.roomCode;
-            
+          hostSocket.emit('create-room', { gameMode: 'classic', bestOf }, (response) => {
+            roomCode = response.roomCode;
             guestSocket.emit('register', { username: 'Guest' }, () => {
-              guestSocket.emit('join-room', roomCode, () => {
-                // Wait for game to start, then host disconnects
-                setTimeout(() => {
-                  hostSocket.disconnect();
-                }, 50);
-              });
+              guestSocket.emit('join-room', roomCode, () => callback(response));
             });
           });
         });
       });
+    };
 
-      guestSocket.on('opponent-disconnected', () => {
-        // Guest should be notified
-        done();
-      });
+    afterEach((done) => {
+      SERIES.NEXT_GAME_DELAY_MS = 50;
+      if (hostSocket && hostSocket.connected) hostSocket.disconnect();
+      if (guestSocket && guestSocket.connected) guestSocket.disconnect();
+      setTimeout(done, 50);
     });
 
-    test('player is removed from matchmaking queue on disconnect', (done) => {
+    test('rejects unsupported series lengths', (done) => {
       hostSocket = Client(TEST_URL, { transports: ['websocket'], forceNew: true });
-
       hostSocket.on('connect', () => {
         hostSocket.emit('register', { username: 'Host' }, () => {
-          hostSocket.emit('find-match', { gameMode: 'classic' }, () => {
-            expect(matchmakingQueue).toHaveLength(1);
-            
-            hostSocket.disconnect();
-            
-            // Give server time to process
-            setTimeout(() => {
-              expect(matchmakingQueue).toHaveLength(0);
-              done();
-            }, 100);
+          hostSocket.emit('create-room', { gameMode: 'classic', bestOf: 4 }, (response) => {
+            expect(response.success).toBe(false);
+            expect(gameRooms.size).toBe(0);
+            done();
           });
         });
       });
     });
-  });
 
-  // ============================================
-  // RATE LIMITING TESTS
-  // ============================================
-  
-  describe('Rate Limiting', () => {
-    let clientSocket;
+    test('game-start carries the series score', (done) => {
+      setupSeries(3, (response) => {
+        expect(response.bestOf).toBe(3);
+      });
+      hostSocket.once('game-start', (data) => {
+        expect(data.series).toEqual({
+          bestOf: 3, players: ['Host', 'Guest'], wins: [0, 0], gamesPlayed: 0, winner: null, forfeit: false
+        });
+        done();
+      });
+    });
 
-    afterEach((done) => {
-      if (clientSocket && clientSocket.connected) clientSocket.disconnect();
-      setTimeout(done, 50);
+    test('single-game rooms have no series', (done) => {
+      setupSeries(undefined, () => {});
+      hostSocket.once('game-start', (data) => {
+        expect(data.series).toBeUndefined();
+        expect(gameRooms.get(roomCode).series).toBeNull();
+        done();
+      });
     });
 
-    test('excessive registration attempts are rate limited', (done) => {
-      clientSocket = Client(TEST_URL, { transports: ['websocket'], forceNew: true });
+    test('players swap sides and the next game starts automatically', (done) => {
+      setupSeries(3, () => {});
 
-      clientSocket.on('connect', () => {
-        let rateLimitedCount = 0;
-        let successCount = 0;
-        
-        // Try 5 registrations quickly (limit is 3 per 10s)
-        for (let i = 0; i < 5; i++) {
-          clientSocket.emit('register', { username: `User${i}` }, (response) => {
-            if (response.success) {
-              successCount++;
+      let starts = 0;
+      guestSocket.on('match-complete', (data) => {
+        expect(data.series.wins).toEqual([1, 0]);
+        expect(data.nextGameIn).toBe(SERIES.NEXT_GAME_DELAY_MS);
+      });
+      guestSocket.on('game-start', (data) => {
+        starts++;
+        if (starts === 1) {
+          setTimeout(() => winMatch(gameRooms.get(roomCode), 0), 50);
+          return;
+        }
+        expect(data.players.map(p => p.username)).toEqual(['Guest', 'Host']);
+        expect(data.series.gamesPlayed).toBe(1);
+        // The simulation's seats follow the swap
+        expect(io.sockets.sockets.get(guestSocket.id).playerIndex).toBe(0);
+        done();
+      });
+    });
+
+    test('series ends when a player reaches the wins needed', (done) => {
+      setupSeries(3, () => {});
+
+      let starts = 0;
+      hostSocket.on('game-start', () => {
+        starts++;
+        // Host wins both games, from the left and then from the right
+        const hostIndex = starts === 1 ? 0 : 1;
+        setTimeout(() => winMatch(gameRooms.get(roomCode), hostIndex), 50);
+      });
+      hostSocket.on('match-complete', (data) => {
+        if (!data.series.winner) return;
+        expect(data.series.winner).toBe('Host');
+        expect(data.series.wins).toEqual([2, 0]);
+        expect(data.nextGameIn).toBeNull();
+
+        // No third game is scheduled
+        setTimeout(() => {
+          expect(starts).toBe(2);
+          expect(gameRooms.get(roomCode).state).toBe('finished');
+          done();
+        }, 150);
+      });
+    });
+
+    test('a player leaving mid-series still gives the game to the right seat', (done) => {
+      setupSeries(3, () => {});
+
+      hostSocket.once('game-start', () => {
+        guestSocket.emit('leave-room', { roomCode });
+        setTimeout(() => winMatch(gameRooms.get(roomCode), 0), 50);
+      });
+      hostSocket.once('match-complete', (data) => {
+        expect(data.winnerIndex).toBe(0);
+        expect(data.series.players).toEqual(['Host', 'Guest']);
+        expect(data.series.wins).toEqual([1, 0]);
+        done();
+      });
+    });
+
+    test('dropping out between games forfeits the rest of the series', (done) => {
+      SERIES.NEXT_GAME_DELAY_MS = 1000;
+      setupSeries(3, () => {});
+
+      hostSocket.once('game-start', () => {
+        setTimeout(() => winMatch(gameRooms.get(roomCode), 1), 50);
+      });
+
+      let completes = 0;
+      hostSocket.on('match-complete', (data) => {
+        completes++;
+        if (completes === 1) {
+          // Guest won game one and leaves during the pause
+          expect(data.nextGameIn).toBe(1000);
+          guestSocket.disconnect();
+          return;
+        }
+        expect(data.reason).toBe('forfeit');
+        expect(data.winnerIndex).toBe(0);
+        expect(data.nextGameIn).toBeNull();
+        expect(data.series).toMatchObject({ winner: 'Host', forfeit: true, wins: [0, 1] });
+        expect(abandonments.get('Guest')).toBe(1);
+        done();
+      });
+    });
+
+    test('rematches are ignored mid-series', (done) => {
+      setupSeries(5, () => {
+        const room = gameRooms.get(roomCode);
+        room.state = 'finished';
+        guestSocket.on('rematch-requested', () => done(new Error('rematch should be ignored')));
+        hostSocket.emit('rematch-request');
+        setTimeout(done, 100);
+      });
+    });
+  });
+
+  // ============================================
+  // DISCONNECT HANDLING TESTS
+  // ============================================
+  
+  describe('Disconnect Handling', () => {
+    let hostSocket, guestSocket;
+
+    afterEach((done) => {
+      if (hostSocket && hostSocket.connected) hostSocket.disconnect();
+      if (guestSocket && guestSocket.connected) guestSocket.disconnect();
+      setTimeout(done, 50);
+    });
+
+    test('opponent receives notification when player disconnects', (done) => {
+      hostSocket = Client(TEST_URL, { transports: ['websocket'], forceNew: true });
+      guestSocket = Client(TEST_URL, { transports: ['websocket'], forceNew: true });
+
+      hostSocket.on('connect', () => {
+        hostSocket.emit('register', { username: 'Host' }, () => {
+          hostSocket.emit('create-room', { gameMode: 'classic' }, (response) => {
+            const roomCode = response.roomCode;
+            
+            guestSocket.emit('register', { username: 'Guest' }, () => {
+              guestSocket.emit('join-room', roomCode, () => {
+                // Wait for game to start, then host disconnects
+                setTimeout(() => {
+                  hostSocket.disconnect();
+                }, 50);
+              });
+            });
+          });
+        });
+      });
+
+      guestSocket.on('opponent-disconnected', () => {
+        // Guest should be notified
+        done();
+      });
+    });
+
+    test('player is removed from matchmaking queue on disconnect', (done) => {
+      hostSocket = Client(TEST_URL, { transports: ['websocket'], forceNew: true });
+
+      hostSocket.on('connect', () => {
+        hostSocket.emit('register', { username: 'Host' }, () => {
+          hostSocket.emit('find-match', { gameMode: 'classic' }, () => {
+            expect(matchmakingQueue).toHaveLength(1);
+            
+            hostSocket.disconnect();
+            
+            // Give server time to process
+            setTimeout(() => {
+              expect(matchmakingQueue).toHaveLength(0);
+              done();
+            }, 100);
+          });
+        });
+      });
+    });
+  });
+
+  // ============================================
+  // SPECTATOR TESTS
+  // ============================================
+
+  describe('Spectators', () => {
+    let hostSocket, guestSocket, spectatorSocket;
+    let roomCode;
+
+    // Helper to start a game and connect a registered spectator
+    const setupGame = (callback) => {
+      hostSocket = Client(TEST_URL, { transports: ['websocket'], forceNew: true });
+      guestSocket = Client(TEST_URL, { transports: ['websocket'], forceNew: true });
+      spectatorSocket = Client(TEST_URL, { transports: ['websocket'], forceNew: true });
+
+      hostSocket.on('connect', () => {
+        hostSocket.emit('register', { username: 'Host' }, () => {
+          hostSocket.emit('create-room', { gameMode: 'classic' }, (response) => {
+            roomCode = response.roomCode;
+
+            guestSocket.emit('register', { username: 'Guest' }, () => {
+              guestSocket.emit('join-room', roomCode, () => {
+                spectatorSocket.emit('register', { username: 'Watcher' }, callback);
+              });
+            });
+          });
+        });
+      });
+    };
+
+    afterEach((done) => {
+      [hostSocket, guestSocket, spectatorSocket].forEach(s => {
+        if (s && s.connected) s.disconnect();
+      });
+      setTimeout(done, 50);
+    });
+
+    test('spectator joins a live room and gets its state', (done) => {
+      setupGame(() => {
+        spectatorSocket.emit('spectate-room', roomCode, (response) => {
+          expect(response.success).toBe(true);
+          expect(response.state).toBe('playing');
+          expect(response.spectators).toBe(1);
+          expect(response.gameState.players.map(p => p.username)).toEqual(['Host', 'Guest']);
+          expect(response.gameState.paddles).toHaveLength(2);
+          expect(gameRooms.get(roomCode).players).toHaveLength(2);
+          done();
+        });
+      });
+    });
+
+    test('spectator receives ball updates and both paddles', (done) => {
+      setupGame(() => {
+        spectatorSocket.emit('spectate-room', roomCode, () => {
+          const seen = new Set();
+          let gotBall = false;
+          const check = () => {
+            if (gotBall && seen.has(0) && seen.has(1)) done();
+          };
+
+          spectatorSocket.on('ball-update', () => {
+            gotBall = true;
+            check();
+          });
+          spectatorSocket.on('opponent-move', (data) => {
+            seen.add(data.playerIndex);
+            check();
+          });
+
+          hostSocket.emit('paddle-move', { position: 100, seq: 1 });
+          guestSocket.emit('paddle-move', { position: 500, seq: 1 });
+        });
+      });
+    });
+
+    test('spectator paddle inputs are ignored', (done) => {
+      setupGame(() => {
+        spectatorSocket.emit('spectate-room', roomCode, () => {
+          spectatorSocket.emit('paddle-move', { position: 100, seq: 1 });
+
+          setTimeout(() => {
+            const { sim } = gameRooms.get(roomCode);
+            expect(sim.lastProcessedSeq).toEqual([0, 0]);
+            done();
+          }, 100);
+        });
+      });
+    });
+
+    test('players are told the spectator count', (done) => {
+      setupGame(() => {
+        hostSocket.on('spectator-count', (data) => {
+          if (data.count === 1) {
+            spectatorSocket.emit('leave-spectate');
+          } else if (data.count === 0) {
+            expect(gameRooms.get(roomCode).spectators).toHaveLength(0);
+            done();
+          }
+        });
+
+        spectatorSocket.emit('spectate-room', roomCode, () => {});
+      });
+    });
+
+    test('spectator is removed on disconnect', (done) => {
+      setupGame(() => {
+        spectatorSocket.emit('spectate-room', roomCode, () => {
+          expect(gameRooms.get(roomCode).spectators).toHaveLength(1);
+          spectatorSocket.disconnect();
+
+          setTimeout(() => {
+            expect(gameRooms.get(roomCode).spectators).toHaveLength(0);
+            done();
+          }, 100);
+        });
+      });
+    });
+
+    test('cannot spectate a room that does not exist', (done) => {
+      setupGame(() => {
+        spectatorSocket.emit('spectate-room', 'XXXXXX', (response) => {
+          expect(response.success).toBe(false);
+          expect(response.error).toBe('Room not found');
+          done();
+        });
+      });
+    });
+  });
+
+  // ============================================
+  // TOURNAMENT TESTS
+  // ============================================
+
+  describe('Tournaments', () => {
+    let sockets = [];
+    const names = ['Host', 'Second', 'Third', 'Fourth'];
+
+    // Connect and register one client per name
+    const connectPlayers = (count, callback) => {
+      sockets = names.slice(0, count).map(() => Client(TEST_URL, { transports: ['websocket'], forceNew: true }));
+      let registered = 0;
+      sockets.forEach((s, i) => {
+        s.on('connect', () => {
+          s.emit('register', { username: names[i] }, () => {
+            registered++;
+            if (registered === count) callback();
+          });
+        });
+      });
+    };
+
+    // Create a tournament as the host and have everyone else join it
+    const setupTournament = (count, options, callback) => {
+      connectPlayers(count, () => {
+        sockets[0].emit('create-tournament', { gameMode: 'classic', ...options }, (response) => {
+          const { code } = response.tournament;
+          let joined = 0;
+          if (count === 1) return callback(code);
+          sockets.slice(1).forEach(s => {
+            s.emit('join-tournament', code, () => {
+              joined++;
+              if (joined === count - 1) callback(code);
+            });
+          });
+        });
+      });
+    };
+
+    afterEach((done) => {
+      sockets.forEach(s => {
+        if (s.connected) s.disconnect();
+      });
+      setTimeout(done, 50);
+    });
+
+    test('host creates a tournament and is its first player', (done) => {
+      connectPlayers(1, () => {
+        sockets[0].emit('create-tournament', { name: 'Friday Cup', size: 4, format: 'double', gameMode: 'classic' }, (response) => {
+          expect(response.success).toBe(true);
+          expect(response.tournament.code).toMatch(/^[A-Z0-9]{6}$/);
+          expect(response.tournament.format).toBe('double');
+          expect(response.tournament.host).toBe('Host');
+          expect(response.tournament.players.map(p => p.username)).toEqual(['Host']);
+          expect(tournaments.has(response.tournament.code)).toBe(true);
+          done();
+        });
+      });
+    });
+
+    test('rejects invalid tournament sizes', (done) => {
+      connectPlayers(1, () => {
+        sockets[0].emit('create-tournament', { size: 5, gameMode: 'classic' }, (response) => {
+          expect(response.success).toBe(false);
+          expect(tournaments.size).toBe(0);
+          done();
+        });
+      });
+    });
+
+    test('rejects unknown tournament codes', (done) => {
+      connectPlayers(1, () => {
+        sockets[0].emit('join-tournament', 'ZZZZZZ', (response) => {
+          expect(response).toEqual({ success: false, error: 'Tournament not found' });
+          done();
+        });
+      });
+    });
+
+    test('a full tournament starts and creates a room for each first-round match', (done) => {
+      const starts = [];
+      connectPlayers(4, () => {
+        sockets.forEach(s => s.on('game-start', (data) => {
+          starts.push(data.tournament.matchId);
+          if (starts.length === 4) {
+            expect(starts.sort()).toEqual(['W1-1', 'W1-1', 'W1-2', 'W1-2']);
+            const rooms = [...gameRooms.values()];
+            expect(rooms).toHaveLength(2);
+            // Equal ratings seed by join order: 1 v 4 and 2 v 3
+            const pairings = rooms.map(r => r.players.map(p => p.username)).sort();
+            expect(pairings).toEqual([['Host', 'Fourth'], ['Second', 'Third']]);
+            done();
+          }
+        }));
+
+        sockets[0].emit('create-tournament', { size: 4, gameMode: 'classic' }, (response) => {
+          sockets.slice(1).forEach(s => s.emit('join-tournament', response.tournament.code, () => {}));
+        });
+      });
+    });
+
+    test('only the host can start early, and byes go to the top seeds', (done) => {
+      setupTournament(2, { size: 4 }, (code) => {
+        sockets[1].emit('start-tournament', code, (response) => {
+          expect(response.success).toBe(false);
+
+          sockets[0].on('game-start', (data) => {
+            // Both first-round matches were byes, so the final is played straight away
+            expect(data.tournament.matchId).toBe('W2-1');
+            expect(data.players.map(p => p.username)).toEqual(['Host', 'Second']);
+            done();
+          });
+          sockets[0].emit('start-tournament', code, (startResponse) => {
+            expect(startResponse.success).toBe(true);
+          });
+        });
+      });
+    });
+
+    test('starting accepts the code as typed and rejects malformed ones', (done) => {
+      setupTournament(2, { size: 4 }, (code) => {
+        sockets[0].emit('start-tournament', { code }, (invalid) => {
+          expect(invalid).toEqual({ success: false, error: 'Room code is required' });
+
+          sockets[0].emit('start-tournament', ` ${code.toLowerCase()} `, (response) => {
+            expect(response.success).toBe(true);
+            done();
+          });
+        });
+      });
+    });
+
+    test('match results advance the bracket to a champion', (done) => {
+      setupTournament(2, { size: 4 }, (code) => {
+        sockets[1].on('tournament-update', (view) => {
+          if (view.state !== 'finished') return;
+          expect(view.champion).toBe('Second');
+          expect(view.matches.find(m => m.id === 'W2-1').scores).toEqual([0, 11]);
+          done();
+        });
+
+        sockets[0].on('game-start', () => {
+          setTimeout(() => {
+            const room = [...gameRooms.values()].find(r => r.tournament);
+            winMatch(room, 1);
+          }, 50);
+        });
+        sockets[0].emit('start-tournament', code, () => {});
+      });
+    });
+
+    test('tournament rooms do not offer rematches', (done) => {
+      setupTournament(2, { size: 4 }, (code) => {
+        sockets[0].on('game-start', () => {
+          const room = [...gameRooms.values()].find(r => r.tournament);
+          room.state = 'finished';
+          sockets[1].on('rematch-requested', () => done(new Error('rematch should be ignored')));
+          sockets[0].emit('rematch-request');
+          sockets[0].emit('rematch-accept');
+          setTimeout(() => {
+            expect(room.state).toBe('finished');
+            done();
+          }, 100);
+        });
+        sockets[0].emit('start-tournament', code, () => {});
+      });
+    });
+
+    test('a match whose players both drop out is played again when they return', (done) => {
+      const gracePeriod = RECONNECT.GRACE_PERIOD_MS;
+      RECONNECT.GRACE_PERIOD_MS = 100;
+
+      setupTournament(2, { size: 4 }, (code) => {
+        sockets[0].once('game-start', () => {
+          const roomCode = [...gameRooms.values()].find(r => r.tournament).code;
+          sockets.forEach(s => s.disconnect());
+
+          setTimeout(() => {
+            RECONNECT.GRACE_PERIOD_MS = gracePeriod;
+            expect(gameRooms.has(roomCode)).toBe(false);
+            const match = tournaments.get(code).matches.find(m => m.id === 'W2-1');
+            expect(match.state).toBe('ready');
+            expect(match.roomCode).toBeNull();
+
+            // Both players back: the final gets a new room
+            connectPlayers(2, () => {});
+            sockets[1].on('game-start', (data) => {
+              expect(data.tournament.matchId).toBe('W2-1');
+              expect(data.roomCode).not.toBe(roomCode);
+              done();
+            });
+          }, 300);
+        });
+        sockets[0].emit('start-tournament', code, () => {});
+      });
+    });
+
+    test('leaving before the start withdraws the player and passes on hosting', (done) => {
+      setupTournament(2, { size: 4 }, (code) => {
+        sockets[1].on('tournament-update', (view) => {
+          // Skip the update from Second joining
+          if (view.players.length === 2) return;
+          expect(view.host).toBe('Second');
+          expect(view.players.map(p => p.username)).toEqual(['Second']);
+          done();
+        });
+        sockets[0].emit('leave-tournament', code);
+      });
+    });
+
+    const DAY = 24 * 60 * 60 * 1000;
+
+    test('a tournament that never starts is closed', (done) => {
+      setupTournament(2, { size: 4 }, (code) => {
+        sockets[1].on('tournament-closed', (data) => {
+          expect(data).toEqual({ code });
+          expect(tournaments.has(code)).toBe(false);
+          done();
+        });
+
+        expireTournaments(Date.now());
+        expect(tournaments.has(code)).toBe(true);
+        expireTournaments(Date.now() + DAY);
+      });
+    });
+
+    test('running tournaments are not closed', (done) => {
+      setupTournament(2, { size: 4 }, (code) => {
+        sockets[0].once('game-start', () => {
+          expireTournaments(Date.now() + DAY);
+          expect(tournaments.get(code).state).toBe('running');
+          done();
+        });
+        sockets[0].emit('start-tournament', code, () => {});
+      });
+    });
+  });
+
+  // ============================================
+  // RATE LIMITING TESTS
+  // ============================================
+  
+  describe('Rate Limiting', () => {
+    let clientSocket;
+
+    afterEach((done) => {
+      if (clientSocket && clientSocket.connected) clientSocket.disconnect();
+      setTimeout(done, 50);
+    });
+
+    test('excessive registration attempts are rate limited', (done) => {
+      clientSocket = Client(TEST_URL, { transports: ['websocket'], forceNew: true });
+
+      clientSocket.on('connect', () => {
+        let rateLimitedCount = 0;
+        let successCount = 0;
+        
+        // Try 5 registrations quickly (limit is 3 per 10s)
+        for (let i = 0; i < 5; i++) {
+          clientSocket.emit('register', { username: `User${i}` }, (response) => {
+            if (response.success) {
+              successCount++;
             } else if (response.error.includes('Too many')) {
               rateLimitedCount++;
             }
@@ -669,6 +1543,475 @@ describe('Server Integration Tests', () => {
     });
   });
 
+  // ============================================
+  // RECONNECTION
+  // ============================================
+
+  describe('Reconnection', () => {
+    let clients = [];
+
+    function connect() {
+      const client = Client(TEST_URL, { transports: ['websocket'], forceNew: true });
+      clients.push(client);
+      return client;
+    }
+
+    // Start a game and collect each player's resume token from game-start
+    const setupGame = (callback) => {
+      const host = connect();
+      const guest = connect();
+      const tokens = [];
+
+      host.on('game-start', (data) => { tokens[0] = data.resumeToken; });
+      guest.on('game-start', (data) => { tokens[1] = data.resumeToken; });
+
+      host.on('connect', () => {
+        host.emit('register', { username: 'Host' }, () => {
+          host.emit('create-room', { gameMode: 'classic' }, ({ roomCode }) => {
+            guest.emit('register', { username: 'Guest' }, () => {
+              guest.emit('join-room', roomCode, () => callback({ host, guest, tokens, roomCode }));
+            });
+          });
+        });
+      });
+    };
+
+    afterEach((done) => {
+      clients.forEach(c => c.connected && c.disconnect());
+      clients = [];
+      setTimeout(done, 50);
+    });
+
+    test('each player gets its own resume token in game-start', (done) => {
+      setupGame(({ tokens }) => {
+        expect(typeof tokens[0]).toBe('string');
+        expect(typeof tokens[1]).toBe('string');
+        expect(tokens[0]).not.toBe(tokens[1]);
+        done();
+      });
+    });
+
+    test('only the resume token reclaims a dropped seat', (done) => {
+      setupGame(({ host, guest, tokens, roomCode }) => {
+        guest.on('opponent-disconnected', () => {
+          const impostor = connect();
+          impostor.emit('register', { username: 'Host' }, (stolen) => {
+            expect(stolen.success).toBe(false);
+            expect(stolen.error).toBe('Username is already in use');
+
+            const returning = connect();
+            returning.emit('register', { username: 'Host', resumeToken: tokens[0] }, (response) => {
+              expect(response.reconnected).toBe(true);
+              expect(response.roomCode).toBe(roomCode);
+              expect(response.playerIndex).toBe(0);
+              expect(response.gameState.ball).toEqual(expect.objectContaining({ x: expect.any(Number), vx: expect.any(Number) }));
+              expect(response.gameState.paddles).toHaveLength(2);
+              expect(gameRooms.get(roomCode).players[0].disconnected).toBe(false);
+              done();
+            });
+          });
+        });
+
+        host.disconnect();
+      });
+    });
+
+    test('a token for the other seat does not reconnect', (done) => {
+      setupGame(({ host, guest, tokens, roomCode }) => {
+        guest.on('opponent-disconnected', () => {
+          const returning = connect();
+          returning.emit('register', { username: 'Host', resumeToken: tokens[1] }, (response) => {
+            expect(response.reconnected).toBeUndefined();
+            expect(gameRooms.get(roomCode).players[0].disconnected).toBe(true);
+            done();
+          });
+        });
+
+        host.disconnect();
+      });
+    });
+  });
+
+  // ============================================
+  // FORFEITS
+  // ============================================
+
+  describe('Forfeits', () => {
+    const gracePeriod = RECONNECT.GRACE_PERIOD_MS;
+    let clients = [];
+
+    function connect() {
+      const client = Client(TEST_URL, { transports: ['websocket'], forceNew: true });
+      clients.push(client);
+      return client;
+    }
+
+    beforeAll(() => {
+      RECONNECT.GRACE_PERIOD_MS = 100;
+    });
+
+    afterAll(() => {
+      RECONNECT.GRACE_PERIOD_MS = gracePeriod;
+    });
+
+    afterEach((done) => {
+      clients.forEach(c => c.connected && c.disconnect());
+      clients = [];
+      setTimeout(done, 50);
+    });
+
+    test('the remaining player wins by forfeit when the grace period runs out', (done) => {
+      const host = connect();
+      const guest = connect();
+      let roomCode;
+
+      guest.on('opponent-disconnected', (data) => {
+        expect(data.gracePeriod).toBe(100);
+      });
+
+      guest.on('match-complete', (data) => {
+        expect(data.reason).toBe('forfeit');
+        expect(data.winnerIndex).toBe(1);
+        expect(gameRooms.get(roomCode).state).toBe('finished');
+        expect(abandonments.get('Quitter')).toBe(1);
+        done();
+      });
+
+      host.on('connect', () => {
+        host.emit('register', { username: 'Quitter' }, () => {
+          host.emit('create-room', { gameMode: 'classic' }, (response) => {
+            roomCode = response.roomCode;
+            guest.emit('register', { username: 'Stayer' }, () => {
+              guest.emit('join-room', roomCode, () => host.disconnect());
+            });
+          });
+        });
+      });
+    });
+
+    test('dropping again after reconnecting gets a full grace period', (done) => {
+      const host = connect();
+      const guest = connect();
+      let resumeToken;
+      let secondDrop;
+
+      host.on('game-start', (data) => { resumeToken = data.resumeToken; });
+
+      guest.on('match-complete', (data) => {
+        expect(data.reason).toBe('forfeit');
+        expect(Date.now() - secondDrop).toBeGreaterThanOrEqual(95);
+        expect(abandonments.get('Quitter')).toBe(1);
+        done();
+      });
+
+      host.on('connect', () => {
+        host.emit('register', { username: 'Quitter' }, () => {
+          host.emit('create-room', { gameMode: 'classic' }, (response) => {
+            guest.emit('register', { username: 'Stayer' }, () => {
+              guest.emit('join-room', response.roomCode, () => {
+                host.disconnect();
+                setTimeout(() => {
+                  const returning = connect();
+                  returning.emit('register', { username: 'Quitter', resumeToken }, (resumed) => {
+                    expect(resumed.reconnected).toBe(true);
+                    // Drop again before the first grace period would have run out
+                    setTimeout(() => {
+                      secondDrop = Date.now();
+                      returning.disconnect();
+                    }, 20);
+                  });
+                }, 30);
+              });
+            });
+          });
+        });
+      });
+    });
+
+    test('leaving a match in progress forfeits it', (done) => {
+      const host = connect();
+      const guest = connect();
+      let roomCode;
+
+      guest.on('opponent-disconnected', () => done(new Error('a forfeit should end the match instead')));
+
+      guest.on('match-complete', (data) => {
+        expect(data.reason).toBe('forfeit');
+        expect(data.winnerIndex).toBe(1);
+        expect(abandonments.get('Quitter')).toBe(1);
+        // The simulation stops with the match
+        expect(gameRooms.get(roomCode).state).toBe('finished');
+        done();
+      });
+
+      host.on('connect', () => {
+        host.emit('register', { username: 'Quitter' }, () => {
+          host.emit('create-room', { gameMode: 'classic' }, (response) => {
+            roomCode = response.roomCode;
+            guest.emit('register', { username: 'Stayer' }, () => {
+              guest.emit('join-room', roomCode, () => host.emit('leave-room', { roomCode }));
+            });
+          });
+        });
+      });
+    });
+
+    test('players who abandon matches sit out a matchmaking penalty', (done) => {
+      abandonments.set('Quitter', 1);
+      const quitter = connect();
+      const other = connect();
+
+      other.on('connect', () => {
+        other.emit('register', { username: 'Patient' }, () => {
+          other.emit('find-match', { gameMode: 'classic' }, (waiting) => {
+            expect(waiting.matched).toBe(false);
+
+            quitter.emit('register', { username: 'Quitter' }, () => {
+              quitter.emit('find-match', { gameMode: 'classic' }, (response) => {
+                expect(response.success).toBe(true);
+                expect(response.matched).toBe(false);
+                expect(response.penaltySeconds).toBeGreaterThan(0);
+                expect(matchmakingQueue).toHaveLength(2);
+                done();
+              });
+            });
+          });
+        });
+      });
+    });
+  });
+
+  // ============================================
+  // ACCOUNTS
+  // ============================================
+
+  describe('Accounts', () => {
+    let clients = [];
+
+    function connect(auth) {
+      const client = Client(TEST_URL, { transports: ['websocket'], forceNew: true, auth });
+      clients.push(client);
+      return client;
+    }
+
+    afterEach((done) => {
+      clients.forEach(c => c.connected && c.disconnect());
+      clients = [];
+      setTimeout(done, 50);
+    });
+
+    test('signup issues a session token and rejects taken names', async () => {
+      const response = await request(app)
+        .post('/api/auth/signup')
+        .send({ username: 'Account1', password: 'correct horse' });
+
+      expect(response.status).toBe(201);
+      expect(response.body.username).toBe('Account1');
+      expect(typeof response.body.token).toBe('string');
+      expect(response.body.expiresAt).toBeGreaterThan(Date.now());
+
+      const again = await request(app)
+        .post('/api/auth/signup')
+        .send({ username: 'Account1', password: 'another pass' });
+      expect(again.status).toBe(409);
+    });
+
+    test('signup refuses claim codes that match no legacy name', async () => {
+      const response = await request(app)
+        .post('/api/auth/signup')
+        .send({ username: 'Account1', password: 'correct horse', claimCode: 'ABCDEF123456' });
+      expect(response.status).toBe(403);
+      expect(response.body.error).toBe('Invalid or expired claim code');
+
+      const malformed = await request(app)
+        .post('/api/auth/signup')
+        .send({ username: 'Account1', password: 'correct horse', claimCode: 42 });
+      expect(malformed.status).toBe(400);
+    });
+
+    test('signup rejects short passwords', async () => {
+      const response = await request(app)
+        .post('/api/auth/signup')
+        .send({ username: 'Account1', password: 'short' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toContain('Password');
+    });
+
+    test('login checks the password', async () => {
+      await request(app)
+        .post('/api/auth/signup')
+        .send({ username: 'Account1', password: 'correct horse' });
+
+      const wrong = await request(app)
+        .post('/api/auth/login')
+        .send({ username: 'Account1', password: 'wrong horse' });
+      expect(wrong.status).toBe(401);
+
+      const right = await request(app)
+        .post('/api/auth/login')
+        .send({ username: 'Account1', password: 'correct horse' });
+      expect(right.status).toBe(200);
+      expect(right.body.username).toBe('Account1');
+    });
+
+    test('a signed-in socket registers as its account whatever name it sends', async () => {
+      const { body } = await request(app)
+        .post('/api/auth/signup')
+        .send({ username: 'Account1', password: 'correct horse' });
+
+      const client = connect({ token: body.token });
+      const response = await new Promise(resolve => {
+        client.on('connect', () => client.emit('register', { username: 'Someone' }, resolve));
+      });
+
+      expect(response.success).toBe(true);
+      expect(response.player.username).toBe('Account1');
+      expect(response.player.guest).toBe(false);
+    });
+
+    test('an invalid session token is refused on connect', (done) => {
+      const client = connect({ token: 'forged.token' });
+
+      client.on('connect_error', (err) => {
+        expect(err.message).toBe('Invalid or expired session');
+        done();
+      });
+    });
+
+    test('guests cannot take an account name', async () => {
+      await request(app)
+        .post('/api/auth/signup')
+        .send({ username: 'Account1', password: 'correct horse' });
+
+      const client = connect();
+      const response = await new Promise(resolve => {
+        client.on('connect', () => client.emit('register', { username: 'Account1' }, resolve));
+      });
+
+      expect(response.success).toBe(false);
+      expect(response.error).toContain('Log in');
+    });
+
+    test('guests register as unranked and cannot share a name', (done) => {
+      const guest1 = connect();
+      const guest2 = connect();
+
+      guest1.on('connect', () => {
+        guest1.emit('register', { username: 'Guest1' }, (response) => {
+          expect(response.success).toBe(true);
+          expect(response.player.guest).toBe(true);
+
+          guest2.emit('register', { username: 'Guest1' }, (second) => {
+            expect(second.success).toBe(false);
+            expect(second.error).toBe('Username is already in use');
+            done();
+          });
+        });
+      });
+    });
+  });
+
+  // ============================================
+  // FRIENDS TESTS
+  // ============================================
+
+  describe('Friends', () => {
+    let clients = [];
+
+    // Sign up an account and register a socket for it
+    async function signIn(username) {
+      const { body } = await request(app)
+        .post('/api/auth/signup')
+        .send({ username, password: 'correct horse' });
+      const client = Client(TEST_URL, { transports: ['websocket'], forceNew: true, auth: { token: body.token } });
+      clients.push(client);
+      await new Promise(resolve => {
+        client.on('connect', () => client.emit('register', {}, resolve));
+      });
+      return client;
+    }
+
+    function emit(client, event, data) {
+      return new Promise(resolve => client.emit(event, data, resolve));
+    }
+
+    afterEach((done) => {
+      clients.forEach(c => c.connected && c.disconnect());
+      clients = [];
+      setTimeout(done, 50);
+    });
+
+    test('guests cannot add friends', (done) => {
+      const guest = Client(TEST_URL, { transports: ['websocket'], forceNew: true });
+      clients.push(guest);
+
+      guest.on('connect', () => {
+        guest.emit('register', { username: 'Guest1' }, () => {
+          guest.emit('add-friend', 'Friend1', (response) => {
+            expect(response.success).toBe(false);
+            expect(response.error).toBe('Sign in to add friends');
+            done();
+          });
+        });
+      });
+    });
+
+    test('friend requests reach the other player and accepting shows presence', async () => {
+      const alice = await signIn('Alice1');
+      const bob = await signIn('Bob1');
+
+      const incoming = new Promise(resolve => bob.once('friends-update', resolve));
+      expect(await emit(alice, 'add-friend', 'Bob1')).toEqual({ success: true, accepted: false });
+      expect((await incoming).incoming).toEqual(['Alice1']);
+
+      const accepted = new Promise(resolve => alice.once('friends-update', resolve));
+      expect((await emit(bob, 'accept-friend', 'Alice1')).success).toBe(true);
+      expect((await accepted).friends).toEqual([{ username: 'Bob1', presence: 'online' }]);
+
+      const offline = new Promise(resolve => alice.once('friend-presence', resolve));
+      bob.disconnect();
+      expect(await offline).toEqual({ username: 'Bob1', presence: 'offline' });
+    });
+
+    test('only friends can be challenged', async () => {
+      const alice = await signIn('Alice1');
+      await signIn('Bob1');
+
+      const response = await emit(alice, 'challenge-friend', { username: 'Bob1', gameMode: 'classic' });
+      expect(response.success).toBe(false);
+      expect(response.error).toBe('You can only challenge friends');
+    });
+
+    test('a challenge opens a private room the friend can join', async () => {
+      const alice = await signIn('Alice1');
+      const bob = await signIn('Bob1');
+      friendships.set('Alice1|Bob1', { requester: 'Alice1', addressee: 'Bob1', status: 'accepted' });
+
+      const challenge = new Promise(resolve => bob.once('friend-challenge', resolve));
+      const response = await emit(alice, 'challenge-friend', { username: 'Bob1', gameMode: 'chaos', bestOf: 3 });
+      expect(response.success).toBe(true);
+      expect(gameRooms.get(response.roomCode).isPublic).toBe(false);
+      expect(await challenge).toMatchObject({ from: 'Alice1', roomCode: response.roomCode, gameMode: 'chaos', bestOf: 3 });
+
+      const inGame = new Promise(resolve => bob.once('friend-presence', resolve));
+      const joined = await emit(bob, 'join-room', response.roomCode);
+      expect(joined.success).toBe(true);
+      expect(await inGame).toEqual({ username: 'Alice1', presence: 'in-game' });
+    });
+
+    test('declining a challenge tells the challenger', async () => {
+      const alice = await signIn('Alice1');
+      const bob = await signIn('Bob1');
+      friendships.set('Alice1|Bob1', { requester: 'Bob1', addressee: 'Alice1', status: 'accepted' });
+
+      const { roomCode } = await emit(alice, 'challenge-friend', { username: 'Bob1', gameMode: 'classic' });
+      const declined = new Promise(resolve => alice.once('challenge-declined', resolve));
+      bob.emit('decline-challenge', roomCode);
+      expect(await declined).toEqual({ username: 'Bob1', roomCode });
+    });
+  });
+
   // ============================================
   // VALIDATION EDGE CASES
   // ============================================
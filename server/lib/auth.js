@@ -0,0 +1,194 @@
+/**
+ * Player account authentication
+ * Passwords are hashed with scrypt and sessions are stateless tokens signed
+ * with HMAC-SHA256, so the server only needs its secret to verify a socket.
+ * Resume tokens use the same signing to prove a player owns a seat in a match.
+ * @module lib/auth
+ */
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+/**
+ * Authentication settings
+ */
+const AUTH = {
+  PASSWORD_MIN_LENGTH: 8,
+  PASSWORD_MAX_LENGTH: 128,
+  TOKEN_TTL_MS: 30 * 24 * 60 * 60 * 1000, // Sessions last 30 days
+  SALT_BYTES: 16,
+  KEY_LENGTH: 64
+};
+
+/**
+ * Validate a password
+ * @param {*} password - Password to validate
+ * @returns {{ valid: boolean, error?: string }}
+ */
+function validatePassword(password) {
+  if (!password || typeof password !== 'string') {
+    return { valid: false, error: 'Password is required' };
+  }
+  if (password.length < AUTH.PASSWORD_MIN_LENGTH || password.length > AUTH.PASSWORD_MAX_LENGTH) {
+    return { valid: false, error: `Password must be ${AUTH.PASSWORD_MIN_LENGTH}-${AUTH.PASSWORD_MAX_LENGTH} characters` };
+  }
+  return { valid: true };
+}
+
+/**
+ * Hash a password for storage
+ * @param {string} password - Plain-text password
+ * @returns {Promise<string>} 'scrypt$<salt>$<hash>' (base64url)
+ */
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(AUTH.SALT_BYTES);
+  const hash = await scrypt(password, salt, AUTH.KEY_LENGTH);
+  return `scrypt$${salt.toString('base64url')}$${hash.toString('base64url')}`;
+}
+
+/**
+ * Check a password against a stored hash
+ * @param {string} password - Plain-text password
+ * @param {string} stored - Hash from hashPassword
+ * @returns {Promise<boolean>}
+ */
+async function verifyPassword(password, stored) {
+  const [scheme, salt, expected] = (stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !expected) {
+    return false;
+  }
+
+  const expectedBuffer = Buffer.from(expected, 'base64url');
+  const hash = await scrypt(password, Buffer.from(salt, 'base64url'), expectedBuffer.length);
+  return crypto.timingSafeEqual(hash, expectedBuffer);
+}
+
+/**
+ * Sign a token payload
+ * @param {string} data - Encoded payload
+ * @param {string} secret - Server secret
+ * @returns {string} base64url signature
+ */
+function sign(data, secret) {
+  return crypto.createHmac('sha256', secret).update(data).digest('base64url');
+}
+
+/**
+ * Issue a session token for an account
+ * @param {{ id: string, username: string }} account - Account to sign in
+ * @param {string} secret - Server secret
+ * @param {number} [now=Date.now()] - Issue time (ms)
+ * @returns {{ token: string, expiresAt: number }}
+ */
+function createToken(account, secret, now = Date.now()) {
+  const expiresAt = now + AUTH.TOKEN_TTL_MS;
+  const payload = Buffer.from(JSON.stringify({
+    sub: account.id,
+    username: account.username,
+    iat: now,
+    exp: expiresAt
+  })).toString('base64url');
+
+  return { token: `${payload}.${sign(payload, secret)}`, expiresAt };
+}
+
+/**
+ * Verify a session token
+ * @param {*} token - Token from a client
+ * @param {string} secret - Server secret
+ * @param {number} [now=Date.now()] - Current time (ms)
+ * @returns {{ valid: boolean, error?: string, account?: { id: string, username: string } }}
+ */
+function verifyToken(token, secret, now = Date.now()) {
+  if (!token || typeof token !== 'string') {
+    return { valid: false, error: 'Token is required' };
+  }
+
+  const [payload, signature] = token.split('.');
+  if (!payload || !signature) {
+    return { valid: false, error: 'Malformed token' };
+  }
+
+  const expected = Buffer.from(sign(payload, secret));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return { valid: false, error: 'Invalid token signature' };
+  }
+
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch (err) {
+    return { valid: false, error: 'Malformed token' };
+  }
+
+  if (typeof claims.exp !== 'number' || claims.exp <= now) {
+    return { valid: false, error: 'Token has expired' };
+  }
+
+  return { valid: true, account: { id: claims.sub, username: claims.username } };
+}
+
+/**
+ * Issue a resume token for a player's seat in a match
+ * The nonce makes each game's token unique, so a token from an earlier game
+ * in the same room cannot take over a later one.
+ * @param {string} roomCode - Room the match is played in
+ * @param {number} playerIndex - Seat (0 = left, 1 = right)
+ * @param {string} secret - Server secret
+ * @returns {string} Token
+ */
+function createResumeToken(roomCode, playerIndex, secret) {
+  const payload = Buffer.from(JSON.stringify({
+    room: roomCode,
+    seat: playerIndex,
+    nonce: crypto.randomBytes(12).toString('base64url')
+  })).toString('base64url');
+
+  return `${payload}.${sign(`resume:${payload}`, secret)}`;
+}
+
+/**
+ * Verify a resume token's signature
+ * @param {*} token - Token from a client
+ * @param {string} secret - Server secret
+ * @returns {{ valid: boolean, error?: string, roomCode?: string, playerIndex?: number }}
+ */
+function verifyResumeToken(token, secret) {
+  if (!token || typeof token !== 'string') {
+    return { valid: false, error: 'Token is required' };
+  }
+
+  const [payload, signature] = token.split('.');
+  if (!payload || !signature) {
+    return { valid: false, error: 'Malformed token' };
+  }
+
+  const expected = Buffer.from(sign(`resume:${payload}`, secret));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return { valid: false, error: 'Invalid token signature' };
+  }
+
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch (err) {
+    return { valid: false, error: 'Malformed token' };
+  }
+
+  return { valid: true, roomCode: claims.room, playerIndex: claims.seat };
+}
+
+module.exports = {
+  AUTH,
+  validatePassword,
+  hashPassword,
+  verifyPassword,
+  createToken,
+  verifyToken,
+  createResumeToken,
+  verifyResumeToken
+};
@@ -1,5 +1,7 @@
 /**
  * ELO rating calculation for competitive ranking
+ * The record_match() database function applies the same formula when a match
+ * is saved, so keep the two in sync.
  * @module lib/elo
  */
 
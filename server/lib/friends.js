@@ -0,0 +1,130 @@
+/**
+ * Friends and presence
+ * Signed-in players can send each other friend requests. A request stays
+ * pending until the other player accepts it, and removing a friend (or
+ * declining or cancelling a request) drops the friendship altogether.
+ * Presence is never stored: it is worked out from who is connected.
+ * @module lib/friends
+ */
+
+/**
+ * Friend list settings
+ */
+const FRIENDS = {
+  MAX_FRIENDS: 100     // Most friends and pending requests one player can have
+};
+
+/**
+ * What a friend is doing, as shown in the friends panel
+ */
+const PRESENCE = {
+  OFFLINE: 'offline',
+  ONLINE: 'online',
+  IN_GAME: 'in-game'
+};
+
+// Friends panel order: free to challenge first, offline last
+const PRESENCE_ORDER = [PRESENCE.ONLINE, PRESENCE.IN_GAME, PRESENCE.OFFLINE];
+
+/**
+ * Key a friendship by its two players, whichever of them asked
+ * @param {string} a - Username
+ * @param {string} b - Username
+ * @returns {string}
+ */
+function getFriendshipKey(a, b) {
+  return a < b ? `${a}|${b}` : `${b}|${a}`;
+}
+
+/**
+ * Find the friendship between two players
+ * @param {Object[]} friendships - Friendships { requester, addressee, status } involving either player
+ * @param {string} a - Username
+ * @param {string} b - Username
+ * @returns {Object|null}
+ */
+function findFriendship(friendships, a, b) {
+  return friendships.find(f =>
+    (f.requester === a && f.addressee === b) || (f.requester === b && f.addressee === a)
+  ) || null;
+}
+
+/**
+ * Check whether a player may send a friend request
+ * Asking a player who has already asked us accepts their request instead.
+ * @param {Object[]} friendships - The player's friendships
+ * @param {string} username - Player sending the request
+ * @param {string} target - Validated username of the player to add
+ * @returns {{ valid: boolean, error?: string, accept?: boolean }} accept is true when the
+ *   request completes a pending request from the target
+ */
+function validateFriendRequest(friendships, username, target) {
+  if (target === username) {
+    return { valid: false, error: 'You cannot add yourself' };
+  }
+
+  const existing = findFriendship(friendships, username, target);
+  if (existing) {
+    if (existing.status === 'accepted') {
+      return { valid: false, error: 'Already friends' };
+    }
+    if (existing.requester === username) {
+      return { valid: false, error: 'Friend request already sent' };
+    }
+    return { valid: true, accept: true };
+  }
+
+  if (friendships.length >= FRIENDS.MAX_FRIENDS) {
+    return { valid: false, error: 'Friend list is full' };
+  }
+  return { valid: true, accept: false };
+}
+
+/**
+ * Work out a player's presence
+ * @param {Object|undefined} player - Registered player, if connected
+ * @param {Object|undefined} room - Room the player is in, if any
+ * @returns {string} One of PRESENCE
+ */
+function getPresence(player, room) {
+  if (!player) {
+    return PRESENCE.OFFLINE;
+  }
+  return room && room.state === 'playing' ? PRESENCE.IN_GAME : PRESENCE.ONLINE;
+}
+
+/**
+ * Build a player's friends panel
+ * @param {Object[]} friendships - The player's friendships
+ * @param {string} username - Player the panel is for
+ * @param {Function} presenceOf - Returns the presence of a username
+ * @returns {{ friends: Array<{ username: string, presence: string }>, incoming: string[], outgoing: string[] }}
+ *   Friends sorted by presence then name, and the usernames of pending requests each way
+ */
+function buildFriendList(friendships, username, presenceOf) {
+  const friends = friendships
+    .filter(f => f.status === 'accepted')
+    .map(f => {
+      const friend = f.requester === username ? f.addressee : f.requester;
+      return { username: friend, presence: presenceOf(friend) };
+    })
+    .sort((a, b) => PRESENCE_ORDER.indexOf(a.presence) - PRESENCE_ORDER.indexOf(b.presence) ||
+      a.username.localeCompare(b.username));
+
+  const pending = friendships.filter(f => f.status === 'pending');
+  return {
+    friends,
+    incoming: pending.filter(f => f.addressee === username).map(f => f.requester).sort(),
+    outgoing: pending.filter(f => f.requester === username).map(f => f.addressee).sort()
+  };
+}
+
+module.exports = {
+  FRIENDS,
+  PRESENCE,
+  getFriendshipKey,
+  findFriendship,
+  validateFriendRequest,
+  getPresence,
+  buildFriendList
+};
@@ -0,0 +1,228 @@
+/**
+ * Glicko-2 rating calculation (Glickman, 2012)
+ * Tracks how sure we are of each rating as well as the rating itself, so new
+ * and long-idle players move quickly while settled players stay stable.
+ * The record_match() database function applies the same formulas when a
+ * match is saved, inside the transaction that locks both players (see the
+ * glicko2 migration), so keep the two in sync: glicko2.test.js runs both on
+ * the same cases.
+ * @module lib/glicko2
+ */
+
+const { DEFAULT_ELO, MIN_ELO } = require('./elo');
+
+/**
+ * Glicko-2 configuration. Ratings share the Elo column, default and floor so
+ * the server can switch engines without migrating anyone's rating.
+ */
+const GLICKO2 = {
+  DEFAULT_RATING: DEFAULT_ELO,
+  MIN_RATING: MIN_ELO,
+  DEFAULT_DEVIATION: 350,
+  MAX_DEVIATION: 350,
+  MIN_DEVIATION: 30,
+  DEFAULT_VOLATILITY: 0.06,
+  TAU: 0.5,                     // Constrains volatility change between periods
+  SCALE: 173.7178,              // Glicko-1 to Glicko-2 scale factor
+  CONVERGENCE: 0.000001,
+  RATING_PERIOD_DAYS: 7,        // Idle time that counts as one missed period
+  PROVISIONAL_DEVIATION: 110    // Ratings above this are shown as provisional (glicko2_is_provisional() in the database)
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Reduce the impact of a game against an opponent whose rating is uncertain
+ * @param {number} phi - Opponent deviation on the Glicko-2 scale
+ * @returns {number}
+ */
+function g(phi) {
+  return 1 / Math.sqrt(1 + 3 * phi * phi / (Math.PI * Math.PI));
+}
+
+/**
+ * Expected score against an opponent, on the Glicko-2 scale
+ * @param {number} mu - Player rating
+ * @param {number} muOpponent - Opponent rating
+ * @param {number} phiOpponent - Opponent deviation
+ * @returns {number} Win probability between 0 and 1
+ */
+function expectedScore(mu, muOpponent, phiOpponent) {
+  return 1 / (1 + Math.exp(-g(phiOpponent) * (mu - muOpponent)));
+}
+
+/**
+ * Solve for the new volatility with the Illinois algorithm (step 5 of the paper)
+ * @param {number} phi - Player deviation on the Glicko-2 scale
+ * @param {number} sigma - Current volatility
+ * @param {number} v - Estimated variance from the period's games
+ * @param {number} delta - Estimated improvement from the period's games
+ * @returns {number} New volatility
+ */
+function solveVolatility(phi, sigma, v, delta) {
+  const tau = GLICKO2.TAU;
+  const a = Math.log(sigma * sigma);
+  const f = (x) => {
+    const ex = Math.exp(x);
+    const denom = phi * phi + v + ex;
+    return (ex * (delta * delta - phi * phi - v - ex)) / (2 * denom * denom) - (x - a) / (tau * tau);
+  };
+
+  let A = a;
+  let B;
+  if (delta * delta > phi * phi + v) {
+    B = Math.log(delta * delta - phi * phi - v);
+  } else {
+    let k = 1;
+    while (f(a - k * tau) < 0) {
+      k++;
+    }
+    B = a - k * tau;
+  }
+
+  let fA = f(A);
+  let fB = f(B);
+  while (Math.abs(B - A) > GLICKO2.CONVERGENCE) {
+    const C = A + (A - B) * fA / (fB - fA);
+    const fC = f(C);
+    if (fC * fB <= 0) {
+      A = B;
+      fA = fB;
+    } else {
+      fA = fA / 2;
+    }
+    B = C;
+    fB = fC;
+  }
+
+  return Math.exp(A / 2);
+}
+
+/**
+ * Count whole rating periods a player has sat out
+ * @param {string|number|Date|null} lastRatedAt - When the player was last rated
+ * @param {number} [now=Date.now()] - Current time in ms
+ * @returns {number} Number of idle periods (0 for new players)
+ */
+function idlePeriods(lastRatedAt, now = Date.now()) {
+  if (!lastRatedAt) {
+    return 0;
+  }
+  const elapsed = now - new Date(lastRatedAt).getTime();
+  if (!(elapsed > 0)) {
+    return 0;
+  }
+  return Math.floor(elapsed / (GLICKO2.RATING_PERIOD_DAYS * DAY_MS));
+}
+
+/**
+ * Grow a deviation for periods without games, so returning players are
+ * treated as less certain
+ * @param {number} deviation - Current deviation
+ * @param {number} volatility - Current volatility
+ * @param {number} periods - Idle rating periods
+ * @returns {number} Inflated deviation, capped at MAX_DEVIATION
+ */
+function inflateDeviation(deviation, volatility, periods) {
+  if (periods <= 0) {
+    return deviation;
+  }
+  const phi = deviation / GLICKO2.SCALE;
+  const inflated = Math.sqrt(phi * phi + periods * volatility * volatility) * GLICKO2.SCALE;
+  return Math.min(GLICKO2.MAX_DEVIATION, inflated);
+}
+
+/**
+ * Rate a player over one rating period
+ * @param {{ rating: number, deviation: number, volatility: number }} player - Player before the period
+ * @param {Array<{ rating: number, deviation: number, score: number }>} results - Opponents faced and
+ *   the score against each (1 win, 0.5 draw, 0 loss)
+ * @returns {{ rating: number, deviation: number, volatility: number }} Player after the period
+ */
+function updateRating(player, results) {
+  const { SCALE, DEFAULT_RATING } = GLICKO2;
+  const mu = (player.rating - DEFAULT_RATING) / SCALE;
+  const phi = player.deviation / SCALE;
+
+  // A period with no games only grows the deviation
+  if (results.length === 0) {
+    return {
+      rating: player.rating,
+      deviation: inflateDeviation(player.deviation, player.volatility, 1),
+      volatility: player.volatility
+    };
+  }
+
+  let vInverse = 0;
+  let improvement = 0;
+  for (const result of results) {
+    const muOpponent = (result.rating - DEFAULT_RATING) / SCALE;
+    const phiOpponent = result.deviation / SCALE;
+    const gOpponent = g(phiOpponent);
+    const expected = expectedScore(mu, muOpponent, phiOpponent);
+    vInverse += gOpponent * gOpponent * expected * (1 - expected);
+    improvement += gOpponent * (result.score - expected);
+  }
+  const v = 1 / vInverse;
+  const delta = v * improvement;
+
+  const volatility = solveVolatility(phi, player.volatility, v, delta);
+  const phiStar = Math.sqrt(phi * phi + volatility * volatility);
+  const phiNew = 1 / Math.sqrt(1 / (phiStar * phiStar) + 1 / v);
+  const muNew = mu + phiNew * phiNew * improvement;
+
+  return {
+    rating: muNew * SCALE + DEFAULT_RATING,
+    deviation: phiNew * SCALE,
+    volatility
+  };
+}
+
+/**
+ * Rate both players after a single match. Each match is its own rating
+ * period; idle periods since the player's last match are applied first.
+ * @param {{ rating: number, deviation: number, volatility: number, lastRatedAt?: string }} winner
+ * @param {{ rating: number, deviation: number, volatility: number, lastRatedAt?: string }} loser
+ * @param {number} [now=Date.now()] - Current time in ms
+ * @returns {{ winner: Object, loser: Object }} New {rating, deviation, volatility} for each,
+ *   with ratings rounded to whole points
+ */
+function rateMatch(winner, loser, now = Date.now()) {
+  const settle = (player) => ({
+    rating: player.rating,
+    deviation: inflateDeviation(player.deviation, player.volatility, idlePeriods(player.lastRatedAt, now)),
+    volatility: player.volatility
+  });
+  const w = settle(winner);
+  const l = settle(loser);
+
+  const finish = (rated) => ({
+    rating: Math.max(GLICKO2.MIN_RATING, Math.round(rated.rating)),
+    deviation: Math.min(GLICKO2.MAX_DEVIATION, Math.max(GLICKO2.MIN_DEVIATION, rated.deviation)),
+    volatility: rated.volatility
+  });
+
+  return {
+    winner: finish(updateRating(w, [{ rating: l.rating, deviation: l.deviation, score: 1 }])),
+    loser: finish(updateRating(l, [{ rating: w.rating, deviation: w.deviation, score: 0 }]))
+  };
+}
+
+/**
+ * Whether a rating is still too uncertain to be taken at face value
+ * @param {number} deviation - Rating deviation
+ * @returns {boolean}
+ */
+function isProvisional(deviation) {
+  return deviation > GLICKO2.PROVISIONAL_DEVIATION;
+}
+
+module.exports = {
+  GLICKO2,
+  expectedScore,
+  idlePeriods,
+  inflateDeviation,
+  updateRating,
+  rateMatch,
+  isProvisional
+};
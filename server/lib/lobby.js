@@ -0,0 +1,78 @@
+/**
+ * Public room lobby
+ * Rooms created as public are listed for everyone browsing the lobby until
+ * an opponent joins, so players can pick a game instead of sharing a code.
+ * @module lib/lobby
+ */
+
+/**
+ * Lobby settings
+ */
+const LOBBY = {
+  MAX_LISTED: 50,      // Most rooms sent in one listing, newest first
+  CHANNEL: 'lobby'     // Socket.io room for clients watching the lobby
+};
+
+/**
+ * Validate the public flag a host sent with create-room
+ * @param {*} isPublic - Flag from the client (undefined means private)
+ * @returns {{ valid: boolean, error?: string, isPublic?: boolean }}
+ */
+function validatePublicFlag(isPublic) {
+  if (isPublic === undefined || isPublic === null) {
+    return { valid: true, isPublic: false };
+  }
+  if (typeof isPublic !== 'boolean') {
+    return { valid: false, error: 'Public must be true or false' };
+  }
+  return { valid: true, isPublic };
+}
+
+/**
+ * Check whether a room should be listed in the lobby
+ * @param {Object} room - Game room data
+ * @returns {boolean} True for public rooms still waiting for an opponent
+ */
+function isListed(room) {
+  return !!room.isPublic && room.state === 'waiting' && room.players.length === 1;
+}
+
+/**
+ * Describe a room for the lobby
+ * @param {Object} room - Listed game room
+ * @returns {{ roomCode: string, host: string, gameMode: string, bestOf: number, elo: number,
+ *   createdAt: number }}
+ */
+function getRoomListing(room) {
+  const host = room.players[0];
+  return {
+    roomCode: room.code,
+    host: host.display_name || host.username,
+    gameMode: room.gameMode,
+    bestOf: room.bestOf,
+    elo: room.hostRating,
+    createdAt: room.createdAt
+  };
+}
+
+/**
+ * List the open public rooms, newest first
+ * @param {Iterable<Object>} rooms - All game rooms
+ * @param {Function} [isHostOnline] - Returns false for rooms whose host has gone
+ * @returns {Object[]} Room listings (see getRoomListing)
+ */
+function listOpenRooms(rooms, isHostOnline = () => true) {
+  return Array.from(rooms)
+    .filter(room => isListed(room) && isHostOnline(room))
+    .sort((a, b) => b.createdAt - a.createdAt)
+    .slice(0, LOBBY.MAX_LISTED)
+    .map(getRoomListing);
+}
+
+module.exports = {
+  LOBBY,
+  validatePublicFlag,
+  isListed,
+  getRoomListing,
+  listOpenRooms
+};
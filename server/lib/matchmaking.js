@@ -0,0 +1,237 @@
+/**
+ * Rating-based matchmaking queue
+ * Players are paired with the closest-rated opponent inside a search window
+ * that starts narrow and widens the longer they wait. Players who have
+ * abandoned matches sit out a penalty before they can be paired. The queue is
+ * a plain array of entries so it works the same with or without a database.
+ * @module lib/matchmaking
+ */
+
+const { DEFAULT_ELO } = require('./elo');
+
+/**
+ * Matchmaking settings
+ */
+const MATCHMAKING = {
+  INITIAL_WINDOW: 50,         // Rating difference accepted straight away
+  WINDOW_GROWTH_PER_SEC: 10,  // Extra rating difference accepted per second waited
+  MAX_WINDOW: 400,            // Widest rating difference ever accepted
+  UPDATE_INTERVAL_MS: 2000,   // How often the queue is re-matched and players updated
+  ABANDON_PENALTY_MS: 30000,  // Queue delay per abandoned match
+  MAX_ABANDON_PENALTY_MS: 5 * 60 * 1000
+};
+
+/**
+ * Get the queue delay for a player's abandoned matches
+ * @param {number} abandonments - Matches the player has abandoned
+ * @returns {number} Delay before the player can be paired (ms)
+ */
+function getAbandonPenalty(abandonments) {
+  const count = Number.isFinite(abandonments) ? Math.max(0, abandonments) : 0;
+  return Math.min(MATCHMAKING.MAX_ABANDON_PENALTY_MS, count * MATCHMAKING.ABANDON_PENALTY_MS);
+}
+
+/**
+ * Create a queue entry for a player
+ * @param {Object} player - Registered player
+ * @param {string} gameMode - Validated game mode
+ * @param {number} [rating=DEFAULT_ELO] - Player's Elo rating
+ * @param {number} [now=Date.now()] - Time the player joined the queue (ms)
+ * @param {number} [abandonments=0] - Matches the player has abandoned
+ * @returns {{ player: Object, gameMode: string, rating: number, timestamp: number, availableAt: number }}
+ */
+function createQueueEntry(player, gameMode, rating = DEFAULT_ELO, now = Date.now(), abandonments = 0) {
+  return {
+    player,
+    gameMode,
+    rating: Number.isFinite(rating) ? rating : DEFAULT_ELO,
+    timestamp: now,
+    availableAt: now + getAbandonPenalty(abandonments)  // Search starts once the penalty is served
+  };
+}
+
+/**
+ * Get the rating difference a player accepts after waiting
+ * @param {number} waitMs - Time spent in the queue (ms)
+ * @returns {number} Maximum rating difference
+ */
+function getSearchWindow(waitMs) {
+  const waited = Math.max(0, waitMs) / 1000;
+  return Math.min(
+    MATCHMAKING.MAX_WINDOW,
+    MATCHMAKING.INITIAL_WINDOW + waited * MATCHMAKING.WINDOW_GROWTH_PER_SEC
+  );
+}
+
+/**
+ * Check whether two entries belong to the same player
+ * An account can be signed in on several sockets (two tabs, say), so the
+ * username and database ID count as well as the socket.
+ * @param {Object} a - Queue entry
+ * @param {Object} b - Queue entry
+ * @returns {boolean}
+ */
+function isSamePlayer(a, b) {
+  return a.player.socketId === b.player.socketId ||
+    (!!a.player.username && a.player.username === b.player.username) ||
+    (!!a.player.dbId && a.player.dbId === b.player.dbId);
+}
+
+/**
+ * Check whether two queued players can be paired now
+ * Both players must have served any penalty, and both windows must cover the
+ * rating difference. Windows only widen after the penalty is served.
+ * @param {Object} a - Queue entry
+ * @param {Object} b - Queue entry
+ * @param {number} now - Current time (ms)
+ * @returns {boolean}
+ */
+function canMatch(a, b, now) {
+  if (a === b || a.gameMode !== b.gameMode || isSamePlayer(a, b)) {
+    return false;
+  }
+  if (now < a.availableAt || now < b.availableAt) {
+    return false;
+  }
+
+  const difference = Math.abs(a.rating - b.rating);
+  return difference <= getSearchWindow(now - a.availableAt) &&
+    difference <= getSearchWindow(now - b.availableAt);
+}
+
+/**
+ * Find the closest-rated opponent in the queue for a player
+ * @param {Object[]} queue - Queue entries, oldest first
+ * @param {Object} entry - Entry looking for an opponent (need not be queued)
+ * @param {number} now - Current time (ms)
+ * @returns {number} Index of the opponent in the queue, or -1
+ */
+function findOpponent(queue, entry, now) {
+  let bestIndex = -1;
+  let bestDifference = Infinity;
+
+  queue.forEach((candidate, i) => {
+    if (!canMatch(entry, candidate, now)) {
+      return;
+    }
+    // Ties go to whoever has waited longest (earlier in the queue)
+    const difference = Math.abs(entry.rating - candidate.rating);
+    if (difference < bestDifference) {
+      bestDifference = difference;
+      bestIndex = i;
+    }
+  });
+
+  return bestIndex;
+}
+
+/**
+ * Pair up every player that has an acceptable opponent
+ * Matched entries are removed from the queue. The longer-waiting player of
+ * each pair comes first.
+ * @param {Object[]} queue - Queue entries, oldest first (modified in place)
+ * @param {number} now - Current time (ms)
+ * @returns {Array<[Object, Object]>} Matched pairs of entries
+ */
+function findMatches(queue, now) {
+  const pairs = [];
+
+  let i = 0;
+  while (i < queue.length) {
+    const entry = queue[i];
+    const rest = queue.slice(i + 1);
+    const opponentIndex = findOpponent(rest, entry, now);
+
+    if (opponentIndex === -1) {
+      i++;
+      continue;
+    }
+
+    const opponent = rest[opponentIndex];
+    queue.splice(i + 1 + opponentIndex, 1);
+    queue.splice(i, 1);
+    pairs.push([entry, opponent]);
+  }
+
+  return pairs;
+}
+
+/**
+ * Get a player's place in the queue for their game mode
+ * @param {Object[]} queue - Queue entries, oldest first
+ * @param {Object} entry - Queued entry
+ * @returns {number} 1-based position, or 0 if not queued
+ */
+function getQueuePosition(queue, entry) {
+  const sameMode = queue.filter(e => e.gameMode === entry.gameMode);
+  return sameMode.indexOf(entry) + 1;
+}
+
+/**
+ * Estimate how long until a player's search window reaches an opponent
+ * Based on the players currently queued, so it is a lower bound rather than a promise.
+ * @param {Object[]} queue - Queue entries, oldest first
+ * @param {Object} entry - Queued entry
+ * @param {number} now - Current time (ms)
+ * @returns {number|null} Estimated wait in seconds, or null if nobody suitable is queued
+ */
+function estimateWaitTime(queue, entry, now) {
+  // Seconds until a queued player accepts the given difference (penalty included)
+  const secondsUntilWindow = (difference, queued) => {
+    const needed = Math.max(0, (difference - MATCHMAKING.INITIAL_WINDOW) / MATCHMAKING.WINDOW_GROWTH_PER_SEC);
+    return Math.max(0, (queued.availableAt - now) / 1000 + needed);
+  };
+
+  let best = null;
+  queue.forEach(candidate => {
+    if (candidate === entry || candidate.gameMode !== entry.gameMode) {
+      return;
+    }
+
+    const difference = Math.abs(entry.rating - candidate.rating);
+    if (difference > MATCHMAKING.MAX_WINDOW) {
+      return;
+    }
+
+    const seconds = Math.max(
+      secondsUntilWindow(difference, entry),
+      secondsUntilWindow(difference, candidate)
+    );
+    if (best === null || seconds < best) {
+      best = seconds;
+    }
+  });
+
+  return best === null ? null : Math.ceil(best);
+}
+
+/**
+ * Get the queue status sent to a waiting player
+ * @param {Object[]} queue - Queue entries, oldest first
+ * @param {Object} entry - Queued entry
+ * @param {number} now - Current time (ms)
+ * @returns {{ position: number, queueSize: number, searchWindow: number, waitedSeconds: number, penaltySeconds: number, estimatedWait: number|null }}
+ */
+function getQueueStatus(queue, entry, now) {
+  return {
+    position: getQueuePosition(queue, entry),
+    queueSize: queue.filter(e => e.gameMode === entry.gameMode).length,
+    searchWindow: Math.round(getSearchWindow(now - entry.availableAt)),
+    waitedSeconds: Math.floor((now - entry.timestamp) / 1000),
+    penaltySeconds: Math.ceil(Math.max(0, entry.availableAt - now) / 1000),
+    estimatedWait: estimateWaitTime(queue, entry, now)
+  };
+}
+
+module.exports = {
+  MATCHMAKING,
+  getAbandonPenalty,
+  createQueueEntry,
+  getSearchWindow,
+  canMatch,
+  findOpponent,
+  findMatches,
+  getQueuePosition,
+  estimateWaitTime,
+  getQueueStatus
+};
@@ -0,0 +1,296 @@
+/**
+ * Server-side Chaos power-ups
+ * Spawns, collects and expires power-ups inside the match simulation so both
+ * players see the same ones. Effect bookkeeping reuses the client's
+ * PowerUpManager (js/powerups.js); this module reports what happened as room
+ * events: powerup-spawn, powerup-collect and powerup-expire.
+ * @module lib/powerups
+ */
+
+// The shared browser modules expect CONFIG and Utils to be globals
+const CONFIG = require('../../js/config.js');
+const Utils = require('../../js/utils.js');
+global.CONFIG = global.CONFIG || CONFIG;
+global.Utils = global.Utils || Utils;
+
+const {
+  PowerUpManager,
+  POWERUP_TYPES,
+  MAX_ACTIVE_POWERUPS
+} = require('../../js/powerups.js');
+
+/**
+ * Every power-up type name (e.g. 'bigPaddle')
+ */
+const POWERUP_NAMES = Object.values(POWERUP_TYPES).map(type => type.name);
+
+/**
+ * Keep spawned power-ups this far from the top and bottom walls
+ */
+const SPAWN_MARGIN = 100;
+
+/**
+ * Where a shield puts the ball back into play, measured from the goal line
+ */
+const SHIELD_BOUNCE_OFFSET = 20;
+
+/**
+ * Pick the delay before the next spawn
+ * @param {Function} random - Generator returning [0, 1)
+ * @returns {number} Delay in ms
+ */
+function getSpawnDelay(random) {
+  const interval = CONFIG.GAME.POWERUP_INTERVAL;
+  const variance = CONFIG.GAME.POWERUP_VARIANCE;
+  return interval + (random() - 0.5) * 2 * variance;
+}
+
+/**
+ * Create the power-up state for a Chaos match
+ * @param {{ spawnExtraBall: Function }} game - Serves the extra balls for multi-ball
+ *   (see spawnExtraBall in lib/simulation)
+ * @param {number} now - Current time in ms
+ * @param {Function} [random=Math.random] - Generator returning [0, 1) (the simulation's seeded RNG)
+ * @param {string[]|null} [enabledTypes=null] - Type names that may spawn (null for all)
+ * @returns {{ manager: PowerUpManager, random: Function, nextId: number, nextSpawnAt: number }}
+ */
+function createPowerUpState(game, now, random = Math.random, enabledTypes = null) {
+  const manager = new PowerUpManager();
+  manager.setGame(game);
+  manager.setRandom(random);
+  manager.setEnabledTypes(enabledTypes);
+
+  return {
+    manager,
+    random,
+    nextId: 1,
+    nextSpawnAt: now + getSpawnDelay(random)
+  };
+}
+
+/**
+ * Build an event for the room
+ * @param {string} name - Socket event name
+ * @param {Object} data - Event payload
+ * @returns {{ name: string, data: Object }}
+ */
+function roomEvent(name, data) {
+  return { name, data };
+}
+
+/**
+ * Spawn a random power-up in the middle third of the field
+ * @param {Object} state - Power-up state
+ * @param {Object} field - Field dimensions {width, height}
+ * @param {number} now - Current time in ms
+ * @returns {Object|null} The spawned power-up, or null if the field is full
+ */
+function spawnPowerUp(state, field, now) {
+  const { manager } = state;
+  const { typeKeys } = manager;
+  if (manager.active.length >= MAX_ACTIVE_POWERUPS || typeKeys.length === 0) {
+    return null;
+  }
+
+  const { random } = state;
+  const typeKey = typeKeys[Utils.randomInt(0, typeKeys.length - 1, random)];
+  const x = Utils.randomRange(field.width * 0.3, field.width * 0.7, random);
+  const y = Utils.randomRange(SPAWN_MARGIN, field.height - SPAWN_MARGIN, random);
+
+  const powerup = manager.createPowerUp(POWERUP_TYPES[typeKey].name, x, y, now, state.nextId++);
+  manager.active.push(powerup);
+  return powerup;
+}
+
+/**
+ * Spawn, collect and expire power-ups for one tick
+ * @param {Object} state - Power-up state
+ * @param {Object} sim - Simulation state
+ * @param {Object} field - Field dimensions {width, height}
+ * @param {number} now - Current time in ms
+ * @param {Array} events - Room events are appended here
+ */
+function updatePowerUps(state, sim, field, now, events) {
+  const { manager } = state;
+
+  // Uncollected power-ups time out
+  manager.active = manager.active.filter(powerup => {
+    if (now - powerup.spawnTime > powerup.lifetime) {
+      events.push(roomEvent('powerup-expire', { id: powerup.id, kind: 'powerup' }));
+      return false;
+    }
+    return true;
+  });
+
+  // Timed effects run out
+  const effectsBefore = manager.effects;
+  manager.updateEffects(now);
+  effectsBefore
+    .filter(effect => !manager.effects.includes(effect))
+    .forEach(effect => events.push(roomEvent('powerup-expire', { id: effect.id, kind: 'effect' })));
+
+  if (sim.phase !== 'playing') {
+    return;
+  }
+
+  if (now >= state.nextSpawnAt) {
+    state.nextSpawnAt = now + getSpawnDelay(state.random);
+    const powerup = spawnPowerUp(state, field, now);
+    if (powerup) {
+      events.push(roomEvent('powerup-spawn', {
+        id: powerup.id,
+        type: powerup.type,
+        x: powerup.x,
+        y: powerup.y,
+        lifetime: powerup.lifetime
+      }));
+    }
+  }
+
+  // Any ball collects power-ups for the player who last hit it
+  manager.active = manager.active.filter(powerup => {
+    const ball = sim.balls.find(b => Utils.distance(b.x, b.y, powerup.x, powerup.y) < b.radius + powerup.radius);
+    if (!ball) {
+      return true;
+    }
+
+    const player = ball.vx > 0 ? 1 : 2;
+    const effect = manager.applyEffect(powerup.type, player, now, powerup.id);
+    events.push(roomEvent('powerup-collect', {
+      id: powerup.id,
+      type: powerup.type,
+      player,
+      duration: effect ? effect.duration : 0
+    }));
+    return false;
+  });
+}
+
+/**
+ * Resize paddles for active size effects, keeping their centres fixed
+ * @param {Object} state - Power-up state
+ * @param {Object[]} paddles - Simulation paddles [left, right]
+ * @param {Object} field - Field dimensions {width, height}
+ * @param {number} [baseHeight=CONFIG.GAME.PADDLE_HEIGHT] - Paddle height without effects
+ */
+function applyPaddleSizes(state, paddles, field, baseHeight = CONFIG.GAME.PADDLE_HEIGHT) {
+  paddles.forEach((paddle, i) => {
+    const centerY = paddle.y + paddle.height / 2;
+    paddle.height = baseHeight * state.manager.getPaddleSizeMultiplier(i + 1);
+    paddle.y = Utils.clamp(centerY - paddle.height / 2, 0, field.height - paddle.height);
+  });
+}
+
+/**
+ * Apply curve and speed effects before the ball moves (mirrors Game.updateBall)
+ * @param {Object} state - Power-up state
+ * @param {Object} ball - Simulation ball
+ * @returns {number} Velocity multiplier to undo with resolveBallEffects
+ */
+function applyBallEffects(state, ball) {
+  const { modifiers } = state.manager;
+
+  if (modifiers.curveAmount !== 0) {
+    ball.vy += modifiers.curveAmount;
+    const maxVy = ball.speed * 1.5;
+    ball.vy = Utils.clamp(ball.vy, -maxVy, maxVy);
+  }
+
+  const multiplier = modifiers.ballSpeedMultiplier * modifiers.gameSpeedMultiplier;
+  ball.vx *= multiplier;
+  ball.vy *= multiplier;
+  return multiplier;
+}
+
+/**
+ * Resolve power-up effects after the ball moved: undo the speed multiplier,
+ * pass through a paddle with fireball, and block a goal with a shield
+ * @param {Object} state - Power-up state
+ * @param {Object} ball - Simulation ball
+ * @param {Object} physicsResult - Result of Physics.updateBall (updated in place)
+ * @param {number} multiplier - Value returned by applyBallEffects
+ * @param {Object} field - Field dimensions {width, height}
+ * @param {Array} events - Room events are appended here
+ */
+function resolveBallEffects(state, ball, physicsResult, multiplier, field, events) {
+  const { manager } = state;
+
+  // Only revert the speed change if no paddle set a fresh velocity
+  if (!physicsResult.hitPaddle && multiplier !== 1) {
+    ball.vx /= multiplier;
+    ball.vy /= multiplier;
+  }
+
+  if (physicsResult.hitPaddle) {
+    const fireball = manager.effects.find(e => e.type === 'fireball');
+    if (manager.useFireball()) {
+      // Undo the bounce so the ball carries on through the paddle
+      ball.vx = -ball.vx;
+      physicsResult.hitPaddle = false;
+      events.push(roomEvent('powerup-expire', { id: fireball.id, kind: 'effect' }));
+    }
+  }
+
+  if (physicsResult.scored !== null) {
+    const defendingPlayer = physicsResult.scored === 1 ? 2 : 1;
+    const shield = manager.effects.find(e => e.type === 'shield' && e.player === defendingPlayer);
+    if (manager.useShield(defendingPlayer)) {
+      ball.vx = -ball.vx;
+      ball.x = physicsResult.scored === 1 ? field.width - SHIELD_BOUNCE_OFFSET : SHIELD_BOUNCE_OFFSET;
+      physicsResult.scored = null;
+      events.push(roomEvent('powerup-expire', { id: shield.id, kind: 'effect' }));
+    }
+  }
+}
+
+/**
+ * End effects that last until the next point (like speedBall)
+ * @param {Object} state - Power-up state
+ * @param {number} now - Current time in ms
+ * @param {Array} events - Room events are appended here
+ */
+function clearPointEffects(state, now, events) {
+  state.manager.clearPointEffects(now).forEach(effect => {
+    events.push(roomEvent('powerup-expire', { id: effect.id, kind: 'effect' }));
+  });
+}
+
+/**
+ * Describe the current power-ups for a reconnecting player
+ * @param {Object} state - Power-up state
+ * @param {number} now - Current time in ms
+ * @returns {{ active: Object[], effects: Object[] }} Lifetimes and durations are what remains
+ */
+function getPowerUpSnapshot(state, now) {
+  const { manager } = state;
+
+  return {
+    active: manager.active.map(p => ({
+      id: p.id,
+      type: p.type,
+      x: p.x,
+      y: p.y,
+      lifetime: p.lifetime - (now - p.spawnTime)
+    })),
+    effects: manager.effects.map(e => ({
+      id: e.id,
+      type: e.type,
+      player: e.player,
+      duration: e.duration > 0 ? e.endTime - now : e.duration
+    }))
+  };
+}
+
+module.exports = {
+  POWERUP_NAMES,
+  SPAWN_MARGIN,
+  SHIELD_BOUNCE_OFFSET,
+  createPowerUpState,
+  spawnPowerUp,
+  updatePowerUps,
+  applyPaddleSizes,
+  applyBallEffects,
+  resolveBallEffects,
+  clearPointEffects,
+  getPowerUpSnapshot
+};
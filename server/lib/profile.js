@@ -0,0 +1,106 @@
+/**
+ * Player profiles for /api/player/:username
+ * Turns a player's stats and match rows into the profile the client shows,
+ * including head-to-head records against whoever is viewing it.
+ * @module lib/profile
+ */
+
+const { DEFAULT_ELO } = require('./elo');
+const { isProvisional } = require('./glicko2');
+
+/**
+ * Profile settings
+ */
+const PROFILE = {
+  RECENT_MATCHES: 10   // Matches listed on a profile, newest first
+};
+
+/**
+ * Describe a match from one player's side
+ * @param {Object} match - matches row with player1/player2 joined as { username }
+ * @param {string} playerId - Player whose side to describe
+ * @returns {{ id: string, opponent: string|null, won: boolean, score: number[], gameMode: string,
+ *   forfeit: boolean, playedAt: string }}
+ */
+function summarizeMatch(match, playerId) {
+  const isPlayer1 = match.player1_id === playerId;
+  const opponent = isPlayer1 ? match.player2 : match.player1;
+  const own = isPlayer1 ? match.player1_score : match.player2_score;
+  const other = isPlayer1 ? match.player2_score : match.player1_score;
+
+  return {
+    id: match.id,
+    opponent: opponent ? opponent.username : null,
+    won: match.winner_id === playerId,
+    score: [own, other],
+    gameMode: match.game_mode,
+    forfeit: !!match.forfeit,
+    playedAt: match.played_at
+  };
+}
+
+/**
+ * Count wins on each side of the matches between two players
+ * @param {Array<{ winner_id: string }>} matches - Matches between the two players
+ * @param {string} playerId - Profile owner
+ * @param {string} viewerId - Player viewing the profile
+ * @returns {{ playerWins: number, viewerWins: number }}
+ */
+function countHeadToHead(matches, playerId, viewerId) {
+  let playerWins = 0;
+  let viewerWins = 0;
+  for (const match of matches) {
+    if (match.winner_id === playerId) {
+      playerWins++;
+    } else if (match.winner_id === viewerId) {
+      viewerWins++;
+    }
+  }
+  return { playerWins, viewerWins };
+}
+
+/**
+ * Build the profile response
+ * @param {Object} player - players row { id, username, display_name }
+ * @param {Object|null} stats - player_stats row (null if the player has no stats yet)
+ * @param {Array} recentMatches - Player's latest matches rows, newest first
+ * @param {Object|null} [headToHead] - { viewer, matches } when someone else is viewing
+ * @returns {Object} Profile
+ */
+function buildProfile(player, stats, recentMatches, headToHead = null) {
+  const s = stats || {};
+  const gamesPlayed = s.games_played || 0;
+  const gamesWon = s.games_won || 0;
+  const deviation = s.rating_deviation;
+
+  let record = null;
+  if (headToHead) {
+    record = {
+      viewer: headToHead.viewer.username,
+      ...countHeadToHead(headToHead.matches, player.id, headToHead.viewer.id)
+    };
+  }
+
+  return {
+    username: player.username,
+    displayName: player.display_name || player.username,
+    elo: s.elo_rating || DEFAULT_ELO,
+    provisional: typeof deviation === 'number' ? isProvisional(deviation) : false,
+    gamesPlayed,
+    gamesWon,
+    gamesLost: s.games_lost || 0,
+    winPercentage: gamesPlayed > 0 ? Math.round(gamesWon / gamesPlayed * 1000) / 10 : 0,
+    currentStreak: s.current_win_streak || 0,
+    bestStreak: s.best_win_streak || 0,
+    longestRally: s.longest_rally || 0,
+    recentMatches: recentMatches.map(match => summarizeMatch(match, player.id)),
+    headToHead: record
+  };
+}
+
+module.exports = {
+  PROFILE,
+  summarizeMatch,
+  countHeadToHead,
+  buildProfile
+};
@@ -0,0 +1,77 @@
+/**
+ * Custom rules for private rooms
+ * The host of a private room can change the win score, play to a two-point
+ * lead (deuce), set the starting ball speed and how much it speeds up per
+ * hit, resize the paddles and choose which Chaos power-ups spawn. Bounds come
+ * from CONFIG.ROOM_RULES so the client form and the server agree.
+ * @module lib/roomRules
+ */
+
+const CONFIG = require('../../js/config.js');
+const { POWERUP_NAMES } = require('./powerups');
+const { getMatchRules } = require('./simulation');
+
+/**
+ * Numeric rules: [field, CONFIG.ROOM_RULES key, label, whole numbers only]
+ */
+const NUMERIC_RULES = [
+  ['winScore', 'WIN_SCORE', 'Win score', true],
+  ['ballSpeed', 'BALL_SPEED', 'Ball speed', false],
+  ['speedIncrement', 'SPEED_INCREMENT', 'Speed increase', false],
+  ['paddleHeight', 'PADDLE_HEIGHT', 'Paddle size', true]
+];
+
+/**
+ * Validate the rules a host asked for
+ * Rules left out keep the game mode's standard value.
+ * @param {*} rules - Rules from the client (undefined or null for the standard rules)
+ * @param {string} gameMode - Validated game mode
+ * @returns {{ valid: boolean, error?: string, rules?: Object|null }} rules is the full rule set,
+ *   or null when the room plays by the standard rules
+ */
+function validateRoomRules(rules, gameMode) {
+  if (rules === undefined || rules === null) {
+    return { valid: true, rules: null };
+  }
+  if (typeof rules !== 'object' || Array.isArray(rules)) {
+    return { valid: false, error: 'Invalid room rules' };
+  }
+
+  const result = getMatchRules(gameMode);
+
+  for (const [field, key, label, wholeNumber] of NUMERIC_RULES) {
+    if (rules[field] === undefined) {
+      continue;
+    }
+    const value = rules[field];
+    const { MIN, MAX } = CONFIG.ROOM_RULES[key];
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < MIN || value > MAX ||
+        (wholeNumber && !Number.isInteger(value))) {
+      return { valid: false, error: `${label} must be ${wholeNumber ? 'a whole number ' : ''}between ${MIN} and ${MAX}` };
+    }
+    result[field] = value;
+  }
+
+  if (rules.winByTwo !== undefined) {
+    if (typeof rules.winByTwo !== 'boolean') {
+      return { valid: false, error: 'Win by two must be true or false' };
+    }
+    result.winByTwo = rules.winByTwo;
+  }
+
+  if (rules.powerups !== undefined) {
+    if (!Array.isArray(rules.powerups) || !rules.powerups.every(name => POWERUP_NAMES.includes(name))) {
+      return { valid: false, error: 'Unknown power-up' };
+    }
+    if (gameMode !== 'chaos' && rules.powerups.length > 0) {
+      return { valid: false, error: 'Power-ups are only available in Chaos' };
+    }
+    result.powerups = POWERUP_NAMES.filter(name => rules.powerups.includes(name));
+  }
+
+  return { valid: true, rules: result };
+}
+
+module.exports = {
+  validateRoomRules
+};
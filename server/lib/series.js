@@ -0,0 +1,143 @@
+/**
+ * Best-of-N series for rooms
+ * A series links consecutive games between the same two players. Wins are
+ * tracked by username because players swap sides between games.
+ * @module lib/series
+ */
+
+/**
+ * Series settings
+ */
+const SERIES = {
+  BEST_OF: [1, 3, 5, 7],     // Allowed series lengths (1 = a single game)
+  DEFAULT_BEST_OF: 1,
+  NEXT_GAME_DELAY_MS: 5000   // Pause between games so players can see the result
+};
+
+/**
+ * Validate a requested series length
+ * @param {*} bestOf - Series length from a client (undefined means a single game)
+ * @returns {{ valid: boolean, error?: string, bestOf?: number }}
+ */
+function validateBestOf(bestOf) {
+  if (bestOf === undefined || bestOf === null) {
+    return { valid: true, bestOf: SERIES.DEFAULT_BEST_OF };
+  }
+
+  const value = Number(bestOf);
+  if (!SERIES.BEST_OF.includes(value)) {
+    return { valid: false, error: `Series must be best of ${SERIES.BEST_OF.join(', ')}` };
+  }
+  return { valid: true, bestOf: value };
+}
+
+/**
+ * Get the number of game wins that takes a series
+ * @param {number} bestOf - Series length
+ * @returns {number}
+ */
+function getWinsNeeded(bestOf) {
+  return Math.floor(bestOf / 2) + 1;
+}
+
+/**
+ * Start a series
+ * @param {number} bestOf - Validated series length
+ * @param {string[]} players - Usernames in the seats of the first game
+ * @returns {Object} Series
+ */
+function createSeries(bestOf, players) {
+  return {
+    bestOf,
+    players: [...players],
+    wins: [0, 0],          // Aligned with players
+    games: [],             // { winner, scores } with scores aligned with players
+    winner: null,
+    forfeit: false,        // Decided by a player abandoning rather than on games
+    matchIds: []           // Database IDs of the per-game match rows
+  };
+}
+
+/**
+ * Record a finished game
+ * @param {Object} series - Series in progress
+ * @param {string} winner - Winning username
+ * @param {Object<string, number>} pointsByPlayer - Points scored by each username
+ * @returns {{ success: boolean, error?: string }}
+ */
+function recordGame(series, winner, pointsByPlayer) {
+  if (series.winner) {
+    return { success: false, error: 'Series is already decided' };
+  }
+
+  const index = series.players.indexOf(winner);
+  if (index === -1) {
+    return { success: false, error: 'Winner is not in this series' };
+  }
+
+  series.wins[index]++;
+  series.games.push({
+    winner,
+    scores: series.players.map(username => pointsByPlayer[username] || 0)
+  });
+
+  if (series.wins[index] >= getWinsNeeded(series.bestOf)) {
+    series.winner = winner;
+  }
+  return { success: true };
+}
+
+/**
+ * Award an undecided series to the player left after the other abandoned it
+ * @param {Object} series - Series in progress
+ * @param {string} winner - Username of the player who stayed
+ * @returns {{ success: boolean, error?: string }}
+ */
+function forfeitSeries(series, winner) {
+  if (series.winner) {
+    return { success: false, error: 'Series is already decided' };
+  }
+  if (!series.players.includes(winner)) {
+    return { success: false, error: 'Winner is not in this series' };
+  }
+
+  series.winner = winner;
+  series.forfeit = true;
+  return { success: true };
+}
+
+/**
+ * Check whether the series has a winner
+ * @param {Object} series - Series
+ * @returns {boolean}
+ */
+function isSeriesOver(series) {
+  return series.winner !== null;
+}
+
+/**
+ * Get the series as sent to clients (no database IDs)
+ * @param {Object} series - Series
+ * @returns {{ bestOf: number, players: string[], wins: number[], gamesPlayed: number, winner: string|null, forfeit: boolean }}
+ */
+function getSeriesView(series) {
+  return {
+    bestOf: series.bestOf,
+    players: series.players,
+    wins: series.wins,
+    gamesPlayed: series.games.length,
+    winner: series.winner,
+    forfeit: series.forfeit
+  };
+}
+
+module.exports = {
+  SERIES,
+  validateBestOf,
+  getWinsNeeded,
+  createSeries,
+  recordGame,
+  forfeitSeries,
+  isSeriesOver,
+  getSeriesView
+};
@@ -0,0 +1,459 @@
+/**
+ * Server-authoritative match simulation
+ * Runs the shared client physics (js/physics.js) at a fixed tick rate so the
+ * server, not the host client, decides where the ball is and who scored.
+ * @module lib/simulation
+ */
+
+// The shared browser modules expect CONFIG and Utils to be globals
+const CONFIG = require('../../js/config.js');
+const Utils = require('../../js/utils.js');
+global.CONFIG = global.CONFIG || CONFIG;
+global.Utils = global.Utils || Utils;
+
+const Physics = require('../../js/physics.js');
+const RNG = require('../../js/rng.js');
+const powerups = require('./powerups');
+
+/**
+ * Simulation ticks per second (CONFIG.GAME speeds are per 60fps frame)
+ */
+const TICK_RATE = CONFIG.NETWORK.TICK_RATE;
+
+/**
+ * Milliseconds per simulation tick
+ */
+const TICK_MS = 1000 / TICK_RATE;
+
+/**
+ * Maximum ticks simulated in one catch-up pass (prevents spiral of death)
+ */
+const MAX_CATCHUP_TICKS = 10;
+
+/**
+ * Maximum paddle inputs applied per player per tick
+ * Lets a client whose inputs bunch up after network jitter catch up on its
+ * input queue. However many are applied, the paddle still moves at most one
+ * step of paddle speed per tick.
+ */
+const MAX_INPUTS_PER_TICK = 2;
+
+/**
+ * Maximum paddle inputs buffered per player (oldest are dropped beyond this)
+ */
+const MAX_QUEUED_INPUTS = 30;
+
+/**
+ * Most balls in play at once (mirrors Game.MAX_BALLS; multi-ball adds two per pickup)
+ */
+const MAX_BALLS = 5;
+
+/**
+ * Playfield dimensions used for every online match
+ */
+const FIELD = Object.freeze({ width: 800, height: 600 });
+
+/**
+ * Distance between each paddle and its goal line
+ */
+const PADDLE_MARGIN = 20;
+
+/**
+ * Per-variant rules (mirrors Game.startGame on the client)
+ */
+const VARIANT_RULES = {
+  classic: { winScore: CONFIG.GAME.WIN_SCORE, ballSpeedMultiplier: 1 },
+  chaos: { winScore: 7, ballSpeedMultiplier: 1 },
+  speedrun: { winScore: 5, ballSpeedMultiplier: 1.5 }
+};
+
+/**
+ * Get the rules for a game mode, falling back to classic
+ * @param {string} gameMode - Game mode
+ * @returns {{ winScore: number, ballSpeedMultiplier: number }}
+ */
+function getVariantRules(gameMode) {
+  return VARIANT_RULES[gameMode] || VARIANT_RULES.classic;
+}
+
+/**
+ * Get the full rules a match is played under
+ * @param {string} gameMode - Game mode
+ * @param {Object|null} [custom=null] - Validated custom room rules (see lib/roomRules), used as is
+ * @returns {{ winScore: number, winByTwo: boolean, ballSpeed: number, speedIncrement: number,
+ *   paddleHeight: number, powerups: string[] }}
+ */
+function getMatchRules(gameMode, custom = null) {
+  if (custom) {
+    return custom;
+  }
+
+  const variant = getVariantRules(gameMode);
+  return {
+    winScore: variant.winScore,
+    winByTwo: false,
+    ballSpeed: CONFIG.GAME.BALL_SPEED * variant.ballSpeedMultiplier,
+    speedIncrement: CONFIG.GAME.BALL_SPEED_INCREMENT,
+    paddleHeight: CONFIG.GAME.PADDLE_HEIGHT,
+    powerups: gameMode === 'chaos' ? [...powerups.POWERUP_NAMES] : []
+  };
+}
+
+/**
+ * Check whether a score wins the game (mirrors Game.isWinningScore on the client)
+ * @param {number[]} scores - Scores [left, right]
+ * @param {number} index - Player to check, 0 or 1
+ * @param {number} winScore - Points needed to win
+ * @param {boolean} winByTwo - Whether a two-point lead is also needed (deuce)
+ * @returns {boolean}
+ */
+function hasWon(scores, index, winScore, winByTwo) {
+  const lead = scores[index] - scores[1 - index];
+  return scores[index] >= winScore && lead >= (winByTwo ? 2 : 1);
+}
+
+/**
+ * Create a paddle at its starting position
+ * @param {number} x - Paddle X position
+ * @param {number} [height=CONFIG.GAME.PADDLE_HEIGHT] - Paddle height
+ * @returns {Object} Paddle {x, y, width, height, speed}
+ */
+function createPaddle(x, height = CONFIG.GAME.PADDLE_HEIGHT) {
+  return {
+    x,
+    y: (FIELD.height - height) / 2,
+    width: CONFIG.GAME.PADDLE_WIDTH,
+    height,
+    speed: CONFIG.GAME.PADDLE_SPEED
+  };
+}
+
+/**
+ * Create a ball at rest in the centre of the field
+ * @param {number} speed - Serve speed
+ * @param {number} speedIncrement - Speed gained per paddle hit
+ * @returns {Object} Ball {x, y, radius, vx, vy, speed, speedIncrement}
+ */
+function createBall(speed, speedIncrement) {
+  return {
+    x: FIELD.width / 2,
+    y: FIELD.height / 2,
+    radius: CONFIG.GAME.BALL_RADIUS,
+    vx: 0,
+    vy: 0,
+    speed,
+    speedIncrement
+  };
+}
+
+/**
+ * Create a new match simulation
+ * The ball is served once the client countdown has finished.
+ * @param {string} gameMode - Game mode (classic, chaos, speedrun)
+ * @param {number} now - Current time in ms
+ * @param {number|string} [seed] - Seed for serves and power-ups; a fresh one is picked if omitted
+ * @param {Object|null} [customRules=null] - Validated custom room rules (standard mode rules if omitted)
+ * @returns {Object} Simulation state
+ */
+function createSimulation(gameMode, now, seed, customRules = null) {
+  const rules = getMatchRules(gameMode, customRules);
+  const baseBallSpeed = rules.ballSpeed;
+  const random = RNG.create(seed);
+
+  const sim = {
+    gameMode,
+    seed: random.seed,
+    random,     // Seeded generator: the same seed and inputs replay the same match
+    winScore: rules.winScore,
+    winByTwo: rules.winByTwo,
+    baseBallSpeed,
+    paddleHeight: rules.paddleHeight,
+    balls: [createBall(baseBallSpeed, rules.speedIncrement)],  // Balls in play; balls[0] is the main ball
+    // The main ball: the one served after each point
+    get ball() {
+      return this.balls[0];
+    },
+    paddles: [
+      createPaddle(PADDLE_MARGIN, rules.paddleHeight),
+      createPaddle(FIELD.width - PADDLE_MARGIN - CONFIG.GAME.PADDLE_WIDTH, rules.paddleHeight)
+    ],
+    inputQueues: [[], []],
+    lastInputSeq: [0, 0],      // Highest input sequence number queued per player
+    lastProcessedSeq: [0, 0],  // Highest input sequence number applied per player
+    scores: [0, 0],
+    phase: 'countdown', // countdown, playing, point, finished
+    serveAt: now + CONFIG.GAME.COUNTDOWN_DURATION,
+    serveDirection: null,
+    winnerIndex: null,
+    rally: 0,
+    longestRally: 0,
+    tick: 0,
+    lastStepTime: now,
+    powerups: null  // Power-up state, Chaos only
+  };
+
+  if (gameMode === 'chaos' && rules.powerups.length > 0) {
+    sim.powerups = powerups.createPowerUpState({ spawnExtraBall: () => spawnExtraBall(sim) }, now, random, rules.powerups);
+  }
+
+  return sim;
+}
+
+/**
+ * Queue a paddle input from a player
+ * Each input is one step of paddle movement toward the requested centre,
+ * matching what the client predicted locally for that sequence number.
+ * @param {Object} sim - Simulation state
+ * @param {number} playerIndex - 0 (left) or 1 (right)
+ * @param {number} y - Requested paddle centre in field coordinates
+ * @param {number} seq - Client input sequence number (must increase)
+ * @returns {number|null} Clamped target, or null if the input was rejected
+ */
+function queuePaddleInput(sim, playerIndex, y, seq) {
+  if (playerIndex !== 0 && playerIndex !== 1) {
+    return null;
+  }
+  if (typeof y !== 'number' || !isFinite(y)) {
+    return null;
+  }
+  // Reject duplicate, stale or malformed sequence numbers
+  if (!Number.isInteger(seq) || seq <= sim.lastInputSeq[playerIndex]) {
+    return null;
+  }
+
+  const target = Utils.clamp(y, 0, FIELD.height);
+  const queue = sim.inputQueues[playerIndex];
+
+  queue.push({ seq, y: target });
+  if (queue.length > MAX_QUEUED_INPUTS) {
+    queue.shift();
+  }
+  sim.lastInputSeq[playerIndex] = seq;
+
+  return target;
+}
+
+/**
+ * Forget a player's input history (their client restarts numbering on reconnect)
+ * @param {Object} sim - Simulation state
+ * @param {number} playerIndex - 0 (left) or 1 (right)
+ */
+function resetPlayerInput(sim, playerIndex) {
+  sim.inputQueues[playerIndex] = [];
+  sim.lastInputSeq[playerIndex] = 0;
+  sim.lastProcessedSeq[playerIndex] = 0;
+}
+
+/**
+ * Get a paddle's centre in field coordinates
+ * @param {Object} sim - Simulation state
+ * @param {number} playerIndex - 0 (left) or 1 (right)
+ * @returns {number}
+ */
+function getPaddleCenter(sim, playerIndex) {
+  const paddle = sim.paddles[playerIndex];
+  return paddle.y + paddle.height / 2;
+}
+
+/**
+ * Send a ball from the centre at the variant's base speed
+ * @param {Object} sim - Simulation state
+ * @param {Object} ball - Ball to launch
+ * @param {number|null} direction - 1 for right, -1 for left, null for random
+ */
+function launchBall(sim, ball, direction) {
+  Physics.resetBall(ball, FIELD, direction, sim.random);
+
+  // Physics.resetBall serves at the default speed; rescale to the variant speed
+  const scale = sim.baseBallSpeed / ball.speed;
+  ball.speed = sim.baseBallSpeed;
+  ball.vx *= scale;
+  ball.vy *= scale;
+}
+
+/**
+ * Serve the main ball from the centre
+ * @param {Object} sim - Simulation state
+ */
+function serveBall(sim) {
+  launchBall(sim, sim.ball, sim.serveDirection);
+  sim.phase = 'playing';
+}
+
+/**
+ * Serve an extra ball from the centre (multi-ball power-up). Extra balls play
+ * like the main ball until the next point is scored (mirrors Game.spawnExtraBall).
+ * @param {Object} sim - Simulation state
+ */
+function spawnExtraBall(sim) {
+  if (sim.balls.length >= MAX_BALLS) {
+    return;
+  }
+
+  const ball = createBall(sim.baseBallSpeed, sim.ball.speedIncrement);
+  launchBall(sim, ball, null);
+  sim.balls.push(ball);
+}
+
+/**
+ * Award a point, ending the match or pausing before the next serve
+ * @param {Object} sim - Simulation state
+ * @param {number} scored - Player who scored, 1 (left) or 2 (right), as reported by Physics.updateBall
+ * @param {number} now - Time of this tick in ms
+ * @param {Object} result - Tick result (updated in place)
+ */
+function scorePoint(sim, scored, now, result) {
+  const scorerIndex = scored - 1;
+  sim.scores[scorerIndex]++;
+  sim.rally = 0;
+  result.scored = scorerIndex;
+
+  // Extra balls only last for the point; stop the main ball until the serve
+  sim.balls = [sim.ball];
+  sim.ball.vx = 0;
+  sim.ball.vy = 0;
+
+  if (sim.powerups) {
+    powerups.clearPointEffects(sim.powerups, now, result.events);
+  }
+
+  if (hasWon(sim.scores, scorerIndex, sim.winScore, sim.winByTwo)) {
+    sim.phase = 'finished';
+    sim.winnerIndex = scorerIndex;
+  } else {
+    // Serve toward the player who conceded, after the score pause
+    sim.phase = 'point';
+    sim.serveAt = now + CONFIG.GAME.SCORE_PAUSE_DURATION;
+    sim.serveDirection = scored === 1 ? 1 : -1;
+  }
+}
+
+/**
+ * Advance the simulation by exactly one tick
+ * @param {Object} sim - Simulation state
+ * @param {number} now - Time of this tick in ms
+ * @returns {{ scored: number|null, hitPaddle: boolean, hitWall: boolean, served: boolean, events: Object[] }}
+ *   scored is the index of the player who scored, if any; events are
+ *   { name, data } pairs to emit to the room (power-ups)
+ */
+function stepSimulation(sim, now) {
+  const result = { scored: null, hitPaddle: false, hitWall: false, served: false, events: [] };
+
+  sim.tick++;
+
+  if (sim.phase === 'finished') {
+    return result;
+  }
+
+  if (sim.powerups) {
+    powerups.updatePowerUps(sim.powerups, sim, FIELD, now, result.events);
+    powerups.applyPaddleSizes(sim.powerups, sim.paddles, FIELD, sim.paddleHeight);
+  }
+
+  // Apply queued paddle inputs, even between points
+  sim.paddles.forEach((paddle, i) => {
+    const startY = paddle.y;
+    const inputs = sim.inputQueues[i].splice(0, MAX_INPUTS_PER_TICK);
+    inputs.forEach(input => {
+      Physics.updatePaddle(paddle, input.y, FIELD.height, paddle.speed);
+      sim.lastProcessedSeq[i] = input.seq;
+    });
+    // Extra inputs in one tick must not add up to more than paddle speed
+    paddle.y = Utils.clamp(paddle.y, startY - paddle.speed, startY + paddle.speed);
+  });
+
+  if (sim.phase === 'countdown' || sim.phase === 'point') {
+    if (now >= sim.serveAt) {
+      serveBall(sim);
+      result.served = true;
+    }
+    return result;
+  }
+
+  // Move every ball in play, stopping at the first one that ends the point
+  // (mirrors Game.updateBalls). Iterate over a copy: scoring clears the extra balls.
+  for (const ball of [...sim.balls]) {
+    if (ball.vx === 0 && ball.vy === 0) {
+      continue;
+    }
+
+    const speedMultiplier = sim.powerups ? powerups.applyBallEffects(sim.powerups, ball) : 1;
+    const physicsResult = Physics.updateBall(ball, sim.paddles[0], sim.paddles[1], FIELD);
+    if (sim.powerups) {
+      powerups.resolveBallEffects(sim.powerups, ball, physicsResult, speedMultiplier, FIELD, result.events);
+    }
+    result.hitPaddle = result.hitPaddle || physicsResult.hitPaddle;
+    result.hitWall = result.hitWall || physicsResult.hitWall;
+
+    if (physicsResult.hitPaddle) {
+      sim.rally++;
+      sim.longestRally = Math.max(sim.longestRally, sim.rally);
+    }
+
+    if (physicsResult.scored !== null) {
+      scorePoint(sim, physicsResult.scored, now, result);
+      break;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Run as many fixed ticks as have elapsed since the last step
+ * @param {Object} sim - Simulation state
+ * @param {number} now - Current time in ms
+ * @returns {Object[]} Results of each tick that was run
+ */
+function advanceSimulation(sim, now) {
+  const results = [];
+
+  while (sim.lastStepTime + TICK_MS <= now && results.length < MAX_CATCHUP_TICKS) {
+    sim.lastStepTime += TICK_MS;
+    results.push(stepSimulation(sim, sim.lastStepTime));
+  }
+
+  // Drop time we could not catch up on rather than simulating it later
+  if (results.length === MAX_CATCHUP_TICKS) {
+    sim.lastStepTime = now;
+  }
+
+  return results;
+}
+
+/**
+ * Get the ball state to broadcast to clients
+ * Timestamped with the simulation time so clients can interpolate between snapshots.
+ * @param {Object} sim - Simulation state
+ * @returns {{ tick: number, t: number, x: number, y: number, vx: number, vy: number,
+ *   extraBalls: Array<{ x: number, y: number, vx: number, vy: number }> }} The main ball,
+ *   and any multi-ball extras in the order they were served
+ */
+function getBallSnapshot(sim) {
+  const { x, y, vx, vy } = sim.ball;
+  const extraBalls = sim.balls.slice(1).map(ball => ({ x: ball.x, y: ball.y, vx: ball.vx, vy: ball.vy }));
+  return { tick: sim.tick, t: sim.lastStepTime, x, y, vx, vy, extraBalls };
+}
+
+module.exports = {
+  TICK_RATE,
+  TICK_MS,
+  MAX_CATCHUP_TICKS,
+  MAX_INPUTS_PER_TICK,
+  MAX_QUEUED_INPUTS,
+  MAX_BALLS,
+  FIELD,
+  PADDLE_MARGIN,
+  VARIANT_RULES,
+  getVariantRules,
+  getMatchRules,
+  hasWon,
+  createSimulation,
+  queuePaddleInput,
+  resetPlayerInput,
+  getPaddleCenter,
+  spawnExtraBall,
+  stepSimulation,
+  advanceSimulation,
+  getBallSnapshot
+};
@@ -0,0 +1,513 @@
+/**
+ * Tournament brackets for online play
+ * Builds single- and double-elimination brackets seeded by Elo and advances
+ * them as match results come in. Tournaments are plain objects so the server
+ * can keep them in memory and mirror them to the database.
+ * @module lib/tournament
+ */
+
+/**
+ * Tournament constraints
+ */
+const TOURNAMENT = {
+  SIZES: [4, 8, 16],
+  FORMATS: ['single', 'double'],
+  MIN_PLAYERS: 2,
+  NAME_MAX_LENGTH: 30,
+  NAME_PATTERN: /^[a-zA-Z0-9 _'-]+$/,
+  DEFAULT_NAME: 'Pong Tournament'
+};
+
+/**
+ * Slot value for a bye (never a valid username, which needs 3+ characters).
+ * An undecided slot is null.
+ */
+const BYE = '';
+
+/**
+ * Validate tournament options from a client
+ * @param {*} options - { name?, size, format }
+ * @returns {{ valid: boolean, error?: string, options?: { name: string, size: number, format: string } }}
+ */
+function validateTournamentOptions(options) {
+  if (!options || typeof options !== 'object') {
+    return { valid: false, error: 'Tournament options are required' };
+  }
+
+  const size = Number(options.size);
+  if (!TOURNAMENT.SIZES.includes(size)) {
+    return { valid: false, error: `Tournament size must be ${TOURNAMENT.SIZES.join(', ')}` };
+  }
+
+  const format = options.format || 'single';
+  if (!TOURNAMENT.FORMATS.includes(format)) {
+    return { valid: false, error: 'Format must be single or double elimination' };
+  }
+
+  let name = TOURNAMENT.DEFAULT_NAME;
+  if (options.name !== undefined && options.name !== null && options.name !== '') {
+    if (typeof options.name !== 'string') {
+      return { valid: false, error: 'Invalid tournament name' };
+    }
+    name = options.name.trim();
+    if (name.length === 0 || name.length > TOURNAMENT.NAME_MAX_LENGTH) {
+      return { valid: false, error: `Tournament name must be 1-${TOURNAMENT.NAME_MAX_LENGTH} characters` };
+    }
+    if (!TOURNAMENT.NAME_PATTERN.test(name)) {
+      return { valid: false, error: 'Tournament name can only contain letters, numbers, spaces, and _ \' -' };
+    }
+  }
+
+  return { valid: true, options: { name, size, format } };
+}
+
+/**
+ * Create a tournament open for registration
+ * @param {string} code - Join code
+ * @param {string} host - Username of the creator
+ * @param {{ name: string, size: number, format: string }} options - Validated options
+ * @param {string} gameMode - Validated game mode for every match
+ * @param {number} [now=Date.now()] - Creation time (ms)
+ * @returns {Object} Tournament
+ */
+function createTournament(code, host, options, gameMode, now = Date.now()) {
+  return {
+    code,
+    name: options.name,
+    size: options.size,
+    format: options.format,
+    gameMode,
+    host,
+    state: 'registration',   // registration | running | finished
+    players: [],             // { username, displayName, rating, dbId, seed }
+    matches: [],
+    champion: null,
+    createdAt: now,
+    startedAt: null,
+    finishedAt: null
+  };
+}
+
+/**
+ * Register a player
+ * @param {Object} tournament - Tournament
+ * @param {{ username: string, displayName?: string, rating: number, dbId?: string }} player - Player to add
+ * @returns {{ success: boolean, error?: string }}
+ */
+function addPlayer(tournament, player) {
+  if (tournament.state !== 'registration') {
+    return { success: false, error: 'Tournament has already started' };
+  }
+  if (tournament.players.some(p => p.username === player.username)) {
+    return { success: false, error: 'Already in this tournament' };
+  }
+  if (tournament.players.length >= tournament.size) {
+    return { success: false, error: 'Tournament is full' };
+  }
+
+  tournament.players.push({
+    username: player.username,
+    displayName: player.displayName || player.username,
+    rating: player.rating,
+    dbId: player.dbId || null,
+    seed: null
+  });
+  return { success: true };
+}
+
+/**
+ * Withdraw a player before the tournament starts
+ * @param {Object} tournament - Tournament
+ * @param {string} username - Player to remove
+ * @returns {boolean} True if the player was removed
+ */
+function removePlayer(tournament, username) {
+  if (tournament.state !== 'registration') {
+    return false;
+  }
+  const index = tournament.players.findIndex(p => p.username === username);
+  if (index === -1) {
+    return false;
+  }
+  tournament.players.splice(index, 1);
+  return true;
+}
+
+/**
+ * Get the standard bracket order of seeds for the first round
+ * Pairs 1 v N, 2 v N-1, ... with the top two seeds in opposite halves.
+ * @param {number} size - Bracket size (power of two)
+ * @returns {number[]} Seeds in slot order (e.g. [1, 8, 4, 5, 2, 7, 3, 6])
+ */
+function getSeedOrder(size) {
+  let order = [1];
+  while (order.length < size) {
+    const total = order.length * 2;
+    order = order.flatMap(seed => [seed, total + 1 - seed]);
+  }
+  return order;
+}
+
+/**
+ * Assign seeds by rating (highest first, earlier registration breaks ties)
+ * @param {Object[]} players - Tournament players (seed is set in place)
+ * @returns {Object[]} Players sorted by seed
+ */
+function seedPlayers(players) {
+  const sorted = players
+    .map((player, order) => ({ player, order }))
+    .sort((a, b) => (b.player.rating - a.player.rating) || (a.order - b.order))
+    .map(({ player }) => player);
+
+  sorted.forEach((player, i) => {
+    player.seed = i + 1;
+  });
+  return sorted;
+}
+
+/**
+ * Build the empty bracket for a tournament
+ * Winners matches are W<round>-<n>, losers matches L<round>-<n> and the grand
+ * final GF1 (plus GF2 if the losers bracket player wins GF1).
+ * @param {number} size - Bracket size
+ * @param {string} format - 'single' or 'double'
+ * @returns {Object[]} Matches
+ */
+function buildBracket(size, format) {
+  const matches = [];
+  const byId = new Map();
+  const add = (id, bracket, round, index) => {
+    const match = {
+      id,
+      bracket,                // winners | losers | final
+      round,
+      index,
+      players: [null, null],  // username, BYE, or null while undecided
+      winner: null,           // 0 or 1
+      scores: null,
+      state: 'pending',       // pending | ready | playing | complete | skipped
+      roomCode: null,
+      winnerTo: null,         // { id, slot } the winner moves to
+      loserTo: null           // { id, slot } the loser drops to (double elimination)
+    };
+    matches.push(match);
+    byId.set(id, match);
+    return match;
+  };
+  const id = (prefix, round, index) => `${prefix}${round}-${index + 1}`;
+
+  const rounds = Math.log2(size);
+  for (let round = 1; round <= rounds; round++) {
+    const count = size / Math.pow(2, round);
+    for (let i = 0; i < count; i++) {
+      const match = add(id('W', round, i), 'winners', round, i);
+      if (round < rounds) {
+        match.winnerTo = { id: id('W', round + 1, Math.floor(i / 2)), slot: i % 2 };
+      }
+    }
+  }
+
+  if (format !== 'double') {
+    return matches;
+  }
+
+  // Losers bracket: each pair of rounds first plays losers-bracket survivors
+  // against each other, then against the players dropping from the next winners round
+  const losersRounds = 2 * (rounds - 1);
+  for (let k = 1; k < rounds; k++) {
+    const count = size / Math.pow(2, k + 1);
+    const minor = 2 * k - 1;
+    const major = 2 * k;
+
+    for (let i = 0; i < count; i++) {
+      add(id('L', minor, i), 'losers', minor, i).winnerTo = { id: id('L', major, i), slot: 0 };
+    }
+    for (let i = 0; i < count; i++) {
+      const match = add(id('L', major, i), 'losers', major, i);
+      if (major < losersRounds) {
+        match.winnerTo = { id: id('L', major + 1, Math.floor(i / 2)), slot: i % 2 };
+      }
+    }
+
+    if (k === 1) {
+      // First-round losers pair up
+      for (let i = 0; i < count * 2; i++) {
+        byId.get(id('W', 1, i)).loserTo = { id: id('L', 1, Math.floor(i / 2)), slot: i % 2 };
+      }
+    }
+
+    // Winners round k+1 losers drop in, in reverse order to avoid early rematches
+    for (let i = 0; i < count; i++) {
+      byId.get(id('W', k + 1, i)).loserTo = { id: id('L', major, count - 1 - i), slot: 1 };
+    }
+  }
+
+  add('GF1', 'final', 1, 0);
+  add('GF2', 'final', 2, 0);
+  byId.get(id('W', rounds, 0)).winnerTo = { id: 'GF1', slot: 0 };
+  byId.get(id('L', losersRounds, 0)).winnerTo = { id: 'GF1', slot: 1 };
+
+  return matches;
+}
+
+/**
+ * Find a match by ID
+ * @param {Object} tournament - Tournament
+ * @param {string} matchId - Match ID (e.g. 'W1-1')
+ * @returns {Object|undefined}
+ */
+function getMatch(tournament, matchId) {
+  return tournament.matches.find(m => m.id === matchId);
+}
+
+/**
+ * Mark the tournament finished
+ * @param {Object} tournament - Tournament
+ * @param {string} champion - Winning username
+ * @param {number} now - Current time (ms)
+ */
+function finishTournament(tournament, champion, now) {
+  tournament.champion = champion;
+  tournament.state = 'finished';
+  tournament.finishedAt = now;
+  tournament.matches.forEach(m => {
+    if (m.state === 'pending') {
+      m.state = 'skipped';
+    }
+  });
+}
+
+/**
+ * Record a match result and move both players on
+ * @param {Object} tournament - Tournament
+ * @param {Object} match - Match being completed
+ * @param {number} winnerSlot - 0 or 1
+ * @param {number[]|null} scores - Final scores, or null for a bye
+ * @param {number} now - Current time (ms)
+ */
+function completeMatch(tournament, match, winnerSlot, scores, now) {
+  match.state = 'complete';
+  match.winner = winnerSlot;
+  match.scores = scores;
+  match.roomCode = null;
+
+  const winner = match.players[winnerSlot];
+  const loser = match.players[1 - winnerSlot];
+
+  // The winners bracket champion only needs to win the grand final once
+  if (match.id === 'GF1') {
+    if (winnerSlot === 0) {
+      finishTournament(tournament, winner, now);
+    } else {
+      const reset = getMatch(tournament, 'GF2');
+      reset.players = [...match.players];
+      updateMatchState(tournament, reset, now);
+    }
+    return;
+  }
+
+  if (!match.winnerTo) {
+    finishTournament(tournament, winner, now);
+    return;
+  }
+
+  placePlayer(tournament, match.winnerTo, winner, now);
+  if (match.loserTo) {
+    placePlayer(tournament, match.loserTo, loser, now);
+  }
+}
+
+/**
+ * Put a player (or bye) into a slot and update that match
+ * @param {Object} tournament - Tournament
+ * @param {{ id: string, slot: number }} target - Destination
+ * @param {string} player - Username or BYE
+ * @param {number} now - Current time (ms)
+ */
+function placePlayer(tournament, target, player, now) {
+  const match = getMatch(tournament, target.id);
+  match.players[target.slot] = player;
+  updateMatchState(tournament, match, now);
+}
+
+/**
+ * Make a match ready once both slots are decided, resolving byes straight away
+ * @param {Object} tournament - Tournament
+ * @param {Object} match - Match to check
+ * @param {number} now - Current time (ms)
+ */
+function updateMatchState(tournament, match, now) {
+  if (match.state !== 'pending' || match.players.some(p => p === null)) {
+    return;
+  }
+
+  const [a, b] = match.players;
+  if (a === BYE) {
+    completeMatch(tournament, match, 1, null, now);
+  } else if (b === BYE) {
+    completeMatch(tournament, match, 0, null, now);
+  } else {
+    match.state = 'ready';
+  }
+}
+
+/**
+ * Close registration, seed the players and build the bracket
+ * Missing players become byes for the top seeds.
+ * @param {Object} tournament - Tournament
+ * @param {number} [now=Date.now()] - Start time (ms)
+ * @returns {{ success: boolean, error?: string }}
+ */
+function startTournament(tournament, now = Date.now()) {
+  if (tournament.state !== 'registration') {
+    return { success: false, error: 'Tournament has already started' };
+  }
+  if (tournament.players.length < TOURNAMENT.MIN_PLAYERS) {
+    return { success: false, error: `At least ${TOURNAMENT.MIN_PLAYERS} players are needed` };
+  }
+
+  const seeded = seedPlayers(tournament.players);
+  tournament.matches = buildBracket(tournament.size, tournament.format);
+  tournament.state = 'running';
+  tournament.startedAt = now;
+
+  const order = getSeedOrder(tournament.size);
+  const firstRound = tournament.matches.filter(m => m.bracket === 'winners' && m.round === 1);
+  firstRound.forEach((match, i) => {
+    match.players = [order[2 * i], order[2 * i + 1]].map(seed => {
+      const player = seeded[seed - 1];
+      return player ? player.username : BYE;
+    });
+  });
+  firstRound.forEach(match => updateMatchState(tournament, match, now));
+
+  return { success: true };
+}
+
+/**
+ * Record the result of a played match
+ * @param {Object} tournament - Tournament
+ * @param {string} matchId - Match ID
+ * @param {string} winner - Winning username
+ * @param {number[]} scores - Final scores [slot 0, slot 1]
+ * @param {number} [now=Date.now()] - Current time (ms)
+ * @returns {{ success: boolean, error?: string }}
+ */
+function reportResult(tournament, matchId, winner, scores, now = Date.now()) {
+  const match = getMatch(tournament, matchId);
+  if (!match) {
+    return { success: false, error: 'Match not found' };
+  }
+  if (match.state !== 'ready' && match.state !== 'playing') {
+    return { success: false, error: 'Match is not in progress' };
+  }
+
+  const slot = match.players.indexOf(winner);
+  if (slot === -1) {
+    return { success: false, error: 'Winner is not in this match' };
+  }
+
+  completeMatch(tournament, match, slot, scores, now);
+  return { success: true };
+}
+
+/**
+ * Put a match that was being played back in the queue, e.g. when its room
+ * closed with both players gone, so it is played again once they return
+ * @param {Object} tournament - Tournament
+ * @param {string} matchId - Match ID
+ * @returns {{ success: boolean, error?: string }}
+ */
+function resetMatch(tournament, matchId) {
+  const match = getMatch(tournament, matchId);
+  if (!match) {
+    return { success: false, error: 'Match not found' };
+  }
+  if (match.state !== 'playing') {
+    return { success: false, error: 'Match is not in progress' };
+  }
+
+  match.state = 'ready';
+  match.roomCode = null;
+  return { success: true };
+}
+
+/**
+ * Get matches waiting for a room
+ * @param {Object} tournament - Tournament
+ * @returns {Object[]}
+ */
+function getReadyMatches(tournament) {
+  return tournament.matches.filter(m => m.state === 'ready');
+}
+
+/**
+ * Count a player's losses (two knock you out of a double-elimination bracket)
+ * @param {Object} tournament - Tournament
+ * @param {string} username - Player
+ * @returns {number}
+ */
+function getLosses(tournament, username) {
+  return tournament.matches.filter(m =>
+    m.state === 'complete' && m.scores && m.players[1 - m.winner] === username
+  ).length;
+}
+
+/**
+ * Get the tournament as sent to clients (no database IDs)
+ * @param {Object} tournament - Tournament
+ * @returns {Object}
+ */
+function getTournamentView(tournament) {
+  const eliminatedAfter = tournament.format === 'double' ? 2 : 1;
+
+  return {
+    code: tournament.code,
+    name: tournament.name,
+    size: tournament.size,
+    format: tournament.format,
+    gameMode: tournament.gameMode,
+    host: tournament.host,
+    state: tournament.state,
+    champion: tournament.champion,
+    players: tournament.players.map(p => ({
+      username: p.username,
+      displayName: p.displayName,
+      rating: p.rating,
+      seed: p.seed,
+      eliminated: tournament.state !== 'registration' &&
+        p.username !== tournament.champion &&
+        (tournament.state === 'finished' || getLosses(tournament, p.username) >= eliminatedAfter)
+    })),
+    matches: tournament.matches.map(m => ({
+      id: m.id,
+      bracket: m.bracket,
+      round: m.round,
+      index: m.index,
+      players: m.players,
+      winner: m.winner,
+      scores: m.scores,
+      state: m.state,
+      roomCode: m.roomCode
+    }))
+  };
+}
+
+module.exports = {
+  TOURNAMENT,
+  BYE,
+  validateTournamentOptions,
+  createTournament,
+  addPlayer,
+  removePlayer,
+  getSeedOrder,
+  seedPlayers,
+  buildBracket,
+  getMatch,
+  startTournament,
+  reportResult,
+  resetMatch,
+  getReadyMatches,
+  getLosses,
+  getTournamentView
+};
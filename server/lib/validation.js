@@ -164,6 +164,28 @@ function validateRally(rally, previousRally = 0) {
   return { valid: true, rally: clampedRally };
 }
 
+/**
+ * Validate a season selector from a query string
+ * @param {*} season - 'current' or a season number
+ * @returns {{ valid: boolean, error?: string, season?: number|string }}
+ */
+function validateSeason(season) {
+  if (season === 'current') {
+    return { valid: true, season };
+  }
+
+  if (typeof season !== 'string' && typeof season !== 'number') {
+    return { valid: false, error: 'Invalid season' };
+  }
+
+  const number = Number(season);
+  if (!Number.isInteger(number) || number < 1) {
+    return { valid: false, error: 'Invalid season' };
+  }
+
+  return { valid: true, season: number };
+}
+
 module.exports = {
   USERNAME,
   ROOM_CODE,
@@ -172,5 +194,6 @@ module.exports = {
   validateRoomCode,
   validateGameMode,
   validateScores,
-  validateRally
+  validateRally,
+  validateSeason
 };
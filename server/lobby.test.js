@@ -0,0 +1,89 @@
+/**
+ * Tests for the public room lobby
+ */
+
+const {
+  LOBBY,
+  validatePublicFlag,
+  isListed,
+  getRoomListing,
+  listOpenRooms
+} = require('./lib/lobby');
+
+const room = (overrides = {}) => ({
+  code: 'ABC123',
+  players: [{ username: 'alice', display_name: 'Alice' }],
+  state: 'waiting',
+  gameMode: 'classic',
+  bestOf: 1,
+  rules: null,
+  isPublic: true,
+  hostRating: 1200,
+  createdAt: 1000,
+  ...overrides
+});
+
+describe('Lobby Module', () => {
+  describe('validatePublicFlag', () => {
+    test('rooms are private by default', () => {
+      expect(validatePublicFlag(undefined)).toEqual({ valid: true, isPublic: false });
+    });
+
+    test('accepts booleans', () => {
+      expect(validatePublicFlag(true)).toEqual({ valid: true, isPublic: true });
+      expect(validatePublicFlag(false)).toEqual({ valid: true, isPublic: false });
+    });
+
+    test('rejects other values', () => {
+      ['yes', 1, {}].forEach(value => {
+        expect(validatePublicFlag(value).valid).toBe(false);
+      });
+    });
+  });
+
+  describe('isListed', () => {
+    test('lists public rooms waiting for an opponent', () => {
+      expect(isListed(room())).toBe(true);
+    });
+
+    test('hides private, full and started rooms', () => {
+      expect(isListed(room({ isPublic: false }))).toBe(false);
+      expect(isListed(room({ players: [{ username: 'a' }, { username: 'b' }] }))).toBe(false);
+      expect(isListed(room({ state: 'playing' }))).toBe(false);
+    });
+  });
+
+  describe('getRoomListing', () => {
+    test('describes the room and its host', () => {
+      expect(getRoomListing(room())).toEqual({
+        roomCode: 'ABC123',
+        host: 'Alice',
+        gameMode: 'classic',
+        bestOf: 1,
+        elo: 1200,
+        createdAt: 1000
+      });
+    });
+  });
+
+  describe('listOpenRooms', () => {
+    test('lists open rooms newest first', () => {
+      const rooms = [
+        room({ code: 'OLD111', createdAt: 1 }),
+        room({ code: 'PRIV11', isPublic: false }),
+        room({ code: 'NEW111', createdAt: 5 })
+      ];
+      expect(listOpenRooms(rooms).map(r => r.roomCode)).toEqual(['NEW111', 'OLD111']);
+    });
+
+    test('skips rooms whose host has gone', () => {
+      const rooms = [room({ code: 'GONE11' }), room({ code: 'HERE11' })];
+      expect(listOpenRooms(rooms, r => r.code === 'HERE11').map(r => r.roomCode)).toEqual(['HERE11']);
+    });
+
+    test('caps the listing', () => {
+      const rooms = Array.from({ length: LOBBY.MAX_LISTED + 5 }, (_, i) => room({ code: `R${i}`, createdAt: i }));
+      expect(listOpenRooms(rooms)).toHaveLength(LOBBY.MAX_LISTED);
+    });
+  });
+});
@@ -0,0 +1,206 @@
+/**
+ * Tests for rating-based matchmaking
+ */
+
+const {
+  MATCHMAKING,
+  getAbandonPenalty,
+  createQueueEntry,
+  getSearchWindow,
+  canMatch,
+  findOpponent,
+  findMatches,
+  getQueuePosition,
+  estimateWaitTime,
+  getQueueStatus
+} = require('./lib/matchmaking');
+const { DEFAULT_ELO } = require('./lib/elo');
+
+const NOW = 1000000;
+
+function entry(id, rating, waitedMs = 0, gameMode = 'classic') {
+  return createQueueEntry({ socketId: id, username: id }, gameMode, rating, NOW - waitedMs);
+}
+
+describe('Matchmaking Module', () => {
+  describe('createQueueEntry', () => {
+    test('uses the default rating when none is known', () => {
+      expect(createQueueEntry({ socketId: 'a' }, 'classic').rating).toBe(DEFAULT_ELO);
+      expect(createQueueEntry({ socketId: 'a' }, 'classic', NaN).rating).toBe(DEFAULT_ELO);
+    });
+
+    test('records when the player joined', () => {
+      expect(createQueueEntry({ socketId: 'a' }, 'classic', 1200, NOW).timestamp).toBe(NOW);
+    });
+  });
+
+  describe('abandonment penalty', () => {
+    test('grows with each abandoned match up to a cap', () => {
+      expect(getAbandonPenalty(0)).toBe(0);
+      expect(getAbandonPenalty(2)).toBe(2 * MATCHMAKING.ABANDON_PENALTY_MS);
+      expect(getAbandonPenalty(1000)).toBe(MATCHMAKING.MAX_ABANDON_PENALTY_MS);
+      expect(getAbandonPenalty(undefined)).toBe(0);
+    });
+
+    test('keeps a penalised player out of matches until it is served', () => {
+      const penalised = createQueueEntry({ socketId: 'a' }, 'classic', 1000, NOW, 1);
+      const other = createQueueEntry({ socketId: 'b' }, 'classic', 1000, NOW);
+
+      expect(canMatch(penalised, other, NOW)).toBe(false);
+      expect(canMatch(other, penalised, NOW + MATCHMAKING.ABANDON_PENALTY_MS - 1)).toBe(false);
+      expect(canMatch(penalised, other, NOW + MATCHMAKING.ABANDON_PENALTY_MS)).toBe(true);
+    });
+
+    test('adds the penalty to the estimated wait', () => {
+      const penalised = createQueueEntry({ socketId: 'a' }, 'classic', 1000, NOW, 1);
+      const other = createQueueEntry({ socketId: 'b' }, 'classic', 1000, NOW);
+
+      expect(estimateWaitTime([other, penalised], other, NOW)).toBe(MATCHMAKING.ABANDON_PENALTY_MS / 1000);
+    });
+  });
+
+  describe('getSearchWindow', () => {
+    test('starts at the initial window', () => {
+      expect(getSearchWindow(0)).toBe(MATCHMAKING.INITIAL_WINDOW);
+    });
+
+    test('widens over time', () => {
+      expect(getSearchWindow(10000)).toBe(MATCHMAKING.INITIAL_WINDOW + 10 * MATCHMAKING.WINDOW_GROWTH_PER_SEC);
+    });
+
+    test('never exceeds the maximum window', () => {
+      expect(getSearchWindow(60 * 60 * 1000)).toBe(MATCHMAKING.MAX_WINDOW);
+    });
+  });
+
+  describe('canMatch', () => {
+    test('matches close ratings straight away', () => {
+      expect(canMatch(entry('a', 1000), entry('b', 1040), NOW)).toBe(true);
+    });
+
+    test('does not match a 1600 player with a new 1000 player straight away', () => {
+      expect(canMatch(entry('a', 1600), entry('b', 1000), NOW)).toBe(false);
+    });
+
+    test('requires both windows to cover the gap', () => {
+      // a has waited long enough for a 200 point gap, b has not
+      expect(canMatch(entry('a', 1200, 15000), entry('b', 1000), NOW)).toBe(false);
+      expect(canMatch(entry('a', 1200, 15000), entry('b', 1000, 15000), NOW)).toBe(true);
+    });
+
+    test('never matches different game modes', () => {
+      expect(canMatch(entry('a', 1000), entry('b', 1000, 0, 'chaos'), NOW)).toBe(false);
+    });
+
+    test('never matches a player with themselves', () => {
+      expect(canMatch(entry('a', 1000), entry('a', 1000), NOW)).toBe(false);
+    });
+
+    test('never matches an account with itself on another socket', () => {
+      const tab = (socketId, player) => createQueueEntry({ socketId, ...player }, 'classic', 1000, NOW);
+
+      expect(canMatch(tab('s1', { username: 'alice' }), tab('s2', { username: 'alice' }), NOW)).toBe(false);
+      expect(canMatch(tab('s1', { username: 'alice', dbId: 'p1' }), tab('s2', { username: 'Alice', dbId: 'p1' }), NOW)).toBe(false);
+      expect(canMatch(tab('s1', { username: 'alice', dbId: 'p1' }), tab('s2', { username: 'bob', dbId: 'p2' }), NOW)).toBe(true);
+    });
+  });
+
+  describe('findOpponent', () => {
+    test('picks the closest rating', () => {
+      const queue = [entry('a', 1040), entry('b', 990), entry('c', 1020)];
+      expect(findOpponent(queue, entry('x', 1000), NOW)).toBe(1);
+    });
+
+    test('prefers the longest waiting player on a tie', () => {
+      const queue = [entry('a', 1010, 5000), entry('b', 990)];
+      expect(findOpponent(queue, entry('x', 1000), NOW)).toBe(0);
+    });
+
+    test('returns -1 when nobody is in range', () => {
+      const queue = [entry('a', 1600, 5000)];
+      expect(findOpponent(queue, entry('x', 1000), NOW)).toBe(-1);
+    });
+  });
+
+  describe('findMatches', () => {
+    test('pairs compatible players and removes them from the queue', () => {
+      const queue = [entry('a', 1000, 3000), entry('b', 1500, 2000), entry('c', 1030, 1000)];
+      const pairs = findMatches(queue, NOW);
+
+      expect(pairs).toHaveLength(1);
+      expect(pairs[0].map(e => e.player.socketId)).toEqual(['a', 'c']);
+      expect(queue.map(e => e.player.socketId)).toEqual(['b']);
+    });
+
+    test('pairs far-apart players once they have waited long enough', () => {
+      const queue = [entry('a', 1300), entry('b', 1000)];
+      expect(findMatches(queue, NOW)).toHaveLength(0);
+
+      const pairs = findMatches(queue, NOW + 30000);
+      expect(pairs).toHaveLength(1);
+      expect(queue).toHaveLength(0);
+    });
+
+    test('makes several pairs in one pass', () => {
+      const queue = [entry('a', 1000), entry('b', 1400), entry('c', 1010), entry('d', 1420)];
+      const pairs = findMatches(queue, NOW);
+
+      expect(pairs.map(pair => pair.map(e => e.player.socketId))).toEqual([['a', 'c'], ['b', 'd']]);
+    });
+  });
+
+  describe('getQueuePosition', () => {
+    test('counts only players in the same game mode', () => {
+      const queue = [entry('a', 1000), entry('b', 1000, 0, 'chaos'), entry('c', 1000)];
+      expect(getQueuePosition(queue, queue[2])).toBe(2);
+      expect(getQueuePosition(queue, queue[1])).toBe(1);
+    });
+
+    test('returns 0 for a player who is not queued', () => {
+      expect(getQueuePosition([], entry('a', 1000))).toBe(0);
+    });
+  });
+
+  describe('estimateWaitTime', () => {
+    test('returns null when nobody suitable is queued', () => {
+      const queue = [entry('a', 1000), entry('b', 1000, 0, 'chaos')];
+      expect(estimateWaitTime(queue, queue[0], NOW)).toBeNull();
+    });
+
+    test('estimates the time until both windows cover the closest gap', () => {
+      const queue = [entry('a', 1200, 5000), entry('b', 1000)];
+      // 200 point gap needs 15s of waiting; b has waited 0s
+      expect(estimateWaitTime(queue, queue[1], NOW)).toBe(15);
+      expect(estimateWaitTime(queue, queue[0], NOW)).toBe(15);
+    });
+
+    test('ignores players beyond the maximum window', () => {
+      const queue = [entry('a', 2000), entry('b', 1000)];
+      expect(estimateWaitTime(queue, queue[1], NOW)).toBeNull();
+    });
+  });
+
+  describe('getQueueStatus', () => {
+    test('reports position, size, window and wait', () => {
+      const queue = [entry('a', 1200, 5000), entry('b', 1000, 2000)];
+      const status = getQueueStatus(queue, queue[1], NOW);
+
+      expect(status).toEqual({
+        position: 2,
+        queueSize: 2,
+        searchWindow: MATCHMAKING.INITIAL_WINDOW + 2 * MATCHMAKING.WINDOW_GROWTH_PER_SEC,
+        waitedSeconds: 2,
+        penaltySeconds: 0,
+        estimatedWait: 13
+      });
+    });
+
+    test('reports the remaining abandonment penalty', () => {
+      const penalised = createQueueEntry({ socketId: 'a' }, 'classic', 1000, NOW, 1);
+      const status = getQueueStatus([penalised], penalised, NOW + 10000);
+
+      expect(status.penaltySeconds).toBe(MATCHMAKING.ABANDON_PENALTY_MS / 1000 - 10);
+      expect(status.searchWindow).toBe(MATCHMAKING.INITIAL_WINDOW);
+    });
+  });
+});
@@ -0,0 +1,242 @@
+/**
+ * Tests for server-side Chaos power-ups
+ */
+
+const CONFIG = require('../js/config.js');
+const { FIELD, createSimulation, stepSimulation } = require('./lib/simulation');
+const {
+  SHIELD_BOUNCE_OFFSET,
+  createPowerUpState,
+  spawnPowerUp,
+  updatePowerUps,
+  applyPaddleSizes,
+  applyBallEffects,
+  resolveBallEffects,
+  clearPointEffects,
+  getPowerUpSnapshot
+} = require('./lib/powerups');
+
+describe('Power-ups Module', () => {
+  let sim;
+
+  beforeEach(() => {
+    sim = createSimulation('chaos', 0);
+    sim.phase = 'playing';
+  });
+
+  // Place a power-up of a given type under the ball
+  const placeUnderBall = (type) => {
+    const { manager } = sim.powerups;
+    const powerup = manager.createPowerUp(type, sim.ball.x, sim.ball.y, 0, sim.powerups.nextId++);
+    manager.active.push(powerup);
+    return powerup;
+  };
+
+  const eventNames = (events) => events.map(e => e.name);
+
+  describe('createPowerUpState', () => {
+    test('is only created for chaos matches', () => {
+      expect(sim.powerups).not.toBeNull();
+      expect(createSimulation('classic', 0).powerups).toBeNull();
+    });
+
+    test('schedules the first spawn around the power-up interval', () => {
+      const state = createPowerUpState({ spawnExtraBall() {} }, 1000);
+      expect(state.nextSpawnAt).toBeGreaterThanOrEqual(1000 + CONFIG.GAME.POWERUP_INTERVAL - CONFIG.GAME.POWERUP_VARIANCE);
+      expect(state.nextSpawnAt).toBeLessThanOrEqual(1000 + CONFIG.GAME.POWERUP_INTERVAL + CONFIG.GAME.POWERUP_VARIANCE);
+    });
+  });
+
+  describe('spawnPowerUp', () => {
+    test('spawns in the middle third of the field with increasing ids', () => {
+      const first = spawnPowerUp(sim.powerups, FIELD, 0);
+      const second = spawnPowerUp(sim.powerups, FIELD, 0);
+
+      expect(first.id).toBe(1);
+      expect(second.id).toBe(2);
+      expect(first.x).toBeGreaterThanOrEqual(FIELD.width * 0.3);
+      expect(first.x).toBeLessThanOrEqual(FIELD.width * 0.7);
+    });
+
+    test('caps the number of power-ups on the field', () => {
+      spawnPowerUp(sim.powerups, FIELD, 0);
+      spawnPowerUp(sim.powerups, FIELD, 0);
+      spawnPowerUp(sim.powerups, FIELD, 0);
+      expect(spawnPowerUp(sim.powerups, FIELD, 0)).toBeNull();
+    });
+  });
+
+  describe('updatePowerUps', () => {
+    test('emits powerup-spawn when the spawn timer fires', () => {
+      const events = [];
+      sim.ball.y = 10; // Keep the ball clear of the spawn area
+      updatePowerUps(sim.powerups, sim, FIELD, sim.powerups.nextSpawnAt, events);
+
+      expect(eventNames(events)).toEqual(['powerup-spawn']);
+      expect(events[0].data).toEqual(expect.objectContaining({ id: 1, lifetime: 15000 }));
+    });
+
+    test('does not spawn between points', () => {
+      const events = [];
+      sim.phase = 'point';
+      updatePowerUps(sim.powerups, sim, FIELD, sim.powerups.nextSpawnAt, events);
+      expect(events).toEqual([]);
+    });
+
+    test('collects power-ups for the player who hit the ball', () => {
+      const events = [];
+      sim.ball.vx = -5;
+      const powerup = placeUnderBall('bigPaddle');
+
+      updatePowerUps(sim.powerups, sim, FIELD, 10, events);
+
+      expect(events).toEqual([{
+        name: 'powerup-collect',
+        data: { id: powerup.id, type: 'bigPaddle', player: 2, duration: 10000 }
+      }]);
+      expect(sim.powerups.manager.active).toHaveLength(0);
+      expect(sim.powerups.manager.getPaddleSizeMultiplier(2)).toBe(1.5);
+    });
+
+    test('multi-ball serves two extra balls', () => {
+      const events = [];
+      sim.ball.vx = 5;
+      placeUnderBall('multiBall');
+
+      updatePowerUps(sim.powerups, sim, FIELD, 10, events);
+
+      expect(eventNames(events)).toEqual(['powerup-collect']);
+      expect(sim.balls).toHaveLength(3);
+      expect(sim.balls[1]).not.toBe(sim.ball);
+    });
+
+    test('extra balls collect power-ups too', () => {
+      const events = [];
+      sim.ball.y = -100;
+      sim.balls.push({ ...sim.ball, x: 300, y: 200, vx: -5 });
+      const powerup = sim.powerups.manager.createPowerUp('bigPaddle', 300, 200, 0, sim.powerups.nextId++);
+      sim.powerups.manager.active.push(powerup);
+
+      updatePowerUps(sim.powerups, sim, FIELD, 10, events);
+
+      expect(events).toEqual([{
+        name: 'powerup-collect',
+        data: { id: powerup.id, type: 'bigPaddle', player: 2, duration: 10000 }
+      }]);
+    });
+
+    test('expires uncollected power-ups', () => {
+      const events = [];
+      const powerup = spawnPowerUp(sim.powerups, FIELD, 0);
+      sim.ball.y = -100;
+
+      updatePowerUps(sim.powerups, sim, FIELD, powerup.lifetime + 1, events);
+
+      expect(events).toContainEqual({ name: 'powerup-expire', data: { id: powerup.id, kind: 'powerup' } });
+    });
+
+    test('expires timed effects', () => {
+      const events = [];
+      sim.powerups.manager.applyEffect('slowBall', 1, 0, 7);
+
+      updatePowerUps(sim.powerups, sim, FIELD, 9000, events);
+
+      expect(events).toContainEqual({ name: 'powerup-expire', data: { id: 7, kind: 'effect' } });
+      expect(sim.powerups.manager.effects).toHaveLength(0);
+    });
+  });
+
+  describe('applyPaddleSizes', () => {
+    test('resizes paddles around their centres', () => {
+      sim.powerups.manager.applyEffect('smallEnemy', 1, 0, 1);
+      const centerBefore = sim.paddles[1].y + sim.paddles[1].height / 2;
+
+      applyPaddleSizes(sim.powerups, sim.paddles, FIELD);
+
+      expect(sim.paddles[1].height).toBeCloseTo(CONFIG.GAME.PADDLE_HEIGHT * 0.7);
+      expect(sim.paddles[1].y + sim.paddles[1].height / 2).toBeCloseTo(centerBefore);
+      expect(sim.paddles[0].height).toBe(CONFIG.GAME.PADDLE_HEIGHT);
+    });
+  });
+
+  describe('ball effects', () => {
+    test('speed effects are applied for the step and then undone', () => {
+      sim.powerups.manager.applyEffect('speedBall', 1, 0, 1);
+      Object.assign(sim.ball, { vx: 4, vy: 2 });
+
+      const multiplier = applyBallEffects(sim.powerups, sim.ball);
+      expect(sim.ball.vx).toBe(6);
+
+      resolveBallEffects(sim.powerups, sim.ball, { hitPaddle: false, scored: null }, multiplier, FIELD, []);
+      expect(sim.ball.vx).toBe(4);
+      expect(sim.ball.vy).toBe(2);
+    });
+
+    test('fireball passes through a paddle once', () => {
+      const events = [];
+      sim.powerups.manager.applyEffect('fireball', 1, 0, 3);
+      sim.ball.vx = 5;
+      const physicsResult = { hitPaddle: true, scored: null };
+
+      resolveBallEffects(sim.powerups, sim.ball, physicsResult, 1, FIELD, events);
+
+      expect(sim.ball.vx).toBe(-5);
+      expect(physicsResult.hitPaddle).toBe(false);
+      expect(events).toEqual([{ name: 'powerup-expire', data: { id: 3, kind: 'effect' } }]);
+      expect(sim.powerups.manager.modifiers.fireball).toBe(false);
+    });
+
+    test('shield blocks a goal', () => {
+      const events = [];
+      sim.powerups.manager.applyEffect('shield', 2, 0, 4);
+      sim.ball.vx = 5;
+      const physicsResult = { hitPaddle: false, scored: 1 };
+
+      resolveBallEffects(sim.powerups, sim.ball, physicsResult, 1, FIELD, events);
+
+      expect(physicsResult.scored).toBeNull();
+      expect(sim.ball.vx).toBe(-5);
+      expect(sim.ball.x).toBe(FIELD.width - SHIELD_BOUNCE_OFFSET);
+      expect(events).toEqual([{ name: 'powerup-expire', data: { id: 4, kind: 'effect' } }]);
+    });
+
+    test('shield stops the simulation awarding a point', () => {
+      sim.powerups.manager.applyEffect('shield', 1, 0, 9);
+      sim.paddles[0].y = 500;
+      Object.assign(sim.ball, { x: 15, y: 100, vx: -10, vy: 0 });
+
+      const result = stepSimulation(sim, 0);
+
+      expect(result.scored).toBeNull();
+      expect(sim.scores).toEqual([0, 0]);
+      expect(eventNames(result.events)).toContain('powerup-expire');
+    });
+  });
+
+  describe('clearPointEffects', () => {
+    test('ends speedBall when a point is scored', () => {
+      const events = [];
+      sim.powerups.manager.applyEffect('speedBall', 2, 0, 5);
+
+      clearPointEffects(sim.powerups, 0, events);
+
+      expect(events).toEqual([{ name: 'powerup-expire', data: { id: 5, kind: 'effect' } }]);
+    });
+  });
+
+  describe('getPowerUpSnapshot', () => {
+    test('reports remaining lifetimes and durations', () => {
+      const powerup = spawnPowerUp(sim.powerups, FIELD, 0);
+      sim.powerups.manager.applyEffect('reverse', 1, 0, 8);
+      sim.powerups.manager.applyEffect('shield', 2, 0, 9);
+
+      const snapshot = getPowerUpSnapshot(sim.powerups, 1000);
+
+      expect(snapshot.active).toEqual([expect.objectContaining({ id: powerup.id, lifetime: 14000 })]);
+      expect(snapshot.effects).toEqual([
+        { id: 8, type: 'reverse', player: 1, duration: 7000 },
+        { id: 9, type: 'shield', player: 2, duration: -1 }
+      ]);
+    });
+  });
+});
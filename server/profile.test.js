@@ -0,0 +1,133 @@
+/**
+ * Tests for player profiles
+ */
+
+const {
+  PROFILE,
+  summarizeMatch,
+  countHeadToHead,
+  buildProfile
+} = require('./lib/profile');
+const { DEFAULT_ELO } = require('./lib/elo');
+
+const ALICE = { id: 'a', username: 'alice', display_name: 'Alice' };
+const BOB = { id: 'b', username: 'bob' };
+
+const match = (overrides = {}) => ({
+  id: 'm1',
+  player1_id: 'a',
+  player2_id: 'b',
+  player1_score: 11,
+  player2_score: 7,
+  winner_id: 'a',
+  game_mode: 'classic',
+  forfeit: false,
+  played_at: '2026-10-18T12:00:00Z',
+  player1: { username: 'alice' },
+  player2: { username: 'bob' },
+  ...overrides
+});
+
+describe('Profile Module', () => {
+  describe('Constants', () => {
+    test('lists 10 recent matches', () => {
+      expect(PROFILE.RECENT_MATCHES).toBe(10);
+    });
+  });
+
+  describe('summarizeMatch', () => {
+    test('describes a win from player 1', () => {
+      expect(summarizeMatch(match(), 'a')).toEqual({
+        id: 'm1',
+        opponent: 'bob',
+        won: true,
+        score: [11, 7],
+        gameMode: 'classic',
+        forfeit: false,
+        playedAt: '2026-10-18T12:00:00Z'
+      });
+    });
+
+    test('flips the score for player 2', () => {
+      const summary = summarizeMatch(match(), 'b');
+      expect(summary.opponent).toBe('alice');
+      expect(summary.won).toBe(false);
+      expect(summary.score).toEqual([7, 11]);
+    });
+
+    test('handles a deleted opponent', () => {
+      expect(summarizeMatch(match({ player2: null }), 'a').opponent).toBeNull();
+    });
+
+    test('keeps the forfeit flag', () => {
+      expect(summarizeMatch(match({ forfeit: true }), 'a').forfeit).toBe(true);
+    });
+  });
+
+  describe('countHeadToHead', () => {
+    test('counts wins on each side', () => {
+      const matches = [{ winner_id: 'a' }, { winner_id: 'b' }, { winner_id: 'a' }];
+      expect(countHeadToHead(matches, 'a', 'b')).toEqual({ playerWins: 2, viewerWins: 1 });
+    });
+
+    test('is 0-0 with no shared matches', () => {
+      expect(countHeadToHead([], 'a', 'b')).toEqual({ playerWins: 0, viewerWins: 0 });
+    });
+  });
+
+  describe('buildProfile', () => {
+    const stats = {
+      elo_rating: 1234,
+      rating_deviation: 80,
+      games_played: 3,
+      games_won: 2,
+      games_lost: 1,
+      current_win_streak: 2,
+      best_win_streak: 4,
+      longest_rally: 27
+    };
+
+    test('builds stats and recent matches', () => {
+      const profile = buildProfile(ALICE, stats, [match()]);
+
+      expect(profile).toMatchObject({
+        username: 'alice',
+        displayName: 'Alice',
+        elo: 1234,
+        provisional: false,
+        gamesPlayed: 3,
+        gamesWon: 2,
+        gamesLost: 1,
+        winPercentage: 66.7,
+        currentStreak: 2,
+        bestStreak: 4,
+        longestRally: 27,
+        headToHead: null
+      });
+      expect(profile.recentMatches).toHaveLength(1);
+      expect(profile.recentMatches[0].opponent).toBe('bob');
+    });
+
+    test('marks high-deviation ratings as provisional', () => {
+      const profile = buildProfile(ALICE, { ...stats, rating_deviation: 300 }, []);
+      expect(profile.provisional).toBe(true);
+    });
+
+    test('falls back to defaults without stats', () => {
+      const profile = buildProfile(BOB, null, []);
+      expect(profile.displayName).toBe('bob');
+      expect(profile.elo).toBe(DEFAULT_ELO);
+      expect(profile.gamesPlayed).toBe(0);
+      expect(profile.winPercentage).toBe(0);
+      expect(profile.provisional).toBe(false);
+    });
+
+    test('includes the head-to-head record against the viewer', () => {
+      const profile = buildProfile(ALICE, stats, [], {
+        viewer: BOB,
+        matches: [{ winner_id: 'a' }, { winner_id: 'b' }, { winner_id: 'b' }]
+      });
+      expect(profile.headToHead).toEqual({ viewer: 'bob', playerWins: 1, viewerWins: 2 });
+    });
+  });
+});
@@ -0,0 +1,78 @@
+/**
+ * Tests for custom room rules
+ */
+
+const CONFIG = require('../js/config.js');
+const { validateRoomRules } = require('./lib/roomRules');
+const { getMatchRules } = require('./lib/simulation');
+
+describe('Room Rules Module', () => {
+  describe('validateRoomRules', () => {
+    test('no rules means the standard rules', () => {
+      expect(validateRoomRules(undefined, 'classic')).toEqual({ valid: true, rules: null });
+      expect(validateRoomRules(null, 'classic')).toEqual({ valid: true, rules: null });
+    });
+
+    test('fills rules left out from the game mode', () => {
+      const result = validateRoomRules({ winScore: 21, winByTwo: true }, 'speedrun');
+      expect(result.valid).toBe(true);
+      expect(result.rules).toEqual({ ...getMatchRules('speedrun'), winScore: 21, winByTwo: true });
+    });
+
+    test('accepts values at the bounds', () => {
+      const { WIN_SCORE, BALL_SPEED, SPEED_INCREMENT, PADDLE_HEIGHT } = CONFIG.ROOM_RULES;
+      const result = validateRoomRules({
+        winScore: WIN_SCORE.MIN,
+        ballSpeed: BALL_SPEED.MAX,
+        speedIncrement: SPEED_INCREMENT.MIN,
+        paddleHeight: PADDLE_HEIGHT.MAX
+      }, 'classic');
+      expect(result.valid).toBe(true);
+      expect(result.rules.ballSpeed).toBe(BALL_SPEED.MAX);
+    });
+
+    test('rejects values out of bounds', () => {
+      [
+        { winScore: 0 },
+        { winScore: 22 },
+        { winScore: 5.5 },
+        { ballSpeed: 50 },
+        { speedIncrement: -1 },
+        { paddleHeight: 1000 },
+        { paddleHeight: '80' },
+        { ballSpeed: NaN }
+      ].forEach(rules => {
+        expect(validateRoomRules(rules, 'classic').valid).toBe(false);
+      });
+    });
+
+    test('names the rule and its range in the error', () => {
+      expect(validateRoomRules({ winScore: 50 }, 'classic').error).toBe('Win score must be a whole number between 1 and 21');
+    });
+
+    test('rejects a non-boolean win by two', () => {
+      expect(validateRoomRules({ winByTwo: 'yes' }, 'classic').valid).toBe(false);
+    });
+
+    test('rejects rules that are not an object', () => {
+      ['fast', 5, []].forEach(rules => {
+        expect(validateRoomRules(rules, 'classic').valid).toBe(false);
+      });
+    });
+
+    test('keeps the chosen Chaos power-ups, without duplicates', () => {
+      const result = validateRoomRules({ powerups: ['shield', 'bigPaddle', 'shield'] }, 'chaos');
+      expect(result.rules.powerups).toEqual(['bigPaddle', 'shield']);
+    });
+
+    test('rejects unknown power-ups', () => {
+      expect(validateRoomRules({ powerups: ['laser'] }, 'chaos').error).toBe('Unknown power-up');
+      expect(validateRoomRules({ powerups: 'shield' }, 'chaos').valid).toBe(false);
+    });
+
+    test('only allows power-ups in Chaos', () => {
+      expect(validateRoomRules({ powerups: ['shield'] }, 'classic').error).toBe('Power-ups are only available in Chaos');
+      expect(validateRoomRules({ powerups: [] }, 'classic').valid).toBe(true);
+    });
+  });
+});
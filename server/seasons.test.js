@@ -0,0 +1,98 @@
+/**
+ * Tests for ranked seasons
+ * Seasons live entirely in the database (see the seasons migration), so these
+ * tests apply every migration to an in-process Postgres and call it there.
+ */
+
+const { createTestDatabase } = require('./testDatabase');
+const { isProvisional } = require('./lib/glicko2');
+const { DEFAULT_ELO } = require('./lib/elo');
+
+describe('Seasons', () => {
+  let db;
+  let playerCount = 0;
+
+  beforeAll(async () => {
+    db = await createTestDatabase();
+  }, 60000);
+
+  afterAll(async () => {
+    await db.close();
+  });
+
+  /**
+   * Register a player with stats, overriding any stats columns given
+   */
+  async function createPlayer(stats = {}) {
+    playerCount++;
+    const { rows } = await db.query('INSERT INTO players (username) VALUES ($1) RETURNING id', [`season${playerCount}`]);
+    const id = rows[0].id;
+    const columns = Object.keys(stats);
+    await db.query(
+      `INSERT INTO player_stats (player_id${columns.map(c => `, ${c}`).join('')})
+       VALUES ($1${columns.map((_, i) => `, $${i + 2}`).join('')})`,
+      [id, ...Object.values(stats)]
+    );
+    return id;
+  }
+
+  async function recordMatch(winner, loser) {
+    await db.query(
+      "SELECT * FROM record_match($1, $2, 11, 5, $1, 'classic', 90, 12, false, 'glicko2')",
+      [winner, loser]
+    );
+  }
+
+  async function getSeasonRows(seasonNumber, ids) {
+    const { rows } = await db.query(
+      'SELECT * FROM season_leaderboard WHERE season_number = $1 AND id = ANY($2)',
+      [seasonNumber, ids]
+    );
+    return rows;
+  }
+
+  test('the season leaderboard flags provisional ratings like the all-time one', async () => {
+    const settled = await createPlayer({ rating_deviation: 40 });
+    const fresh = await createPlayer();
+    await recordMatch(settled, fresh);
+
+    const rows = await getSeasonRows(1, [settled, fresh]);
+    expect(rows).toHaveLength(2);
+    for (const row of rows) {
+      expect(row.rating_deviation).not.toBeNull();
+      expect(row.provisional).toBe(isProvisional(Number(row.rating_deviation)));
+    }
+    expect(rows.find(r => r.id === settled).provisional).toBe(false);
+    expect(rows.find(r => r.id === fresh).provisional).toBe(true);
+  });
+
+  test('starting a season archives deviations and soft resets ratings', async () => {
+    const winner = await createPlayer({ rating_deviation: 40 });
+    const loser = await createPlayer({ rating_deviation: 40 });
+    await recordMatch(winner, loser);
+    const { rows: [before] } = await db.query(
+      'SELECT elo_rating, rating_deviation FROM player_stats WHERE player_id = $1',
+      [winner]
+    );
+
+    const { rows: [season] } = await db.query("SELECT * FROM start_season('Season 2')");
+    expect(season.number).toBe(2);
+
+    // The finished season keeps the ratings it ended on
+    const archived = (await getSeasonRows(1, [winner])).find(r => r.id === winner);
+    expect(archived.elo_rating).toBe(before.elo_rating);
+    expect(archived.final_rank).not.toBeNull();
+    expect(Number(archived.rating_deviation)).toBeCloseTo(before.rating_deviation, 1);
+    expect(archived.provisional).toBe(false);
+
+    // The one rating every leaderboard ranks by is pulled back towards the default
+    const { rows: [after] } = await db.query(
+      'SELECT elo_rating, rating_deviation FROM player_stats WHERE player_id = $1',
+      [winner]
+    );
+    expect(after.elo_rating).toBe(Math.round(DEFAULT_ELO + (before.elo_rating - DEFAULT_ELO) * 0.5));
+    expect(after.rating_deviation).toBe(200);
+    const { rows: [allTime] } = await db.query('SELECT elo_rating, games_played FROM leaderboard WHERE id = $1', [winner]);
+    expect(allTime).toEqual({ elo_rating: after.elo_rating, games_played: 1 });
+  });
+});
@@ -0,0 +1,175 @@
+/**
+ * Tests for best-of-N series
+ */
+
+const {
+  SERIES,
+  validateBestOf,
+  getWinsNeeded,
+  createSeries,
+  recordGame,
+  forfeitSeries,
+  isSeriesOver,
+  getSeriesView
+} = require('./lib/series');
+const { createTestDatabase } = require('./testDatabase');
+
+describe('Series Module', () => {
+  describe('validateBestOf', () => {
+    test('defaults to a single game', () => {
+      expect(validateBestOf(undefined)).toEqual({ valid: true, bestOf: SERIES.DEFAULT_BEST_OF });
+    });
+
+    test('accepts best of 1, 3, 5 and 7', () => {
+      [1, 3, 5, 7].forEach(bestOf => {
+        expect(validateBestOf(bestOf)).toEqual({ valid: true, bestOf });
+      });
+      expect(validateBestOf('5').bestOf).toBe(5);
+    });
+
+    test('rejects other lengths', () => {
+      [0, 2, 4, 9, 'abc', {}].forEach(bestOf => {
+        expect(validateBestOf(bestOf).valid).toBe(false);
+      });
+    });
+  });
+
+  describe('getWinsNeeded', () => {
+    test('needs a majority of the games', () => {
+      expect(getWinsNeeded(1)).toBe(1);
+      expect(getWinsNeeded(3)).toBe(2);
+      expect(getWinsNeeded(5)).toBe(3);
+      expect(getWinsNeeded(7)).toBe(4);
+    });
+  });
+
+  describe('recordGame', () => {
+    test('counts wins by username regardless of side', () => {
+      const series = createSeries(3, ['alice', 'bob']);
+      recordGame(series, 'bob', { alice: 4, bob: 11 });
+      recordGame(series, 'alice', { bob: 9, alice: 11 });
+
+      expect(series.wins).toEqual([1, 1]);
+      expect(series.games.map(g => g.scores)).toEqual([[4, 11], [11, 9]]);
+      expect(isSeriesOver(series)).toBe(false);
+    });
+
+    test('decides the series once a player reaches the wins needed', () => {
+      const series = createSeries(5, ['alice', 'bob']);
+      ['alice', 'bob', 'alice', 'alice'].forEach(winner => {
+        recordGame(series, winner, { [winner]: 11 });
+      });
+
+      expect(series.winner).toBe('alice');
+      expect(isSeriesOver(series)).toBe(true);
+    });
+
+    test('rejects games after the series is decided', () => {
+      const series = createSeries(1, ['alice', 'bob']);
+      recordGame(series, 'alice', { alice: 11, bob: 0 });
+      expect(recordGame(series, 'bob', { alice: 0, bob: 11 }).success).toBe(false);
+      expect(series.wins).toEqual([1, 0]);
+    });
+
+    test('rejects unknown winners', () => {
+      const series = createSeries(3, ['alice', 'bob']);
+      expect(recordGame(series, 'carol', {}).success).toBe(false);
+    });
+  });
+
+  describe('forfeitSeries', () => {
+    test('awards an undecided series to the player who stayed', () => {
+      const series = createSeries(5, ['alice', 'bob']);
+      recordGame(series, 'alice', { alice: 11, bob: 3 });
+
+      expect(forfeitSeries(series, 'bob').success).toBe(true);
+      expect(series.winner).toBe('bob');
+      expect(series.forfeit).toBe(true);
+      expect(series.wins).toEqual([1, 0]);
+    });
+
+    test('rejects decided series and outsiders', () => {
+      const series = createSeries(3, ['alice', 'bob']);
+      expect(forfeitSeries(series, 'carol').success).toBe(false);
+
+      forfeitSeries(series, 'alice');
+      expect(forfeitSeries(series, 'bob').success).toBe(false);
+    });
+  });
+
+  describe('getSeriesView', () => {
+    test('reports the score and games played without database IDs', () => {
+      const series = createSeries(3, ['alice', 'bob']);
+      series.matchIds.push('secret');
+      recordGame(series, 'bob', { alice: 4, bob: 11 });
+
+      expect(getSeriesView(series)).toEqual({
+        bestOf: 3,
+        players: ['alice', 'bob'],
+        wins: [0, 1],
+        gamesPlayed: 1,
+        winner: null,
+        forfeit: false
+      });
+    });
+  });
+
+  describe('record_series', () => {
+    let db;
+
+    beforeAll(async () => {
+      db = await createTestDatabase();
+    }, 60000);
+
+    afterAll(async () => {
+      await db.close();
+    });
+
+    const createPlayer = async (username) => {
+      const { rows } = await db.query('INSERT INTO players (username) VALUES ($1) RETURNING id', [username]);
+      await db.query('INSERT INTO player_stats (player_id) VALUES ($1)', [rows[0].id]);
+      return rows[0].id;
+    };
+
+    const recordMatch = async (winner, loser) => {
+      const { rows } = await db.query(
+        "SELECT match_id FROM record_match($1, $2, 11, 5, $1, 'classic', 90, 12, false, 'elo')",
+        [winner, loser]
+      );
+      return rows[0].match_id;
+    };
+
+    test('saves the series and links its games', async () => {
+      const alice = await createPlayer('alice');
+      const bob = await createPlayer('bob');
+      const games = [await recordMatch(alice, bob), await recordMatch(alice, bob)];
+      const single = await recordMatch(bob, alice);
+
+      const { rows: [{ id }] } = await db.query(
+        "SELECT record_series($1, $2, 3, 2, 0, $1, 'classic', $3) AS id",
+        [alice, bob, games]
+      );
+
+      const { rows: [saved] } = await db.query('SELECT best_of, player1_wins, winner_id FROM series WHERE id = $1', [id]);
+      expect(saved).toEqual({ best_of: 3, player1_wins: 2, winner_id: alice });
+      const { rows } = await db.query('SELECT id FROM matches WHERE series_id = $1', [id]);
+      expect(rows.map(r => r.id).sort()).toEqual([...games].sort());
+      const { rows: [other] } = await db.query('SELECT series_id FROM matches WHERE id = $1', [single]);
+      expect(other.series_id).toBeNull();
+    });
+
+    test('saves nothing when the series is invalid', async () => {
+      const carol = await createPlayer('carol');
+      const dave = await createPlayer('dave');
+      const game = await recordMatch(carol, dave);
+
+      await expect(db.query(
+        "SELECT record_series($1, $2, 4, 1, 0, $1, 'classic', $3)",
+        [carol, dave, [game]]
+      )).rejects.toThrow();
+
+      const { rows: [linked] } = await db.query('SELECT series_id FROM matches WHERE id = $1', [game]);
+      expect(linked.series_id).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,422 @@
+/**
+ * Tests for the server-authoritative match simulation
+ */
+
+const CONFIG = require('../js/config.js');
+const {
+  TICK_MS,
+  MAX_CATCHUP_TICKS,
+  MAX_INPUTS_PER_TICK,
+  MAX_QUEUED_INPUTS,
+  MAX_BALLS,
+  FIELD,
+  getVariantRules,
+  getMatchRules,
+  hasWon,
+  createSimulation,
+  queuePaddleInput,
+  resetPlayerInput,
+  getPaddleCenter,
+  spawnExtraBall,
+  stepSimulation,
+  advanceSimulation,
+  getBallSnapshot
+} = require('./lib/simulation');
+
+describe('Simulation Module', () => {
+  // Put a simulation straight into play with a known ball state
+  const startPlaying = (sim, ball) => {
+    sim.phase = 'playing';
+    Object.assign(sim.ball, ball);
+  };
+
+  describe('getVariantRules', () => {
+    test('returns per-variant win scores', () => {
+      expect(getVariantRules('classic').winScore).toBe(CONFIG.GAME.WIN_SCORE);
+      expect(getVariantRules('chaos').winScore).toBe(7);
+      expect(getVariantRules('speedrun').winScore).toBe(5);
+    });
+
+    test('falls back to classic for unknown modes', () => {
+      expect(getVariantRules('unknown')).toEqual(getVariantRules('classic'));
+    });
+  });
+
+  describe('getMatchRules', () => {
+    test('fills in the standard rules for a mode', () => {
+      expect(getMatchRules('speedrun')).toEqual({
+        winScore: 5,
+        winByTwo: false,
+        ballSpeed: CONFIG.GAME.BALL_SPEED * 1.5,
+        speedIncrement: CONFIG.GAME.BALL_SPEED_INCREMENT,
+        paddleHeight: CONFIG.GAME.PADDLE_HEIGHT,
+        powerups: []
+      });
+      expect(getMatchRules('chaos').powerups).toContain('multiBall');
+    });
+
+    test('uses custom rules as given', () => {
+      const custom = { ...getMatchRules('classic'), winScore: 3 };
+      expect(getMatchRules('classic', custom)).toBe(custom);
+    });
+  });
+
+  describe('hasWon', () => {
+    test('wins at the win score', () => {
+      expect(hasWon([11, 10], 0, 11, false)).toBe(true);
+      expect(hasWon([10, 9], 0, 11, false)).toBe(false);
+    });
+
+    test('needs a two-point lead with win by two', () => {
+      expect(hasWon([11, 10], 0, 11, true)).toBe(false);
+      expect(hasWon([12, 10], 0, 11, true)).toBe(true);
+      expect(hasWon([3, 11], 1, 11, true)).toBe(true);
+    });
+  });
+
+  describe('createSimulation', () => {
+    test('starts in countdown with the ball centred and still', () => {
+      const sim = createSimulation('classic', 1000);
+      expect(sim.phase).toBe('countdown');
+      expect(sim.ball.x).toBe(FIELD.width / 2);
+      expect(sim.ball.y).toBe(FIELD.height / 2);
+      expect(sim.ball.vx).toBe(0);
+      expect(sim.serveAt).toBe(1000 + CONFIG.GAME.COUNTDOWN_DURATION);
+      expect(sim.scores).toEqual([0, 0]);
+    });
+
+    test('places paddles on opposite sides of the field', () => {
+      const sim = createSimulation('classic', 0);
+      expect(sim.paddles[0].x).toBeLessThan(FIELD.width / 2);
+      expect(sim.paddles[1].x).toBeGreaterThan(FIELD.width / 2);
+    });
+
+    test('speedrun uses a faster base ball speed', () => {
+      const sim = createSimulation('speedrun', 0);
+      expect(sim.baseBallSpeed).toBe(CONFIG.GAME.BALL_SPEED * 1.5);
+    });
+
+    test('applies custom room rules', () => {
+      const rules = { ...getMatchRules('chaos'), ballSpeed: 8, speedIncrement: 0.5, paddleHeight: 120, powerups: ['shield'] };
+      const sim = createSimulation('chaos', 0, 1, rules);
+      expect(sim.baseBallSpeed).toBe(8);
+      expect(sim.ball.speedIncrement).toBe(0.5);
+      expect(sim.paddles[0].height).toBe(120);
+      expect(sim.paddles[1].y).toBe((FIELD.height - 120) / 2);
+      expect(sim.powerups.manager.typeKeys).toEqual(['SHIELD']);
+    });
+
+    test('chaos with every power-up turned off has no power-ups', () => {
+      const sim = createSimulation('chaos', 0, 1, { ...getMatchRules('chaos'), powerups: [] });
+      expect(sim.powerups).toBeNull();
+    });
+
+    test('records the seed it was created with', () => {
+      expect(createSimulation('classic', 0, 1234).seed).toBe(1234);
+      expect(Number.isInteger(createSimulation('classic', 0).seed)).toBe(true);
+    });
+  });
+
+  describe('queuePaddleInput', () => {
+    test('clamps targets to the field', () => {
+      const sim = createSimulation('classic', 0);
+      expect(queuePaddleInput(sim, 0, -50, 1)).toBe(0);
+      expect(queuePaddleInput(sim, 1, 5000, 1)).toBe(FIELD.height);
+    });
+
+    test('rejects invalid players and positions', () => {
+      const sim = createSimulation('classic', 0);
+      expect(queuePaddleInput(sim, 2, 100, 1)).toBeNull();
+      expect(queuePaddleInput(sim, undefined, 100, 1)).toBeNull();
+      expect(queuePaddleInput(sim, 0, 'abc', 1)).toBeNull();
+      expect(queuePaddleInput(sim, 0, NaN, 1)).toBeNull();
+    });
+
+    test('rejects missing, duplicate and out-of-order sequence numbers', () => {
+      const sim = createSimulation('classic', 0);
+      expect(queuePaddleInput(sim, 0, 100)).toBeNull();
+      expect(queuePaddleInput(sim, 0, 100, 1.5)).toBeNull();
+      expect(queuePaddleInput(sim, 0, 100, 3)).toBe(100);
+      expect(queuePaddleInput(sim, 0, 100, 3)).toBeNull();
+      expect(queuePaddleInput(sim, 0, 100, 2)).toBeNull();
+      expect(sim.inputQueues[0]).toHaveLength(1);
+    });
+
+    test('drops the oldest inputs when the queue is full', () => {
+      const sim = createSimulation('classic', 0);
+      for (let seq = 1; seq <= MAX_QUEUED_INPUTS + 5; seq++) {
+        queuePaddleInput(sim, 0, 100, seq);
+      }
+      expect(sim.inputQueues[0]).toHaveLength(MAX_QUEUED_INPUTS);
+      expect(sim.inputQueues[0][0].seq).toBe(6);
+    });
+  });
+
+  describe('resetPlayerInput', () => {
+    test('clears queued inputs and sequence tracking', () => {
+      const sim = createSimulation('classic', 0);
+      queuePaddleInput(sim, 1, 100, 10);
+      stepSimulation(sim, 0);
+      queuePaddleInput(sim, 1, 100, 11);
+
+      resetPlayerInput(sim, 1);
+
+      expect(sim.inputQueues[1]).toEqual([]);
+      expect(sim.lastProcessedSeq[1]).toBe(0);
+      expect(queuePaddleInput(sim, 1, 100, 1)).toBe(100);
+    });
+  });
+
+  describe('stepSimulation', () => {
+    test('serves the ball once the countdown ends', () => {
+      const sim = createSimulation('speedrun', 0);
+      
+      const before = stepSimulation(sim, CONFIG.GAME.COUNTDOWN_DURATION - 1);
+      expect(before.served).toBe(false);
+      expect(sim.ball.vx).toBe(0);
+
+      const after = stepSimulation(sim, CONFIG.GAME.COUNTDOWN_DURATION);
+      expect(after.served).toBe(true);
+      expect(sim.phase).toBe('playing');
+      expect(Math.hypot(sim.ball.vx, sim.ball.vy)).toBeCloseTo(sim.baseBallSpeed, 5);
+    });
+
+    test('moves paddles one step per input at paddle speed', () => {
+      const sim = createSimulation('classic', 0);
+      const startY = sim.paddles[0].y;
+      queuePaddleInput(sim, 0, 0, 1);
+      
+      stepSimulation(sim, 0);
+      
+      expect(sim.paddles[0].y).toBe(startY - CONFIG.GAME.PADDLE_SPEED);
+      expect(sim.lastProcessedSeq[0]).toBe(1);
+
+      // No input, no movement
+      stepSimulation(sim, 0);
+      expect(sim.paddles[0].y).toBe(startY - CONFIG.GAME.PADDLE_SPEED);
+    });
+
+    test('applies a limited number of inputs per tick', () => {
+      const sim = createSimulation('classic', 0);
+      for (let seq = 1; seq <= 5; seq++) {
+        queuePaddleInput(sim, 1, 0, seq);
+      }
+
+      stepSimulation(sim, 0);
+
+      expect(sim.lastProcessedSeq[1]).toBe(MAX_INPUTS_PER_TICK);
+      expect(sim.inputQueues[1]).toHaveLength(5 - MAX_INPUTS_PER_TICK);
+      // Catching up on the queue does not move the paddle further than one step
+      expect(getPaddleCenter(sim, 1)).toBe(FIELD.height / 2 - CONFIG.GAME.PADDLE_SPEED);
+    });
+
+    test('two inputs every tick still move the paddle at paddle speed', () => {
+      const sim = createSimulation('classic', 0);
+      const startY = sim.paddles[0].y;
+      let seq = 0;
+
+      for (let tick = 1; tick <= 5; tick++) {
+        queuePaddleInput(sim, 0, 0, ++seq);
+        queuePaddleInput(sim, 0, 0, ++seq);
+        stepSimulation(sim, 0);
+
+        expect(sim.paddles[0].y).toBe(startY - tick * CONFIG.GAME.PADDLE_SPEED);
+      }
+      expect(sim.lastProcessedSeq[0]).toBe(seq);
+    });
+
+    test('awards a point and schedules the next serve', () => {
+      const sim = createSimulation('classic', 0);
+      sim.paddles[0].y = 500;
+      startPlaying(sim, { x: 15, y: 100, vx: -10, vy: 0 });
+
+      const result = stepSimulation(sim, 5000);
+
+      expect(result.scored).toBe(1);
+      expect(sim.scores).toEqual([0, 1]);
+      expect(sim.phase).toBe('point');
+      expect(sim.serveAt).toBe(5000 + CONFIG.GAME.SCORE_PAUSE_DURATION);
+      expect(sim.serveDirection).toBe(-1);
+      expect(sim.ball.vx).toBe(0);
+    });
+
+    test('finishes the match at the win score', () => {
+      const sim = createSimulation('speedrun', 0);
+      sim.scores[0] = 4;
+      sim.paddles[1].y = 500;
+      startPlaying(sim, { x: FIELD.width - 15, y: 100, vx: 10, vy: 0 });
+
+      stepSimulation(sim, 0);
+
+      expect(sim.scores).toEqual([5, 0]);
+      expect(sim.phase).toBe('finished');
+      expect(sim.winnerIndex).toBe(0);
+    });
+
+    test('plays on at the win score until a player leads by two', () => {
+      const sim = createSimulation('classic', 0, 1, { ...getMatchRules('classic'), winScore: 5, winByTwo: true });
+      sim.scores[0] = 4;
+      sim.scores[1] = 4;
+      sim.paddles[1].y = 500;
+      startPlaying(sim, { x: FIELD.width - 15, y: 100, vx: 10, vy: 0 });
+
+      stepSimulation(sim, 0);
+
+      expect(sim.scores).toEqual([5, 4]);
+      expect(sim.phase).toBe('point');
+    });
+
+    test('tracks rally length on paddle hits', () => {
+      const sim = createSimulation('classic', 0);
+      const paddle = sim.paddles[0];
+      startPlaying(sim, {
+        x: paddle.x + paddle.width + sim.ball.radius + 2,
+        y: paddle.y + paddle.height / 2,
+        vx: -5,
+        vy: 0
+      });
+
+      const result = stepSimulation(sim, 0);
+
+      expect(result.hitPaddle).toBe(true);
+      expect(sim.ball.vx).toBeGreaterThan(0);
+      expect(sim.rally).toBe(1);
+      expect(sim.longestRally).toBe(1);
+    });
+
+    test('moves extra balls alongside the main ball', () => {
+      const sim = createSimulation('classic', 0);
+      startPlaying(sim, { x: 400, y: 300, vx: 5, vy: 0 });
+      spawnExtraBall(sim);
+      const extra = sim.balls[1];
+      Object.assign(extra, { x: 400, y: 100, vx: -4, vy: 0 });
+
+      stepSimulation(sim, 0);
+
+      expect(sim.ball.x).toBe(405);
+      expect(extra.x).toBe(396);
+    });
+
+    test('an extra ball scores the point and the extras leave play', () => {
+      const sim = createSimulation('classic', 0);
+      sim.paddles[0].y = 500;
+      startPlaying(sim, { x: 400, y: 300, vx: 5, vy: 0 });
+      spawnExtraBall(sim);
+      Object.assign(sim.balls[1], { x: 15, y: 100, vx: -10, vy: 0 });
+
+      const result = stepSimulation(sim, 0);
+
+      expect(result.scored).toBe(1);
+      expect(sim.scores).toEqual([0, 1]);
+      expect(sim.balls).toEqual([sim.ball]);
+      expect(sim.ball.vx).toBe(0);
+      expect(sim.phase).toBe('point');
+    });
+
+    test('does nothing once finished', () => {
+      const sim = createSimulation('classic', 0);
+      startPlaying(sim, { x: 400, y: 300, vx: 5, vy: 0 });
+      sim.phase = 'finished';
+
+      stepSimulation(sim, 0);
+
+      expect(sim.ball.x).toBe(400);
+    });
+  });
+
+  describe('spawnExtraBall', () => {
+    test('serves an extra ball from the centre at the base speed', () => {
+      const sim = createSimulation('speedrun', 0);
+      startPlaying(sim, { x: 100, y: 100, vx: 5, vy: 0 });
+
+      spawnExtraBall(sim);
+
+      expect(sim.balls).toHaveLength(2);
+      const extra = sim.balls[1];
+      expect(extra).not.toBe(sim.ball);
+      expect(extra.x).toBe(FIELD.width / 2);
+      expect(extra.y).toBe(FIELD.height / 2);
+      expect(Math.hypot(extra.vx, extra.vy)).toBeCloseTo(sim.baseBallSpeed, 5);
+    });
+
+    test('stops at the ball limit', () => {
+      const sim = createSimulation('classic', 0);
+      for (let i = 0; i < MAX_BALLS + 2; i++) {
+        spawnExtraBall(sim);
+      }
+      expect(sim.balls).toHaveLength(MAX_BALLS);
+    });
+  });
+
+  describe('advanceSimulation', () => {
+    test('runs one step per elapsed tick', () => {
+      const sim = createSimulation('classic', 0);
+      const results = advanceSimulation(sim, TICK_MS * 3 + 1);
+      expect(results).toHaveLength(3);
+      expect(sim.tick).toBe(3);
+    });
+
+    test('runs nothing before a full tick has elapsed', () => {
+      const sim = createSimulation('classic', 0);
+      expect(advanceSimulation(sim, TICK_MS / 2)).toHaveLength(0);
+    });
+
+    test('caps catch-up after a long stall', () => {
+      const sim = createSimulation('classic', 0);
+      const results = advanceSimulation(sim, 10000);
+      expect(results).toHaveLength(MAX_CATCHUP_TICKS);
+      expect(sim.lastStepTime).toBe(10000);
+    });
+  });
+
+  describe('determinism', () => {
+    // Play a match from a seed with a fixed input log
+    const replay = (gameMode, seed) => {
+      const sim = createSimulation(gameMode, 0, seed);
+      let now = 0;
+      for (let seq = 1; seq <= 600; seq++) {
+        queuePaddleInput(sim, 0, 150 + (seq % 300), seq);
+        queuePaddleInput(sim, 1, 450 - (seq % 300), seq);
+        now += TICK_MS;
+        advanceSimulation(sim, now);
+      }
+      return sim;
+    };
+
+    test('same seed and inputs replay the same match', () => {
+      const a = replay('chaos', 77);
+      const b = replay('chaos', 77);
+
+      expect(b.balls).toEqual(a.balls);
+      expect(b.paddles).toEqual(a.paddles);
+      expect(b.scores).toEqual(a.scores);
+      expect(b.powerups.manager.active).toEqual(a.powerups.manager.active);
+    });
+
+    test('different seeds serve differently', () => {
+      const a = replay('classic', 1);
+      const b = replay('classic', 2);
+      expect(b.ball).not.toEqual(a.ball);
+    });
+  });
+
+  describe('getBallSnapshot', () => {
+    test('returns position and velocity stamped with the simulation time', () => {
+      const sim = createSimulation('classic', 0);
+      startPlaying(sim, { x: 1, y: 2, vx: 3, vy: 4 });
+      advanceSimulation(sim, TICK_MS * 2);
+      Object.assign(sim.ball, { x: 1, y: 2, vx: 3, vy: 4 });
+
+      expect(getBallSnapshot(sim)).toEqual({ tick: 2, t: TICK_MS * 2, x: 1, y: 2, vx: 3, vy: 4, extraBalls: [] });
+    });
+
+    test('includes every extra ball in play', () => {
+      const sim = createSimulation('classic', 0);
+      startPlaying(sim, { x: 1, y: 2, vx: 3, vy: 4 });
+      spawnExtraBall(sim);
+      Object.assign(sim.balls[1], { x: 5, y: 6, vx: 7, vy: 8 });
+
+      expect(getBallSnapshot(sim).extraBalls).toEqual([{ x: 5, y: 6, vx: 7, vy: 8 }]);
+    });
+  });
+});
@@ -0,0 +1,35 @@
+/**
+ * In-process Postgres for testing the database functions
+ * Applies every migration in supabase/migrations to a PGlite database, with
+ * stand-ins for the parts of Supabase the migrations expect.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { PGlite } = require('@electric-sql/pglite');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'supabase', 'migrations');
+
+// Supabase's API roles and auth.role(), as seen by the service role
+const SUPABASE_STUBS = `
+  CREATE ROLE anon;
+  CREATE ROLE authenticated;
+  CREATE ROLE service_role;
+  CREATE SCHEMA auth;
+  CREATE FUNCTION auth.role() RETURNS TEXT LANGUAGE sql AS $$ SELECT 'service_role' $$;
+`;
+
+/**
+ * Create a database with every migration applied
+ * @returns {Promise<PGlite>}
+ */
+async function createTestDatabase() {
+  const db = new PGlite();
+  await db.exec(SUPABASE_STUBS);
+  for (const file of fs.readdirSync(MIGRATIONS_DIR).sort()) {
+    await db.exec(fs.readFileSync(path.join(MIGRATIONS_DIR, file), 'utf8'));
+  }
+  return db;
+}
+
+module.exports = { createTestDatabase };
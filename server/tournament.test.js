@@ -0,0 +1,290 @@
+/**
+ * Tests for tournament brackets
+ */
+
+const {
+  TOURNAMENT,
+  BYE,
+  validateTournamentOptions,
+  createTournament,
+  addPlayer,
+  removePlayer,
+  getSeedOrder,
+  seedPlayers,
+  buildBracket,
+  getMatch,
+  startTournament,
+  reportResult,
+  resetMatch,
+  getReadyMatches,
+  getLosses,
+  getTournamentView
+} = require('./lib/tournament');
+
+const NOW = 1000000;
+
+function makeTournament(size, format, ratings) {
+  const tournament = createTournament('ABCD12', 'p1', { name: 'Cup', size, format }, 'classic', NOW);
+  ratings.forEach((rating, i) => {
+    addPlayer(tournament, { username: `p${i + 1}`, rating });
+  });
+  return tournament;
+}
+
+// Play every ready match, letting the player in slot 0 win unless told otherwise
+function playReady(tournament, pickWinner = match => match.players[0]) {
+  getReadyMatches(tournament).forEach(match => {
+    const winner = pickWinner(match);
+    const scores = match.players[0] === winner ? [11, 5] : [5, 11];
+    expect(reportResult(tournament, match.id, winner, scores, NOW).success).toBe(true);
+  });
+}
+
+describe('Tournament Module', () => {
+  describe('validateTournamentOptions', () => {
+    test('accepts supported sizes and formats', () => {
+      TOURNAMENT.SIZES.forEach(size => {
+        TOURNAMENT.FORMATS.forEach(format => {
+          expect(validateTournamentOptions({ size, format }).valid).toBe(true);
+        });
+      });
+    });
+
+    test('defaults the name and format', () => {
+      expect(validateTournamentOptions({ size: 4 }).options).toEqual({
+        name: TOURNAMENT.DEFAULT_NAME, size: 4, format: 'single'
+      });
+    });
+
+    test('rejects unsupported sizes', () => {
+      expect(validateTournamentOptions({ size: 6 }).valid).toBe(false);
+      expect(validateTournamentOptions({ size: 32 }).valid).toBe(false);
+    });
+
+    test('rejects unknown formats', () => {
+      expect(validateTournamentOptions({ size: 4, format: 'swiss' }).valid).toBe(false);
+    });
+
+    test('rejects unsafe or overlong names', () => {
+      expect(validateTournamentOptions({ size: 4, name: '<script>' }).valid).toBe(false);
+      expect(validateTournamentOptions({ size: 4, name: 'x'.repeat(31) }).valid).toBe(false);
+      expect(validateTournamentOptions({ size: 4, name: '   ' }).valid).toBe(false);
+    });
+
+    test('rejects missing options', () => {
+      expect(validateTournamentOptions(null).valid).toBe(false);
+    });
+  });
+
+  describe('registration', () => {
+    test('adds players until full', () => {
+      const tournament = makeTournament(4, 'single', [1000, 1000, 1000, 1000]);
+      const result = addPlayer(tournament, { username: 'late', rating: 1000 });
+      expect(result).toEqual({ success: false, error: 'Tournament is full' });
+    });
+
+    test('rejects duplicate players', () => {
+      const tournament = makeTournament(4, 'single', [1000]);
+      expect(addPlayer(tournament, { username: 'p1', rating: 1000 }).success).toBe(false);
+    });
+
+    test('removes players only before the start', () => {
+      const tournament = makeTournament(4, 'single', [1000, 1000, 1000]);
+      expect(removePlayer(tournament, 'p3')).toBe(true);
+      expect(removePlayer(tournament, 'nobody')).toBe(false);
+
+      startTournament(tournament, NOW);
+      expect(removePlayer(tournament, 'p2')).toBe(false);
+      expect(addPlayer(tournament, { username: 'late', rating: 1000 }).success).toBe(false);
+    });
+  });
+
+  describe('seeding', () => {
+    test('orders seeds so the top two meet in the final', () => {
+      expect(getSeedOrder(4)).toEqual([1, 4, 2, 3]);
+      expect(getSeedOrder(8)).toEqual([1, 8, 4, 5, 2, 7, 3, 6]);
+    });
+
+    test('seeds by rating with registration order breaking ties', () => {
+      const players = [
+        { username: 'a', rating: 1000 },
+        { username: 'b', rating: 1400 },
+        { username: 'c', rating: 1000 }
+      ];
+      expect(seedPlayers(players).map(p => p.username)).toEqual(['b', 'a', 'c']);
+      expect(players.map(p => p.seed)).toEqual([2, 1, 3]);
+    });
+  });
+
+  describe('buildBracket', () => {
+    test('builds n-1 matches for single elimination', () => {
+      expect(buildBracket(8, 'single')).toHaveLength(7);
+      expect(buildBracket(16, 'single')).toHaveLength(15);
+    });
+
+    test('builds winners, losers and grand final matches for double elimination', () => {
+      const matches = buildBracket(8, 'double');
+      expect(matches.filter(m => m.bracket === 'winners')).toHaveLength(7);
+      expect(matches.filter(m => m.bracket === 'losers')).toHaveLength(6);
+      expect(matches.filter(m => m.bracket === 'final').map(m => m.id)).toEqual(['GF1', 'GF2']);
+    });
+
+    test('sends every winners bracket loser to the losers bracket', () => {
+      buildBracket(16, 'double')
+        .filter(m => m.bracket === 'winners')
+        .forEach(m => expect(m.loserTo).not.toBeNull());
+    });
+  });
+
+  describe('startTournament', () => {
+    test('needs at least two players', () => {
+      const tournament = makeTournament(4, 'single', [1000]);
+      expect(startTournament(tournament, NOW).success).toBe(false);
+      expect(tournament.state).toBe('registration');
+    });
+
+    test('pairs the highest seed with the lowest in round one', () => {
+      const tournament = makeTournament(4, 'single', [1100, 1400, 1000, 1200]);
+      startTournament(tournament, NOW);
+
+      expect(getMatch(tournament, 'W1-1').players).toEqual(['p2', 'p3']);
+      expect(getMatch(tournament, 'W1-2').players).toEqual(['p4', 'p1']);
+      expect(getReadyMatches(tournament)).toHaveLength(2);
+    });
+
+    test('gives byes to the top seeds', () => {
+      const tournament = makeTournament(8, 'single', [1500, 1400, 1300, 1200, 1100]);
+      startTournament(tournament, NOW);
+
+      const byes = tournament.matches.filter(m => m.round === 1 && m.players.includes(BYE));
+      expect(byes).toHaveLength(3);
+      byes.forEach(m => expect(m.state).toBe('complete'));
+      expect(getReadyMatches(tournament).map(m => m.players)).toEqual([['p4', 'p5'], ['p2', 'p3']]);
+      expect(getMatch(tournament, 'W2-1').players).toEqual(['p1', null]);
+    });
+  });
+
+  describe('single elimination', () => {
+    test('advances winners to a champion', () => {
+      const tournament = makeTournament(4, 'single', [1400, 1300, 1200, 1100]);
+      startTournament(tournament, NOW);
+
+      playReady(tournament);
+      expect(getMatch(tournament, 'W2-1').players).toEqual(['p1', 'p2']);
+
+      playReady(tournament, match => match.players[1]);
+      expect(tournament.state).toBe('finished');
+      expect(tournament.champion).toBe('p2');
+      expect(tournament.finishedAt).toBe(NOW);
+    });
+
+    test('rejects results for unknown matches, finished matches and outsiders', () => {
+      const tournament = makeTournament(4, 'single', [1400, 1300, 1200, 1100]);
+      startTournament(tournament, NOW);
+
+      expect(reportResult(tournament, 'W9-9', 'p1', [11, 0]).success).toBe(false);
+      expect(reportResult(tournament, 'W1-1', 'p2', [11, 0]).success).toBe(false);
+      expect(reportResult(tournament, 'W2-1', 'p1', [11, 0]).success).toBe(false);
+
+      reportResult(tournament, 'W1-1', 'p1', [11, 0]);
+      expect(reportResult(tournament, 'W1-1', 'p1', [11, 0]).success).toBe(false);
+    });
+  });
+
+  describe('resetMatch', () => {
+    test('puts a match in progress back to ready', () => {
+      const tournament = makeTournament(4, 'single', [1400, 1300, 1200, 1100]);
+      startTournament(tournament, NOW);
+      const match = getMatch(tournament, 'W1-1');
+      match.state = 'playing';
+      match.roomCode = 'ROOM01';
+
+      expect(resetMatch(tournament, 'W1-1').success).toBe(true);
+      expect(match.state).toBe('ready');
+      expect(match.roomCode).toBeNull();
+      expect(getReadyMatches(tournament)).toContain(match);
+    });
+
+    test('rejects unknown matches and matches not in progress', () => {
+      const tournament = makeTournament(4, 'single', [1400, 1300, 1200, 1100]);
+      startTournament(tournament, NOW);
+
+      expect(resetMatch(tournament, 'W9-9').success).toBe(false);
+      expect(resetMatch(tournament, 'W1-1').success).toBe(false);
+      reportResult(tournament, 'W1-1', 'p1', [11, 0]);
+      expect(resetMatch(tournament, 'W1-1').success).toBe(false);
+    });
+  });
+
+  describe('double elimination', () => {
+    test('drops losers into the losers bracket', () => {
+      const tournament = makeTournament(4, 'double', [1400, 1300, 1200, 1100]);
+      startTournament(tournament, NOW);
+      playReady(tournament);
+
+      expect(getMatch(tournament, 'L1-1').players).toEqual(['p4', 'p3']);
+      expect(getLosses(tournament, 'p4')).toBe(1);
+    });
+
+    test('finishes after GF1 when the winners bracket player wins', () => {
+      const tournament = makeTournament(4, 'double', [1400, 1300, 1200, 1100]);
+      startTournament(tournament, NOW);
+
+      while (tournament.state === 'running') {
+        playReady(tournament);
+      }
+
+      expect(tournament.champion).toBe('p1');
+      expect(getMatch(tournament, 'GF1').players).toEqual(['p1', 'p4']);
+      expect(getMatch(tournament, 'GF2').state).toBe('skipped');
+    });
+
+    test('plays GF2 when the losers bracket player wins GF1', () => {
+      const tournament = makeTournament(4, 'double', [1400, 1300, 1200, 1100]);
+      startTournament(tournament, NOW);
+
+      while (getMatch(tournament, 'GF1').state !== 'ready') {
+        playReady(tournament);
+      }
+      reportResult(tournament, 'GF1', 'p4', [5, 11], NOW);
+      expect(tournament.state).toBe('running');
+      expect(getMatch(tournament, 'GF2').state).toBe('ready');
+
+      reportResult(tournament, 'GF2', 'p4', [5, 11], NOW);
+      expect(tournament.champion).toBe('p4');
+      expect(tournament.state).toBe('finished');
+    });
+
+    test('completes a 16 player bracket with byes', () => {
+      const ratings = Array.from({ length: 11 }, (_, i) => 1500 - i * 10);
+      const tournament = makeTournament(16, 'double', ratings);
+      startTournament(tournament, NOW);
+
+      let rounds = 0;
+      while (tournament.state === 'running' && rounds < 50) {
+        playReady(tournament, match => match.players[1]);
+        rounds++;
+      }
+
+      expect(tournament.state).toBe('finished');
+      tournament.players
+        .filter(p => p.username !== tournament.champion)
+        .forEach(p => expect(getLosses(tournament, p.username)).toBeGreaterThanOrEqual(1));
+    });
+  });
+
+  describe('getTournamentView', () => {
+    test('hides database IDs and marks eliminated players', () => {
+      const tournament = makeTournament(4, 'single', [1400, 1300, 1200, 1100]);
+      tournament.players[0].dbId = 'secret';
+      startTournament(tournament, NOW);
+      reportResult(tournament, 'W1-1', 'p1', [11, 3], NOW);
+
+      const view = getTournamentView(tournament);
+      expect(JSON.stringify(view)).not.toContain('secret');
+      expect(view.players.find(p => p.username === 'p4').eliminated).toBe(true);
+      expect(view.players.find(p => p.username === 'p1').eliminated).toBe(false);
+      expect(view.matches[0]).not.toHaveProperty('winnerTo');
+    });
+  });
+});
@@ -10,7 +10,8 @@ const {
   validateRoomCode,
   validateGameMode,
   validateScores,
-  validateRally
+  validateRally,
+  validateSeason
 } = require('./lib/validation');
 
 describe('Validation Module', () => {
@@ -185,4 +186,27 @@ describe('Validation Module', () => {
       expect(result.rally).toBe(10);
     });
   });
+
+  describe('validateSeason', () => {
+    test('accepts current', () => {
+      expect(validateSeason('current')).toEqual({ valid: true, season: 'current' });
+    });
+
+    test('accepts season numbers as strings or numbers', () => {
+      expect(validateSeason('3')).toEqual({ valid: true, season: 3 });
+      expect(validateSeason(1)).toEqual({ valid: true, season: 1 });
+    });
+
+    test('rejects zero, negatives and fractions', () => {
+      expect(validateSeason('0').valid).toBe(false);
+      expect(validateSeason('-2').valid).toBe(false);
+      expect(validateSeason('1.5').valid).toBe(false);
+    });
+
+    test('rejects other input', () => {
+      expect(validateSeason('latest')).toEqual({ valid: false, error: 'Invalid season' });
+      expect(validateSeason(['1'])).toEqual({ valid: false, error: 'Invalid season' });
+      expect(validateSeason(undefined).valid).toBe(false);
+    });
+  });
 });
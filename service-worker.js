@@ -3,7 +3,7 @@
  * Enables offline single-player mode via caching
  */
 
-const CACHE_NAME = 'pong-v2';
+const CACHE_NAME = 'pong-v4';
 
 // Use relative paths to support deployment in subdirectories (e.g., GitHub Pages)
 const ASSETS = [
@@ -14,6 +14,7 @@ const ASSETS = [
   './css/responsive.css',
   './js/config.js',
   './js/utils.js',
+  './js/rng.js',
   './js/audio.js',
   './js/controls.js',
   './js/physics.js',
@@ -21,6 +22,7 @@ const ASSETS = [
   './js/powerups.js',
   './js/renderer.js',
   './js/storage.js',
+  './js/replays.js',
   './js/leaderboard.js',
   './js/screens.js',
   './js/game.js',
@@ -0,0 +1,100 @@
+-- Pong7 Tournaments
+-- Single- and double-elimination brackets (see server/lib/tournament.js)
+-- Migration: 20261018_tournaments
+
+-- ============================================
+-- TABLES
+-- ============================================
+
+-- Tournaments (written when the bracket starts and as it finishes)
+CREATE TABLE IF NOT EXISTS tournaments (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  code VARCHAR(6) NOT NULL,
+  name VARCHAR(30) NOT NULL,
+  size INTEGER NOT NULL CHECK (size IN (4, 8, 16)),
+  format VARCHAR(10) NOT NULL CHECK (format IN ('single', 'double')),
+  game_mode VARCHAR(20) NOT NULL,
+  state VARCHAR(20) NOT NULL DEFAULT 'running' CHECK (state IN ('running', 'finished')),
+  host_id UUID REFERENCES players(id) ON DELETE SET NULL,
+  champion_id UUID REFERENCES players(id) ON DELETE SET NULL,
+  started_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  finished_at TIMESTAMP WITH TIME ZONE
+);
+
+-- Entrants and their seeds
+CREATE TABLE IF NOT EXISTS tournament_players (
+  tournament_id UUID REFERENCES tournaments(id) ON DELETE CASCADE,
+  player_id UUID REFERENCES players(id) ON DELETE CASCADE,
+  seed INTEGER NOT NULL,
+  elo_rating INTEGER NOT NULL,
+  PRIMARY KEY (tournament_id, player_id)
+);
+
+-- Played bracket matches (byes are not recorded)
+CREATE TABLE IF NOT EXISTS tournament_matches (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  tournament_id UUID REFERENCES tournaments(id) ON DELETE CASCADE,
+  match_key VARCHAR(10) NOT NULL,
+  bracket VARCHAR(10) NOT NULL CHECK (bracket IN ('winners', 'losers', 'final')),
+  round INTEGER NOT NULL,
+  player1_id UUID REFERENCES players(id) ON DELETE SET NULL,
+  player2_id UUID REFERENCES players(id) ON DELETE SET NULL,
+  player1_score INTEGER NOT NULL,
+  player2_score INTEGER NOT NULL,
+  winner_id UUID REFERENCES players(id) ON DELETE SET NULL,
+  played_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE (tournament_id, match_key)
+);
+
+-- ============================================
+-- ROW LEVEL SECURITY
+-- ============================================
+
+ALTER TABLE tournaments ENABLE ROW LEVEL SECURITY;
+ALTER TABLE tournament_players ENABLE ROW LEVEL SECURITY;
+ALTER TABLE tournament_matches ENABLE ROW LEVEL SECURITY;
+
+-- Public read access
+DROP POLICY IF EXISTS "Public read access" ON tournaments;
+DROP POLICY IF EXISTS "Public read access" ON tournament_players;
+DROP POLICY IF EXISTS "Public read access" ON tournament_matches;
+
+CREATE POLICY "Public read access" ON tournaments FOR SELECT USING (true);
+CREATE POLICY "Public read access" ON tournament_players FOR SELECT USING (true);
+CREATE POLICY "Public read access" ON tournament_matches FOR SELECT USING (true);
+
+-- Backend write access (restricted to service role only)
+DROP POLICY IF EXISTS "Service insert tournaments" ON tournaments;
+DROP POLICY IF EXISTS "Service update tournaments" ON tournaments;
+DROP POLICY IF EXISTS "Service insert tournament_players" ON tournament_players;
+DROP POLICY IF EXISTS "Service insert tournament_matches" ON tournament_matches;
+
+CREATE POLICY "Service insert tournaments" ON tournaments
+  FOR INSERT WITH CHECK (auth.role() = 'service_role');
+
+CREATE POLICY "Service update tournaments" ON tournaments
+  FOR UPDATE USING (auth.role() = 'service_role')
+  WITH CHECK (auth.role() = 'service_role');
+
+CREATE POLICY "Service insert tournament_players" ON tournament_players
+  FOR INSERT WITH CHECK (auth.role() = 'service_role');
+
+CREATE POLICY "Service insert tournament_matches" ON tournament_matches
+  FOR INSERT WITH CHECK (auth.role() = 'service_role');
+
+-- Deny deletes
+DROP POLICY IF EXISTS "No deletes tournaments" ON tournaments;
+DROP POLICY IF EXISTS "No deletes tournament_players" ON tournament_players;
+DROP POLICY IF EXISTS "No deletes tournament_matches" ON tournament_matches;
+
+CREATE POLICY "No deletes tournaments" ON tournaments FOR DELETE USING (false);
+CREATE POLICY "No deletes tournament_players" ON tournament_players FOR DELETE USING (false);
+CREATE POLICY "No deletes tournament_matches" ON tournament_matches FOR DELETE USING (false);
+
+-- ============================================
+-- INDEXES
+-- ============================================
+
+CREATE INDEX IF NOT EXISTS idx_tournaments_started_at ON tournaments(started_at DESC);
+CREATE INDEX IF NOT EXISTS idx_tournament_players_player ON tournament_players(player_id);
+CREATE INDEX IF NOT EXISTS idx_tournament_matches_tournament ON tournament_matches(tournament_id);
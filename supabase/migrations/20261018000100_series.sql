@@ -0,0 +1,55 @@
+-- Pong7 Best-of-N Series
+-- One row per decided series; the games themselves stay in matches
+-- Migration: 20261018_series
+
+-- ============================================
+-- TABLES
+-- ============================================
+
+-- Series results (player1 is whoever started the first game on the left)
+CREATE TABLE IF NOT EXISTS series (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  player1_id UUID REFERENCES players(id) ON DELETE SET NULL,
+  player2_id UUID REFERENCES players(id) ON DELETE SET NULL,
+  best_of INTEGER NOT NULL CHECK (best_of IN (3, 5, 7)),
+  player1_wins INTEGER NOT NULL,
+  player2_wins INTEGER NOT NULL,
+  winner_id UUID REFERENCES players(id) ON DELETE SET NULL,
+  game_mode VARCHAR(20) NOT NULL,
+  played_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Link each game to its series (NULL for single games)
+ALTER TABLE matches ADD COLUMN IF NOT EXISTS series_id UUID REFERENCES series(id) ON DELETE SET NULL;
+
+-- ============================================
+-- ROW LEVEL SECURITY
+-- ============================================
+
+ALTER TABLE series ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Public read access" ON series;
+CREATE POLICY "Public read access" ON series FOR SELECT USING (true);
+
+-- Backend write access (restricted to service role only)
+DROP POLICY IF EXISTS "Service insert series" ON series;
+DROP POLICY IF EXISTS "Service update matches" ON matches;
+
+CREATE POLICY "Service insert series" ON series
+  FOR INSERT WITH CHECK (auth.role() = 'service_role');
+
+-- Needed to attach series_id once the series is decided
+CREATE POLICY "Service update matches" ON matches
+  FOR UPDATE USING (auth.role() = 'service_role')
+  WITH CHECK (auth.role() = 'service_role');
+
+-- Deny deletes
+DROP POLICY IF EXISTS "No deletes series" ON series;
+CREATE POLICY "No deletes series" ON series FOR DELETE USING (false);
+
+-- ============================================
+-- INDEXES
+-- ============================================
+
+CREATE INDEX IF NOT EXISTS idx_series_played_at ON series(played_at DESC);
+CREATE INDEX IF NOT EXISTS idx_matches_series ON matches(series_id);
@@ -0,0 +1,35 @@
+-- Pong7 Player Accounts
+-- Password credentials for registered players (see server/lib/auth.js)
+-- Migration: 20261018_player_accounts
+
+-- ============================================
+-- TABLES
+-- ============================================
+
+-- One set of credentials per account. Players without a row here are
+-- usernames from before accounts existed; they keep their stats and cannot
+-- be signed up for (see create_account).
+CREATE TABLE IF NOT EXISTS player_credentials (
+  player_id UUID PRIMARY KEY REFERENCES players(id) ON DELETE CASCADE,
+  password_hash TEXT NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- ============================================
+-- ROW LEVEL SECURITY
+-- ============================================
+
+ALTER TABLE player_credentials ENABLE ROW LEVEL SECURITY;
+
+-- No public read access: password hashes are only visible to the service role
+
+-- Backend write access (restricted to service role only)
+DROP POLICY IF EXISTS "Service insert player_credentials" ON player_credentials;
+
+CREATE POLICY "Service insert player_credentials" ON player_credentials
+  FOR INSERT WITH CHECK (auth.role() = 'service_role');
+
+-- Deny deletes
+DROP POLICY IF EXISTS "No deletes player_credentials" ON player_credentials;
+
+CREATE POLICY "No deletes player_credentials" ON player_credentials FOR DELETE USING (false);
@@ -0,0 +1,14 @@
+-- Pong7 Forfeits and Abandonment
+-- Matches won because the opponent did not reconnect, and how often each
+-- player abandons matches (feeds matchmaking penalties)
+-- Migration: 20261018_forfeits
+
+-- ============================================
+-- TABLES
+-- ============================================
+
+-- True when the loser disconnected and the reconnect grace period ran out
+ALTER TABLE matches ADD COLUMN IF NOT EXISTS forfeit BOOLEAN NOT NULL DEFAULT false;
+
+-- Matches the player has abandoned
+ALTER TABLE player_stats ADD COLUMN IF NOT EXISTS abandonments INTEGER NOT NULL DEFAULT 0;
@@ -0,0 +1,108 @@
+-- Pong7 Transactional Match Recording
+-- record_match() inserts a match and applies both players' stats and Elo
+-- changes in one transaction, so concurrent matches for the same player
+-- cannot lose updates and a failure cannot leave a match without its stats.
+-- Migration: 20261018_record_match
+
+-- ============================================
+-- FUNCTIONS
+-- ============================================
+
+CREATE OR REPLACE FUNCTION record_match(
+  p_player1_id UUID,
+  p_player2_id UUID,
+  p_player1_score INTEGER,
+  p_player2_score INTEGER,
+  p_winner_id UUID,
+  p_game_mode VARCHAR(20),
+  p_duration_seconds INTEGER,
+  p_longest_rally INTEGER,
+  p_forfeit BOOLEAN DEFAULT false
+)
+RETURNS TABLE (match_id UUID, winner_elo INTEGER, loser_elo INTEGER, elo_change INTEGER)
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_loser_id UUID;
+  v_winner_score INTEGER;
+  v_loser_score INTEGER;
+  v_winner player_stats%ROWTYPE;
+  v_loser player_stats%ROWTYPE;
+  v_change INTEGER;
+  v_match_id UUID;
+BEGIN
+  IF p_winner_id = p_player1_id THEN
+    v_loser_id := p_player2_id;
+    v_winner_score := p_player1_score;
+    v_loser_score := p_player2_score;
+  ELSIF p_winner_id = p_player2_id THEN
+    v_loser_id := p_player1_id;
+    v_winner_score := p_player2_score;
+    v_loser_score := p_player1_score;
+  ELSE
+    RAISE EXCEPTION 'Winner % did not play in this match', p_winner_id;
+  END IF;
+
+  -- Lock both stats rows in a fixed order so concurrent matches wait for
+  -- each other instead of deadlocking
+  PERFORM 1 FROM player_stats
+    WHERE player_id IN (p_player1_id, p_player2_id)
+    ORDER BY player_id
+    FOR UPDATE;
+
+  SELECT * INTO v_winner FROM player_stats WHERE player_id = p_winner_id;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'No stats for player %', p_winner_id;
+  END IF;
+
+  SELECT * INTO v_loser FROM player_stats WHERE player_id = v_loser_id;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'No stats for player %', v_loser_id;
+  END IF;
+
+  -- Zero-sum Elo as in server/lib/elo.js (K = 32, ratings never drop below 100)
+  v_change := ROUND(32 * (1 - 1 / (1 + POWER(10, (v_loser.elo_rating - v_winner.elo_rating) / 400.0))));
+
+  INSERT INTO matches (
+    player1_id, player2_id, player1_score, player2_score, winner_id,
+    game_mode, duration_seconds, longest_rally, forfeit
+  ) VALUES (
+    p_player1_id, p_player2_id, p_player1_score, p_player2_score, p_winner_id,
+    p_game_mode, p_duration_seconds, p_longest_rally, p_forfeit
+  )
+  RETURNING id INTO v_match_id;
+
+  UPDATE player_stats SET
+    games_played = games_played + 1,
+    games_won = games_won + 1,
+    total_points_scored = total_points_scored + v_winner_score,
+    total_points_conceded = total_points_conceded + v_loser_score,
+    current_win_streak = current_win_streak + 1,
+    best_win_streak = GREATEST(best_win_streak, current_win_streak + 1),
+    longest_rally = GREATEST(longest_rally, p_longest_rally),
+    elo_rating = GREATEST(100, elo_rating + v_change),
+    updated_at = NOW()
+  WHERE player_id = p_winner_id;
+
+  UPDATE player_stats SET
+    games_played = games_played + 1,
+    games_lost = games_lost + 1,
+    total_points_scored = total_points_scored + v_loser_score,
+    total_points_conceded = total_points_conceded + v_winner_score,
+    current_win_streak = 0,
+    longest_rally = GREATEST(longest_rally, p_longest_rally),
+    elo_rating = GREATEST(100, elo_rating - v_change),
+    updated_at = NOW()
+  WHERE player_id = v_loser_id;
+
+  RETURN QUERY SELECT
+    v_match_id,
+    GREATEST(100, v_winner.elo_rating + v_change),
+    GREATEST(100, v_loser.elo_rating - v_change),
+    v_change;
+END;
+$$;
+
+-- Only the backend records matches
+REVOKE EXECUTE ON FUNCTION record_match(UUID, UUID, INTEGER, INTEGER, UUID, VARCHAR, INTEGER, INTEGER, BOOLEAN) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION record_match(UUID, UUID, INTEGER, INTEGER, UUID, VARCHAR, INTEGER, INTEGER, BOOLEAN) TO service_role;
@@ -0,0 +1,149 @@
+-- Pong7 Rating History
+-- One row per match per player with the Elo before and after, so players can
+-- see how their rating has moved. record_match() now writes the rows in the
+-- same transaction as the match.
+-- Migration: 20261018_rating_history
+
+-- ============================================
+-- TABLES
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS rating_history (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  player_id UUID NOT NULL REFERENCES players(id) ON DELETE CASCADE,
+  match_id UUID REFERENCES matches(id) ON DELETE CASCADE,
+  opponent_id UUID REFERENCES players(id) ON DELETE SET NULL,
+  rating_before INTEGER NOT NULL,
+  rating_after INTEGER NOT NULL,
+  delta INTEGER NOT NULL,
+  played_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- ============================================
+-- FUNCTIONS
+-- ============================================
+
+CREATE OR REPLACE FUNCTION record_match(
+  p_player1_id UUID,
+  p_player2_id UUID,
+  p_player1_score INTEGER,
+  p_player2_score INTEGER,
+  p_winner_id UUID,
+  p_game_mode VARCHAR(20),
+  p_duration_seconds INTEGER,
+  p_longest_rally INTEGER,
+  p_forfeit BOOLEAN DEFAULT false
+)
+RETURNS TABLE (match_id UUID, winner_elo INTEGER, loser_elo INTEGER, elo_change INTEGER)
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_loser_id UUID;
+  v_winner_score INTEGER;
+  v_loser_score INTEGER;
+  v_winner player_stats%ROWTYPE;
+  v_loser player_stats%ROWTYPE;
+  v_change INTEGER;
+  v_winner_after INTEGER;
+  v_loser_after INTEGER;
+  v_match_id UUID;
+BEGIN
+  IF p_winner_id = p_player1_id THEN
+    v_loser_id := p_player2_id;
+    v_winner_score := p_player1_score;
+    v_loser_score := p_player2_score;
+  ELSIF p_winner_id = p_player2_id THEN
+    v_loser_id := p_player1_id;
+    v_winner_score := p_player2_score;
+    v_loser_score := p_player1_score;
+  ELSE
+    RAISE EXCEPTION 'Winner % did not play in this match', p_winner_id;
+  END IF;
+
+  -- Lock both stats rows in a fixed order so concurrent matches wait for
+  -- each other instead of deadlocking
+  PERFORM 1 FROM player_stats
+    WHERE player_id IN (p_player1_id, p_player2_id)
+    ORDER BY player_id
+    FOR UPDATE;
+
+  SELECT * INTO v_winner FROM player_stats WHERE player_id = p_winner_id;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'No stats for player %', p_winner_id;
+  END IF;
+
+  SELECT * INTO v_loser FROM player_stats WHERE player_id = v_loser_id;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'No stats for player %', v_loser_id;
+  END IF;
+
+  -- Zero-sum Elo as in server/lib/elo.js (K = 32, ratings never drop below 100)
+  v_change := ROUND(32 * (1 - 1 / (1 + POWER(10, (v_loser.elo_rating - v_winner.elo_rating) / 400.0))));
+  v_winner_after := GREATEST(100, v_winner.elo_rating + v_change);
+  v_loser_after := GREATEST(100, v_loser.elo_rating - v_change);
+
+  INSERT INTO matches (
+    player1_id, player2_id, player1_score, player2_score, winner_id,
+    game_mode, duration_seconds, longest_rally, forfeit
+  ) VALUES (
+    p_player1_id, p_player2_id, p_player1_score, p_player2_score, p_winner_id,
+    p_game_mode, p_duration_seconds, p_longest_rally, p_forfeit
+  )
+  RETURNING id INTO v_match_id;
+
+  UPDATE player_stats SET
+    games_played = games_played + 1,
+    games_won = games_won + 1,
+    total_points_scored = total_points_scored + v_winner_score,
+    total_points_conceded = total_points_conceded + v_loser_score,
+    current_win_streak = current_win_streak + 1,
+    best_win_streak = GREATEST(best_win_streak, current_win_streak + 1),
+    longest_rally = GREATEST(longest_rally, p_longest_rally),
+    elo_rating = v_winner_after,
+    updated_at = NOW()
+  WHERE player_id = p_winner_id;
+
+  UPDATE player_stats SET
+    games_played = games_played + 1,
+    games_lost = games_lost + 1,
+    total_points_scored = total_points_scored + v_loser_score,
+    total_points_conceded = total_points_conceded + v_winner_score,
+    current_win_streak = 0,
+    longest_rally = GREATEST(longest_rally, p_longest_rally),
+    elo_rating = v_loser_after,
+    updated_at = NOW()
+  WHERE player_id = v_loser_id;
+
+  INSERT INTO rating_history (player_id, match_id, opponent_id, rating_before, rating_after, delta)
+  VALUES
+    (p_winner_id, v_match_id, v_loser_id, v_winner.elo_rating, v_winner_after, v_winner_after - v_winner.elo_rating),
+    (v_loser_id, v_match_id, p_winner_id, v_loser.elo_rating, v_loser_after, v_loser_after - v_loser.elo_rating);
+
+  RETURN QUERY SELECT v_match_id, v_winner_after, v_loser_after, v_change;
+END;
+$$;
+
+-- ============================================
+-- ROW LEVEL SECURITY
+-- ============================================
+
+ALTER TABLE rating_history ENABLE ROW LEVEL SECURITY;
+
+-- Public read access
+DROP POLICY IF EXISTS "Public read access" ON rating_history;
+CREATE POLICY "Public read access" ON rating_history FOR SELECT USING (true);
+
+-- Backend write access (restricted to service role only)
+DROP POLICY IF EXISTS "Service insert rating_history" ON rating_history;
+CREATE POLICY "Service insert rating_history" ON rating_history
+  FOR INSERT WITH CHECK (auth.role() = 'service_role');
+
+-- Deny deletes
+DROP POLICY IF EXISTS "No deletes rating_history" ON rating_history;
+CREATE POLICY "No deletes rating_history" ON rating_history FOR DELETE USING (false);
+
+-- ============================================
+-- INDEXES
+-- ============================================
+
+CREATE INDEX IF NOT EXISTS idx_rating_history_player ON rating_history(player_id, played_at DESC);
@@ -0,0 +1,319 @@
+-- Pong7 Glicko-2 Ratings
+-- Adds rating deviation and volatility so ratings carry a confidence, and
+-- lets record_match() rate with Glicko-2 (Glickman, 2012) instead of
+-- fixed-K Elo. Matches are rated here, inside the transaction that locks
+-- both players' stats, with the same formulas as server/lib/glicko2.js
+-- (server/glicko2.test.js checks the two agree). Deviation and volatility
+-- are tracked under both engines so the server can switch between them at
+-- any time; the engine only decides which rating is written to elo_rating.
+-- Migration: 20261018_glicko2
+
+-- ============================================
+-- TABLES
+-- ============================================
+
+ALTER TABLE player_stats ADD COLUMN IF NOT EXISTS rating_deviation DOUBLE PRECISION NOT NULL DEFAULT 350;
+ALTER TABLE player_stats ADD COLUMN IF NOT EXISTS rating_volatility DOUBLE PRECISION NOT NULL DEFAULT 0.06;
+ALTER TABLE player_stats ADD COLUMN IF NOT EXISTS last_rated_at TIMESTAMP WITH TIME ZONE;
+
+-- ============================================
+-- FUNCTIONS
+-- ============================================
+
+-- Grow a deviation for each whole 7-day period the player sat out, so
+-- returning players are treated as less certain (capped at 350)
+CREATE OR REPLACE FUNCTION glicko2_inflate(
+  p_deviation DOUBLE PRECISION,
+  p_volatility DOUBLE PRECISION,
+  p_last_rated_at TIMESTAMP WITH TIME ZONE
+)
+RETURNS DOUBLE PRECISION
+LANGUAGE plpgsql
+STABLE
+AS $$
+DECLARE
+  v_periods INTEGER;
+  v_phi DOUBLE PRECISION := p_deviation / 173.7178;
+BEGIN
+  IF p_last_rated_at IS NULL OR p_last_rated_at >= NOW() THEN
+    RETURN p_deviation;
+  END IF;
+
+  v_periods := FLOOR(EXTRACT(EPOCH FROM (NOW() - p_last_rated_at)) / (7 * 86400));
+  IF v_periods <= 0 THEN
+    RETURN p_deviation;
+  END IF;
+
+  RETURN LEAST(350, SQRT(v_phi * v_phi + v_periods * p_volatility * p_volatility) * 173.7178);
+END;
+$$;
+
+-- Whether a rating is still too uncertain to be taken at face value. Every
+-- leaderboard view flags provisional ratings with this, and
+-- server/lib/glicko2.js uses the same threshold.
+CREATE OR REPLACE FUNCTION glicko2_is_provisional(p_deviation DOUBLE PRECISION)
+RETURNS BOOLEAN
+LANGUAGE sql
+IMMUTABLE
+AS $$
+  SELECT p_deviation > 110
+$$;
+
+-- Rate one player after a single game, which counts as its own rating
+-- period (tau 0.5, ratings floored at 100, deviation 30-350)
+CREATE OR REPLACE FUNCTION glicko2_update(
+  p_rating DOUBLE PRECISION,
+  p_deviation DOUBLE PRECISION,
+  p_volatility DOUBLE PRECISION,
+  p_opponent_rating DOUBLE PRECISION,
+  p_opponent_deviation DOUBLE PRECISION,
+  p_score DOUBLE PRECISION
+)
+RETURNS TABLE (rating INTEGER, deviation DOUBLE PRECISION, volatility DOUBLE PRECISION)
+LANGUAGE plpgsql
+IMMUTABLE
+AS $$
+DECLARE
+  c_scale CONSTANT DOUBLE PRECISION := 173.7178;
+  c_tau CONSTANT DOUBLE PRECISION := 0.5;
+  c_epsilon CONSTANT DOUBLE PRECISION := 0.000001;
+  v_mu DOUBLE PRECISION := (p_rating - 1000) / c_scale;
+  v_phi DOUBLE PRECISION := p_deviation / c_scale;
+  v_mu_j DOUBLE PRECISION := (p_opponent_rating - 1000) / c_scale;
+  v_phi_j DOUBLE PRECISION := p_opponent_deviation / c_scale;
+  v_g DOUBLE PRECISION;
+  v_e DOUBLE PRECISION;
+  v_v DOUBLE PRECISION;
+  v_delta DOUBLE PRECISION;
+  v_alpha DOUBLE PRECISION;
+  v_A DOUBLE PRECISION;
+  v_B DOUBLE PRECISION;
+  v_C DOUBLE PRECISION;
+  v_fA DOUBLE PRECISION;
+  v_fB DOUBLE PRECISION;
+  v_fC DOUBLE PRECISION;
+  v_k INTEGER;
+  v_sigma DOUBLE PRECISION;
+  v_phi_star DOUBLE PRECISION;
+  v_phi_new DOUBLE PRECISION;
+  v_mu_new DOUBLE PRECISION;
+BEGIN
+  v_g := 1 / SQRT(1 + 3 * v_phi_j * v_phi_j / (PI() * PI()));
+  v_e := 1 / (1 + EXP(-v_g * (v_mu - v_mu_j)));
+  v_v := 1 / (v_g * v_g * v_e * (1 - v_e));
+  v_delta := v_v * v_g * (p_score - v_e);
+
+  -- New volatility by the Illinois algorithm
+  v_alpha := LN(p_volatility * p_volatility);
+  v_A := v_alpha;
+  IF v_delta * v_delta > v_phi * v_phi + v_v THEN
+    v_B := LN(v_delta * v_delta - v_phi * v_phi - v_v);
+  ELSE
+    v_k := 1;
+    WHILE (EXP(v_alpha - v_k * c_tau) * (v_delta * v_delta - v_phi * v_phi - v_v - EXP(v_alpha - v_k * c_tau)))
+        / (2 * POWER(v_phi * v_phi + v_v + EXP(v_alpha - v_k * c_tau), 2))
+        - (-v_k * c_tau) / (c_tau * c_tau) < 0 LOOP
+      v_k := v_k + 1;
+    END LOOP;
+    v_B := v_alpha - v_k * c_tau;
+  END IF;
+
+  v_fA := (EXP(v_A) * (v_delta * v_delta - v_phi * v_phi - v_v - EXP(v_A)))
+    / (2 * POWER(v_phi * v_phi + v_v + EXP(v_A), 2)) - (v_A - v_alpha) / (c_tau * c_tau);
+  v_fB := (EXP(v_B) * (v_delta * v_delta - v_phi * v_phi - v_v - EXP(v_B)))
+    / (2 * POWER(v_phi * v_phi + v_v + EXP(v_B), 2)) - (v_B - v_alpha) / (c_tau * c_tau);
+
+  WHILE ABS(v_B - v_A) > c_epsilon LOOP
+    v_C := v_A + (v_A - v_B) * v_fA / (v_fB - v_fA);
+    v_fC := (EXP(v_C) * (v_delta * v_delta - v_phi * v_phi - v_v - EXP(v_C)))
+      / (2 * POWER(v_phi * v_phi + v_v + EXP(v_C), 2)) - (v_C - v_alpha) / (c_tau * c_tau);
+    IF v_fC * v_fB <= 0 THEN
+      v_A := v_B;
+      v_fA := v_fB;
+    ELSE
+      v_fA := v_fA / 2;
+    END IF;
+    v_B := v_C;
+    v_fB := v_fC;
+  END LOOP;
+
+  v_sigma := EXP(v_A / 2);
+  v_phi_star := SQRT(v_phi * v_phi + v_sigma * v_sigma);
+  v_phi_new := 1 / SQRT(1 / (v_phi_star * v_phi_star) + 1 / v_v);
+  v_mu_new := v_mu + v_phi_new * v_phi_new * v_g * (p_score - v_e);
+
+  RETURN QUERY SELECT
+    GREATEST(100, ROUND(v_mu_new * c_scale + 1000)::INTEGER),
+    LEAST(350, GREATEST(30, v_phi_new * c_scale)),
+    v_sigma;
+END;
+$$;
+
+-- record_match() gains a rating engine argument, so replace rather than overload it
+DROP FUNCTION IF EXISTS record_match(UUID, UUID, INTEGER, INTEGER, UUID, VARCHAR, INTEGER, INTEGER, BOOLEAN);
+
+CREATE OR REPLACE FUNCTION record_match(
+  p_player1_id UUID,
+  p_player2_id UUID,
+  p_player1_score INTEGER,
+  p_player2_score INTEGER,
+  p_winner_id UUID,
+  p_game_mode VARCHAR(20),
+  p_duration_seconds INTEGER,
+  p_longest_rally INTEGER,
+  p_forfeit BOOLEAN DEFAULT false,
+  p_rating_engine VARCHAR(10) DEFAULT 'elo'
+)
+RETURNS TABLE (match_id UUID, winner_elo INTEGER, loser_elo INTEGER, elo_change INTEGER)
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_loser_id UUID;
+  v_winner_score INTEGER;
+  v_loser_score INTEGER;
+  v_winner player_stats%ROWTYPE;
+  v_loser player_stats%ROWTYPE;
+  v_winner_deviation DOUBLE PRECISION;
+  v_loser_deviation DOUBLE PRECISION;
+  v_winner_glicko RECORD;
+  v_loser_glicko RECORD;
+  v_change INTEGER;
+  v_winner_after INTEGER;
+  v_loser_after INTEGER;
+  v_match_id UUID;
+BEGIN
+  IF p_rating_engine NOT IN ('elo', 'glicko2') THEN
+    RAISE EXCEPTION 'Unknown rating engine %', p_rating_engine;
+  END IF;
+
+  IF p_winner_id = p_player1_id THEN
+    v_loser_id := p_player2_id;
+    v_winner_score := p_player1_score;
+    v_loser_score := p_player2_score;
+  ELSIF p_winner_id = p_player2_id THEN
+    v_loser_id := p_player1_id;
+    v_winner_score := p_player2_score;
+    v_loser_score := p_player1_score;
+  ELSE
+    RAISE EXCEPTION 'Winner % did not play in this match', p_winner_id;
+  END IF;
+
+  -- Lock both stats rows in a fixed order so concurrent matches wait for
+  -- each other instead of deadlocking
+  PERFORM 1 FROM player_stats
+    WHERE player_id IN (p_player1_id, p_player2_id)
+    ORDER BY player_id
+    FOR UPDATE;
+
+  SELECT * INTO v_winner FROM player_stats WHERE player_id = p_winner_id;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'No stats for player %', p_winner_id;
+  END IF;
+
+  SELECT * INTO v_loser FROM player_stats WHERE player_id = v_loser_id;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'No stats for player %', v_loser_id;
+  END IF;
+
+  -- Glicko-2, after growing each deviation for the time the player has been
+  -- away
+  v_winner_deviation := glicko2_inflate(v_winner.rating_deviation, v_winner.rating_volatility, v_winner.last_rated_at);
+  v_loser_deviation := glicko2_inflate(v_loser.rating_deviation, v_loser.rating_volatility, v_loser.last_rated_at);
+
+  SELECT * INTO v_winner_glicko FROM glicko2_update(
+    v_winner.elo_rating, v_winner_deviation, v_winner.rating_volatility,
+    v_loser.elo_rating, v_loser_deviation, 1
+  );
+  SELECT * INTO v_loser_glicko FROM glicko2_update(
+    v_loser.elo_rating, v_loser_deviation, v_loser.rating_volatility,
+    v_winner.elo_rating, v_winner_deviation, 0
+  );
+
+  IF p_rating_engine = 'glicko2' THEN
+    v_winner_after := v_winner_glicko.rating;
+    v_loser_after := v_loser_glicko.rating;
+    v_change := v_winner_after - v_winner.elo_rating;
+  ELSE
+    -- Zero-sum Elo as in server/lib/elo.js (K = 32, ratings never drop below 100)
+    v_change := ROUND(32 * (1 - 1 / (1 + POWER(10, (v_loser.elo_rating - v_winner.elo_rating) / 400.0))));
+    v_winner_after := GREATEST(100, v_winner.elo_rating + v_change);
+    v_loser_after := GREATEST(100, v_loser.elo_rating - v_change);
+  END IF;
+
+  INSERT INTO matches (
+    player1_id, player2_id, player1_score, player2_score, winner_id,
+    game_mode, duration_seconds, longest_rally, forfeit
+  ) VALUES (
+    p_player1_id, p_player2_id, p_player1_score, p_player2_score, p_winner_id,
+    p_game_mode, p_duration_seconds, p_longest_rally, p_forfeit
+  )
+  RETURNING id INTO v_match_id;
+
+  UPDATE player_stats SET
+    games_played = games_played + 1,
+    games_won = games_won + 1,
+    total_points_scored = total_points_scored + v_winner_score,
+    total_points_conceded = total_points_conceded + v_loser_score,
+    current_win_streak = current_win_streak + 1,
+    best_win_streak = GREATEST(best_win_streak, current_win_streak + 1),
+    longest_rally = GREATEST(longest_rally, p_longest_rally),
+    elo_rating = v_winner_after,
+    rating_deviation = v_winner_glicko.deviation,
+    rating_volatility = v_winner_glicko.volatility,
+    last_rated_at = NOW(),
+    updated_at = NOW()
+  WHERE player_id = p_winner_id;
+
+  UPDATE player_stats SET
+    games_played = games_played + 1,
+    games_lost = games_lost + 1,
+    total_points_scored = total_points_scored + v_loser_score,
+    total_points_conceded = total_points_conceded + v_winner_score,
+    current_win_streak = 0,
+    longest_rally = GREATEST(longest_rally, p_longest_rally),
+    elo_rating = v_loser_after,
+    rating_deviation = v_loser_glicko.deviation,
+    rating_volatility = v_loser_glicko.volatility,
+    last_rated_at = NOW(),
+    updated_at = NOW()
+  WHERE player_id = v_loser_id;
+
+  INSERT INTO rating_history (player_id, match_id, opponent_id, rating_before, rating_after, delta)
+  VALUES
+    (p_winner_id, v_match_id, v_loser_id, v_winner.elo_rating, v_winner_after, v_winner_after - v_winner.elo_rating),
+    (v_loser_id, v_match_id, p_winner_id, v_loser.elo_rating, v_loser_after, v_loser_after - v_loser.elo_rating);
+
+  RETURN QUERY SELECT v_match_id, v_winner_after, v_loser_after, v_change;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION record_match(UUID, UUID, INTEGER, INTEGER, UUID, VARCHAR, INTEGER, INTEGER, BOOLEAN, VARCHAR) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION record_match(UUID, UUID, INTEGER, INTEGER, UUID, VARCHAR, INTEGER, INTEGER, BOOLEAN, VARCHAR) TO service_role;
+
+-- ============================================
+-- VIEWS
+-- ============================================
+
+-- New columns go last so the view can be replaced in place
+CREATE OR REPLACE VIEW leaderboard AS
+SELECT
+  p.id,
+  p.username,
+  p.display_name,
+  p.avatar_id,
+  s.elo_rating,
+  s.games_played,
+  s.games_won,
+  s.games_lost,
+  CASE WHEN s.games_played > 0
+    THEN ROUND((s.games_won::DECIMAL / s.games_played) * 100, 1)
+    ELSE 0
+  END as win_percentage,
+  s.best_win_streak,
+  s.longest_rally,
+  ROUND(s.rating_deviation::NUMERIC, 1) as rating_deviation,
+  glicko2_is_provisional(s.rating_deviation) as provisional
+FROM players p
+JOIN player_stats s ON p.id = s.player_id
+WHERE s.games_played >= 1
+ORDER BY s.elo_rating DESC;
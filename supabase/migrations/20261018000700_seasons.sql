@@ -0,0 +1,254 @@
+-- Pong7 Seasons
+-- Ranked play is split into seasons. Each season keeps its own stats, starts
+-- with a soft reset that pulls every rating halfway back to 1000, and archives
+-- its final standings when the next season begins. Players keep one rating:
+-- the all-time leaderboard still counts every game ever played, but it ranks
+-- by that current rating, so it shows the soft reset too.
+-- Migration: 20261018_seasons
+
+-- ============================================
+-- TABLES
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS seasons (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  number INTEGER NOT NULL UNIQUE CHECK (number > 0),
+  name VARCHAR(50) NOT NULL,
+  is_active BOOLEAN NOT NULL DEFAULT false,
+  starts_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  ends_at TIMESTAMP WITH TIME ZONE
+);
+
+-- Live stats for each player in a season, updated as rated matches are saved
+CREATE TABLE IF NOT EXISTS season_stats (
+  season_id UUID REFERENCES seasons(id) ON DELETE CASCADE,
+  player_id UUID REFERENCES players(id) ON DELETE CASCADE,
+  starting_elo INTEGER NOT NULL,
+  elo_rating INTEGER NOT NULL,
+  games_played INTEGER DEFAULT 0,
+  games_won INTEGER DEFAULT 0,
+  games_lost INTEGER DEFAULT 0,
+  current_win_streak INTEGER DEFAULT 0,
+  best_win_streak INTEGER DEFAULT 0,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  PRIMARY KEY (season_id, player_id)
+);
+
+-- Final standings, written once when a season ends
+CREATE TABLE IF NOT EXISTS season_standings (
+  season_id UUID REFERENCES seasons(id) ON DELETE CASCADE,
+  player_id UUID REFERENCES players(id) ON DELETE CASCADE,
+  final_rank INTEGER NOT NULL,
+  elo_rating INTEGER NOT NULL,
+  games_played INTEGER NOT NULL,
+  games_won INTEGER NOT NULL,
+  games_lost INTEGER NOT NULL,
+  best_win_streak INTEGER NOT NULL,
+  rating_deviation DOUBLE PRECISION NOT NULL,
+  PRIMARY KEY (season_id, player_id)
+);
+
+-- The first season starts now
+INSERT INTO seasons (number, name, is_active)
+SELECT 1, 'Season 1', true
+WHERE NOT EXISTS (SELECT 1 FROM seasons);
+
+-- ============================================
+-- FUNCTIONS
+-- ============================================
+
+-- Fold each rated result into the active season. Runs on the rating_history
+-- rows record_match() writes, so it shares the match's transaction.
+CREATE OR REPLACE FUNCTION record_season_result()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_season_id UUID;
+  v_won BOOLEAN;
+BEGIN
+  SELECT id INTO v_season_id FROM seasons WHERE is_active;
+  IF NOT FOUND THEN
+    RETURN NEW;
+  END IF;
+
+  SELECT winner_id = NEW.player_id INTO v_won FROM matches WHERE id = NEW.match_id;
+
+  INSERT INTO season_stats (
+    season_id, player_id, starting_elo, elo_rating,
+    games_played, games_won, games_lost, current_win_streak, best_win_streak
+  ) VALUES (
+    v_season_id, NEW.player_id, NEW.rating_before, NEW.rating_after,
+    1, CASE WHEN v_won THEN 1 ELSE 0 END, CASE WHEN v_won THEN 0 ELSE 1 END,
+    CASE WHEN v_won THEN 1 ELSE 0 END, CASE WHEN v_won THEN 1 ELSE 0 END
+  )
+  ON CONFLICT (season_id, player_id) DO UPDATE SET
+    elo_rating = EXCLUDED.elo_rating,
+    games_played = season_stats.games_played + 1,
+    games_won = season_stats.games_won + EXCLUDED.games_won,
+    games_lost = season_stats.games_lost + EXCLUDED.games_lost,
+    current_win_streak = CASE WHEN v_won THEN season_stats.current_win_streak + 1 ELSE 0 END,
+    best_win_streak = GREATEST(season_stats.best_win_streak, CASE WHEN v_won THEN season_stats.current_win_streak + 1 ELSE 0 END),
+    updated_at = NOW();
+
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS rating_history_season ON rating_history;
+CREATE TRIGGER rating_history_season
+  AFTER INSERT ON rating_history
+  FOR EACH ROW EXECUTE FUNCTION record_season_result();
+
+-- End the active season and start the next one. Run by an operator or a
+-- scheduled job (e.g. SELECT * FROM start_season('Season 2');).
+CREATE OR REPLACE FUNCTION start_season(p_name VARCHAR(50) DEFAULT NULL)
+RETURNS SETOF seasons
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_current seasons%ROWTYPE;
+  v_number INTEGER;
+BEGIN
+  SELECT * INTO v_current FROM seasons WHERE is_active FOR UPDATE;
+
+  IF FOUND THEN
+    -- Deviations are archived before the reset below widens them
+    INSERT INTO season_standings (
+      season_id, player_id, final_rank, elo_rating,
+      games_played, games_won, games_lost, best_win_streak, rating_deviation
+    )
+    SELECT
+      ss.season_id, ss.player_id,
+      RANK() OVER (ORDER BY ss.elo_rating DESC, ss.games_won DESC),
+      ss.elo_rating, ss.games_played, ss.games_won, ss.games_lost, ss.best_win_streak,
+      ps.rating_deviation
+    FROM season_stats ss
+    JOIN player_stats ps ON ps.player_id = ss.player_id
+    WHERE ss.season_id = v_current.id AND ss.games_played >= 1;
+
+    UPDATE seasons SET is_active = false, ends_at = NOW() WHERE id = v_current.id;
+  END IF;
+
+  -- Soft reset: keep half of each player's distance from the default rating,
+  -- and widen deviations so Glicko-2 lets the new season's results count
+  UPDATE player_stats SET
+    elo_rating = GREATEST(100, ROUND(1000 + (elo_rating - 1000) * 0.5)),
+    rating_deviation = GREATEST(rating_deviation, 200),
+    updated_at = NOW();
+
+  SELECT COALESCE(MAX(number), 0) + 1 INTO v_number FROM seasons;
+
+  RETURN QUERY
+  INSERT INTO seasons (number, name, is_active)
+  VALUES (v_number, COALESCE(p_name, 'Season ' || v_number), true)
+  RETURNING *;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION start_season(VARCHAR) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION start_season(VARCHAR) TO service_role;
+
+-- ============================================
+-- VIEWS
+-- ============================================
+
+-- Per-season rankings: live stats for the active season, archived standings
+-- for finished ones. Columns mirror the leaderboard view, with the active
+-- season showing each player's current deviation.
+CREATE OR REPLACE VIEW season_leaderboard AS
+SELECT
+  se.number as season_number,
+  p.id,
+  p.username,
+  p.display_name,
+  p.avatar_id,
+  ss.elo_rating,
+  ss.games_played,
+  ss.games_won,
+  ss.games_lost,
+  CASE WHEN ss.games_played > 0
+    THEN ROUND((ss.games_won::DECIMAL / ss.games_played) * 100, 1)
+    ELSE 0
+  END as win_percentage,
+  ss.best_win_streak,
+  ROUND(ps.rating_deviation::NUMERIC, 1) as rating_deviation,
+  glicko2_is_provisional(ps.rating_deviation) as provisional,
+  NULL::INTEGER as final_rank
+FROM season_stats ss
+JOIN seasons se ON se.id = ss.season_id AND se.is_active
+JOIN players p ON p.id = ss.player_id
+JOIN player_stats ps ON ps.player_id = ss.player_id
+WHERE ss.games_played >= 1
+UNION ALL
+SELECT
+  se.number as season_number,
+  p.id,
+  p.username,
+  p.display_name,
+  p.avatar_id,
+  st.elo_rating,
+  st.games_played,
+  st.games_won,
+  st.games_lost,
+  CASE WHEN st.games_played > 0
+    THEN ROUND((st.games_won::DECIMAL / st.games_played) * 100, 1)
+    ELSE 0
+  END as win_percentage,
+  st.best_win_streak,
+  ROUND(st.rating_deviation::NUMERIC, 1) as rating_deviation,
+  glicko2_is_provisional(st.rating_deviation) as provisional,
+  st.final_rank
+FROM season_standings st
+JOIN seasons se ON se.id = st.season_id
+JOIN players p ON p.id = st.player_id;
+
+-- ============================================
+-- ROW LEVEL SECURITY
+-- ============================================
+
+ALTER TABLE seasons ENABLE ROW LEVEL SECURITY;
+ALTER TABLE season_stats ENABLE ROW LEVEL SECURITY;
+ALTER TABLE season_standings ENABLE ROW LEVEL SECURITY;
+
+-- Public read access
+DROP POLICY IF EXISTS "Public read access" ON seasons;
+CREATE POLICY "Public read access" ON seasons FOR SELECT USING (true);
+DROP POLICY IF EXISTS "Public read access" ON season_stats;
+CREATE POLICY "Public read access" ON season_stats FOR SELECT USING (true);
+DROP POLICY IF EXISTS "Public read access" ON season_standings;
+CREATE POLICY "Public read access" ON season_standings FOR SELECT USING (true);
+
+-- Backend write access (restricted to service role only)
+DROP POLICY IF EXISTS "Service insert seasons" ON seasons;
+CREATE POLICY "Service insert seasons" ON seasons
+  FOR INSERT WITH CHECK (auth.role() = 'service_role');
+DROP POLICY IF EXISTS "Service update seasons" ON seasons;
+CREATE POLICY "Service update seasons" ON seasons
+  FOR UPDATE USING (auth.role() = 'service_role');
+DROP POLICY IF EXISTS "Service insert season_stats" ON season_stats;
+CREATE POLICY "Service insert season_stats" ON season_stats
+  FOR INSERT WITH CHECK (auth.role() = 'service_role');
+DROP POLICY IF EXISTS "Service update season_stats" ON season_stats;
+CREATE POLICY "Service update season_stats" ON season_stats
+  FOR UPDATE USING (auth.role() = 'service_role');
+DROP POLICY IF EXISTS "Service insert season_standings" ON season_standings;
+CREATE POLICY "Service insert season_standings" ON season_standings
+  FOR INSERT WITH CHECK (auth.role() = 'service_role');
+
+-- Deny deletes
+DROP POLICY IF EXISTS "No deletes seasons" ON seasons;
+CREATE POLICY "No deletes seasons" ON seasons FOR DELETE USING (false);
+DROP POLICY IF EXISTS "No deletes season_stats" ON season_stats;
+CREATE POLICY "No deletes season_stats" ON season_stats FOR DELETE USING (false);
+DROP POLICY IF EXISTS "No deletes season_standings" ON season_standings;
+CREATE POLICY "No deletes season_standings" ON season_standings FOR DELETE USING (false);
+
+-- ============================================
+-- INDEXES
+-- ============================================
+
+-- At most one active season
+CREATE UNIQUE INDEX IF NOT EXISTS idx_seasons_active ON seasons(is_active) WHERE is_active;
+CREATE INDEX IF NOT EXISTS idx_season_stats_elo ON season_stats(season_id, elo_rating DESC);
+CREATE INDEX IF NOT EXISTS idx_season_standings_rank ON season_standings(season_id, final_rank);
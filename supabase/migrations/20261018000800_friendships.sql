@@ -0,0 +1,50 @@
+-- Pong7 Friendships
+-- Friend requests between registered players (see server/lib/friends.js).
+-- A row is pending until the addressee accepts it; declining, cancelling or
+-- removing a friend deletes it. Presence is not stored: the server works it
+-- out from who is connected.
+-- Migration: 20261018_friendships
+
+-- ============================================
+-- TABLES
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS friendships (
+  requester_id UUID REFERENCES players(id) ON DELETE CASCADE,
+  addressee_id UUID REFERENCES players(id) ON DELETE CASCADE,
+  status VARCHAR(10) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'accepted')),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  accepted_at TIMESTAMP WITH TIME ZONE,
+  PRIMARY KEY (requester_id, addressee_id),
+  CHECK (requester_id <> addressee_id)
+);
+
+-- ============================================
+-- ROW LEVEL SECURITY
+-- ============================================
+
+ALTER TABLE friendships ENABLE ROW LEVEL SECURITY;
+
+-- No public read access: friend lists are only visible to the service role
+
+-- Backend write access (restricted to service role only)
+DROP POLICY IF EXISTS "Service insert friendships" ON friendships;
+CREATE POLICY "Service insert friendships" ON friendships
+  FOR INSERT WITH CHECK (auth.role() = 'service_role');
+DROP POLICY IF EXISTS "Service update friendships" ON friendships;
+CREATE POLICY "Service update friendships" ON friendships
+  FOR UPDATE USING (auth.role() = 'service_role');
+
+-- Unfriending deletes the row, so deletes are allowed for the backend
+DROP POLICY IF EXISTS "Service delete friendships" ON friendships;
+CREATE POLICY "Service delete friendships" ON friendships
+  FOR DELETE USING (auth.role() = 'service_role');
+
+-- ============================================
+-- INDEXES
+-- ============================================
+
+-- One friendship per pair, whichever player asked
+CREATE UNIQUE INDEX IF NOT EXISTS idx_friendships_pair
+  ON friendships(LEAST(requester_id, addressee_id), GREATEST(requester_id, addressee_id));
+CREATE INDEX IF NOT EXISTS idx_friendships_addressee ON friendships(addressee_id);
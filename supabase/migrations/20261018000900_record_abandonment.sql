@@ -0,0 +1,29 @@
+-- Pong7 Atomic Abandonment Count
+-- record_abandonment() adds one to a player's abandonments in a single
+-- UPDATE, so two matches abandoned at the same moment cannot lose a penalty
+-- the way a read followed by a write could.
+-- Migration: 20261018_record_abandonment
+
+-- ============================================
+-- FUNCTIONS
+-- ============================================
+
+CREATE OR REPLACE FUNCTION record_abandonment(p_player_id UUID)
+RETURNS INTEGER
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_abandonments INTEGER;
+BEGIN
+  UPDATE player_stats SET
+    abandonments = abandonments + 1,
+    updated_at = NOW()
+  WHERE player_id = p_player_id
+  RETURNING abandonments INTO v_abandonments;
+
+  RETURN v_abandonments;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION record_abandonment(UUID) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION record_abandonment(UUID) TO service_role;
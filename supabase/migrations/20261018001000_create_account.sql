@@ -0,0 +1,36 @@
+-- Pong7 Account Creation
+-- Signing up creates a new player with its stats and credentials in one
+-- transaction. Usernames from before accounts existed keep their player row
+-- and stats: nothing proves who owns them, so they cannot be signed up for.
+-- Migration: 20261018_create_account
+
+-- ============================================
+-- FUNCTIONS
+-- ============================================
+
+-- Returns the new player's id, or NULL if the username already has a player
+CREATE OR REPLACE FUNCTION create_account(p_username VARCHAR(20), p_password_hash TEXT)
+RETURNS UUID
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_player_id UUID;
+BEGIN
+  INSERT INTO players (username, display_name)
+  VALUES (p_username, p_username)
+  ON CONFLICT (username) DO NOTHING
+  RETURNING id INTO v_player_id;
+
+  IF v_player_id IS NULL THEN
+    RETURN NULL;
+  END IF;
+
+  INSERT INTO player_stats (player_id) VALUES (v_player_id);
+  INSERT INTO player_credentials (player_id, password_hash) VALUES (v_player_id, p_password_hash);
+
+  RETURN v_player_id;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION create_account(VARCHAR, TEXT) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION create_account(VARCHAR, TEXT) TO service_role;
@@ -0,0 +1,40 @@
+-- Pong7 Atomic Series Results
+-- record_series() saves a decided series and links its games to it in one
+-- transaction, so a series is never stored without its games or the other
+-- way round.
+-- Migration: 20261018_record_series
+
+-- ============================================
+-- FUNCTIONS
+-- ============================================
+
+-- Returns the new series id
+CREATE OR REPLACE FUNCTION record_series(
+  p_player1_id UUID,
+  p_player2_id UUID,
+  p_best_of INTEGER,
+  p_player1_wins INTEGER,
+  p_player2_wins INTEGER,
+  p_winner_id UUID,
+  p_game_mode VARCHAR(20),
+  p_match_ids UUID[]
+)
+RETURNS UUID
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_series_id UUID;
+BEGIN
+  INSERT INTO series (player1_id, player2_id, best_of, player1_wins, player2_wins, winner_id, game_mode)
+  VALUES (p_player1_id, p_player2_id, p_best_of, p_player1_wins, p_player2_wins, p_winner_id, p_game_mode)
+  RETURNING id INTO v_series_id;
+
+  UPDATE matches SET series_id = v_series_id
+  WHERE id = ANY(COALESCE(p_match_ids, '{}'));
+
+  RETURN v_series_id;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION record_series(UUID, UUID, INTEGER, INTEGER, INTEGER, UUID, VARCHAR, UUID[]) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION record_series(UUID, UUID, INTEGER, INTEGER, INTEGER, UUID, VARCHAR, UUID[]) TO service_role;
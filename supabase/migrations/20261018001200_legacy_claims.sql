@@ -0,0 +1,112 @@
+-- Pong7 Legacy Username Claims
+-- Usernames from before accounts existed have a player row and stats but no
+-- credentials, and nothing stored proves who owns them. An operator who has
+-- checked a player's claim (their match history, say) issues a one-time code
+-- with issue_legacy_claim(); signing up with that code turns the old player
+-- into an account and keeps its stats.
+-- Migration: 20261018_legacy_claims
+
+-- ============================================
+-- TABLES
+-- ============================================
+
+-- At most one outstanding claim per player; only the code's hash is kept
+CREATE TABLE IF NOT EXISTS legacy_claims (
+  player_id UUID PRIMARY KEY REFERENCES players(id) ON DELETE CASCADE,
+  code_hash TEXT NOT NULL,
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- ============================================
+-- ROW LEVEL SECURITY
+-- ============================================
+
+ALTER TABLE legacy_claims ENABLE ROW LEVEL SECURITY;
+
+-- No policies: claims are only read and written by the functions below
+
+-- ============================================
+-- FUNCTIONS
+-- ============================================
+
+-- Hash a claim code as typed, ignoring case and surrounding spaces
+CREATE OR REPLACE FUNCTION legacy_claim_hash(p_code TEXT)
+RETURNS TEXT
+LANGUAGE sql
+IMMUTABLE
+AS $$
+  SELECT encode(sha256(convert_to(upper(trim(p_code)), 'UTF8')), 'hex')
+$$;
+
+-- Issue a claim code for a username from before accounts, replacing any
+-- earlier one. Run by an operator (e.g. SELECT issue_legacy_claim('alice');)
+-- and handed to the player, who has seven days to sign up with it.
+CREATE OR REPLACE FUNCTION issue_legacy_claim(p_username VARCHAR(20))
+RETURNS TEXT
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_player_id UUID;
+  v_code TEXT := upper(substr(replace(gen_random_uuid()::TEXT, '-', ''), 1, 12));
+BEGIN
+  SELECT p.id INTO v_player_id
+  FROM players p
+  WHERE p.username = p_username
+    AND NOT EXISTS (SELECT 1 FROM player_credentials c WHERE c.player_id = p.id);
+
+  IF v_player_id IS NULL THEN
+    RAISE EXCEPTION 'No unclaimed player named %', p_username;
+  END IF;
+
+  INSERT INTO legacy_claims (player_id, code_hash, expires_at)
+  VALUES (v_player_id, legacy_claim_hash(v_code), NOW() + INTERVAL '7 days')
+  ON CONFLICT (player_id) DO UPDATE SET
+    code_hash = EXCLUDED.code_hash,
+    expires_at = EXCLUDED.expires_at,
+    created_at = NOW();
+
+  RETURN v_code;
+END;
+$$;
+
+-- Turn a player from before accounts into an account, using up its claim.
+-- Returns the player's id, or NULL if the code is wrong or expired or the
+-- name already has an account.
+CREATE OR REPLACE FUNCTION claim_account(p_username VARCHAR(20), p_password_hash TEXT, p_claim_code TEXT)
+RETURNS UUID
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_player_id UUID;
+BEGIN
+  DELETE FROM legacy_claims l
+  USING players p
+  WHERE l.player_id = p.id
+    AND p.username = p_username
+    AND l.code_hash = legacy_claim_hash(p_claim_code)
+    AND l.expires_at > NOW()
+  RETURNING l.player_id INTO v_player_id;
+
+  IF v_player_id IS NULL THEN
+    RETURN NULL;
+  END IF;
+
+  INSERT INTO player_credentials (player_id, password_hash)
+  VALUES (v_player_id, p_password_hash)
+  ON CONFLICT (player_id) DO NOTHING;
+  IF NOT FOUND THEN
+    RETURN NULL;
+  END IF;
+
+  INSERT INTO player_stats (player_id) VALUES (v_player_id)
+  ON CONFLICT (player_id) DO NOTHING;
+
+  RETURN v_player_id;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION issue_legacy_claim(VARCHAR) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION issue_legacy_claim(VARCHAR) TO service_role;
+REVOKE EXECUTE ON FUNCTION claim_account(VARCHAR, TEXT, TEXT) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION claim_account(VARCHAR, TEXT, TEXT) TO service_role;
@@ -15,6 +15,7 @@ const Physics = require(path.join(__dirname, '../../js/physics.js'));
 global.Physics = Physics;
 
 const AI = require(path.join(__dirname, '../../js/ai.js'));
+const RNG = require(path.join(__dirname, '../../js/rng.js'));
 
 describe('AI', () => {
   describe('constructor', () => {
@@ -156,17 +157,31 @@ describe('AI', () => {
       expect(ai.targetY).not.toBeNull();
     });
 
+    test('uses the supplied clock for reaction delay', () => {
+      const ball = { x: 100, y: 300, vx: 5, vy: 0, radius: 5, speed: 5 };
+      let now = 0;
+      ai.setClock(() => now);
+      performanceNowSpy.mockReturnValue(100000);
+
+      ai.update(ball, paddle, canvas);
+      expect(ai.targetY).toBeNull();
+
+      now = ai.reactionDelay;
+      ai.update(ball, paddle, canvas);
+      expect(ai.targetY).not.toBeNull();
+    });
+
     test('applies mistake when random chance triggers', () => {
       const ball = { x: 100, y: 300, vx: 5, vy: 0, radius: 5, speed: 5 };
       
       // Force mistake to trigger
-      jest.spyOn(Math, 'random').mockReturnValue(0);
+      ai.setRandom(() => 0);
       
       // Use the spy reference instead of creating a new one
       performanceNowSpy.mockReturnValue(ai.reactionDelay + 1);
       ai.update(ball, paddle, canvas);
       
-      // With Math.random returning 0, which is less than mistakeChance (0.05 for medium),
+      // With the generator returning 0, which is less than mistakeChance (0.05 for medium),
       // the mistake should be applied and currentMistake should be non-zero
       expect(ai.currentMistake).not.toBe(0);
     });
@@ -218,6 +233,15 @@ describe('AI', () => {
       expect(targetY).toBeGreaterThanOrEqual(0);
       expect(targetY).toBeLessThanOrEqual(canvas.height);
     });
+
+    test('same seed gives the same prediction error', () => {
+      const ball = { x: 100, y: 200, vx: 5, vy: 3, radius: 5, speed: 5 };
+      const ai1 = new AI('medium', RNG.create(11));
+      const ai2 = new AI('medium');
+      ai2.setRandom(RNG.create(11));
+
+      expect(ai2.calculateTargetY(ball, paddle, canvas)).toBe(ai1.calculateTargetY(ball, paddle, canvas));
+    });
   });
 
   describe('getSpeedMultiplier', () => {
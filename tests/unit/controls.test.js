@@ -281,6 +281,32 @@ describe('Controls', () => {
     });
   });
 
+  describe('Playfield Units', () => {
+    const smallCanvas = {
+      ...mockCanvas,
+      getBoundingClientRect: () => ({ left: 10, top: 20, width: 400, height: 300 })
+    };
+
+    test('reports CSS pixels without a playfield', () => {
+      const c = new Controls(smallCanvas);
+      c.handleMouseMove({ clientY: 170 });
+      expect(c.mouseY).toBe(150);
+    });
+
+    test('scales mouse position to the playfield', () => {
+      const c = new Controls(smallCanvas, { width: 800, height: 600 });
+      c.handleMouseMove({ clientY: 170 });
+      expect(c.mouseY).toBe(300);
+    });
+
+    test('scales touch position to the playfield', () => {
+      const c = new Controls(smallCanvas, { width: 800, height: 600 });
+      const pos = c.getTouchPosition({ clientX: 310, clientY: 320 });
+      expect(pos.y).toBe(600);
+      expect(pos.relativeX).toBe(0.75);
+    });
+  });
+
   describe('Event Handlers', () => {
     test('stores bound handlers for proper cleanup', () => {
       expect(controls._boundHandlers).toBeDefined();
@@ -65,7 +65,8 @@ describe('Leaderboard', () => {
         gamesPlayed: 100,
         gamesWon: 75,
         winPercentage: 75.0,
-        bestStreak: 10
+        bestStreak: 10,
+        provisional: false
       });
     });
 
@@ -82,7 +83,8 @@ describe('Leaderboard', () => {
         gamesPlayed: 0,
         gamesWon: 0,
         winPercentage: 0,
-        bestStreak: 0
+        bestStreak: 0,
+        provisional: false
       });
     });
 
@@ -95,6 +97,12 @@ describe('Leaderboard', () => {
 
       expect(formatted.displayName).toBe('Player123');
     });
+
+    it('marks provisional ratings', () => {
+      const formatted = Leaderboard.formatEntry({ username: 'Newcomer', provisional: true }, 3);
+
+      expect(formatted.provisional).toBe(true);
+    });
   });
 
   describe('isAvailable', () => {
@@ -150,6 +158,63 @@ describe('Leaderboard', () => {
     });
   });
 
+  describe('getGlobalLeaderboard with a season', () => {
+    it('queries the season leaderboard for that season', async () => {
+      const mockData = [{ username: 'Player1', elo_rating: 1100, season_number: 2 }];
+      const mockClient = {
+        from: jest.fn().mockReturnThis(),
+        select: jest.fn().mockReturnThis(),
+        eq: jest.fn().mockReturnThis(),
+        order: jest.fn().mockReturnThis(),
+        limit: jest.fn().mockResolvedValue({ data: mockData, error: null })
+      };
+
+      Leaderboard.isInitialized = true;
+      Leaderboard.supabase = mockClient;
+
+      const result = await Leaderboard.getGlobalLeaderboard(50, 2);
+
+      expect(mockClient.from).toHaveBeenCalledWith('season_leaderboard');
+      expect(mockClient.eq).toHaveBeenCalledWith('season_number', 2);
+      expect(result.data).toEqual(mockData);
+      expect(result.error).toBeNull();
+    });
+  });
+
+  describe('getSeasons', () => {
+    it('returns error when supabase is not available', async () => {
+      global.window = {};
+      Leaderboard.isInitialized = false;
+      Leaderboard.supabase = null;
+
+      const result = await Leaderboard.getSeasons();
+
+      expect(result.data).toBeNull();
+      expect(result.error).toBe('Supabase not available');
+    });
+
+    it('fetches seasons newest first', async () => {
+      const mockSeasons = [
+        { number: 2, name: 'Season 2', is_active: true },
+        { number: 1, name: 'Season 1', is_active: false }
+      ];
+      const mockClient = {
+        from: jest.fn().mockReturnThis(),
+        select: jest.fn().mockReturnThis(),
+        order: jest.fn().mockResolvedValue({ data: mockSeasons, error: null })
+      };
+
+      Leaderboard.isInitialized = true;
+      Leaderboard.supabase = mockClient;
+
+      const result = await Leaderboard.getSeasons();
+
+      expect(mockClient.from).toHaveBeenCalledWith('seasons');
+      expect(mockClient.order).toHaveBeenCalledWith('number', { ascending: false });
+      expect(result.data).toEqual(mockSeasons);
+    });
+  });
+
   describe('getPlayerStats', () => {
     it('returns error when supabase is not available', async () => {
       global.window = {};
@@ -208,4 +273,85 @@ describe('Leaderboard', () => {
       expect(result.error).toBeNull();
     });
   });
+
+  describe('getPlayerProfile', () => {
+    afterEach(() => {
+      delete global.fetch;
+    });
+
+    it('fetches the profile with the viewer for head-to-head', async () => {
+      const profile = { username: 'Rival', elo: 1100, recentMatches: [], headToHead: null };
+      global.fetch = jest.fn().mockResolvedValue({
+        ok: true,
+        status: 200,
+        json: () => Promise.resolve(profile)
+      });
+
+      const result = await Leaderboard.getPlayerProfile('Rival', 'Me Too');
+
+      expect(global.fetch).toHaveBeenCalledWith(`${CONFIG.BACKEND_URL}/api/player/Rival?viewer=Me%20Too`);
+      expect(result).toEqual({ data: profile, error: null });
+    });
+
+    it('omits the viewer when there is none', async () => {
+      global.fetch = jest.fn().mockResolvedValue({
+        ok: true,
+        status: 200,
+        json: () => Promise.resolve({})
+      });
+
+      await Leaderboard.getPlayerProfile('Rival');
+
+      expect(global.fetch).toHaveBeenCalledWith(`${CONFIG.BACKEND_URL}/api/player/Rival`);
+    });
+
+    it('returns no profile for unknown players', async () => {
+      global.fetch = jest.fn().mockResolvedValue({
+        ok: false,
+        status: 404,
+        json: () => Promise.resolve({ error: 'Player not found' })
+      });
+
+      expect(await Leaderboard.getPlayerProfile('Nobody')).toEqual({ data: null, error: null });
+    });
+  });
+
+  describe('getRatingHistory', () => {
+    afterEach(() => {
+      delete global.fetch;
+    });
+
+    it('fetches the history from the game server', async () => {
+      const history = [{ before: 1000, after: 1016, delta: 16, opponent: 'Rival', playedAt: '2026-10-18T00:00:00Z' }];
+      global.fetch = jest.fn().mockResolvedValue({
+        ok: true,
+        status: 200,
+        json: () => Promise.resolve({ username: 'Test Player', history })
+      });
+
+      const result = await Leaderboard.getRatingHistory('Test Player');
+
+      expect(global.fetch).toHaveBeenCalledWith(`${CONFIG.BACKEND_URL}/api/player/Test%20Player/history`);
+      expect(result).toEqual({ data: history, error: null });
+    });
+
+    it('returns an empty history for unknown players', async () => {
+      global.fetch = jest.fn().mockResolvedValue({
+        ok: false,
+        status: 404,
+        json: () => Promise.resolve({ error: 'Player not found' })
+      });
+
+      expect(await Leaderboard.getRatingHistory('Nobody')).toEqual({ data: [], error: null });
+    });
+
+    it('returns the error when the request fails', async () => {
+      global.fetch = jest.fn().mockRejectedValue(new Error('Network down'));
+
+      const result = await Leaderboard.getRatingHistory('TestPlayer');
+
+      expect(result.data).toBeNull();
+      expect(result.error).toBe('Network down');
+    });
+  });
 });
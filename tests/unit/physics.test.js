@@ -12,6 +12,7 @@ const Utils = require(path.join(__dirname, '../../js/utils.js'));
 global.Utils = Utils;
 
 const Physics = require(path.join(__dirname, '../../js/physics.js'));
+const RNG = require(path.join(__dirname, '../../js/rng.js'));
 
 describe('Physics', () => {
   describe('checkPaddleCollision', () => {
@@ -99,6 +100,17 @@ describe('Physics', () => {
       Physics.resetBall(ball, canvas, -1);
       expect(ball.vx).toBeLessThan(0);
     });
+
+    test('same seed gives the same serve', () => {
+      const canvas = { width: 800, height: 600 };
+      const ball1 = { x: 0, y: 0, speed: 0, vx: 0, vy: 0 };
+      const ball2 = { x: 0, y: 0, speed: 0, vx: 0, vy: 0 };
+
+      Physics.resetBall(ball1, canvas, null, RNG.create(5));
+      Physics.resetBall(ball2, canvas, null, RNG.create(5));
+
+      expect(ball2).toEqual(ball1);
+    });
   });
 
   describe('updatePaddle', () => {
@@ -132,6 +144,20 @@ describe('Physics', () => {
       expect(ball.y).toBe(103);
     });
 
+    test('speeds the ball up by its own increment on a paddle hit', () => {
+      const paddle1 = { x: 10, y: 50, width: 10, height: 60 };
+      const paddle2 = { x: 780, y: 50, width: 10, height: 60 };
+      const canvas = { width: 800, height: 600 };
+      const standard = { x: 30, y: 80, vx: -5, vy: 0, radius: 5, speed: 5 };
+      const custom = { ...standard, speedIncrement: 1 };
+
+      Physics.updateBall(standard, paddle1, paddle2, canvas);
+      Physics.updateBall(custom, paddle1, paddle2, canvas);
+
+      expect(standard.speed).toBeCloseTo(5 + CONFIG.GAME.BALL_SPEED_INCREMENT);
+      expect(custom.speed).toBeCloseTo(6);
+    });
+
     test('detects wall collision', () => {
       const ball = { x: 100, y: 3, vx: 5, vy: -5, radius: 5, speed: 5 };
       const paddle1 = { x: 10, y: 50, width: 10, height: 60 };
@@ -154,6 +180,145 @@ describe('Physics', () => {
       
       expect(result.scored).toBe(2);
     });
+
+    test('fast ball does not tunnel through the left paddle', () => {
+      // Would end up at x = -20 if only the final position were checked
+      const ball = { x: 60, y: 80, vx: -80, vy: 0, radius: 5, speed: 80 };
+      const paddle1 = { x: 10, y: 50, width: 10, height: 60 };
+      const paddle2 = { x: 780, y: 50, width: 10, height: 60 };
+      const canvas = { width: 800, height: 600 };
+
+      const result = Physics.updateBall(ball, paddle1, paddle2, canvas);
+
+      expect(result.hitPaddle).toBe(true);
+      expect(result.scored).toBeNull();
+      // Contact at x = 25 after 35 of the 80px step, then back out for the rest
+      expect(ball.vx).toBeGreaterThan(0);
+      expect(ball.x).toBeCloseTo(25 + ball.vx * (45 / 80));
+    });
+
+    test('fast diagonal ball does not tunnel through the right paddle', () => {
+      const ball = { x: 700, y: 100, vx: 120, vy: 30, radius: 5, speed: 124 };
+      const paddle1 = { x: 10, y: 50, width: 10, height: 60 };
+      const paddle2 = { x: 780, y: 80, width: 10, height: 60 };
+      const canvas = { width: 800, height: 600 };
+
+      const result = Physics.updateBall(ball, paddle1, paddle2, canvas);
+
+      expect(result.hitPaddle).toBe(true);
+      expect(result.scored).toBeNull();
+      // Contact at (775, 118.75) 62.5% of the way through the step
+      expect(ball.vx).toBeLessThan(0);
+      expect(ball.x).toBeCloseTo(775 + ball.vx * 0.375);
+      expect(ball.y).toBeCloseTo(118.75 + ball.vy * 0.375);
+    });
+
+    test('a paddle hit spends the rest of the step moving away', () => {
+      const ball = { x: 30, y: 80, vx: -10, vy: 0, radius: 5, speed: 10, speedIncrement: 0 };
+      const paddle1 = { x: 10, y: 50, width: 10, height: 60 };
+      const paddle2 = { x: 780, y: 50, width: 10, height: 60 };
+      const canvas = { width: 800, height: 600 };
+
+      // Ends the step where a ball bouncing at x = 25 halfway through would be
+      Physics.updateBall(ball, paddle1, paddle2, canvas);
+      expect(ball.x).toBeCloseTo(30);
+      expect(ball.vx).toBe(10);
+    });
+
+    test('fast ball that misses the paddle still scores', () => {
+      const ball = { x: 60, y: 300, vx: -80, vy: 0, radius: 5, speed: 80 };
+      const paddle1 = { x: 10, y: 50, width: 10, height: 60 };
+      const paddle2 = { x: 780, y: 50, width: 10, height: 60 };
+      const canvas = { width: 800, height: 600 };
+
+      const result = Physics.updateBall(ball, paddle1, paddle2, canvas);
+
+      expect(result.hitPaddle).toBe(false);
+      expect(result.scored).toBe(2);
+    });
+
+    test('ball clipping the front corner is returned at a steep angle', () => {
+      const ball = { x: 60, y: 47, vx: -80, vy: 0, radius: 5, speed: 80 };
+      const paddle1 = { x: 10, y: 50, width: 10, height: 60 };
+      const paddle2 = { x: 780, y: 50, width: 10, height: 60 };
+      const canvas = { width: 800, height: 600 };
+
+      const result = Physics.updateBall(ball, paddle1, paddle2, canvas);
+
+      expect(result.hitPaddle).toBe(true);
+      expect(result.hitPosition).toBe(-1);
+      expect(ball.vx).toBeGreaterThan(0);
+      expect(ball.vy).toBeLessThan(0);
+    });
+
+    test('ball dropping onto the top of a paddle glances off', () => {
+      const ball = { x: 15, y: 20, vx: 0, vy: 40, radius: 5, speed: 40 };
+      const paddle1 = { x: 10, y: 50, width: 10, height: 60 };
+      const paddle2 = { x: 780, y: 50, width: 10, height: 60 };
+      const canvas = { width: 800, height: 600 };
+
+      const result = Physics.updateBall(ball, paddle1, paddle2, canvas);
+
+      expect(result.hitPaddle).toBe(false);
+      expect(result.hitWall).toBe(true);
+      expect(ball.vy).toBe(-40);
+      // Contact at y = 45 after 25 of the 40px step, then 15px back up
+      expect(ball.y).toBeCloseTo(30);
+    });
+  });
+
+  describe('sweepCircleRect', () => {
+    const rect = { x: 10, y: 50, width: 10, height: 60 };
+
+    test('returns time of impact and normal for a face hit', () => {
+      const hit = Physics.sweepCircleRect({ x: 60, y: 80, radius: 5 }, -70, 0, rect);
+
+      expect(hit.time).toBeCloseTo(35 / 70);
+      expect(hit.x).toBeCloseTo(25);
+      expect(hit.y).toBeCloseTo(80);
+      expect(hit.normal).toEqual({ x: 1, y: 0 });
+      expect(hit.corner).toBe(false);
+    });
+
+    test('detects a hit much further than the paddle width in one step', () => {
+      const hit = Physics.sweepCircleRect({ x: 400, y: 80, radius: 5 }, -1000, 0, rect);
+
+      expect(hit).not.toBeNull();
+      expect(hit.x).toBeCloseTo(25);
+    });
+
+    test('returns null when the path misses', () => {
+      expect(Physics.sweepCircleRect({ x: 60, y: 200, radius: 5 }, -70, 0, rect)).toBeNull();
+    });
+
+    test('returns null when the rectangle is out of reach this step', () => {
+      expect(Physics.sweepCircleRect({ x: 60, y: 80, radius: 5 }, -20, 0, rect)).toBeNull();
+    });
+
+    test('returns null when moving away', () => {
+      expect(Physics.sweepCircleRect({ x: 60, y: 80, radius: 5 }, 70, 0, rect)).toBeNull();
+    });
+
+    test('hits a corner with a rounded normal', () => {
+      // Passes 3px above the top-right corner, inside the grown rectangle's bounds
+      const hit = Physics.sweepCircleRect({ x: 60, y: 47, radius: 5 }, -70, 0, rect);
+
+      expect(hit.corner).toBe(true);
+      expect(hit.x).toBeCloseTo(24);
+      expect(hit.normal.x).toBeCloseTo(0.8);
+      expect(hit.normal.y).toBeCloseTo(-0.6);
+    });
+
+    test('misses a corner that only the square bounds would touch', () => {
+      // Diagonal path through the grown rectangle's bounding corner, clear of the rounded corner
+      const hit = Physics.sweepCircleRect({ x: 40, y: 61, radius: 5 }, -30, -30, rect);
+
+      expect(hit).toBeNull();
+    });
+
+    test('ignores a circle that already overlaps the rectangle', () => {
+      expect(Physics.sweepCircleRect({ x: 22, y: 80, radius: 5 }, -5, 0, rect)).toBeNull();
+    });
   });
 
   describe('predictBallPosition', () => {
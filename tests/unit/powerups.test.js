@@ -24,6 +24,7 @@ global.Renderer = {
 
 // Load PowerUpManager module
 const { PowerUpManager, POWERUP_TYPES } = require(path.join(__dirname, '../../js/powerups.js'));
+const RNG = require(path.join(__dirname, '../../js/rng.js'));
 
 describe('PowerUpManager', () => {
   let manager;
@@ -74,6 +75,37 @@ describe('PowerUpManager', () => {
 
       expect(manager.active.length).toBe(3);
     });
+
+    test('only spawns enabled types', () => {
+      manager.setEnabledTypes(['shield']);
+      manager.spawn(mockCanvas);
+      manager.spawn(mockCanvas);
+
+      expect(manager.active.map(p => p.type)).toEqual(['shield', 'shield']);
+    });
+
+    test('spawns nothing with every type turned off', () => {
+      manager.setEnabledTypes([]);
+      manager.spawn(mockCanvas);
+
+      expect(manager.active.length).toBe(0);
+
+      manager.setEnabledTypes(null);
+      manager.spawn(mockCanvas);
+      expect(manager.active.length).toBe(1);
+    });
+
+    test('same seed spawns the same power-up', () => {
+      const other = new PowerUpManager();
+      manager.setRandom(RNG.create(3));
+      other.setRandom(RNG.create(3));
+
+      manager.spawn(mockCanvas);
+      other.spawn(mockCanvas);
+
+      const { type, x, y } = manager.active[0];
+      expect(other.active[0]).toMatchObject({ type, x, y });
+    });
   });
 
   describe('update', () => {
@@ -105,6 +137,20 @@ describe('PowerUpManager', () => {
       expect(manager.active.length).toBe(0);
       expect(sound.powerUpCollect).toHaveBeenCalled();
     });
+
+    test('lets any ball in play collect a power-up', () => {
+      manager.spawn(mockCanvas);
+      const powerup = manager.active[0];
+      const collect = jest.spyOn(manager, 'collect');
+
+      const farBall = { x: -100, y: -100, radius: 10, vx: 5, vy: 0 };
+      const extraBall = { x: powerup.x, y: powerup.y, radius: 10, vx: -5, vy: 0 };
+      manager.update(0, [farBall, extraBall]);
+
+      expect(manager.active.length).toBe(0);
+      // Collected by the player the extra ball was heading away from
+      expect(collect).toHaveBeenCalledWith(powerup, 2);
+    });
   });
 
   describe('collect', () => {
@@ -311,6 +357,82 @@ describe('PowerUpManager', () => {
     });
   });
 
+  describe('applyEffect', () => {
+    test('starts an effect with the given id', () => {
+      const effect = manager.applyEffect('reverse', 1, 1000, 42);
+
+      expect(effect.id).toBe(42);
+      expect(effect.endTime).toBe(1000 + POWERUP_TYPES.REVERSE.duration);
+      expect(manager.modifiers.player2Reversed).toBe(true);
+    });
+
+    test('returns null for instant and unknown power-ups', () => {
+      expect(manager.applyEffect('multiBall', 1, 0)).toBeNull();
+      expect(manager.applyEffect('notAPowerUp', 1, 0)).toBeNull();
+      expect(manager.effects).toEqual([]);
+    });
+  });
+
+  describe('removeEffect', () => {
+    test('ends a timed effect by id', () => {
+      manager.applyEffect('bigPaddle', 1, performance.now(), 1);
+      manager.removeEffect(1);
+
+      expect(manager.effects).toEqual([]);
+      expect(manager.getPaddleSizeMultiplier(1)).toBe(1.0);
+    });
+
+    test('clears single-use flags', () => {
+      manager.applyEffect('shield', 2, performance.now(), 1);
+      manager.applyEffect('fireball', 1, performance.now(), 2);
+
+      manager.removeEffect(1);
+      manager.removeEffect(2);
+
+      expect(manager.modifiers.player2Shield).toBe(false);
+      expect(manager.modifiers.fireball).toBe(false);
+    });
+  });
+
+  describe('remote power-ups', () => {
+    test('createPowerUp builds a power-up with the given id and position', () => {
+      const powerup = manager.createPowerUp('shield', 100, 200, 0, 7);
+
+      expect(powerup).toEqual(expect.objectContaining({
+        id: 7,
+        x: 100,
+        y: 200,
+        type: 'shield',
+        color: POWERUP_TYPES.SHIELD.color
+      }));
+    });
+
+    test('addPowerUp and removePowerUp manage the field', () => {
+      manager.addPowerUp(manager.createPowerUp('shield', 100, 200, 0, 7));
+      expect(manager.active).toHaveLength(1);
+      expect(sound.powerUpSpawn).toHaveBeenCalled();
+
+      manager.removePowerUp(7);
+      expect(manager.active).toEqual([]);
+    });
+
+    test('remote-controlled managers do not collect or expire locally', () => {
+      manager.setRemoteControlled(true);
+      manager.addPowerUp(manager.createPowerUp('bigPaddle', 100, 100, performance.now() - 60000, 1));
+
+      manager.update(0.016, { x: 100, y: 100, radius: 8, vx: 5, vy: 0 });
+
+      expect(manager.active).toHaveLength(1);
+      expect(manager.effects).toEqual([]);
+    });
+
+    test('reset returns to local control', () => {
+      manager.setRemoteControlled(true);
+      manager.reset();
+      expect(manager.remoteControlled).toBe(false);
+    });
+  });
+
   describe('reset', () => {
     test('clears all power-ups and effects', () => {
       manager.spawn(mockCanvas);
@@ -378,12 +500,39 @@ describe('PowerUpManager', () => {
       expect(manager.spawnsActive).toBe(false);
     });
 
-    test('stopSpawns clears timeout', () => {
+    test('stopSpawns cancels the pending spawn', () => {
       manager.startSpawns(mockCanvas);
-      expect(manager.spawnTimeoutId).not.toBeNull();
+      expect(manager.nextSpawnAt).not.toBeNull();
 
       manager.stopSpawns();
-      expect(manager.spawnTimeoutId).toBeNull();
+      expect(manager.nextSpawnAt).toBeNull();
+    });
+
+    test('update spawns once the clock reaches the next spawn', () => {
+      let now = 1000;
+      manager.setClock(() => now);
+      manager.startSpawns(mockCanvas);
+      const ball = { x: 0, y: 0, radius: 5, vx: 1, vy: 0 };
+
+      now = manager.nextSpawnAt - 1;
+      manager.update(0, ball);
+      expect(manager.active.length).toBe(0);
+
+      now = manager.nextSpawnAt;
+      manager.update(0, ball);
+      expect(manager.active.length).toBe(1);
+      expect(manager.active[0].spawnTime).toBe(now);
+      expect(manager.nextSpawnAt).toBeGreaterThan(now);
+    });
+
+    test('effects expire on the supplied clock', () => {
+      let now = 0;
+      manager.setClock(() => now);
+      manager.collect({ type: 'bigPaddle' }, 1);
+
+      now = POWERUP_TYPES.BIG_PADDLE.duration;
+      manager.update(0, { x: 0, y: 0, radius: 5, vx: 1, vy: 0 });
+      expect(manager.effects.length).toBe(0);
     });
   });
 });
@@ -0,0 +1,134 @@
+/**
+ * Unit tests for client-side paddle prediction
+ */
+
+const path = require('path');
+
+// Load dependencies in order
+const CONFIG = require(path.join(__dirname, '../../js/config.js'));
+global.CONFIG = CONFIG;
+
+const Utils = require(path.join(__dirname, '../../js/utils.js'));
+global.Utils = Utils;
+
+const Physics = require(path.join(__dirname, '../../js/physics.js'));
+global.Physics = Physics;
+
+const PaddlePredictor = require(path.join(__dirname, '../../js/prediction.js'));
+
+const SPEED = CONFIG.GAME.PADDLE_SPEED;
+
+describe('PaddlePredictor', () => {
+  let predictor;
+
+  beforeEach(() => {
+    predictor = new PaddlePredictor(600);
+  });
+
+  describe('constructor', () => {
+    test('starts centred with no pending inputs', () => {
+      expect(predictor.getCenterY()).toBe(300);
+      expect(predictor.pendingInputs).toEqual([]);
+      expect(predictor.nextSeq).toBe(1);
+    });
+
+    test('accepts a starting centre', () => {
+      const p = new PaddlePredictor(600, 150);
+      expect(p.getCenterY()).toBe(150);
+    });
+  });
+
+  describe('applyInput', () => {
+    test('moves the paddle immediately by one step', () => {
+      predictor.applyInput(0);
+      expect(predictor.getCenterY()).toBe(300 - SPEED);
+    });
+
+    test('numbers inputs sequentially', () => {
+      expect(predictor.applyInput(100).seq).toBe(1);
+      expect(predictor.applyInput(100).seq).toBe(2);
+      expect(predictor.pendingInputs).toHaveLength(2);
+    });
+
+    test('clamps targets to the field', () => {
+      expect(predictor.applyInput(-100).y).toBe(0);
+      expect(predictor.applyInput(9999).y).toBe(600);
+    });
+
+    test('limits the number of pending inputs', () => {
+      for (let i = 0; i < PaddlePredictor.MAX_PENDING_INPUTS + 10; i++) {
+        predictor.applyInput(300);
+      }
+      expect(predictor.pendingInputs).toHaveLength(PaddlePredictor.MAX_PENDING_INPUTS);
+    });
+  });
+
+  describe('reconcile', () => {
+    test('drops acknowledged inputs', () => {
+      predictor.applyInput(0);
+      predictor.applyInput(0);
+      predictor.applyInput(0);
+
+      predictor.reconcile(2, 300 - 2 * SPEED);
+
+      expect(predictor.pendingInputs.map(i => i.seq)).toEqual([3]);
+    });
+
+    test('makes no correction when the server agrees', () => {
+      predictor.applyInput(0);
+      predictor.applyInput(0);
+      predictor.applyInput(0);
+
+      const correction = predictor.reconcile(1, 300 - SPEED);
+
+      expect(correction).toBe(0);
+      expect(predictor.getCenterY()).toBe(300 - 3 * SPEED);
+    });
+
+    test('replays unacknowledged inputs from the server position', () => {
+      predictor.applyInput(0);
+      predictor.applyInput(0);
+      predictor.applyInput(0);
+
+      // Server says the paddle was somewhere else after input 1
+      const correction = predictor.reconcile(1, 400);
+
+      expect(predictor.getCenterY()).toBe(400 - 2 * SPEED);
+      expect(correction).toBeCloseTo(400 - 2 * SPEED - (300 - 3 * SPEED));
+    });
+
+    test('ignores out-of-order acknowledgements', () => {
+      predictor.applyInput(0);
+      predictor.applyInput(0);
+      predictor.reconcile(2, 300 - 2 * SPEED);
+
+      expect(predictor.reconcile(1, 500)).toBe(0);
+      expect(predictor.getCenterY()).toBe(300 - 2 * SPEED);
+    });
+  });
+
+  describe('setHeight', () => {
+    test('keeps the paddle centre', () => {
+      predictor.setHeight(120);
+      expect(predictor.paddle.height).toBe(120);
+      expect(predictor.getCenterY()).toBe(300);
+    });
+
+    test('keeps the paddle inside the field', () => {
+      const p = new PaddlePredictor(600, 40);
+      p.setHeight(120);
+      expect(p.paddle.y).toBe(0);
+    });
+  });
+
+  describe('reset', () => {
+    test('clears pending inputs and restarts numbering', () => {
+      predictor.applyInput(0);
+      predictor.reset(200);
+
+      expect(predictor.getCenterY()).toBe(200);
+      expect(predictor.pendingInputs).toEqual([]);
+      expect(predictor.applyInput(200).seq).toBe(1);
+    });
+  });
+});
@@ -0,0 +1,270 @@
+/**
+ * Unit tests for the replay recorder and player
+ */
+
+const path = require('path');
+
+// Load dependencies in order
+const Utils = require(path.join(__dirname, '../../js/utils.js'));
+global.Utils = Utils;
+
+const { ReplayRecorder, ReplayPlayer, REPLAY_VERSION } = require(path.join(__dirname, '../../js/replays.js'));
+
+// Build a game state for the recorder
+const makeState = (ballX, scores = [0, 0], powerups = [], extraBalls = []) => ({
+  balls: [{ x: ballX, y: 300 }, ...extraBalls],
+  paddle1: { y: 250, height: 100 },
+  paddle2: { y: 260.4, height: 100 },
+  scores,
+  powerups
+});
+
+// Record a replay with the ball moving 1px per ms
+const recordReplay = (durationMs) => {
+  const recorder = new ReplayRecorder({ seed: 42, mode: 'single', variant: 'classic', difficulty: 'hard', width: 800, height: 600 });
+  for (let t = 0; t <= durationMs; t += 10) {
+    recorder.capture(t, makeState(100 + t));
+  }
+  return recorder.finish([11, 3], 1);
+};
+
+describe('ReplayRecorder', () => {
+  const info = { seed: 7, mode: 'local', variant: 'chaos', width: 800, height: 600 };
+
+  test('records match details', () => {
+    const replay = new ReplayRecorder(info).replay;
+
+    expect(replay.version).toBe(REPLAY_VERSION);
+    expect(replay.seed).toBe(7);
+    expect(replay.mode).toBe('local');
+    expect(replay.variant).toBe('chaos');
+    expect(replay.field).toEqual({ width: 800, height: 600 });
+    expect(typeof replay.id).toBe('string');
+  });
+
+  test('captures keyframes at the keyframe interval', () => {
+    const recorder = new ReplayRecorder(info);
+
+    expect(recorder.capture(0, makeState(100))).toBe(true);
+    expect(recorder.capture(ReplayRecorder.KEYFRAME_INTERVAL - 1, makeState(110))).toBe(false);
+    expect(recorder.capture(ReplayRecorder.KEYFRAME_INTERVAL, makeState(120))).toBe(true);
+    expect(recorder.replay.frames).toHaveLength(2);
+  });
+
+  test('stores rounded positions and scores', () => {
+    const recorder = new ReplayRecorder(info);
+    recorder.capture(0, makeState(100.6, [2, 1]));
+
+    expect(recorder.replay.frames[0]).toEqual([0, 101, 300, 250, 100, 260, 100, 2, 1]);
+  });
+
+  test('stores power-ups only while some are on the field', () => {
+    const recorder = new ReplayRecorder(info);
+    recorder.capture(0, makeState(100, [0, 0], [{ type: 'shield', x: 400.2, y: 200, radius: 15 }]));
+    recorder.capture(100, makeState(100));
+
+    expect(recorder.replay.frames[0][9]).toEqual([['shield', 400, 200]]);
+    expect(recorder.replay.frames[1]).toHaveLength(9);
+  });
+
+  test('stores extra balls only while some are in play', () => {
+    const recorder = new ReplayRecorder(info);
+    recorder.capture(0, makeState(100, [0, 0], [], [{ x: 400.4, y: 150 }, { x: 400, y: 450.6 }]));
+    recorder.capture(100, makeState(100));
+
+    expect(recorder.replay.frames[0][9]).toEqual([]);
+    expect(recorder.replay.frames[0][10]).toEqual([[400, 150], [400, 451]]);
+    expect(recorder.replay.frames[1]).toHaveLength(9);
+  });
+
+  test('forced captures ignore the interval and replace a frame at the same time', () => {
+    const recorder = new ReplayRecorder(info);
+    recorder.capture(0, makeState(100));
+    recorder.capture(0, makeState(100, [1, 0]), true);
+    recorder.capture(10, makeState(100, [1, 0]), true);
+
+    const frames = recorder.replay.frames;
+    expect(frames).toHaveLength(2);
+    expect(frames[0][7]).toBe(1);
+  });
+
+  test('stops recording after MAX_FRAMES', () => {
+    const recorder = new ReplayRecorder(info);
+    recorder.replay.frames = new Array(ReplayRecorder.MAX_FRAMES).fill([0, 0, 0, 0, 0, 0, 0, 0, 0]);
+
+    expect(recorder.capture(1000000, makeState(100), true)).toBe(false);
+  });
+
+  test('finish sets the result and duration', () => {
+    const replay = recordReplay(1000);
+
+    expect(replay.scores).toEqual([11, 3]);
+    expect(replay.winner).toBe(1);
+    expect(replay.duration).toBe(1000);
+  });
+
+  test('finish returns null when nothing was recorded', () => {
+    expect(new ReplayRecorder(info).finish([0, 0], null)).toBeNull();
+  });
+});
+
+describe('ReplayPlayer', () => {
+  let player;
+
+  beforeEach(() => {
+    player = new ReplayPlayer(recordReplay(1000));
+  });
+
+  describe('getFrame', () => {
+    test('starts at the first keyframe', () => {
+      const frame = player.getFrame();
+      expect(frame.ball.x).toBe(100);
+      expect(frame.paddle1).toEqual({ y: 250, height: 100 });
+      expect(frame.scores).toEqual([0, 0]);
+      expect(frame.powerups).toEqual([]);
+    });
+
+    test('interpolates between keyframes', () => {
+      player.seek(25);
+      expect(player.getFrame().ball.x).toBeCloseTo(125);
+    });
+
+    test('snaps instead of sweeping the ball across the field', () => {
+      const recorder = new ReplayRecorder({ mode: 'single', variant: 'classic', width: 800, height: 600 });
+      recorder.capture(0, makeState(790));
+      recorder.capture(100, makeState(400));
+      const snapPlayer = new ReplayPlayer(recorder.finish([1, 0], null));
+
+      snapPlayer.seek(50);
+      expect(snapPlayer.getFrame().ball.x).toBe(790);
+    });
+
+    test('returns power-ups as objects', () => {
+      const recorder = new ReplayRecorder({ mode: 'local', variant: 'chaos', width: 800, height: 600 });
+      recorder.capture(0, makeState(100, [0, 0], [{ type: 'fireball', x: 300, y: 200 }]));
+      recorder.capture(50, makeState(100));
+      const powerupPlayer = new ReplayPlayer(recorder.finish([0, 0], null));
+
+      expect(powerupPlayer.getFrame().powerups).toEqual([{ type: 'fireball', x: 300, y: 200 }]);
+    });
+
+    test('interpolates extra balls between keyframes', () => {
+      const recorder = new ReplayRecorder({ mode: 'local', variant: 'chaos', width: 800, height: 600 });
+      recorder.capture(0, makeState(100, [0, 0], [], [{ x: 400, y: 100 }]));
+      recorder.capture(100, makeState(200, [0, 0], [], [{ x: 500, y: 100 }]));
+      const multiBallPlayer = new ReplayPlayer(recorder.finish([0, 0], null));
+
+      multiBallPlayer.seek(50);
+      expect(multiBallPlayer.getFrame().extraBalls).toEqual([{ x: 450, y: 100 }]);
+    });
+
+    test('holds an extra ball that leaves play before the next keyframe', () => {
+      const recorder = new ReplayRecorder({ mode: 'local', variant: 'chaos', width: 800, height: 600 });
+      recorder.capture(0, makeState(100, [0, 0], [], [{ x: 780, y: 100 }]));
+      recorder.capture(100, makeState(400, [1, 0]));
+      const multiBallPlayer = new ReplayPlayer(recorder.finish([1, 0], null));
+
+      multiBallPlayer.seek(50);
+      expect(multiBallPlayer.getFrame().extraBalls).toEqual([{ x: 780, y: 100 }]);
+      multiBallPlayer.seek(100);
+      expect(multiBallPlayer.getFrame().extraBalls).toEqual([]);
+    });
+  });
+
+  describe('playback', () => {
+    test('advances by elapsed time times speed', () => {
+      player.update(100);
+      expect(player.time).toBe(100);
+
+      player.setSpeed(2);
+      player.update(100);
+      expect(player.time).toBe(300);
+
+      player.setSpeed(0.5);
+      player.update(100);
+      expect(player.time).toBe(350);
+    });
+
+    test('rejects unsupported speeds', () => {
+      expect(player.setSpeed(3)).toBe(false);
+      expect(player.speed).toBe(1);
+    });
+
+    test('does not advance while paused', () => {
+      player.togglePause();
+      player.update(100);
+      expect(player.time).toBe(0);
+    });
+
+    test('pauses at the end and restarts when resumed', () => {
+      player.update(5000);
+      expect(player.isFinished()).toBe(true);
+      expect(player.paused).toBe(true);
+
+      player.togglePause();
+      expect(player.time).toBe(0);
+      expect(player.paused).toBe(false);
+    });
+
+    test('seek clamps to the replay', () => {
+      player.seek(-10);
+      expect(player.time).toBe(0);
+      player.seek(99999);
+      expect(player.time).toBe(1000);
+    });
+  });
+
+  describe('validate', () => {
+    test('accepts a recorded replay', () => {
+      expect(ReplayPlayer.validate(recordReplay(200)).valid).toBe(true);
+    });
+
+    test('rejects other versions', () => {
+      const result = ReplayPlayer.validate({ ...recordReplay(200), version: 99 });
+      expect(result.valid).toBe(false);
+      expect(result.error).toBe('Unsupported replay version');
+    });
+
+    test('rejects replays without frames', () => {
+      expect(ReplayPlayer.validate({ ...recordReplay(200), frames: [] }).valid).toBe(false);
+    });
+
+    test('rejects malformed frames', () => {
+      expect(ReplayPlayer.validate({ ...recordReplay(200), frames: [[0, 'x', 0, 0, 0, 0, 0, 0, 0]] }).valid).toBe(false);
+      expect(ReplayPlayer.validate({ ...recordReplay(200), frames: [[0, 1, 2]] }).valid).toBe(false);
+      expect(ReplayPlayer.validate({ ...recordReplay(200), frames: [[0, 0, 0, 0, 0, 0, 0, 0, 0, [], [[1, 'y']]]] }).valid).toBe(false);
+    });
+
+    test('accepts frames with extra balls', () => {
+      const frames = [[0, 0, 0, 0, 0, 0, 0, 0, 0, [], [[400, 150], [400, 450]]]];
+      expect(ReplayPlayer.validate({ ...recordReplay(200), frames }).valid).toBe(true);
+    });
+
+    test('rejects frames out of order', () => {
+      const frames = [[10, 0, 0, 0, 0, 0, 0, 0, 0], [5, 0, 0, 0, 0, 0, 0, 0, 0]];
+      expect(ReplayPlayer.validate({ ...recordReplay(200), frames }).error).toBe('Replay frames are out of order');
+    });
+  });
+
+  describe('parse', () => {
+    test('round-trips an exported replay', () => {
+      const replay = recordReplay(500);
+      const { replay: imported, error } = ReplayPlayer.parse(JSON.stringify(replay));
+
+      expect(error).toBeNull();
+      expect(imported).toEqual(replay);
+    });
+
+    test('reports invalid JSON', () => {
+      expect(ReplayPlayer.parse('{not json')).toEqual({ replay: null, error: 'Replay file is not valid JSON' });
+    });
+
+    test('fills in a missing id and duration', () => {
+      const { id, duration, ...rest } = recordReplay(500);
+      const { replay } = ReplayPlayer.parse(JSON.stringify(rest));
+
+      expect(typeof replay.id).toBe('string');
+      expect(replay.duration).toBe(500);
+    });
+  });
+});
@@ -0,0 +1,72 @@
+/**
+ * Unit tests for RNG module
+ */
+
+const path = require('path');
+
+// Load the RNG module
+const RNG = require(path.join(__dirname, '../../js/rng.js'));
+
+describe('RNG', () => {
+  const take = (random, count) => Array.from({ length: count }, () => random());
+
+  describe('create', () => {
+    test('returns values in [0, 1)', () => {
+      const random = RNG.create(42);
+      for (let i = 0; i < 1000; i++) {
+        const value = random();
+        expect(value).toBeGreaterThanOrEqual(0);
+        expect(value).toBeLessThan(1);
+      }
+    });
+
+    test('same seed produces the same sequence', () => {
+      expect(take(RNG.create(1234), 20)).toEqual(take(RNG.create(1234), 20));
+    });
+
+    test('different seeds produce different sequences', () => {
+      expect(take(RNG.create(1), 20)).not.toEqual(take(RNG.create(2), 20));
+    });
+
+    test('exposes the normalized seed', () => {
+      expect(RNG.create(7.9).seed).toBe(7);
+      expect(RNG.create('bug-report').seed).toBe(RNG.normalizeSeed('bug-report'));
+    });
+
+    test('picks a random seed when none is given', () => {
+      const random = RNG.create();
+      expect(Number.isInteger(random.seed)).toBe(true);
+      expect(take(RNG.create(random.seed), 5)).toEqual(take(random, 5));
+    });
+
+    test('state can be saved and restored', () => {
+      const random = RNG.create(99);
+      take(random, 3);
+      const state = random.getState();
+      const expected = take(random, 5);
+
+      random.setState(state);
+      expect(take(random, 5)).toEqual(expected);
+    });
+  });
+
+  describe('normalizeSeed', () => {
+    test('keeps unsigned 32-bit integers', () => {
+      expect(RNG.normalizeSeed(123)).toBe(123);
+    });
+
+    test('wraps negative numbers to unsigned', () => {
+      expect(RNG.normalizeSeed(-1)).toBe(4294967295);
+    });
+
+    test('hashes strings consistently', () => {
+      expect(RNG.normalizeSeed('match-1')).toBe(RNG.normalizeSeed('match-1'));
+      expect(RNG.normalizeSeed('match-1')).not.toBe(RNG.normalizeSeed('match-2'));
+    });
+
+    test('falls back to 0 for invalid seeds', () => {
+      expect(RNG.normalizeSeed(NaN)).toBe(0);
+      expect(RNG.normalizeSeed(null)).toBe(0);
+    });
+  });
+});
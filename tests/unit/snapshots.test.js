@@ -0,0 +1,187 @@
+/**
+ * Unit tests for the snapshot interpolation buffer
+ */
+
+const path = require('path');
+
+// Load dependencies in order
+const CONFIG = require(path.join(__dirname, '../../js/config.js'));
+global.CONFIG = CONFIG;
+
+const Utils = require(path.join(__dirname, '../../js/utils.js'));
+global.Utils = Utils;
+
+const SnapshotBuffer = require(path.join(__dirname, '../../js/snapshots.js'));
+
+describe('SnapshotBuffer', () => {
+  let buffer;
+
+  // Snapshot at server time t with x = t; server clock = local clock + 1000
+  const pushAt = (t, extra = {}) => {
+    buffer.push({ t, x: t, y: 50, vx: 10, vy: 0, ...extra }, t - 1000);
+  };
+
+  beforeEach(() => {
+    buffer = new SnapshotBuffer({ delay: 100, maxExtrapolation: 50, maxSize: 20, tickMs: 10 });
+  });
+
+  describe('constructor', () => {
+    test('uses network config defaults', () => {
+      const defaults = new SnapshotBuffer();
+      expect(defaults.delay).toBe(CONFIG.NETWORK.INTERP_DELAY);
+      expect(defaults.maxExtrapolation).toBe(CONFIG.NETWORK.MAX_EXTRAPOLATION);
+      expect(defaults.maxSize).toBe(CONFIG.NETWORK.SNAPSHOT_BUFFER_SIZE);
+      expect(defaults.tickMs).toBeCloseTo(1000 / CONFIG.NETWORK.TICK_RATE);
+    });
+  });
+
+  describe('push', () => {
+    test('stores snapshots in time order', () => {
+      pushAt(100);
+      pushAt(110);
+      expect(buffer.snapshots.map(s => s.t)).toEqual([100, 110]);
+    });
+
+    test('drops duplicate and out-of-order snapshots', () => {
+      pushAt(100);
+      pushAt(120);
+      expect(buffer.push({ t: 110, x: 0, y: 0, vx: 0, vy: 0 }, 0)).toBe(false);
+      expect(buffer.push({ t: 120, x: 0, y: 0, vx: 0, vy: 0 }, 0)).toBe(false);
+      expect(buffer.snapshots).toHaveLength(2);
+    });
+
+    test('rejects snapshots without a timestamp', () => {
+      expect(buffer.push({ x: 1, y: 1, vx: 0, vy: 0 }, 0)).toBe(false);
+      expect(buffer.push(null, 0)).toBe(false);
+    });
+
+    test('limits the buffer size', () => {
+      for (let t = 0; t < 300; t += 10) {
+        pushAt(t);
+      }
+      expect(buffer.snapshots).toHaveLength(20);
+    });
+
+    test('clock offset follows the fastest packets', () => {
+      buffer.push({ t: 100, x: 0, y: 0, vx: 0, vy: 0 }, 0);    // offset 100
+      buffer.push({ t: 110, x: 0, y: 0, vx: 0, vy: 0 }, 50);   // late packet, offset 60
+      expect(buffer.clockOffset).toBeGreaterThan(99);
+
+      buffer.push({ t: 120, x: 0, y: 0, vx: 0, vy: 0 }, 0);    // faster packet, offset 120
+      expect(buffer.clockOffset).toBe(120);
+    });
+  });
+
+  describe('sample', () => {
+    test('returns null when empty', () => {
+      expect(buffer.sample(0)).toBeNull();
+      expect(buffer.mode).toBe('empty');
+    });
+
+    test('interpolates between snapshots around the render time', () => {
+      for (let t = 0; t <= 200; t += 10) {
+        pushAt(t);
+      }
+
+      // Render time is 155 - 100 = 55 in server time
+      const state = buffer.sample(-1000 + 155);
+
+      expect(buffer.mode).toBe('interpolate');
+      expect(state.x).toBeCloseTo(55);
+      expect(state.y).toBe(50);
+    });
+
+    test('holds the oldest snapshot until enough history is buffered', () => {
+      pushAt(100);
+      const state = buffer.sample(-1000 + 100);
+      expect(buffer.mode).toBe('hold');
+      expect(state.x).toBe(100);
+    });
+
+    test('extrapolates when snapshots are late', () => {
+      pushAt(0);
+      pushAt(10);
+
+      // Render time is 30ms past the newest snapshot: 3 ticks of vx 10
+      const state = buffer.sample(-1000 + 140);
+
+      expect(buffer.mode).toBe('extrapolate');
+      expect(state.x).toBeCloseTo(10 + 30);
+      expect(buffer.extrapolatedMs).toBeCloseTo(30);
+    });
+
+    test('caps extrapolation', () => {
+      pushAt(0);
+      pushAt(10);
+
+      const state = buffer.sample(-1000 + 1000);
+
+      expect(buffer.extrapolatedMs).toBe(50);
+      expect(state.x).toBeCloseTo(10 + 50);
+    });
+
+    test('interpolates extra balls present on both sides of the render time', () => {
+      pushAt(40, { extraBalls: [{ x: 400, y: 0, vx: -10, vy: 0 }] });
+      pushAt(50, { extraBalls: [{ x: 300, y: 0, vx: -10, vy: 0 }, { x: 0, y: 0, vx: 0, vy: 0 }] });
+      pushAt(60);
+
+      expect(buffer.sample(-1000 + 145).extraBalls).toEqual([{ x: 350, y: 0, vx: -10, vy: 0 }]);
+      // The second extra ball is gone by the next snapshot, and so are the rest
+      expect(buffer.sample(-1000 + 155).extraBalls).toEqual([]);
+    });
+
+    test('extrapolates extra balls with the main ball', () => {
+      pushAt(0);
+      pushAt(10, { extraBalls: [{ x: 100, y: 20, vx: -10, vy: 5 }] });
+
+      const state = buffer.sample(-1000 + 140);
+
+      expect(state.extraBalls).toEqual([{ x: 70, y: 35, vx: -10, vy: 5 }]);
+    });
+
+    test('drops snapshots older than the interpolation window', () => {
+      for (let t = 0; t <= 200; t += 10) {
+        pushAt(t);
+      }
+      buffer.sample(-1000 + 155);
+      expect(buffer.snapshots[0].t).toBe(50);
+    });
+  });
+
+  describe('getDepth / getStats', () => {
+    test('counts snapshots buffered ahead of the render time', () => {
+      for (let t = 0; t <= 200; t += 10) {
+        pushAt(t);
+      }
+      // Render time 100: snapshots 110..200 are ahead
+      expect(buffer.getDepth(-1000 + 200)).toBe(10);
+    });
+
+    test('reports zero depth before any snapshot', () => {
+      expect(buffer.getDepth(0)).toBe(0);
+    });
+
+    test('returns stats for the debug overlay', () => {
+      pushAt(0);
+      pushAt(10);
+      buffer.sample(-1000 + 140);
+
+      expect(buffer.getStats(-1000 + 140)).toEqual({
+        depth: 0,
+        delay: 100,
+        mode: 'extrapolate',
+        extrapolatedMs: 30
+      });
+    });
+  });
+
+  describe('clear', () => {
+    test('forgets snapshots and clock offset', () => {
+      pushAt(0);
+      buffer.clear();
+      expect(buffer.snapshots).toEqual([]);
+      expect(buffer.clockOffset).toBeNull();
+      expect(buffer.sample(0)).toBeNull();
+    });
+  });
+});
@@ -142,11 +142,85 @@ describe('Storage', () => {
     });
   });
 
+  describe('auth', () => {
+    test('returns null when signed out', () => {
+      expect(Storage.getAuth()).toBeNull();
+    });
+
+    test('saves and clears a session', () => {
+      const auth = { token: 'abc.def', username: 'TestPlayer', expiresAt: Date.now() + 60000 };
+      Storage.saveAuth(auth);
+      expect(Storage.getAuth()).toEqual(auth);
+
+      Storage.clearAuth();
+      expect(Storage.getAuth()).toBeNull();
+    });
+
+    test('ignores an expired session', () => {
+      Storage.saveAuth({ token: 'abc.def', username: 'TestPlayer', expiresAt: Date.now() - 1 });
+      expect(Storage.getAuth()).toBeNull();
+    });
+  });
+
+  describe('replays', () => {
+    const makeReplay = (id) => ({ id, mode: 'single', variant: 'classic', frames: [[0, 1, 2, 3, 4, 5, 6, 0, 0]] });
+
+    test('returns an empty list when none saved', () => {
+      expect(Storage.getReplays()).toEqual([]);
+    });
+
+    test('saves replays newest first', () => {
+      Storage.saveReplay(makeReplay('a'));
+      Storage.saveReplay(makeReplay('b'));
+
+      expect(Storage.getReplays().map(r => r.id)).toEqual(['b', 'a']);
+      expect(Storage.getReplay('a').mode).toBe('single');
+      expect(Storage.getReplay('missing')).toBeNull();
+    });
+
+    test('replaces a replay with the same id', () => {
+      Storage.saveReplay(makeReplay('a'));
+      Storage.saveReplay({ ...makeReplay('a'), variant: 'chaos' });
+
+      expect(Storage.getReplays()).toHaveLength(1);
+      expect(Storage.getReplay('a').variant).toBe('chaos');
+    });
+
+    test('keeps at most MAX_REPLAYS', () => {
+      for (let i = 0; i < Storage.MAX_REPLAYS + 2; i++) {
+        Storage.saveReplay(makeReplay(`r${i}`));
+      }
+
+      const replays = Storage.getReplays();
+      expect(replays).toHaveLength(Storage.MAX_REPLAYS);
+      expect(replays[0].id).toBe(`r${Storage.MAX_REPLAYS + 1}`);
+    });
+
+    test('drops older replays when storage is full', () => {
+      Storage.saveReplay(makeReplay('old'));
+      localStorage.setItem.mockImplementationOnce(() => {
+        throw new Error('QuotaExceededError');
+      });
+
+      expect(Storage.saveReplay(makeReplay('new'))).toBe(true);
+      expect(Storage.getReplays().map(r => r.id)).toEqual(['new']);
+    });
+
+    test('deletes a replay', () => {
+      Storage.saveReplay(makeReplay('a'));
+      Storage.saveReplay(makeReplay('b'));
+      Storage.deleteReplay('a');
+
+      expect(Storage.getReplays().map(r => r.id)).toEqual(['b']);
+    });
+  });
+
   describe('clearAll', () => {
     test('clears all stored data', () => {
       Storage.saveLocalStats({ gamesPlayed: 10 });
       Storage.saveSettings({ difficulty: 'hard' });
       Storage.saveUsername('TestPlayer');
+      Storage.saveAuth({ token: 'abc.def', username: 'TestPlayer', expiresAt: Date.now() + 60000 });
       
       Storage.clearAll();
       
@@ -155,6 +229,7 @@ describe('Storage', () => {
       
       expect(stats.gamesPlayed).toBe(0);
       expect(settings.difficulty).toBe('medium');
+      expect(Storage.getAuth()).toBeNull();
     });
   });
 });
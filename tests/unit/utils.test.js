@@ -57,6 +57,10 @@ describe('Utils', () => {
     test('handles same min and max', () => {
       expect(Utils.randomRange(5, 5)).toBe(5);
     });
+
+    test('uses the given generator', () => {
+      expect(Utils.randomRange(10, 20, () => 0.5)).toBe(15);
+    });
   });
 
   describe('randomInt', () => {
@@ -68,6 +72,11 @@ describe('Utils', () => {
         expect(value).toBeLessThanOrEqual(10);
       }
     });
+
+    test('uses the given generator', () => {
+      expect(Utils.randomInt(1, 10, () => 0)).toBe(1);
+      expect(Utils.randomInt(1, 10, () => 0.999)).toBe(10);
+    });
   });
 
   describe('distance', () => {